@@ -39,6 +39,15 @@ function copyStaticFiles() {
     }
   }
 
+  // Copy fonts embedded into vector PDFs (fetched at runtime)
+  if (fs.existsSync('src/fonts')) {
+    const fontsDir = path.join(distDir, 'fonts');
+    if (!fs.existsSync(fontsDir)) fs.mkdirSync(fontsDir, { recursive: true });
+    for (const file of fs.readdirSync('src/fonts')) {
+      fs.copyFileSync(path.join('src/fonts', file), path.join(fontsDir, file));
+    }
+  }
+
   const label = isFirefox ? 'Firefox' : 'Chrome';
   console.log(`✓ Static files copied (${label})`);
 }
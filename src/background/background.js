@@ -12,7 +12,21 @@ onInstalled((details) => {
     storageSet({
       showButtons: true,
       mathMode: 'omml',
+      clipboardMath: 'omml',
+      pasteTarget: 'word',
       darkThemeDocx: false,
+      linkSources: 'none',
+      numberEquations: false,
+      pdfMode: 'vector',
+      pdfHeader: '{title}',
+      pdfFooter: 'Страница {page} из {pages}',
+      docxPageSize: 'letter',
+      docxOrientation: 'portrait',
+      docxMargins: 'normal',
+      docxHeaderFooter: false,
+      docxCoverPage: false,
+      docxToc: false,
+      docxAuthor: '',
     });
     console.log('[ChatGPT→Word Copier] Extension installed');
   }
@@ -4,26 +4,44 @@
  * Handles message extraction and clipboard operations.
  */
 
-import { copyForWord, copyMessageForWord } from '../lib/clipboard-helper';
+import { copyForWord, copyMessageForWord, copyTurnsForWord, PASTE_TARGETS } from '../lib/clipboard-helper';
 import {
   getAssistantMessages,
   getLastAssistantMessage,
   extractContent,
+  extractConversation,
   getMarkdownContent,
+  getConversationTitle,
+  getModelName,
 } from '../lib/dom-extractor';
 import { buildDocx } from '../lib/docx-builder';
-import { generatePdfViaPrint } from '../lib/pdf-generator';
-import { storageGet, onMessage } from '../lib/browser-api';
+import { generatePdf, generateConversationPdf, generatePdfViaPrint, generateConversationPdfViaPrint } from '../lib/pdf-generator';
+import { storageGet, storageSet, onMessage } from '../lib/browser-api';
+import { openMessagePicker } from './message-picker';
 
 // Settings
 let settings = {
   showButtons: true,
   mathMode: 'omml',
+  clipboardMath: 'omml',
+  pasteTarget: 'word',
   darkThemeDocx: false,
+  linkSources: 'none',
+  numberEquations: false,
+  pdfMode: 'vector',
+  pdfHeader: '{title}',
+  pdfFooter: 'Страница {page} из {pages}',
+  docxPageSize: 'letter',
+  docxOrientation: 'portrait',
+  docxMargins: 'normal',
+  docxHeaderFooter: false,
+  docxCoverPage: false,
+  docxToc: false,
+  docxAuthor: '',
 };
 
 // Load settings
-storageGet(['showButtons', 'mathMode', 'darkThemeDocx']).then((result) => {
+storageGet(['showButtons', 'mathMode', 'clipboardMath', 'pasteTarget', 'darkThemeDocx', 'linkSources', 'numberEquations', 'pdfMode', 'pdfHeader', 'pdfFooter', 'docxPageSize', 'docxOrientation', 'docxMargins', 'docxHeaderFooter', 'docxCoverPage', 'docxToc', 'docxAuthor']).then((result) => {
   if (result) {
     settings = { ...settings, ...result };
     if (settings.showButtons) {
@@ -43,16 +61,24 @@ onMessage((message, sender, sendResponse) => {
 async function handleMessage(message) {
   switch (message.type) {
     case 'copyForWord':
-      return await copyForWord();
+      return await copyForWord(getCopyOptions());
 
     case 'exportDocx':
       return await handleExportDocx(message.settings || settings);
 
+    case 'exportConversationDocx':
+      return await handleExportConversationDocx(message.settings || settings);
+
     case 'exportPdf':
-      return await handleExportPdf();
+      return await handleExportPdf(message.settings || settings);
+
+    case 'openMessagePicker':
+      openMessagePicker({ onExport: exportSelectedTurns });
+      return { success: true };
 
     case 'settingsChanged':
       settings = { ...settings, ...message.settings };
+      updateTargetLabels();
       if (settings.showButtons) {
         injectButtons();
       } else {
@@ -67,6 +93,18 @@ async function handleMessage(message) {
 
 // ===== Export Handlers =====
 
+function getPasteTarget() {
+  return PASTE_TARGETS[settings.pasteTarget] || PASTE_TARGETS.word;
+}
+
+function getCopyOptions() {
+  return {
+    darkTheme: settings.darkThemeDocx,
+    clipboardMath: settings.clipboardMath,
+    pasteTarget: settings.pasteTarget,
+  };
+}
+
 async function handleExportDocx(exportSettings) {
   try {
     const lastMessage = getLastAssistantMessage();
@@ -79,10 +117,7 @@ async function handleExportDocx(exportSettings) {
       return { success: false, error: 'Пустой ответ' };
     }
 
-    const blob = await buildDocx(blocks, {
-      title: 'ChatGPT Response',
-      mathMode: exportSettings.mathMode || 'omml',
-    });
+    const blob = await buildDocx(blocks, getDocxOptions('ChatGPT Response', exportSettings, lastMessage));
 
     // Download
     downloadBlob(blob, `chatgpt-response-${getTimestamp()}.docx`);
@@ -93,15 +128,37 @@ async function handleExportDocx(exportSettings) {
   }
 }
 
-async function handleExportPdf() {
+async function handleExportConversationDocx(exportSettings) {
+  try {
+    const blocks = extractConversation();
+    if (blocks.length === 0) {
+      return { success: false, error: 'Нет сообщений на странице' };
+    }
+
+    const blob = await buildDocx(blocks, getDocxOptions('ChatGPT Conversation', exportSettings));
+
+    downloadBlob(blob, `chatgpt-conversation-${getTimestamp()}.docx`);
+    return { success: true };
+  } catch (e) {
+    console.error('Conversation DOCX export error:', e);
+    return { success: false, error: e.message };
+  }
+}
+
+async function handleExportPdf(exportSettings) {
   try {
     const lastMessage = getLastAssistantMessage();
     if (!lastMessage) {
       return { success: false, error: 'Нет ответов ChatGPT на странице' };
     }
 
-    // Use print-based PDF generation
-    generatePdfViaPrint(lastMessage);
+    if (exportSettings.pdfMode === 'print') {
+      generatePdfViaPrint(lastMessage, { ...getPdfOptions(exportSettings), onExportDocx: downloadEditedDocx });
+      return { success: true };
+    }
+
+    const blob = await generatePdf(lastMessage, getPdfOptions(exportSettings));
+    downloadBlob(blob, `chatgpt-response-${getTimestamp()}.pdf`);
     return { success: true };
   } catch (e) {
     console.error('PDF export error:', e);
@@ -109,10 +166,99 @@ async function handleExportPdf() {
   }
 }
 
+/**
+ * Options for buildDocx: formulas, theme, links and page setup from the
+ * settings, and the document info for the header and cover page
+ * @param {string} defaultTitle - title of chats that have none yet
+ * @param {HTMLElement} messageEl - exported answer, for the model name
+ */
+function getDocxOptions(defaultTitle, exportSettings = settings, messageEl = null) {
+  return {
+    title: getConversationTitle() || defaultTitle,
+    mathMode: exportSettings.mathMode || 'omml',
+    darkTheme: !!exportSettings.darkThemeDocx,
+    linkSources: exportSettings.linkSources || 'none',
+    numberEquations: !!exportSettings.numberEquations,
+    pageSize: exportSettings.docxPageSize || 'letter',
+    orientation: exportSettings.docxOrientation || 'portrait',
+    margins: exportSettings.docxMargins || 'normal',
+    headerFooter: !!exportSettings.docxHeaderFooter,
+    coverPage: !!exportSettings.docxCoverPage,
+    toc: !!exportSettings.docxToc,
+    author: exportSettings.docxAuthor || '',
+    sourceUrl: location.href,
+    model: getModelName(messageEl),
+  };
+}
+
+/**
+ * Options for both PDF routes: document info, running header/footer
+ * templates and the theme
+ */
+function getPdfOptions(exportSettings = settings) {
+  return {
+    title: getConversationTitle(),
+    sourceUrl: location.href,
+    header: exportSettings.pdfHeader ?? settings.pdfHeader,
+    footer: exportSettings.pdfFooter ?? settings.pdfFooter,
+    darkTheme: !!exportSettings.darkThemeDocx,
+    numberEquations: !!exportSettings.numberEquations,
+  };
+}
+
+/**
+ * Save the content edited in the print window as DOCX
+ */
+async function downloadEditedDocx(blocks) {
+  if (blocks.length === 0) {
+    throw new Error('Документ пуст');
+  }
+  const blob = await buildDocx(blocks, getDocxOptions('ChatGPT Response'));
+  downloadBlob(blob, `chatgpt-edited-${getTimestamp()}.docx`);
+}
+
+/**
+ * Export turns chosen in the message picker as one document
+ */
+async function exportSelectedTurns(format, turns) {
+  try {
+    if (format === 'docx') {
+      const blocks = extractConversation(turns);
+      if (blocks.length === 0) {
+        showToast('Выбранные сообщения пусты', 'error');
+        return;
+      }
+      const blob = await buildDocx(blocks, getDocxOptions('ChatGPT Conversation'));
+      downloadBlob(blob, `chatgpt-selection-${getTimestamp()}.docx`);
+      showToast('✓ DOCX скачан!', 'success');
+    } else if (format === 'pdf') {
+      if (settings.pdfMode === 'print') {
+        generateConversationPdfViaPrint(turns, { ...getPdfOptions(), onExportDocx: downloadEditedDocx });
+        showToast('✓ PDF готов к печати', 'success');
+        return;
+      }
+      const blob = await generateConversationPdf(turns, getPdfOptions());
+      downloadBlob(blob, `chatgpt-selection-${getTimestamp()}.pdf`);
+      showToast('✓ PDF скачан!', 'success');
+    } else if (format === 'copy') {
+      const result = await copyTurnsForWord(turns, getCopyOptions());
+      if (result.success) {
+        showToast(`✓ Скопировано для ${getPasteTarget().name}!`, 'success');
+      } else {
+        showToast(result.error || 'Ошибка копирования', 'error');
+      }
+    }
+  } catch (e) {
+    showToast('Ошибка: ' + e.message, 'error');
+  }
+}
+
 // ===== Button Injection =====
 
 const BUTTON_CONTAINER_CLASS = 'cgpt-word-copier-buttons';
 const PROCESSED_ATTR = 'data-word-copier-processed';
+const TARGET_BUTTON_CLASS = 'cgpt-wc-btn-target';
+const TARGET_MENU_CLASS = 'cgpt-wc-target-menu';
 
 function injectButtons() {
   // Process existing messages
@@ -149,25 +295,34 @@ function addButtonsToMessage(messageEl) {
   container.className = BUTTON_CONTAINER_CLASS;
 
   // Copy button
-  const copyBtn = createActionButton(
-    'Копировать для Word',
-    copyIcon(),
-    async () => {
-      copyBtn.classList.add('loading');
-      try {
-        const result = await copyMessageForWord(messageEl);
-        if (result.success) {
-          showToast('✓ Скопировано для Word!', 'success');
-        } else {
-          showToast(result.error || 'Ошибка копирования', 'error');
-        }
-      } catch (e) {
-        showToast('Ошибка: ' + e.message, 'error');
-      } finally {
-        copyBtn.classList.remove('loading');
+  const copy = async () => {
+    copyBtn.classList.add('loading');
+    try {
+      const result = await copyMessageForWord(messageEl, getCopyOptions());
+      if (result.success) {
+        showToast(`✓ Скопировано для ${getPasteTarget().name}!`, 'success');
+      } else {
+        showToast(result.error || 'Ошибка копирования', 'error');
       }
+    } catch (e) {
+      showToast('Ошибка: ' + e.message, 'error');
+    } finally {
+      copyBtn.classList.remove('loading');
     }
-  );
+  };
+  const copyBtn = createActionButton('Копировать', copyIcon(), copy);
+
+  // Paste target menu: picking a target remembers it and copies right away
+  const targetBtn = createActionButton(getPasteTarget().name, caretIcon(), () => {
+    openTargetMenu(container, targetBtn, (id) => {
+      settings.pasteTarget = id;
+      storageSet({ pasteTarget: id }).catch(() => {});
+      updateTargetLabels();
+      copy();
+    });
+  });
+  targetBtn.classList.add(TARGET_BUTTON_CLASS);
+  targetBtn.title = 'Куда будет вставлен текст';
 
   // DOCX button
   const docxBtn = createActionButton(
@@ -181,10 +336,7 @@ function addButtonsToMessage(messageEl) {
           showToast('Пустой ответ', 'error');
           return;
         }
-        const blob = await buildDocx(blocks, {
-          title: 'ChatGPT Response',
-          mathMode: settings.mathMode,
-        });
+        const blob = await buildDocx(blocks, getDocxOptions('ChatGPT Response', settings, messageEl));
         downloadBlob(blob, `chatgpt-response-${getTimestamp()}.docx`);
         showToast('✓ DOCX скачан!', 'success');
       } catch (e) {
@@ -202,8 +354,14 @@ function addButtonsToMessage(messageEl) {
     async () => {
       pdfBtn.classList.add('loading');
       try {
-        generatePdfViaPrint(messageEl);
-        showToast('✓ PDF готов к печати', 'success');
+        if (settings.pdfMode === 'print') {
+          generatePdfViaPrint(messageEl, { ...getPdfOptions(), onExportDocx: downloadEditedDocx });
+          showToast('✓ PDF готов к печати', 'success');
+          return;
+        }
+        const blob = await generatePdf(messageEl, getPdfOptions());
+        downloadBlob(blob, `chatgpt-response-${getTimestamp()}.pdf`);
+        showToast('✓ PDF скачан!', 'success');
       } catch (e) {
         showToast('Ошибка: ' + e.message, 'error');
       } finally {
@@ -213,6 +371,7 @@ function addButtonsToMessage(messageEl) {
   );
 
   container.appendChild(copyBtn);
+  container.appendChild(targetBtn);
   container.appendChild(docxBtn);
   container.appendChild(pdfBtn);
 
@@ -238,6 +397,45 @@ function createActionButton(text, iconSvg, onClick) {
   return btn;
 }
 
+/**
+ * Drop-down list of paste targets under the target button
+ */
+function openTargetMenu(container, anchor, onSelect) {
+  const wasOpen = container.querySelector(`.${TARGET_MENU_CLASS}`);
+  closeTargetMenu();
+  if (wasOpen) return;
+
+  const menu = document.createElement('div');
+  menu.className = TARGET_MENU_CLASS;
+  menu.style.left = `${anchor.offsetLeft}px`;
+  for (const [id, target] of Object.entries(PASTE_TARGETS)) {
+    const item = document.createElement('button');
+    item.className = 'cgpt-wc-target-item';
+    if (target === getPasteTarget()) item.classList.add('active');
+    item.textContent = target.name;
+    item.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      closeTargetMenu();
+      onSelect(id);
+    });
+    menu.appendChild(item);
+  }
+  container.appendChild(menu);
+
+  // Any click elsewhere closes the menu
+  setTimeout(() => document.addEventListener('click', closeTargetMenu, { once: true }));
+}
+
+function closeTargetMenu() {
+  document.querySelectorAll(`.${TARGET_MENU_CLASS}`).forEach(el => el.remove());
+}
+
+function updateTargetLabels() {
+  const name = getPasteTarget().name;
+  document.querySelectorAll(`.${TARGET_BUTTON_CLASS} span`).forEach(el => { el.textContent = name; });
+}
+
 // ===== Icons =====
 
 function copyIcon() {
@@ -247,6 +445,12 @@ function copyIcon() {
   </svg>`;
 }
 
+function caretIcon() {
+  return `<svg width="10" height="10" viewBox="0 0 10 10" fill="none" xmlns="http://www.w3.org/2000/svg">
+    <path d="M2 3.5L5 6.5L8 3.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+  </svg>`;
+}
+
 function docxIcon() {
   return `<svg width="14" height="14" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
     <path d="M3 1h7l4 4v10H3V1z" stroke="currentColor" stroke-width="1.5"/>
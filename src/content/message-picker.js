@@ -0,0 +1,150 @@
+/**
+ * Message Picker - side panel for choosing which conversation turns
+ * go into a single DOCX / PDF / clipboard export.
+ */
+
+import { getConversationTurns, getTurnSummary } from '../lib/dom-extractor';
+
+const PANEL_CLASS = 'cgpt-wc-picker';
+
+/**
+ * Open the picker panel (or refresh it if it is already open).
+ * @param {Object} options
+ * @param {Function} options.onExport - async (format, turns) => Promise<void>,
+ *   where format is 'docx' | 'pdf' | 'copy'; it reports errors itself
+ */
+export function openMessagePicker({ onExport }) {
+  closeMessagePicker();
+
+  const turns = getConversationTurns();
+
+  const panel = document.createElement('div');
+  panel.className = PANEL_CLASS;
+  panel.innerHTML =
+    '<div class="cgpt-wc-picker-header">' +
+    '<span class="cgpt-wc-picker-title">Выбор сообщений</span>' +
+    '<button class="cgpt-wc-picker-close" title="Закрыть">&times;</button>' +
+    '</div>' +
+    '<div class="cgpt-wc-picker-tools">' +
+    '<label><input type="checkbox" data-select="all"> Все</label>' +
+    '<label><input type="checkbox" data-select="assistant"> Только ответы</label>' +
+    '<span class="cgpt-wc-picker-count"></span>' +
+    '</div>' +
+    '<ul class="cgpt-wc-picker-list"></ul>' +
+    '<div class="cgpt-wc-picker-actions">' +
+    '<button data-format="docx">DOCX</button>' +
+    '<button data-format="pdf">PDF</button>' +
+    '<button data-format="copy">Копировать</button>' +
+    '</div>';
+
+  const list = panel.querySelector('.cgpt-wc-picker-list');
+  const countEl = panel.querySelector('.cgpt-wc-picker-count');
+  const selectAll = panel.querySelector('[data-select="all"]');
+  const selectAnswers = panel.querySelector('[data-select="assistant"]');
+  const actionButtons = panel.querySelectorAll('[data-format]');
+
+  let questionNo = 0;
+  let answerNo = 0;
+
+  turns.forEach((turn, index) => {
+    const { heading, preview } = getTurnSummary(turn);
+    const label = turn.role === 'user' ? `Вопрос ${++questionNo}` : `Ответ ${++answerNo}`;
+
+    const item = document.createElement('li');
+    item.className = `cgpt-wc-picker-item cgpt-wc-picker-${turn.role}`;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.index = String(index);
+
+    const body = document.createElement('div');
+    body.className = 'cgpt-wc-picker-body';
+
+    const roleEl = document.createElement('div');
+    roleEl.className = 'cgpt-wc-picker-role';
+    roleEl.textContent = label;
+    body.appendChild(roleEl);
+
+    if (heading) {
+      const headingEl = document.createElement('div');
+      headingEl.className = 'cgpt-wc-picker-heading';
+      headingEl.textContent = heading;
+      body.appendChild(headingEl);
+    }
+
+    const previewEl = document.createElement('div');
+    previewEl.className = 'cgpt-wc-picker-preview';
+    previewEl.textContent = preview || '—';
+    previewEl.title = 'Показать в диалоге';
+    previewEl.addEventListener('click', () => {
+      turn.element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+    body.appendChild(previewEl);
+
+    const checkLabel = document.createElement('label');
+    checkLabel.appendChild(checkbox);
+    item.appendChild(checkLabel);
+    item.appendChild(body);
+    list.appendChild(item);
+  });
+
+  const checkboxes = Array.from(list.querySelectorAll('input[type="checkbox"]'));
+
+  function getSelectedTurns() {
+    return checkboxes.filter(cb => cb.checked).map(cb => turns[Number(cb.dataset.index)]);
+  }
+
+  function updateState() {
+    const selected = getSelectedTurns().length;
+    countEl.textContent = `${selected} из ${turns.length}`;
+    selectAll.checked = selected > 0 && selected === turns.length;
+    actionButtons.forEach(btn => { btn.disabled = selected === 0; });
+  }
+
+  list.addEventListener('change', updateState);
+
+  selectAll.addEventListener('change', () => {
+    checkboxes.forEach(cb => { cb.checked = selectAll.checked; });
+    selectAnswers.checked = false;
+    updateState();
+  });
+
+  selectAnswers.addEventListener('change', () => {
+    checkboxes.forEach((cb, i) => {
+      cb.checked = selectAnswers.checked && turns[i].role === 'assistant';
+    });
+    updateState();
+  });
+
+  actionButtons.forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const selected = getSelectedTurns();
+      if (selected.length === 0) return;
+
+      btn.classList.add('loading');
+      actionButtons.forEach(b => { b.disabled = true; });
+      try {
+        await onExport(btn.dataset.format, selected);
+      } finally {
+        btn.classList.remove('loading');
+        updateState();
+      }
+    });
+  });
+
+  panel.querySelector('.cgpt-wc-picker-close').addEventListener('click', closeMessagePicker);
+
+  updateState();
+  document.body.appendChild(panel);
+  return panel;
+}
+
+/**
+ * Remove the picker panel from the page
+ */
+export function closeMessagePicker() {
+  const existing = document.querySelector(`.${PANEL_CLASS}`);
+  if (existing) existing.remove();
+}
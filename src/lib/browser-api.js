@@ -141,6 +141,18 @@ export function onInstalled(handler) {
   api.runtime.onInstalled.addListener(handler);
 }
 
+/**
+ * URL of a file packaged with the extension.
+ * @param {string} path - path inside the extension, e.g. 'fonts/DejaVuSans.ttf'
+ * @returns {string}
+ */
+export function getResourceUrl(path) {
+  const api = getAPI();
+  if (!api?.runtime?.getURL) return path;
+
+  return api.runtime.getURL(path);
+}
+
 // ===== Downloads =====
 
 /**
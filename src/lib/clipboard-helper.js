@@ -1,23 +1,41 @@
 /**
- * Clipboard Helper - copies HTML with MathML to clipboard for Word compatibility.
+ * Clipboard Helper - copies HTML with formulas to clipboard for Word compatibility.
  * 
- * Word can read MathML from the clipboard and convert it to native equations.
  * KaTeX already generates MathML, so we extract it and format the HTML properly.
+ * By default formulas are also converted to OMML and written the way Word
+ * itself copies equations, with the MathML kept for other editors.
+ * Other paste targets (Google Docs, LibreOffice, OneNote, Outlook) get
+ * the formula format and styling they can read, see PASTE_TARGETS.
  */
 
-import { getLastAssistantMessage, getCleanHtmlWithMathML, getSelectedContent, getMarkdownContent } from './dom-extractor';
+import {
+  getLastAssistantMessage,
+  getCleanHtmlWithMathML,
+  getSelectedContent,
+  getMarkdownContent,
+  getUserMessageHtml,
+  extractContent,
+  extractConversation,
+} from './dom-extractor';
+import { mathmlToOmml } from './mathml-to-omml';
+import { renderMathToPng } from './math-renderer';
+import { renderPlainText } from './text-renderer';
 
 /**
  * Copy the last assistant message (or selection) to clipboard with MathML for Word
+ * @param {Object} options - { darkTheme, clipboardMath: 'omml' | 'mathml',
+ *   pasteTarget: a key of PASTE_TARGETS }
  */
-export async function copyForWord() {
+export async function copyForWord(options = {}) {
   try {
     // Check for selection first
     const selectedEl = getSelectedContent();
     let html;
+    let blocks;
 
     if (selectedEl) {
       html = prepareMathMLHtml(selectedEl);
+      blocks = extractContent(selectedEl);
     } else {
       // Get last assistant message
       const lastMessage = getLastAssistantMessage();
@@ -25,6 +43,7 @@ export async function copyForWord() {
         return { success: false, error: 'Нет ответов ChatGPT на странице' };
       }
       html = getCleanHtmlWithMathML(lastMessage);
+      blocks = extractContent(lastMessage);
     }
 
     if (!html || html.trim() === '') {
@@ -32,10 +51,10 @@ export async function copyForWord() {
     }
 
     // Wrap in proper HTML with MathML namespace
-    const fullHtml = wrapForClipboard(html);
+    const fullHtml = await buildClipboardHtml(html, options);
 
     // Copy to clipboard using the Clipboard API
-    await copyRichHtml(fullHtml, stripHtml(html));
+    await copyRichHtml(fullHtml, toPlainText(blocks, html));
 
     return { success: true };
   } catch (e) {
@@ -47,15 +66,43 @@ export async function copyForWord() {
 /**
  * Copy a specific message element
  */
-export async function copyMessageForWord(messageEl) {
+export async function copyMessageForWord(messageEl, options = {}) {
   try {
     const html = getCleanHtmlWithMathML(messageEl);
     if (!html) {
       return { success: false, error: 'Пустой ответ' };
     }
 
-    const fullHtml = wrapForClipboard(html);
-    await copyRichHtml(fullHtml, stripHtml(html));
+    const fullHtml = await buildClipboardHtml(html, options);
+    await copyRichHtml(fullHtml, toPlainText(extractContent(messageEl), html));
+    return { success: true };
+  } catch (e) {
+    console.error('Copy error:', e);
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Copy several conversation turns ({ role, element }) as one document,
+ * with "Вопрос"/"Ответ" labels before each turn
+ */
+export async function copyTurnsForWord(turns, options = {}) {
+  try {
+    let html = '';
+    for (const turn of turns) {
+      const isUser = turn.role === 'user';
+      const body = isUser ? getUserMessageHtml(turn.element) : getCleanHtmlWithMathML(turn.element);
+      if (!body) continue;
+      html += `<p class="turn-label"><b>${isUser ? 'Вопрос' : 'Ответ'}</b></p>`;
+      html += isUser ? `<blockquote>${body}</blockquote>` : body;
+    }
+
+    if (!html) {
+      return { success: false, error: 'Не выбрано ни одного сообщения' };
+    }
+
+    const fullHtml = await buildClipboardHtml(html, options);
+    await copyRichHtml(fullHtml, toPlainText(extractConversation(turns), html));
     return { success: true };
   } catch (e) {
     console.error('Copy error:', e);
@@ -114,43 +161,235 @@ function prepareMathMLHtml(container) {
 }
 
 /**
- * Wrap content in a proper HTML document for clipboard,
+ * Paste targets: each editor reads a different subset of clipboard HTML.
+ * math: 'omml' - Word-native equations with a MathML fallback,
+ *   'semantics' - MathML with the TeX annotation (LibreOffice Math objects),
+ *   'image' - PNG pictures (Google Docs drops MathML);
+ * inlineStyles: the editor ignores <style>, so rules go to style attributes;
+ * tableBorders: table borders as HTML attributes rather than CSS
+ */
+export const PASTE_TARGETS = {
+  word: { name: 'Word', math: 'omml', inlineStyles: false, tableBorders: false },
+  gdocs: { name: 'Google Docs', math: 'image', inlineStyles: true, tableBorders: false },
+  libreoffice: { name: 'LibreOffice', math: 'semantics', inlineStyles: false, tableBorders: true },
+  onenote: { name: 'OneNote', math: 'omml', inlineStyles: true, tableBorders: true },
+  outlook: { name: 'Outlook', math: 'omml', inlineStyles: true, tableBorders: false },
+};
+
+// Base clipboard styles: [selector, declarations]
+const CLIPBOARD_STYLES = [
+  ['body', 'font-family: Calibri, sans-serif; font-size: 11pt; line-height: 1.5; color: #000'],
+  ['h1', 'font-size: 20pt; font-weight: bold; margin: 12pt 0 6pt'],
+  ['h2', 'font-size: 16pt; font-weight: bold; margin: 10pt 0 5pt'],
+  ['h3', 'font-size: 14pt; font-weight: bold; margin: 8pt 0 4pt'],
+  ['h4', 'font-size: 12pt; font-weight: bold; margin: 6pt 0 3pt'],
+  ['p', 'margin: 0 0 6pt'],
+  ['code', "font-family: Consolas, 'Courier New', monospace; font-size: 10pt; background: #f5f5f5; padding: 1px 4px; border-radius: 3px"],
+  ['pre', "font-family: Consolas, 'Courier New', monospace; font-size: 9pt; background: #f8f8f8; padding: 8pt; margin: 6pt 0; border: 1px solid #ddd; border-radius: 4px; white-space: pre-wrap"],
+  ['pre code', 'background: none; padding: 0'],
+  ['table', 'border-collapse: collapse; margin: 6pt 0; width: auto'],
+  ['th, td', 'border: 1px solid #999; padding: 4pt 8pt; text-align: left'],
+  ['th', 'background: #f0f0f0; font-weight: bold'],
+  ['blockquote', 'border-left: 3px solid #ccc; padding-left: 10pt; margin: 6pt 0; color: #555'],
+  ['ul, ol', 'margin: 3pt 0 6pt 20pt'],
+  ['li', 'margin: 2pt 0'],
+  ['li > p', 'margin: 0 0 3pt'],
+  ['li > pre, li > table, li > blockquote', 'margin: 3pt 0 6pt'],
+  ['blockquote > p:last-child', 'margin-bottom: 0'],
+  ['summary', 'font-weight: bold'],
+  ['strong, b', 'font-weight: bold'],
+  ['em, i', 'font-style: italic'],
+  ['math', 'font-family: Cambria Math, serif'],
+  ['.turn-label', 'margin: 14pt 0 4pt; font-size: 9pt; text-transform: uppercase; color: #3b82f6'],
+];
+
+// Dark variant: overrides for the base clipboard styles
+const DARK_CLIPBOARD_STYLES = [
+  ['body', 'background: #1e1e1e; color: #e6e6e6'],
+  ['h1, h2, h3, h4', 'color: #8ab4f8'],
+  ['a', 'color: #6cb4ff'],
+  ['code', 'background: #333333; color: #e6e6e6'],
+  ['pre', 'background: #2a2a2a; border-color: #5a5a5a; color: #e6e6e6'],
+  ['th, td', 'border-color: #5a5a5a'],
+  ['th', 'background: #333a45'],
+  ['blockquote', 'border-left-color: #5a5a5a; color: #b0b0b0'],
+  ['.turn-label', 'color: #60a5fa'],
+];
+
+/**
+ * Build the clipboard HTML document for the chosen paste target,
  * with MathML namespace declarations that Word can read
+ * @param {string} html - message HTML with MathML formulas
+ * @param {Object} options - { darkTheme, clipboardMath, pasteTarget, renderMath }
  */
-function wrapForClipboard(html) {
+async function buildClipboardHtml(html, options = {}) {
+  const target = PASTE_TARGETS[options.pasteTarget] || PASTE_TARGETS.word;
+  const rules = options.darkTheme ? [...CLIPBOARD_STYLES, ...DARK_CLIPBOARD_STYLES] : CLIPBOARD_STYLES;
+
+  const temp = document.createElement('div');
+  temp.innerHTML = html;
+
+  if (target.tableBorders) {
+    for (const table of temp.querySelectorAll('table')) {
+      table.setAttribute('border', '1');
+      table.setAttribute('cellspacing', '0');
+      table.setAttribute('cellpadding', '5');
+    }
+  }
+
+  if (target.math === 'image') {
+    await replaceMathWithImages(temp, options);
+  } else if (target.math === 'semantics') {
+    temp.querySelectorAll('math').forEach(addSemantics);
+  }
+
+  let style = '';
+  let body = temp;
+  if (target.inlineStyles) {
+    body = document.createElement('div');
+    body.setAttribute('style', joinStyles(rules, 'body'));
+    body.append(...temp.childNodes);
+    inlineStyles(body, rules);
+  } else {
+    style = '<style>\n' + rules.map(([selector, css]) => `  ${selector} { ${css}; }`).join('\n') + '\n</style>\n';
+  }
+
+  // Formulas go into comments last: after that the DOM no longer sees them
+  const useOmml = target.math === 'omml' && options.clipboardMath !== 'mathml';
+  const equations = useOmml ? embedOmml(body) : [];
+  const bodyHtml = (target.inlineStyles ? body.outerHTML : body.innerHTML)
+    .replace(/<!--equation:(\d+)-->/g, (_, i) => equations[Number(i)]);
+
   return `<!DOCTYPE html>
 <html xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math"
       xmlns:o="urn:schemas-microsoft-com:office:office"
       xmlns:w="urn:schemas-microsoft-com:office:word">
 <head>
 <meta charset="utf-8">
-<style>
-  body { font-family: Calibri, sans-serif; font-size: 11pt; line-height: 1.5; color: #000; }
-  h1 { font-size: 20pt; font-weight: bold; margin: 12pt 0 6pt; }
-  h2 { font-size: 16pt; font-weight: bold; margin: 10pt 0 5pt; }
-  h3 { font-size: 14pt; font-weight: bold; margin: 8pt 0 4pt; }
-  h4 { font-size: 12pt; font-weight: bold; margin: 6pt 0 3pt; }
-  p { margin: 0 0 6pt; }
-  code { font-family: Consolas, 'Courier New', monospace; font-size: 10pt; background: #f5f5f5; padding: 1px 4px; border-radius: 3px; }
-  pre { font-family: Consolas, 'Courier New', monospace; font-size: 9pt; background: #f8f8f8; padding: 8pt; margin: 6pt 0; border: 1px solid #ddd; border-radius: 4px; white-space: pre-wrap; }
-  pre code { background: none; padding: 0; }
-  table { border-collapse: collapse; margin: 6pt 0; width: auto; }
-  th, td { border: 1px solid #999; padding: 4pt 8pt; text-align: left; }
-  th { background: #f0f0f0; font-weight: bold; }
-  blockquote { border-left: 3px solid #ccc; padding-left: 10pt; margin: 6pt 0; color: #555; }
-  ul, ol { margin: 3pt 0 6pt 20pt; }
-  li { margin: 2pt 0; }
-  strong, b { font-weight: bold; }
-  em, i { font-style: italic; }
-  math { font-family: Cambria Math, serif; }
-</style>
-</head>
+${style}</head>
 <body>
-${html}
+${bodyHtml}
 </body>
 </html>`;
 }
 
+/**
+ * Declarations of all rules for a selector, in order
+ */
+function joinStyles(rules, selector) {
+  return rules.filter(([sel]) => sel === selector).map(([, css]) => css).join('; ');
+}
+
+/**
+ * Copy the rules into style attributes for editors that ignore <style>.
+ * Later rules come later in the attribute, and the element's own inline
+ * style stays last, so the cascade is the same as with a style sheet.
+ */
+function inlineStyles(container, rules) {
+  const inlined = new Map();
+  for (const [selector, css] of rules) {
+    if (selector === 'body') continue;
+    for (const el of container.querySelectorAll(selector)) {
+      inlined.set(el, [...(inlined.get(el) || []), css]);
+    }
+  }
+  for (const [el, styles] of inlined) {
+    const own = el.getAttribute('style');
+    el.setAttribute('style', [...styles, own].filter(Boolean).join('; '));
+  }
+}
+
+/**
+ * Put OMML next to each MathML formula, as Word does when it copies
+ * equations: Word reads the msEquation conditional comment and skips the
+ * downlevel-revealed MathML, browsers and other editors do the opposite.
+ * Formulas are replaced with <!--equation:N--> placeholders.
+ * @returns {string[]} HTML of each placeholder
+ */
+function embedOmml(container) {
+  const equations = [];
+  for (const math of container.querySelectorAll('math')) {
+    const omml = toHtmlOmml(mathmlToOmml(new XMLSerializer().serializeToString(math)));
+    equations.push(
+      `<!--[if gte msEquation 12]>${omml.replace(/--/g, '-&#45;')}<![endif]-->` +
+      `<![if !msEquation]>${math.outerHTML}<![endif]>`
+    );
+    math.replaceWith(document.createComment(`equation:${equations.length - 1}`));
+  }
+  return equations;
+}
+
+/**
+ * DOCX OMML to the flavour of Word's HTML: no WordprocessingML run
+ * properties, run text directly in m:r, set in Cambria Math
+ */
+function toHtmlOmml(omml) {
+  return omml
+    .replace(/<m:ctrlPr>.*?<\/m:ctrlPr>/g, '')
+    .replace(/<w:rPr>.*?<\/w:rPr>/g, '')
+    .replace(/<m:r>(<m:rPr>.*?<\/m:rPr>)?<m:t(?: [^>]*)?>(.*?)<\/m:t><\/m:r>/g,
+      (_, rPr, text) => `<span style='font-family:"Cambria Math",serif'><m:r>${rPr || ''}${text}</m:r></span>`);
+}
+
+/**
+ * Swap formulas for PNG pictures; a formula that cannot be rendered
+ * stays as its LaTeX source
+ */
+async function replaceMathWithImages(container, options) {
+  const render = options.renderMath || renderMathToPng;
+  const color = options.darkTheme ? '#e6e6e6' : '#000000';
+
+  for (const math of Array.from(container.querySelectorAll('math'))) {
+    const latex = math.querySelector('annotation[encoding="application/x-tex"]')?.textContent || math.textContent;
+    const display = math.getAttribute('display') === 'block';
+    const image = await render({ mathml: new XMLSerializer().serializeToString(math), latex, display }, { color });
+    if (!image) {
+      math.replaceWith(display ? `$$${latex}$$` : `$${latex}$`);
+      continue;
+    }
+
+    const img = document.createElement('img');
+    img.src = `data:image/png;base64,${toBase64(image.data)}`;
+    img.width = image.width;
+    img.height = image.height;
+    img.alt = latex;
+    if (display) {
+      const wrapper = document.createElement('div');
+      wrapper.style.textAlign = 'center';
+      wrapper.appendChild(img);
+      math.replaceWith(wrapper);
+    } else {
+      // Lower the picture so the formula baseline sits on the text baseline
+      if (image.depth) img.style.verticalAlign = `-${image.depth}px`;
+      math.replaceWith(img);
+    }
+  }
+}
+
+/**
+ * Make sure the formula body sits in <semantics>, the shape LibreOffice
+ * imports as a Math object
+ */
+function addSemantics(math) {
+  const first = math.firstElementChild;
+  if (first && first.localName === 'semantics') return;
+
+  const ns = math.namespaceURI;
+  const semantics = document.createElementNS(ns, 'semantics');
+  const mrow = document.createElementNS(ns, 'mrow');
+  mrow.append(...math.childNodes);
+  semantics.appendChild(mrow);
+  math.appendChild(semantics);
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
 /**
  * Copy HTML to clipboard with both text/html and text/plain
  */
@@ -188,6 +427,14 @@ function copyWithExecCommand(html, plainText) {
   document.removeEventListener('copy', listener);
 }
 
+/**
+ * The text/plain flavour: the block model as readable text, or the bare
+ * text of the HTML when nothing could be extracted
+ */
+function toPlainText(blocks, html) {
+  return renderPlainText(blocks) || stripHtml(html);
+}
+
 /**
  * Strip HTML tags to get plain text
  */
@@ -4,17 +4,23 @@
  * 
  * Supports:
  * - Text with formatting (bold, italic, code)
+ * - Hyperlinks (optionally listed as footnotes or a "Sources" section)
  * - Headings (h1-h6)
  * - Tables
  * - Lists (ordered and unordered)
  * - Code blocks
- * - Math formulas (via OMML)
+ * - Math formulas (via OMML, or PNG images in "image" mode)
+ * - Equation numbers (\tag labels, optional SEQ Equation fields)
  * - Blockquotes
- * - Images
+ * - Images (charts, generated pictures, uploads) with alt text and captions
+ * - Conversation turns (user prompts and assistant answers)
  */
 
 import JSZip from 'jszip';
-import { mathmlToOmml, latexToOmml, escapeXml } from './mathml-to-omml';
+import { mathmlToOmml, latexToOmml, extractEquationLabel, escapeXml } from './mathml-to-omml';
+import { latexToMathml } from './latex-to-mathml';
+import { renderMathToPng } from './math-renderer';
+import { fetchImageData } from './image-loader';
 
 // OOXML Namespaces
 const NS = {
@@ -27,44 +33,244 @@ const NS = {
   mc: 'http://schemas.openxmlformats.org/markup-compatibility/2006',
 };
 
+const REL_TYPES = {
+  image: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image',
+  hyperlink: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink',
+  footnotes: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/footnotes',
+  header: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/header',
+  footer: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer',
+};
+
+// Heading of the list of link targets appended in "section" mode
+const SOURCES_TITLE = 'Источники';
+
+// Heading of the table of contents
+const TOC_TITLE = 'Содержание';
+
+// Heading levels listed in the table of contents
+const TOC_LEVELS = 3;
+
+// Captions of the cover page lines
+const COVER_LABELS = {
+  author: 'Автор',
+  date: 'Дата',
+  model: 'Модель',
+  source: 'Источник',
+};
+
+// Footer text around the PAGE and NUMPAGES fields
+const PAGE_NUMBER_TEXT = ['Страница ', ' из '];
+
+// Document color palettes (hex without '#', as OOXML expects)
+const THEMES = {
+  light: {
+    background: null,
+    text: null,
+    heading: '2F5496',
+    headingMuted: '595959',
+    link: '0563C1',
+    inlineCodeFill: 'F5F5F5',
+    codeFill: 'F8F8F8',
+    codeLabelFill: 'E8E8E8',
+    codeLabelText: '666666',
+    tableBorder: '999999',
+    tableHeaderFill: 'F0F0F0',
+    quoteBorder: 'CCCCCC',
+    quoteText: '666666',
+    rule: 'CCCCCC',
+    questionFill: 'EFF4FB',
+    questionAccent: '3B82F6',
+    answerAccent: '10A37F',
+  },
+  dark: {
+    background: '1E1E1E',
+    text: 'E6E6E6',
+    heading: '8AB4F8',
+    headingMuted: 'B0B0B0',
+    link: '6CB4FF',
+    inlineCodeFill: '333333',
+    codeFill: '2A2A2A',
+    codeLabelFill: '383838',
+    codeLabelText: 'A0A0A0',
+    tableBorder: '5A5A5A',
+    tableHeaderFill: '333A45',
+    quoteBorder: '5A5A5A',
+    quoteText: 'B0B0B0',
+    rule: '5A5A5A',
+    questionFill: '26303D',
+    questionAccent: '60A5FA',
+    answerAccent: '34D399',
+  },
+};
+
+// 1 CSS pixel = 9525 EMU (English Metric Units)
+const EMU_PER_PX = 9525;
+
+// Number formats of abstractNum 1 by level; nested ordered lists cycle through them
+const ORDERED_FORMATS = ['decimal', 'lowerLetter', 'lowerRoman'];
+
+// 1 CSS pixel = 15 twips
+const TWIPS_PER_PX = 15;
+
+// Paper sizes in twips (portrait)
+const PAGE_SIZES = {
+  letter: { width: 12240, height: 15840 },
+  a4: { width: 11906, height: 16838 },
+};
+
+// Margin presets in twips, named as in Word's Layout > Margins
+const MARGINS = {
+  normal: { top: 1440, right: 1440, bottom: 1440, left: 1440 },
+  narrow: { top: 720, right: 720, bottom: 720, left: 720 },
+  moderate: { top: 1440, right: 1080, bottom: 1440, left: 1080 },
+  wide: { top: 1440, right: 2880, bottom: 1440, left: 2880 },
+};
+
 /**
  * Build a DOCX file from structured content blocks
  * @param {Array} blocks - Array of content blocks from dom-extractor
  * @param {Object} options - Build options
+ * @param {string} options.linkSources - also list link URLs: 'none' | 'footnotes' | 'section'
+ * @param {boolean} options.numberEquations - number display formulas without
+ *   their own label with a SEQ Equation field
+ * @param {string} options.pageSize - 'letter' | 'a4'
+ * @param {string} options.orientation - 'portrait' | 'landscape'
+ * @param {string} options.margins - 'normal' | 'narrow' | 'moderate' | 'wide'
+ * @param {boolean} options.headerFooter - header with the title and date,
+ *   footer with "Страница N из M" (PAGE/NUMPAGES fields)
+ * @param {boolean} options.toc - table of contents (TOC field) after the cover
+ *   page when there are at least two headings of levels 1-3; Word refreshes it on opening
+ * @param {boolean} options.coverPage - title page with the document info below
+ * @param {string} options.author - cover page and document author
+ * @param {string} options.sourceUrl - cover page link to the conversation
+ * @param {string} options.model - cover page model name
+ * @param {Date} options.date - export date
  * @returns {Promise<Blob>} - DOCX file as blob
  */
 export async function buildDocx(blocks, options = {}) {
-  const { title = 'ChatGPT Response', mathMode = 'omml' } = options;
+  const {
+    title = 'ChatGPT Response',
+    mathMode = 'omml',
+    darkTheme = false,
+    linkSources = 'none',
+    numberEquations = false,
+    pageSize = 'letter',
+    orientation = 'portrait',
+    margins = 'normal',
+    headerFooter = false,
+    coverPage = false,
+    toc = false,
+    author = '',
+    sourceUrl = '',
+    model = '',
+    date = new Date(),
+    renderMath = renderMathToPng,
+    fetchImage = fetchImageData,
+  } = options;
   const images = []; // Will collect image data
   const relationships = [];
+  const theme = darkTheme ? THEMES.dark : THEMES.light;
+  const ctx = {
+    mathMode,
+    theme,
+    images,
+    relationships,
+    mathImages: new Map(),
+    pictures: new Map(), // image item -> fetched { data, ext, width, height }
+    counters: { drawing: 0, equation: 0 }, // shared by the nested contexts below
+    indent: 0, // left indent (twips) of blocks nested in list items and quotes
+    listNums: [], // w:num instances of ordered lists, see addListNumbering
+    orderedDepth: 0, // how many ordered lists enclose the current one
+    linkSources,
+    linkRels: new Map(), // url -> relationship id
+    footnotes: [], // { id, url } for "footnotes" mode
+    footnoteRels: [],
+    sources: [], // unique urls for "section" mode
+    numberEquations,
+    page: getPageSetup(pageSize, orientation, margins),
+    bookmarks: new Map(), // heading block -> bookmark { id, name }
+    anchors: new Map(), // #anchor (heading id or slug) -> bookmark name
+  };
+
+  // Bookmarks are assigned up front so links can point to later headings
+  const headings = collectItems(blocks, 'heading');
+  addHeadingBookmarks(headings, ctx);
+  const withToc = toc && headings.filter(heading => heading.level <= TOC_LEVELS).length >= 2;
+
+  // Formula images must be rendered (async) before the synchronous XML pass
+  if (mathMode === 'image') {
+    await renderMathImages(blocks, ctx, (item) => renderMath(item, { color: '#' + (theme.text || '000000') }));
+  }
+
+  // Same for pictures from the answer: bytes are fetched up front
+  await fetchPictures(blocks, ctx, fetchImage);
 
   // Build document body XML
-  let bodyContent = '';
+  const info = { title, author, sourceUrl, model, date: date.toLocaleDateString('ru-RU') };
+  let bodyContent = coverPage ? buildCoverPage(info, ctx) : '';
+  if (withToc) bodyContent += buildTableOfContents(headings, ctx);
 
   for (const block of blocks) {
-    bodyContent += buildBlock(block, { mathMode, images, relationships });
+    bodyContent += buildBlock(block, ctx);
+  }
+
+  if (linkSources === 'section') {
+    bodyContent += buildSourcesSection(ctx);
+  }
+
+  const extraParts = [];
+  const section = { page: ctx.page, titlePage: coverPage };
+  if (headerFooter) {
+    section.headerId = addRelationship(ctx, REL_TYPES.header, 'header1.xml');
+    section.footerId = addRelationship(ctx, REL_TYPES.footer, 'footer1.xml');
+    extraParts.push({
+      name: '/word/header1.xml',
+      contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml',
+    }, {
+      name: '/word/footer1.xml',
+      contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml',
+    });
+  }
+  if (ctx.footnotes.length > 0) {
+    addRelationship(ctx, REL_TYPES.footnotes, 'footnotes.xml');
+    extraParts.push({
+      name: '/word/footnotes.xml',
+      contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.footnotes+xml',
+    });
   }
 
   // Create ZIP structure
   const zip = new JSZip();
 
   // [Content_Types].xml
-  zip.file('[Content_Types].xml', generateContentTypes(images));
+  zip.file('[Content_Types].xml', generateContentTypes(images, extraParts));
 
   // _rels/.rels
   zip.file('_rels/.rels', generateRootRels());
 
   // word/document.xml
-  zip.file('word/document.xml', generateDocumentXml(bodyContent));
+  zip.file('word/document.xml', generateDocumentXml(bodyContent, theme, section));
+
+  // word/header1.xml, word/footer1.xml
+  if (headerFooter) {
+    zip.file('word/header1.xml', generateHeader(info, ctx));
+    zip.file('word/footer1.xml', generateFooter());
+  }
 
   // word/styles.xml
-  zip.file('word/styles.xml', generateStyles());
+  zip.file('word/styles.xml', generateStyles(theme));
 
   // word/numbering.xml (required for lists)
-  zip.file('word/numbering.xml', generateNumbering());
+  zip.file('word/numbering.xml', generateNumbering(ctx.listNums));
 
   // word/settings.xml
-  zip.file('word/settings.xml', generateSettings());
+  zip.file('word/settings.xml', generateSettings(theme, { footnotes: ctx.footnotes.length > 0, updateFields: withToc }));
+
+  // word/footnotes.xml (link sources in "footnotes" mode)
+  if (ctx.footnotes.length > 0) {
+    zip.file('word/footnotes.xml', generateFootnotes(ctx.footnotes, ctx));
+    zip.file('word/_rels/footnotes.xml.rels', generateRels(ctx.footnoteRels));
+  }
 
   // word/fontTable.xml
   zip.file('word/fontTable.xml', generateFontTable());
@@ -76,7 +282,7 @@ export async function buildDocx(blocks, options = {}) {
   zip.file('docProps/app.xml', generateAppProps(title));
 
   // docProps/core.xml
-  zip.file('docProps/core.xml', generateCoreProps(title));
+  zip.file('docProps/core.xml', generateCoreProps(title, author, date));
 
   // Add images
   for (const img of images) {
@@ -94,6 +300,179 @@ export async function buildDocx(blocks, options = {}) {
   return blob;
 }
 
+/**
+ * Collect all items of a given type from a block tree
+ * (paragraph content, list items, table cells, turns...)
+ */
+function collectItems(node, type, out = []) {
+  if (Array.isArray(node)) {
+    for (const child of node) collectItems(child, type, out);
+    return out;
+  }
+  if (!node || typeof node !== 'object') return out;
+
+  if (node.type === type) out.push(node);
+  for (const key of ['content', 'blocks', 'items', 'rows', 'cells']) {
+    if (node[key]) collectItems(node[key], type, out);
+  }
+  return out;
+}
+
+/**
+ * Render every formula to PNG; results are stored in ctx.mathImages.
+ * Formulas that fail to render fall back to LaTeX text.
+ */
+async function renderMathImages(blocks, ctx, renderMath) {
+  for (const item of collectItems(blocks, 'math')) {
+    try {
+      const image = await renderMath(item);
+      if (image && image.data) ctx.mathImages.set(item, image);
+    } catch (e) {
+      console.warn('Formula image failed, using text fallback:', e);
+    }
+  }
+}
+
+/**
+ * Fetch every image (block or inline); results are stored in ctx.pictures.
+ * Images that cannot be fetched fall back to their alt text.
+ */
+async function fetchPictures(blocks, ctx, fetchImage) {
+  for (const item of collectItems(blocks, 'image')) {
+    try {
+      const picture = await fetchImage(item.src);
+      if (picture && picture.data) ctx.pictures.set(item, picture);
+    } catch (e) {
+      console.warn('Image fetch failed, using alt text:', e);
+    }
+  }
+}
+
+/**
+ * Register a relationship for document.xml and return its id
+ */
+function addRelationship(ctx, type, target, external = false) {
+  const id = `rId${ctx.relationships.length + 5}`; // rId1-rId4 are reserved
+  ctx.relationships.push({ id, type, target, external });
+  return id;
+}
+
+/**
+ * Get (or create) the external hyperlink relationship for a URL
+ */
+function getLinkRelationship(ctx, url) {
+  if (!ctx.linkRels.has(url)) {
+    ctx.linkRels.set(url, addRelationship(ctx, REL_TYPES.hyperlink, url, true));
+  }
+  return ctx.linkRels.get(url);
+}
+
+/**
+ * Only absolute URLs can become external hyperlinks
+ */
+function isExternalUrl(href) {
+  return /^(https?|ftp|mailto):/i.test(href || '');
+}
+
+/**
+ * Add a media file to the package and return its relationship id
+ */
+function addImage(ctx, data, ext) {
+  const filename = `image${ctx.images.length + 1}.${ext}`;
+  ctx.images.push({ filename, data });
+  return addRelationship(ctx, REL_TYPES.image, `media/${filename}`);
+}
+
+/**
+ * Build an inline picture run (w:drawing / wp:inline).
+ * @param {string} rId - relationship id of the image
+ * @param {number} width, height - size in CSS pixels
+ * @param {Object} opts - { descr: alt text, name, position: baseline shift in half-points }
+ */
+function buildDrawingRun(ctx, rId, width, height, opts = {}) {
+  const id = ++ctx.counters.drawing;
+  const cx = Math.round(width * EMU_PER_PX);
+  const cy = Math.round(height * EMU_PER_PX);
+  const name = escapeXml(opts.name || `Picture ${id}`);
+  const descr = escapeXml(opts.descr || '');
+  const rPr = opts.position ? `<w:rPr><w:position w:val="${opts.position}"/></w:rPr>` : '';
+
+  return `<w:r>${rPr}<w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">` +
+    `<wp:extent cx="${cx}" cy="${cy}"/>` +
+    `<wp:docPr id="${id}" name="${name}" descr="${descr}"/>` +
+    `<wp:cNvGraphicFramePr><a:graphicFrameLocks xmlns:a="${NS.a}" noChangeAspect="1"/></wp:cNvGraphicFramePr>` +
+    `<a:graphic xmlns:a="${NS.a}"><a:graphicData uri="${NS.pic}">` +
+    `<pic:pic xmlns:pic="${NS.pic}">` +
+    `<pic:nvPicPr><pic:cNvPr id="${id}" name="${name}" descr="${descr}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+    `<pic:blipFill><a:blip r:embed="${rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+    `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+    '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+}
+
+/**
+ * Build a formula picture run. Inline formulas are lowered by their
+ * depth below the baseline (px → half-points) so they line up with text.
+ */
+function buildMathImageRun(item, image, ctx, inline) {
+  const rId = addImage(ctx, image.data, 'png');
+  const position = inline && image.depth ? -Math.round(image.depth * 1.5) : 0;
+  return buildDrawingRun(ctx, rId, image.width, image.height, {
+    name: 'Formula',
+    descr: item.latex,
+    position,
+  });
+}
+
+/**
+ * Build a picture run scaled down to fit the page width.
+ * The fetched natural size wins over the size reported by the page.
+ */
+function buildPictureRun(item, picture, ctx) {
+  let width = picture.width || item.width || 0;
+  let height = picture.height || item.height || 0;
+  const maxWidth = Math.floor(ctx.page.textWidth / TWIPS_PER_PX);
+  if (!width || !height) {
+    width = maxWidth;
+    height = Math.round(maxWidth * 0.75);
+  }
+  if (width > maxWidth) {
+    height = Math.round(height * maxWidth / width);
+    width = maxWidth;
+  }
+
+  const rId = addImage(ctx, picture.data, picture.ext);
+  return buildDrawingRun(ctx, rId, width, height, { name: 'Image', descr: item.alt });
+}
+
+/**
+ * Text shown in place of an image that could not be loaded
+ */
+function buildPictureFallbackRun(item) {
+  return `<w:r><w:rPr><w:i/></w:rPr><w:t xml:space="preserve">${escapeXml(`[Изображение${item.alt ? ': ' + item.alt : ''}]`)}</w:t></w:r>`;
+}
+
+/**
+ * Build an image block: a centered picture followed by its caption
+ */
+function buildImageBlock(block, ctx) {
+  const picture = ctx.pictures.get(block);
+  const run = picture ? buildPictureRun(block, picture, ctx) : buildPictureFallbackRun(block);
+  const keepNext = block.caption ? '<w:keepNext/>' : '';
+
+  let result = `<w:p><w:pPr>${keepNext}${buildIndent(ctx)}<w:jc w:val="center"/></w:pPr>${run}</w:p>`;
+  if (block.caption) {
+    result += `<w:p><w:pPr><w:pStyle w:val="Caption"/>${buildIndent(ctx)}</w:pPr>${buildTextRun(block.caption)}</w:p>`;
+  }
+  return result;
+}
+
+/**
+ * Left indent for blocks nested in list items and quotes
+ */
+function buildIndent(ctx) {
+  return ctx.indent ? `<w:ind w:left="${ctx.indent}"/>` : '';
+}
+
 /**
  * Build a single content block
  */
@@ -106,19 +485,44 @@ function buildBlock(block, ctx) {
     case 'codeBlock': return buildCodeBlock(block, ctx);
     case 'math': return buildMathBlock(block, ctx);
     case 'blockquote': return buildBlockquote(block, ctx);
-    case 'hr': return buildHorizontalRule();
+    case 'details': return buildDetails(block, ctx);
+    case 'hr': return buildHorizontalRule(ctx);
+    case 'turn': return buildTurn(block, ctx);
+    case 'image': return buildImageBlock(block, ctx);
     default: return '';
   }
 }
 
+/**
+ * Build a conversation turn: a role label followed by the turn's blocks.
+ * User prompts use the shaded "Question" paragraph style.
+ */
+function buildTurn(block, ctx) {
+  const isUser = block.role === 'user';
+  const labelStyle = isUser ? 'QuestionLabel' : 'AnswerLabel';
+  const label = block.label || (isUser ? 'Вопрос' : 'Ответ');
+
+  let result = `<w:p><w:pPr><w:pStyle w:val="${labelStyle}"/></w:pPr>${buildTextRun(label)}</w:p>`;
+
+  const turnCtx = isUser ? { ...ctx, paragraphStyle: 'Question' } : ctx;
+  for (const child of block.blocks || []) {
+    result += buildBlock(child, turnCtx);
+  }
+  return result;
+}
+
 /**
  * Build a heading
  */
 function buildHeading(block, ctx) {
   const level = Math.min(block.level, 6);
   const styleId = `Heading${level}`;
-  const runs = buildInlineRuns(block.content, ctx);
-  return `<w:p><w:pPr><w:pStyle w:val="${styleId}"/></w:pPr>${runs}</w:p>`;
+  let runs = buildInlineRuns(block.content, ctx);
+  const bookmark = ctx.bookmarks.get(block);
+  if (bookmark) {
+    runs = `<w:bookmarkStart w:id="${bookmark.id}" w:name="${bookmark.name}"/>${runs}<w:bookmarkEnd w:id="${bookmark.id}"/>`;
+  }
+  return `<w:p><w:pPr><w:pStyle w:val="${styleId}"/>${buildIndent(ctx)}</w:pPr>${runs}</w:p>`;
 }
 
 /**
@@ -127,7 +531,9 @@ function buildHeading(block, ctx) {
 function buildParagraph(block, ctx) {
   const runs = buildInlineRuns(block.content, ctx);
   if (!runs) return '';
-  return `<w:p>${runs}</w:p>`;
+  const pStyle = ctx.paragraphStyle ? `<w:pStyle w:val="${ctx.paragraphStyle}"/>` : '';
+  const props = pStyle + buildIndent(ctx);
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs}</w:p>`;
 }
 
 /**
@@ -149,10 +555,10 @@ function buildInlineRuns(contentItems, ctx) {
         result += buildFormattedRuns(item.content, { italic: true }, ctx);
         break;
       case 'code':
-        result += buildCodeRun(item.text);
+        result += buildCodeRun(item.text, ctx);
         break;
       case 'link':
-        result += buildLinkRun(item.text, item.href);
+        result += buildLinkRun(item.text, item.href, ctx);
         break;
       case 'superscript':
         result += buildVertAlignRun(item.text, 'superscript');
@@ -163,6 +569,14 @@ function buildInlineRuns(contentItems, ctx) {
       case 'math':
         result += buildInlineMath(item, ctx);
         break;
+      case 'lineBreak':
+        result += '<w:r><w:br/></w:r>';
+        break;
+      case 'image': {
+        const picture = ctx.pictures.get(item);
+        result += picture ? buildPictureRun(item, picture, ctx) : buildPictureFallbackRun(item);
+        break;
+      }
       default:
         if (item.text) result += buildTextRun(item.text);
     }
@@ -185,7 +599,7 @@ function buildFormattedRuns(contentItems, format, ctx) {
       rPr += '</w:rPr>';
       result += `<w:r>${rPr}<w:t xml:space="preserve">${escapeXml(item.text)}</w:t></w:r>`;
     } else if (item.type === 'code') {
-      result += buildCodeRun(item.text);
+      result += buildCodeRun(item.text, ctx);
     } else if (item.type === 'math') {
       result += buildInlineMath(item, ctx);
     } else if (item.type === 'bold') {
@@ -210,16 +624,64 @@ function buildTextRun(text) {
 /**
  * Build a code-formatted run
  */
-function buildCodeRun(text) {
-  return `<w:r><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/><w:szCs w:val="20"/><w:shd w:val="clear" w:color="auto" w:fill="F5F5F5"/></w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+function buildCodeRun(text, ctx) {
+  return `<w:r><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/><w:szCs w:val="20"/><w:shd w:val="clear" w:color="auto" w:fill="${ctx.theme.inlineCodeFill}"/></w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
 }
 
 /**
- * Build a hyperlink run
+ * Build a hyperlink. Absolute URLs become w:hyperlink elements backed by
+ * an external relationship; the URL is optionally repeated as a footnote
+ * or as a numbered reference to the "Sources" section.
  */
-function buildLinkRun(text, href) {
-  // Simplified: just show text with link styling
-  return `<w:r><w:rPr><w:rStyle w:val="Hyperlink"/><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+function buildLinkRun(text, href, ctx) {
+  const run = `<w:r><w:rPr><w:rStyle w:val="Hyperlink"/><w:color w:val="${ctx.theme.link}"/><w:u w:val="single"/></w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+
+  // #anchor links to a heading of the document jump to its bookmark
+  const bookmark = href?.startsWith('#') ? findAnchor(href.slice(1), ctx) : null;
+  if (bookmark) return `<w:hyperlink w:anchor="${bookmark}" w:history="1">${run}</w:hyperlink>`;
+
+  if (!isExternalUrl(href)) return run;
+
+  const rId = getLinkRelationship(ctx, href);
+  return `<w:hyperlink r:id="${rId}" w:history="1">${run}</w:hyperlink>` + buildSourceReference(text, href, ctx);
+}
+
+/**
+ * Build the footnote reference or "[n]" marker that points to a link's URL
+ */
+function buildSourceReference(text, href, ctx) {
+  // A bare URL already shows its target
+  if (text.trim() === href) return '';
+
+  if (ctx.linkSources === 'footnotes') {
+    const id = ctx.footnotes.length + 1; // ids -1 and 0 are the separators
+    ctx.footnotes.push({ id, url: href });
+    return `<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="${id}"/></w:r>`;
+  }
+
+  if (ctx.linkSources === 'section') {
+    let index = ctx.sources.indexOf(href);
+    if (index === -1) index = ctx.sources.push(href) - 1;
+    return buildVertAlignRun(`[${index + 1}]`, 'superscript');
+  }
+
+  return '';
+}
+
+/**
+ * Build the "Sources" section: a heading and a numbered list of link URLs
+ */
+function buildSourcesSection(ctx) {
+  if (ctx.sources.length === 0) return '';
+
+  let result = `<w:p><w:pPr><w:pStyle w:val="Heading2"/></w:pPr>${buildTextRun(SOURCES_TITLE)}</w:p>`;
+  ctx.sources.forEach((url, i) => {
+    const rId = getLinkRelationship(ctx, url);
+    result += `<w:p><w:pPr><w:pStyle w:val="SourceItem"/></w:pPr>${buildTextRun(`[${i + 1}] `)}` +
+      `<w:hyperlink r:id="${rId}" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr>` +
+      `<w:t xml:space="preserve">${escapeXml(url)}</w:t></w:r></w:hyperlink></w:p>`;
+  });
+  return result;
 }
 
 /**
@@ -233,6 +695,11 @@ function buildVertAlignRun(text, align) {
  * Build inline math
  */
 function buildInlineMath(item, ctx) {
+  const image = ctx.mathImages?.get(item);
+  if (ctx.mathMode === 'image' && image) {
+    return buildMathImageRun(item, image, ctx, true);
+  }
+
   if (ctx.mathMode === 'omml') {
     if (item.mathml) {
       // Strip display="block" to prevent <m:oMathPara> wrapping inside <w:p>
@@ -248,27 +715,62 @@ function buildInlineMath(item, ctx) {
 }
 
 /**
- * Build a display math block
+ * Build a display math block. Labeled formulas (\tag, numbered
+ * environments) and, with numberEquations, all the others get a number
+ * at the right margin.
  */
 function buildMathBlock(block, ctx) {
-  if (ctx.mathMode === 'omml') {
-    let omml;
-    if (block.mathml) {
-      // Strip display="block" — we handle centering via <w:p> wrapper, not <m:oMathPara>
-      const inlineMathml = block.mathml.replace(/\bdisplay\s*=\s*"block"/g, '');
-      omml = mathmlToOmml(inlineMathml);
-    } else if (block.latex) {
-      omml = latexToOmml(block.latex, false);
-    } else {
-      return '';
-    }
-    // Wrap in centered paragraph with <m:oMath> (NOT <m:oMathPara>)
-    return `<w:p><w:pPr><w:jc w:val="center"/></w:pPr>${omml}</w:p>`;
+  const source = block.mathml || (block.latex ? latexToMathml(block.latex) : '');
+  const { mathml, label } = source ? extractEquationLabel(source) : { mathml: '', label: '' };
+  // Multi-row environments number their rows inside the equation array
+  const labeled = label || /<(\w+:)?mlabeledtr\b/.test(mathml);
+  const number = label
+    ? `<w:r><w:t xml:space="preserve">${escapeXml(label)}</w:t></w:r>`
+    : ctx.numberEquations && !labeled ? buildEquationNumber(ctx) : '';
+
+  const image = ctx.mathImages?.get(block);
+  if (ctx.mathMode === 'image' && image) {
+    // The rendered picture already shows its own label
+    return buildEquationParagraph(buildMathImageRun(block, image, ctx, false), label ? '' : number, ctx);
   }
 
+  if (ctx.mathMode === 'omml' && mathml) {
+    // Strip display="block" — we handle centering via <w:p> wrapper, not <m:oMathPara>,
+    // but keep the display layout (limits above and below sums)
+    const inlineMathml = mathml.replace(/\bdisplay\s*=\s*"block"/g, '');
+    return buildEquationParagraph(mathmlToOmml(inlineMathml, { displayStyle: true }), number, ctx);
+  }
+  if (ctx.mathMode === 'omml') return '';
+
   // Fallback: LaTeX as styled text
   const text = block.latex || 'formula';
-  return `<w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/><w:i/></w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+  return buildEquationParagraph(`<w:r><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/><w:i/></w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`, number, ctx);
+}
+
+/**
+ * Centered equation paragraph. With a number the formula sits on a center
+ * tab stop and the number on a right one, the usual Word layout.
+ */
+function buildEquationParagraph(content, number, ctx) {
+  if (!number) {
+    // Wrap in centered paragraph with <m:oMath> (NOT <m:oMathPara>)
+    return `<w:p><w:pPr>${buildIndent(ctx)}<w:jc w:val="center"/></w:pPr>${content}</w:p>`;
+  }
+  const { textWidth } = ctx.page;
+  const center = ctx.indent + Math.round((textWidth - ctx.indent) / 2);
+  const tabs = `<w:tabs><w:tab w:val="center" w:pos="${center}"/><w:tab w:val="right" w:pos="${textWidth}"/></w:tabs>`;
+  return `<w:p><w:pPr>${tabs}${buildIndent(ctx)}</w:pPr><w:r><w:tab/></w:r>${content}<w:r><w:tab/></w:r>${number}</w:p>`;
+}
+
+/**
+ * (n) with n as a SEQ Equation field, so Word renumbers formulas and
+ * cross-references to them; the cached value is the running count
+ */
+function buildEquationNumber(ctx) {
+  const n = ++ctx.counters.equation;
+  return '<w:r><w:t>(</w:t></w:r>' +
+    `<w:fldSimple w:instr=" SEQ Equation \\* ARABIC "><w:r><w:t>${n}</w:t></w:r></w:fldSimple>` +
+    '<w:r><w:t>)</w:t></w:r>';
 }
 
 /**
@@ -276,20 +778,52 @@ function buildMathBlock(block, ctx) {
  */
 function buildList(block, ctx, level = 0) {
   let result = '';
-  const numId = block.ordered ? 2 : 1;
+  const numId = addListNumbering(ctx, block, level);
+  // Lists nested in this one see it as an enclosing ordered list
+  const nestedCtx = block.ordered ? { ...ctx, orderedDepth: ctx.orderedDepth + 1 } : ctx;
+  // Inside quotes the numbering indent is shifted by the quote indent
+  const ind = ctx.indent ? `<w:ind w:left="${720 * (level + 1) + ctx.indent}" w:hanging="360"/>` : '';
+  const numbered = (runs) =>
+    `<w:p><w:pPr><w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>${ind}</w:pPr>${runs}</w:p>`;
+
+  for (const item of block.items) {
+    result += buildListItemBlocks(item.blocks, nestedCtx, level, numbered);
+  }
 
-  for (let i = 0; i < block.items.length; i++) {
-    const item = block.items[i];
-    const runs = buildInlineRuns(item.content, ctx);
+  return result;
+}
 
-    result += `<w:p><w:pPr><w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr></w:pPr>${runs}</w:p>`;
+/**
+ * Get the numId for a list. Bullets share numId 1; every ordered list gets
+ * its own w:num so it restarts at its start value instead of continuing
+ * the previous list's count.
+ */
+function addListNumbering(ctx, block, level) {
+  if (!block.ordered) return 1;
+
+  const id = ctx.listNums.length + 3; // 1 and 2 are the shared definitions
+  ctx.listNums.push({
+    id,
+    level,
+    start: block.start ?? 1,
+    format: ORDERED_FORMATS[ctx.orderedDepth % ORDERED_FORMATS.length],
+  });
+  return id;
+}
 
-    // Handle nested list
-    if (item.nestedList) {
-      result += buildList(item.nestedList, ctx, level + 1);
-    }
+/**
+ * Build a list item holding child blocks: the first paragraph carries the
+ * bullet/number, the remaining blocks are indented to the item's text.
+ */
+function buildListItemBlocks(blocks, ctx, level, numbered) {
+  const [first, ...rest] = blocks;
+  const lead = first?.type === 'paragraph' ? first : null;
+  let result = numbered(lead ? buildInlineRuns(lead.content, ctx) : '');
+
+  const childCtx = { ...ctx, indent: ctx.indent + 720 * (level + 1) };
+  for (const child of lead ? rest : blocks) {
+    result += child.type === 'list' ? buildList(child, ctx, level + 1) : buildBlock(child, childCtx);
   }
-
   return result;
 }
 
@@ -297,13 +831,16 @@ function buildList(block, ctx, level = 0) {
  * Build a table
  */
 function buildTable(block, ctx) {
-  let result = '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/><w:tblBorders>';
-  result += '<w:top w:val="single" w:sz="4" w:space="0" w:color="999999"/>';
-  result += '<w:left w:val="single" w:sz="4" w:space="0" w:color="999999"/>';
-  result += '<w:bottom w:val="single" w:sz="4" w:space="0" w:color="999999"/>';
-  result += '<w:right w:val="single" w:sz="4" w:space="0" w:color="999999"/>';
-  result += '<w:insideH w:val="single" w:sz="4" w:space="0" w:color="999999"/>';
-  result += '<w:insideV w:val="single" w:sz="4" w:space="0" w:color="999999"/>';
+  const border = ctx.theme.tableBorder;
+  let result = '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/>';
+  if (ctx.indent) result += `<w:tblInd w:w="${ctx.indent}" w:type="dxa"/>`;
+  result += '<w:tblBorders>';
+  result += `<w:top w:val="single" w:sz="4" w:space="0" w:color="${border}"/>`;
+  result += `<w:left w:val="single" w:sz="4" w:space="0" w:color="${border}"/>`;
+  result += `<w:bottom w:val="single" w:sz="4" w:space="0" w:color="${border}"/>`;
+  result += `<w:right w:val="single" w:sz="4" w:space="0" w:color="${border}"/>`;
+  result += `<w:insideH w:val="single" w:sz="4" w:space="0" w:color="${border}"/>`;
+  result += `<w:insideV w:val="single" w:sz="4" w:space="0" w:color="${border}"/>`;
   result += '</w:tblBorders><w:tblLook w:val="04A0"/></w:tblPr>';
 
   // Grid columns
@@ -311,7 +848,7 @@ function buildTable(block, ctx) {
     const colCount = block.rows[0].cells.length;
     result += '<w:tblGrid>';
     for (let i = 0; i < colCount; i++) {
-      result += `<w:gridCol w:w="${Math.floor(9000 / colCount)}"/>`;
+      result += `<w:gridCol w:w="${Math.floor((ctx.page.textWidth - ctx.indent) / colCount)}"/>`;
     }
     result += '</w:tblGrid>';
   }
@@ -321,7 +858,7 @@ function buildTable(block, ctx) {
     for (const cell of row.cells) {
       result += '<w:tc><w:tcPr>';
       if (row.isHeader) {
-        result += '<w:shd w:val="clear" w:color="auto" w:fill="F0F0F0"/>';
+        result += `<w:shd w:val="clear" w:color="auto" w:fill="${ctx.theme.tableHeaderFill}"/>`;
       }
       result += '</w:tcPr>';
       const runs = buildInlineRuns(cell.content, ctx);
@@ -341,16 +878,17 @@ function buildTable(block, ctx) {
  * Build a code block
  */
 function buildCodeBlock(block, ctx) {
+  const { codeFill, codeLabelFill, codeLabelText } = ctx.theme;
   const lines = (block.code || '').split('\n');
   let result = '';
 
   // Language label
   if (block.language) {
-    result += `<w:p><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="E8E8E8"/><w:spacing w:after="0"/></w:pPr><w:r><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/><w:sz w:val="18"/><w:color w:val="666666"/></w:rPr><w:t>${escapeXml(block.language)}</w:t></w:r></w:p>`;
+    result += `<w:p><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="${codeLabelFill}"/><w:spacing w:after="0"/>${buildIndent(ctx)}</w:pPr><w:r><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/><w:sz w:val="18"/><w:color w:val="${codeLabelText}"/></w:rPr><w:t>${escapeXml(block.language)}</w:t></w:r></w:p>`;
   }
 
   for (const line of lines) {
-    result += `<w:p><w:pPr><w:pStyle w:val="CodeBlock"/><w:shd w:val="clear" w:color="auto" w:fill="F8F8F8"/><w:spacing w:after="0" w:line="260" w:lineRule="auto"/></w:pPr><w:r><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr><w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r></w:p>`;
+    result += `<w:p><w:pPr><w:pStyle w:val="CodeBlock"/><w:shd w:val="clear" w:color="auto" w:fill="${codeFill}"/><w:spacing w:after="0" w:line="260" w:lineRule="auto"/>${buildIndent(ctx)}</w:pPr><w:r><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr><w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r></w:p>`;
   }
 
   // Spacing after code block
@@ -359,23 +897,164 @@ function buildCodeBlock(block, ctx) {
 }
 
 /**
- * Build a blockquote
+ * Build a blockquote. Quoted blocks keep their own layout (tables, code,
+ * lists) one quote step further in; quoted text uses the "Quote" style.
  */
 function buildBlockquote(block, ctx) {
-  const runs = buildInlineRuns(block.content, ctx);
-  return `<w:p><w:pPr><w:pBdr><w:left w:val="single" w:sz="12" w:space="4" w:color="CCCCCC"/></w:pBdr><w:ind w:left="360"/><w:rPr><w:color w:val="666666"/><w:i/></w:rPr></w:pPr>${runs}</w:p>`;
+  const quoteCtx = { ...ctx, paragraphStyle: 'Quote', indent: ctx.indent + 360 };
+  return block.blocks.map(child => buildBlock(child, quoteCtx)).join('');
+}
+
+/**
+ * Build a details element: the summary as a bold line, then its blocks
+ */
+function buildDetails(block, ctx) {
+  let result = '';
+  if (block.summary) {
+    result += `<w:p><w:pPr><w:keepNext/>${buildIndent(ctx)}</w:pPr><w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">${escapeXml(block.summary)}</w:t></w:r></w:p>`;
+  }
+
+  const detailsCtx = { ...ctx, indent: ctx.indent + 360 };
+  result += block.blocks.map(child => buildBlock(child, detailsCtx)).join('');
+  return result;
 }
 
 /**
  * Build a horizontal rule
  */
-function buildHorizontalRule() {
-  return `<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="CCCCCC"/></w:pBdr><w:spacing w:after="120"/></w:pPr></w:p>`;
+function buildHorizontalRule(ctx) {
+  return `<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="${ctx.theme.rule}"/></w:pBdr><w:spacing w:after="120"/></w:pPr></w:p>`;
+}
+
+// ===== Table of contents and heading bookmarks =====
+
+/**
+ * Give every heading a bookmark and register the anchors that lead to it:
+ * the heading's HTML id and its slug (as markdown renderers generate them)
+ */
+function addHeadingBookmarks(headings, ctx) {
+  headings.forEach((heading, i) => {
+    const bookmark = { id: i + 1, name: `_Heading${i + 1}` };
+    ctx.bookmarks.set(heading, bookmark);
+    for (const anchor of [heading.id, slugify(getHeadingText(heading))]) {
+      if (anchor && !ctx.anchors.has(anchor)) ctx.anchors.set(anchor, bookmark.name);
+    }
+  });
+}
+
+function findAnchor(anchor, ctx) {
+  let decoded = anchor;
+  try {
+    decoded = decodeURIComponent(anchor);
+  } catch (e) {
+    // Keep malformed escapes as they are
+  }
+  return ctx.anchors.get(decoded) || ctx.anchors.get(slugify(decoded)) || null;
+}
+
+function getHeadingText(heading) {
+  if (heading.text) return heading.text;
+  return (heading.content || []).map(item => item.text || item.latex || '').join('');
+}
+
+/**
+ * GitHub-style heading slug: lowercase, punctuation dropped, spaces as hyphens
+ */
+function slugify(text) {
+  return text.trim().toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+}
+
+/**
+ * "Содержание" and a TOC field over heading levels 1-3. The field result
+ * already lists the headings as links to their bookmarks, so the contents
+ * work before Word updates the field (w:updateFields adds page numbers).
+ */
+function buildTableOfContents(headings, ctx) {
+  const begin = `<w:r><w:fldChar w:fldCharType="begin" w:dirty="true"/></w:r><w:r><w:instrText xml:space="preserve"> TOC \\o "1-${TOC_LEVELS}" \\h \\z \\u </w:instrText></w:r><w:r><w:fldChar w:fldCharType="separate"/></w:r>`;
+  const end = '<w:r><w:fldChar w:fldCharType="end"/></w:r>';
+
+  // The field spans the entry paragraphs: it begins in the first, ends in its own
+  let entries = '';
+  let isFirst = true;
+  for (const heading of headings) {
+    if (heading.level > TOC_LEVELS) continue;
+    const text = getHeadingText(heading).replace(/\s+/g, ' ').trim();
+    const { name } = ctx.bookmarks.get(heading);
+    entries += `<w:p><w:pPr><w:pStyle w:val="TOC${heading.level}"/></w:pPr>${isFirst ? begin : ''}` +
+      `<w:hyperlink w:anchor="${name}" w:history="1">${buildTextRun(text)}</w:hyperlink></w:p>`;
+    isFirst = false;
+  }
+
+  return `<w:p><w:pPr><w:pStyle w:val="TOCHeading"/></w:pPr>${buildTextRun(TOC_TITLE)}</w:p>` +
+    entries +
+    `<w:p>${end}</w:p>`;
+}
+
+// ===== Page setup, cover page, header and footer =====
+
+/**
+ * Page size, orientation and margins in twips, and the text width between the margins
+ */
+function getPageSetup(pageSize, orientation, margins) {
+  const size = PAGE_SIZES[pageSize] || PAGE_SIZES.letter;
+  const landscape = orientation === 'landscape';
+  const margin = MARGINS[margins] || MARGINS.normal;
+  const width = landscape ? size.height : size.width;
+  return {
+    width,
+    height: landscape ? size.width : size.height,
+    landscape,
+    margin,
+    textWidth: width - margin.left - margin.right,
+  };
+}
+
+/**
+ * Title page: the title and a line per known detail, then a page break.
+ * The header and footer are left off this page (w:titlePg).
+ */
+function buildCoverPage(info, ctx) {
+  let result = `<w:p><w:pPr><w:pStyle w:val="Title"/><w:spacing w:before="2880"/></w:pPr>${buildTextRun(info.title)}</w:p>`;
+  const line = (label, runs) => `<w:p><w:pPr><w:pStyle w:val="Subtitle"/></w:pPr>${buildTextRun(`${label}: `)}${runs}</w:p>`;
+
+  if (info.author) result += line(COVER_LABELS.author, buildTextRun(info.author));
+  result += line(COVER_LABELS.date, buildTextRun(info.date));
+  if (info.model) result += line(COVER_LABELS.model, buildTextRun(info.model));
+  if (isExternalUrl(info.sourceUrl)) {
+    const rId = getLinkRelationship(ctx, info.sourceUrl);
+    result += line(COVER_LABELS.source, `<w:hyperlink r:id="${rId}" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr>` +
+      `<w:t xml:space="preserve">${escapeXml(info.sourceUrl)}</w:t></w:r></w:hyperlink>`);
+  }
+
+  return result + '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+}
+
+/**
+ * Header: the title on the left, the export date on the right tab stop
+ */
+function generateHeader(info, ctx) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:hdr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"
+       xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <w:p><w:pPr><w:pStyle w:val="Header"/><w:tabs><w:tab w:val="right" w:pos="${ctx.page.textWidth}"/></w:tabs></w:pPr>${buildTextRun(info.title)}<w:r><w:tab/></w:r>${buildTextRun(info.date)}</w:p>
+</w:hdr>`;
+}
+
+/**
+ * Footer: "Страница N из M", with PAGE and NUMPAGES fields updated by Word
+ */
+function generateFooter() {
+  const field = (instr) => `<w:fldSimple w:instr=" ${instr} "><w:r><w:t>1</w:t></w:r></w:fldSimple>`;
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:ftr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"
+       xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <w:p><w:pPr><w:pStyle w:val="Footer"/><w:jc w:val="center"/></w:pPr>${buildTextRun(PAGE_NUMBER_TEXT[0])}${field('PAGE')}${buildTextRun(PAGE_NUMBER_TEXT[1])}${field('NUMPAGES')}</w:p>
+</w:ftr>`;
 }
 
 // ===== XML Template Generators =====
 
-function generateContentTypes(images) {
+function generateContentTypes(images, extraParts = []) {
   let imageTypes = '';
   const addedExtensions = new Set();
   for (const img of images) {
@@ -397,7 +1076,8 @@ function generateContentTypes(images) {
   <Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>
   <Override PartName="/word/fontTable.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.fontTable+xml"/>
   <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
-  <Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>
+  <Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>${extraParts.map(part => `
+  <Override PartName="${part.name}" ContentType="${part.contentType}"/>`).join('')}
 </Types>`;
 }
 
@@ -410,7 +1090,17 @@ function generateRootRels() {
 </Relationships>`;
 }
 
-function generateDocumentXml(bodyContent) {
+/**
+ * @param {Object} section - { page, headerId, footerId, titlePage }
+ */
+function generateDocumentXml(bodyContent, theme, section) {
+  const { page } = section;
+  const references =
+    (section.headerId ? `\n      <w:headerReference w:type="default" r:id="${section.headerId}"/>` : '') +
+    (section.footerId ? `\n      <w:footerReference w:type="default" r:id="${section.footerId}"/>` : '');
+  const orient = page.landscape ? ' w:orient="landscape"' : '';
+  const { top, right, bottom, left } = page.margin;
+  const background = theme.background ? `<w:background w:color="${theme.background}"/>` : '';
   return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
 <w:document
   xmlns:wpc="http://schemas.microsoft.com/office/word/2010/wordprocessingCanvas"
@@ -428,18 +1118,20 @@ function generateDocumentXml(bodyContent) {
   xmlns:wne="http://schemas.microsoft.com/office/word/2006/wordml"
   xmlns:wps="http://schemas.microsoft.com/office/word/2010/wordprocessingShape"
   mc:Ignorable="w14 wp14">
+  ${background}
   <w:body>
     ${bodyContent}
-    <w:sectPr>
-      <w:pgSz w:w="12240" w:h="15840"/>
-      <w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>
-      <w:cols w:space="720"/>
+    <w:sectPr>${references}
+      <w:pgSz w:w="${page.width}" w:h="${page.height}"${orient}/>
+      <w:pgMar w:top="${top}" w:right="${right}" w:bottom="${bottom}" w:left="${left}" w:header="720" w:footer="720" w:gutter="0"/>
+      <w:cols w:space="720"/>${section.titlePage ? '\n      <w:titlePg/>' : ''}
     </w:sectPr>
   </w:body>
 </w:document>`;
 }
 
-function generateStyles() {
+function generateStyles(theme) {
+  const textColor = theme.text ? `\n        <w:color w:val="${theme.text}"/>` : '';
   return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
 <w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
   <w:docDefaults>
@@ -447,7 +1139,7 @@ function generateStyles() {
       <w:rPr>
         <w:rFonts w:ascii="Calibri" w:eastAsia="Calibri" w:hAnsi="Calibri" w:cs="Times New Roman"/>
         <w:sz w:val="22"/>
-        <w:szCs w:val="22"/>
+        <w:szCs w:val="22"/>${textColor}
         <w:lang w:val="ru-RU" w:eastAsia="en-US" w:bidi="ar-SA"/>
       </w:rPr>
     </w:rPrDefault>
@@ -475,7 +1167,7 @@ function generateStyles() {
     <w:rPr>
       <w:rFonts w:ascii="Calibri Light" w:hAnsi="Calibri Light"/>
       <w:b/>
-      <w:color w:val="2F5496"/>
+      <w:color w:val="${theme.heading}"/>
       <w:sz w:val="40"/>
       <w:szCs w:val="40"/>
     </w:rPr>
@@ -493,7 +1185,7 @@ function generateStyles() {
     <w:rPr>
       <w:rFonts w:ascii="Calibri Light" w:hAnsi="Calibri Light"/>
       <w:b/>
-      <w:color w:val="2F5496"/>
+      <w:color w:val="${theme.heading}"/>
       <w:sz w:val="32"/>
       <w:szCs w:val="32"/>
     </w:rPr>
@@ -511,7 +1203,7 @@ function generateStyles() {
     <w:rPr>
       <w:rFonts w:ascii="Calibri Light" w:hAnsi="Calibri Light"/>
       <w:b/>
-      <w:color w:val="2F5496"/>
+      <w:color w:val="${theme.heading}"/>
       <w:sz w:val="28"/>
       <w:szCs w:val="28"/>
     </w:rPr>
@@ -529,7 +1221,7 @@ function generateStyles() {
     <w:rPr>
       <w:b/>
       <w:i/>
-      <w:color w:val="2F5496"/>
+      <w:color w:val="${theme.heading}"/>
       <w:sz w:val="24"/>
       <w:szCs w:val="24"/>
     </w:rPr>
@@ -541,7 +1233,7 @@ function generateStyles() {
     <w:next w:val="Normal"/>
     <w:qFormat/>
     <w:pPr><w:keepNext/><w:spacing w:before="120" w:after="40"/></w:pPr>
-    <w:rPr><w:b/><w:color w:val="2F5496"/></w:rPr>
+    <w:rPr><w:b/><w:color w:val="${theme.heading}"/></w:rPr>
   </w:style>
 
   <w:style w:type="paragraph" w:styleId="Heading6">
@@ -550,7 +1242,7 @@ function generateStyles() {
     <w:next w:val="Normal"/>
     <w:qFormat/>
     <w:pPr><w:keepNext/><w:spacing w:before="120" w:after="40"/></w:pPr>
-    <w:rPr><w:b/><w:i/><w:color w:val="595959"/></w:rPr>
+    <w:rPr><w:b/><w:i/><w:color w:val="${theme.headingMuted}"/></w:rPr>
   </w:style>
   
   <w:style w:type="paragraph" w:styleId="ListParagraph">
@@ -567,7 +1259,7 @@ function generateStyles() {
     <w:basedOn w:val="Normal"/>
     <w:pPr>
       <w:spacing w:after="0" w:line="260" w:lineRule="auto"/>
-      <w:shd w:val="clear" w:color="auto" w:fill="F8F8F8"/>
+      <w:shd w:val="clear" w:color="auto" w:fill="${theme.codeFill}"/>
     </w:pPr>
     <w:rPr>
       <w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>
@@ -576,6 +1268,50 @@ function generateStyles() {
     </w:rPr>
   </w:style>
   
+  <w:style w:type="paragraph" w:styleId="Question">
+    <w:name w:val="Question"/>
+    <w:basedOn w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:pBdr>
+        <w:left w:val="single" w:sz="18" w:space="8" w:color="${theme.questionAccent}"/>
+      </w:pBdr>
+      <w:shd w:val="clear" w:color="auto" w:fill="${theme.questionFill}"/>
+      <w:ind w:left="240"/>
+    </w:pPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="QuestionLabel">
+    <w:name w:val="Question Label"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Question"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:keepNext/>
+      <w:spacing w:before="360" w:after="60"/>
+    </w:pPr>
+    <w:rPr>
+      <w:b/>
+      <w:caps/>
+      <w:color w:val="${theme.questionAccent}"/>
+      <w:sz w:val="18"/>
+      <w:szCs w:val="18"/>
+    </w:rPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="AnswerLabel">
+    <w:name w:val="Answer Label"/>
+    <w:basedOn w:val="QuestionLabel"/>
+    <w:next w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:spacing w:before="200" w:after="60"/>
+    </w:pPr>
+    <w:rPr>
+      <w:color w:val="${theme.answerAccent}"/>
+    </w:rPr>
+  </w:style>
+
   <w:style w:type="table" w:styleId="TableGrid">
     <w:name w:val="Table Grid"/>
     <w:basedOn w:val="TableNormal"/>
@@ -607,18 +1343,177 @@ function generateStyles() {
   <w:style w:type="character" w:styleId="Hyperlink">
     <w:name w:val="Hyperlink"/>
     <w:rPr>
-      <w:color w:val="0563C1"/>
+      <w:color w:val="${theme.link}"/>
       <w:u w:val="single"/>
     </w:rPr>
   </w:style>
+
+  <w:style w:type="paragraph" w:styleId="Quote">
+    <w:name w:val="Quote"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:pBdr>
+        <w:left w:val="single" w:sz="12" w:space="4" w:color="${theme.quoteBorder}"/>
+      </w:pBdr>
+      <w:ind w:left="360"/>
+    </w:pPr>
+    <w:rPr>
+      <w:i/>
+      <w:color w:val="${theme.quoteText}"/>
+    </w:rPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="Caption">
+    <w:name w:val="caption"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:spacing w:after="200"/>
+      <w:jc w:val="center"/>
+    </w:pPr>
+    <w:rPr>
+      <w:i/>
+      <w:color w:val="${theme.quoteText}"/>
+      <w:sz w:val="18"/>
+      <w:szCs w:val="18"/>
+    </w:rPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="FootnoteText">
+    <w:name w:val="footnote text"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr>
+      <w:spacing w:after="0" w:line="240" w:lineRule="auto"/>
+    </w:pPr>
+    <w:rPr>
+      <w:sz w:val="18"/>
+      <w:szCs w:val="18"/>
+    </w:rPr>
+  </w:style>
+
+  <w:style w:type="character" w:styleId="FootnoteReference">
+    <w:name w:val="footnote reference"/>
+    <w:rPr>
+      <w:vertAlign w:val="superscript"/>
+    </w:rPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="SourceItem">
+    <w:name w:val="Source Item"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr>
+      <w:spacing w:after="60"/>
+      <w:ind w:left="360" w:hanging="360"/>
+    </w:pPr>
+    <w:rPr>
+      <w:sz w:val="20"/>
+      <w:szCs w:val="20"/>
+    </w:rPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="Title">
+    <w:name w:val="Title"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:spacing w:after="480"/>
+    </w:pPr>
+    <w:rPr>
+      <w:rFonts w:ascii="Calibri Light" w:hAnsi="Calibri Light"/>
+      <w:color w:val="${theme.heading}"/>
+      <w:sz w:val="56"/>
+      <w:szCs w:val="56"/>
+    </w:rPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="Subtitle">
+    <w:name w:val="Subtitle"/>
+    <w:basedOn w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:spacing w:after="80"/>
+    </w:pPr>
+    <w:rPr>
+      <w:color w:val="${theme.headingMuted}"/>
+      <w:sz w:val="24"/>
+      <w:szCs w:val="24"/>
+    </w:rPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="TOCHeading">
+    <w:name w:val="TOC Heading"/>
+    <w:basedOn w:val="Heading1"/>
+    <w:next w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:outlineLvl w:val="9"/>
+    </w:pPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="TOC1">
+    <w:name w:val="toc 1"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:pPr>
+      <w:spacing w:after="100"/>
+    </w:pPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="TOC2">
+    <w:name w:val="toc 2"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:pPr>
+      <w:spacing w:after="100"/>
+      <w:ind w:left="220"/>
+    </w:pPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="TOC3">
+    <w:name w:val="toc 3"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:pPr>
+      <w:spacing w:after="100"/>
+      <w:ind w:left="440"/>
+    </w:pPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="Header">
+    <w:name w:val="header"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr>
+      <w:spacing w:after="0" w:line="240" w:lineRule="auto"/>
+    </w:pPr>
+    <w:rPr>
+      <w:color w:val="${theme.headingMuted}"/>
+      <w:sz w:val="18"/>
+      <w:szCs w:val="18"/>
+    </w:rPr>
+  </w:style>
+
+  <w:style w:type="paragraph" w:styleId="Footer">
+    <w:name w:val="footer"/>
+    <w:basedOn w:val="Header"/>
+  </w:style>
 </w:styles>`;
 }
 
-function generateSettings() {
+function generateSettings(theme, parts = {}) {
+  // The page color is only shown when displayBackgroundShape is set
+  const displayBackground = theme.background ? '\n  <w:displayBackgroundShape/>' : '';
+  const updateFields = parts.updateFields ? '\n  <w:updateFields w:val="true"/>' : '';
+  const footnotePr = parts.footnotes
+    ? '\n  <w:footnotePr><w:footnote w:id="-1"/><w:footnote w:id="0"/></w:footnotePr>'
+    : '';
   return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
 <w:settings xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"
             xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math">
-  <w:zoom w:percent="100"/>
+  <w:zoom w:percent="100"/>${displayBackground}
   <w:defaultTabStop w:val="720"/>
   <m:mathPr>
     <m:mathFont m:val="Cambria Math"/>
@@ -633,7 +1528,7 @@ function generateSettings() {
     <m:intLim m:val="subSup"/>
     <m:naryLim m:val="undOvr"/>
   </m:mathPr>
-  <w:characterSpacingControl w:val="doNotCompress"/>
+  <w:characterSpacingControl w:val="doNotCompress"/>${updateFields}${footnotePr}
   <w:compat>
     <w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/>
   </w:compat>
@@ -676,6 +1571,45 @@ function generateFontTable() {
 </w:fonts>`;
 }
 
+function generateFootnotes(footnotes, ctx) {
+  const separatorPPr = '<w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr>';
+  let notes = '';
+  for (const note of footnotes) {
+    const id = `rId${ctx.footnoteRels.length + 1}`;
+    ctx.footnoteRels.push({ id, type: REL_TYPES.hyperlink, target: note.url, external: true });
+    notes += `
+  <w:footnote w:id="${note.id}">
+    <w:p><w:pPr><w:pStyle w:val="FootnoteText"/></w:pPr><w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteRef/></w:r>${buildTextRun(' ')}<w:hyperlink r:id="${id}" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr><w:t xml:space="preserve">${escapeXml(note.url)}</w:t></w:r></w:hyperlink></w:p>
+  </w:footnote>`;
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:footnotes xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"
+             xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <w:footnote w:type="separator" w:id="-1">
+    <w:p>${separatorPPr}<w:r><w:separator/></w:r></w:p>
+  </w:footnote>
+  <w:footnote w:type="continuationSeparator" w:id="0">
+    <w:p>${separatorPPr}<w:r><w:continuationSeparator/></w:r></w:p>
+  </w:footnote>${notes}
+</w:footnotes>`;
+}
+
+/**
+ * Relationship element; external targets (hyperlinks) need TargetMode
+ */
+function buildRelationship(rel) {
+  const mode = rel.external ? ' TargetMode="External"' : '';
+  return `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${escapeXml(rel.target)}"${mode}/>`;
+}
+
+function generateRels(rels) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels.map(rel => `
+  ${buildRelationship(rel)}`).join('')}
+</Relationships>`;
+}
+
 function generateDocumentRels(extraRels) {
   let rels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
 <Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
@@ -685,14 +1619,34 @@ function generateDocumentRels(extraRels) {
   <Relationship Id="rId4" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>`;
 
   for (const rel of extraRels) {
-    rels += `\n  <Relationship Id="${rel.id}" Type="${rel.type}" Target="${rel.target}"/>`;
+    rels += `\n  ${buildRelationship(rel)}`;
   }
 
   rels += '\n</Relationships>';
   return rels;
 }
 
-function generateNumbering() {
+/**
+ * An ordered list instance: restarts its level at `start`; the level
+ * format is overridden when the list's own nesting depth differs from
+ * its indent level (an ordered list inside bullets starts with 1, 2, 3)
+ */
+function buildListNum(num) {
+  const lvl = num.level;
+  let override = `<w:startOverride w:val="${num.start}"/>`;
+  if (num.format !== ORDERED_FORMATS[lvl % ORDERED_FORMATS.length]) {
+    override += `<w:lvl w:ilvl="${lvl}"><w:start w:val="${num.start}"/><w:numFmt w:val="${num.format}"/>` +
+      `<w:lvlText w:val="%${lvl + 1}."/><w:lvlJc w:val="left"/>` +
+      `<w:pPr><w:ind w:left="${720 * (lvl + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+  }
+  return `
+  <w:num w:numId="${num.id}">
+    <w:abstractNumId w:val="1"/>
+    <w:lvlOverride w:ilvl="${lvl}">${override}</w:lvlOverride>
+  </w:num>`;
+}
+
+function generateNumbering(listNums = []) {
   return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
 <w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
   <w:abstractNum w:abstractNumId="0">
@@ -843,7 +1797,7 @@ function generateNumbering() {
   </w:num>
   <w:num w:numId="2">
     <w:abstractNumId w:val="1"/>
-  </w:num>
+  </w:num>${listNums.map(buildListNum).join('')}
 </w:numbering>`;
 }
 
@@ -857,15 +1811,15 @@ function generateAppProps(title) {
 </Properties>`;
 }
 
-function generateCoreProps(title) {
-  const now = new Date().toISOString();
+function generateCoreProps(title, author, date) {
+  const now = date.toISOString();
   return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
 <cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties"
                    xmlns:dc="http://purl.org/dc/elements/1.1/"
                    xmlns:dcterms="http://purl.org/dc/terms/"
                    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
   <dc:title>${escapeXml(title)}</dc:title>
-  <dc:creator>ChatGPT Word Copier</dc:creator>
+  <dc:creator>${escapeXml(author || 'ChatGPT Word Copier')}</dc:creator>
   <dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>
   <dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>
 </cp:coreProperties>`;
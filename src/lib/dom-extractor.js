@@ -3,6 +3,18 @@
  * Handles the ChatGPT DOM structure to find assistant responses.
  */
 
+import { latexToMathml } from './latex-to-mathml';
+
+// Stands for a <br> while raw LaTeX is searched across line breaks
+const LINE_BREAK_MARK = '\u2028';
+
+// Delimiters of raw LaTeX ChatGPT left unrendered: [open, close, display]
+const RAW_MATH_DELIMITERS = [
+  ['\\[', '\\]', true],
+  ['$$', '$$', true],
+  ['\\(', '\\)', false],
+];
+
 /**
  * Get all assistant message containers on the page
  */
@@ -32,6 +44,52 @@ export function getLastAssistantMessage() {
   return messages.length > 0 ? messages[messages.length - 1] : null;
 }
 
+/**
+ * Get all conversation turns (user prompts and assistant answers) in page order.
+ * Returns an array of { role: 'user' | 'assistant', element }.
+ */
+export function getConversationTurns() {
+  const elements = document.querySelectorAll('[data-message-author-role]');
+  if (elements.length > 0) {
+    return Array.from(elements)
+      .map(el => ({ role: el.getAttribute('data-message-author-role'), element: el }))
+      .filter(turn => turn.role === 'user' || turn.role === 'assistant');
+  }
+
+  // Older layouts: only assistant messages can be located reliably
+  return getAssistantMessages().map(element => ({ role: 'assistant', element }));
+}
+
+/**
+ * Get the title of the open conversation: the active sidebar entry,
+ * else the tab title without the " - ChatGPT" suffix.
+ * Returns an empty string for new and untitled chats.
+ */
+export function getConversationTitle() {
+  const active = document.querySelector('nav a[aria-current="page"], nav a[data-active]');
+  const fromSidebar = active?.textContent.replace(/\s+/g, ' ').trim();
+  if (fromSidebar) return fromSidebar;
+
+  const title = document.title.replace(/\s*[-–—|]\s*ChatGPT\s*$/i, '').trim();
+  return /^(ChatGPT|New chat|Новый чат)$/i.test(title) ? '' : title;
+}
+
+/**
+ * Get the model that wrote an answer (e.g. "gpt-4o"): the model slug of
+ * the given message, else of the last answer, else the model switcher label.
+ * Returns an empty string when the page does not show it.
+ */
+export function getModelName(messageEl = null) {
+  const slugged = messageEl?.closest('[data-message-model-slug]') ||
+    messageEl?.querySelector('[data-message-model-slug]') ||
+    Array.from(document.querySelectorAll('[data-message-model-slug]')).pop();
+  const slug = slugged?.getAttribute('data-message-model-slug');
+  if (slug) return slug;
+
+  const switcher = document.querySelector('[data-testid="model-switcher-dropdown-button"]');
+  return switcher ? switcher.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
 /**
  * Get the markdown content container from a message element
  */
@@ -60,7 +118,9 @@ export function extractContent(messageEl) {
   for (let i = 0; i < children.length; i++) {
     const el = children[i];
     const block = parseElement(el);
-    if (block) {
+    if (Array.isArray(block)) {
+      blocks.push(...block);
+    } else if (block) {
       blocks.push(block);
     }
   }
@@ -68,8 +128,86 @@ export function extractContent(messageEl) {
   return blocks;
 }
 
+/**
+ * Extract content from a user message element.
+ * User prompts are plain text: blank lines separate paragraphs,
+ * single newlines become line breaks.
+ */
+export function extractUserContent(messageEl) {
+  const textEl = messageEl.querySelector('.whitespace-pre-wrap') || messageEl;
+  const text = (textEl.textContent || '').trim();
+  if (!text) return [];
+
+  return text.split(/\n\s*\n/).map(part => {
+    const content = [];
+    part.split('\n').forEach((line, i) => {
+      if (i > 0) content.push({ type: 'lineBreak' });
+      if (line) content.push({ type: 'text', text: line });
+    });
+    return { type: 'paragraph', content, text: part };
+  });
+}
+
+/**
+ * Extract a whole conversation as an array of turn blocks:
+ * { type: 'turn', role: 'user' | 'assistant', blocks }.
+ * Turns without content are skipped.
+ */
+export function extractConversation(turns = getConversationTurns()) {
+  const result = [];
+  for (const turn of turns) {
+    const blocks = turn.role === 'user'
+      ? extractUserContent(turn.element)
+      : extractContent(turn.element);
+    if (blocks.length > 0) {
+      result.push({ type: 'turn', role: turn.role, blocks });
+    }
+  }
+  return result;
+}
+
+/**
+ * Short description of a turn for pickers and lists:
+ * { heading, preview } where heading is the first heading of an answer.
+ */
+export function getTurnSummary(turn, maxLength = 140) {
+  const source = turn.role === 'user'
+    ? (turn.element.querySelector('.whitespace-pre-wrap') || turn.element)
+    : getMarkdownContent(turn.element);
+
+  // Drop hidden MathML and our own buttons so they don't leak into the preview
+  const clone = source.cloneNode(true);
+  clone.querySelectorAll('.katex-mathml, .cgpt-word-copier-buttons').forEach(el => el.remove());
+
+  const headingEl = turn.role === 'assistant' ? clone.querySelector('h1, h2, h3, h4, h5, h6') : null;
+  const text = (clone.textContent || '').replace(/\s+/g, ' ').trim();
+
+  return {
+    heading: headingEl ? headingEl.textContent.trim() : '',
+    preview: text.length > maxLength ? text.slice(0, maxLength - 1).trimEnd() + '…' : text,
+  };
+}
+
+/**
+ * Get escaped HTML paragraphs for a user message (plain text prompt)
+ */
+export function getUserMessageHtml(messageEl) {
+  return extractUserContent(messageEl)
+    .map(block => '<p>' + escapeHtml(block.text).replace(/\n/g, '<br>') + '</p>')
+    .join('');
+}
+
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Parse a single HTML element into a structured block
+ * (an array of blocks when a paragraph holds recovered display formulas)
  */
 function parseElement(el) {
   const tag = el.tagName.toLowerCase();
@@ -81,25 +219,31 @@ function parseElement(el) {
       level: parseInt(tag[1]),
       content: extractInlineContent(el),
       text: el.textContent,
+      id: el.id || '', // target of in-answer #anchor links
     };
   }
 
   // Paragraphs
   if (tag === 'p') {
-    return {
-      type: 'paragraph',
-      content: extractInlineContent(el),
-      text: el.textContent,
-    };
+    // Markdown images render as a paragraph holding just the <img>
+    const images = getOnlyImages(el);
+    if (images.length === 1) return extractImage(images[0]);
+
+    return buildParagraphs(extractInlineContent(el), el.textContent);
   }
 
   // Lists
   if (tag === 'ul' || tag === 'ol') {
-    return {
+    const list = {
       type: 'list',
       ordered: tag === 'ol',
       items: extractListItems(el),
     };
+    if (list.ordered) {
+      const start = parseInt(el.getAttribute('start'), 10);
+      list.start = Number.isNaN(start) ? 1 : start;
+    }
+    return list;
   }
 
   // Tables
@@ -131,7 +275,7 @@ function parseElement(el) {
   if (tag === 'blockquote') {
     return {
       type: 'blockquote',
-      content: extractInlineContent(el),
+      blocks: extractChildBlocks(el),
       text: el.textContent,
     };
   }
@@ -141,12 +285,24 @@ function parseElement(el) {
     return { type: 'hr' };
   }
 
+  // Images
+  if (tag === 'img') {
+    return extractImage(el);
+  }
+
+  if (tag === 'figure') {
+    const img = el.querySelector('img');
+    if (img) {
+      return extractImage(img, el.querySelector('figcaption')?.textContent.trim() || '');
+    }
+  }
+
   // Details/Summary
   if (tag === 'details') {
     return {
       type: 'details',
-      summary: el.querySelector('summary')?.textContent || '',
-      content: extractInlineContent(el),
+      summary: el.querySelector(':scope > summary')?.textContent || '',
+      blocks: extractChildBlocks(el, child => child.tagName.toLowerCase() !== 'summary'),
     };
   }
 
@@ -157,7 +313,7 @@ function parseElement(el) {
 
     // Skip ChatGPT interactive/utility elements
     if (el.classList.contains('sticky')) return null;
-    if (el.querySelector(':scope > button[aria-label]') && !el.querySelector(':scope > p, :scope > table, :scope > h1, :scope > h2, :scope > h3')) return null;
+    if (el.querySelector(':scope > button[aria-label]') && !el.querySelector(':scope > p, :scope > table, :scope > h1, :scope > h2, :scope > h3, img')) return null;
 
     // Check for math display
     const katexDisplay = el.querySelector('.katex-display');
@@ -175,24 +331,157 @@ function parseElement(el) {
       };
     }
 
+    // Image-only wrappers (charts, generated pictures, uploads)
+    const images = getOnlyImages(el);
+    if (images.length === 1) return extractImage(images[0]);
+
     // Otherwise treat as paragraph-like
     const inline = extractInlineContent(el);
     if (inline.length > 0) {
-      return {
-        type: 'paragraph',
-        content: inline,
-        text: el.textContent,
-      };
+      return buildParagraphs(inline, el.textContent);
     }
   }
 
   return null;
 }
 
+// Elements that start a new block inside list items, quotes and details
+const BLOCK_TAGS = new Set([
+  'p', 'ul', 'ol', 'pre', 'table', 'blockquote', 'details', 'figure', 'hr', 'div',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+]);
+
+function isBlockElement(node) {
+  return node.nodeType === Node.ELEMENT_NODE &&
+    (BLOCK_TAGS.has(node.tagName.toLowerCase()) || node.classList.contains('katex-display'));
+}
+
+/**
+ * Parse the children of a container (li, blockquote, details) into blocks.
+ * Loose inline content between block elements becomes a paragraph.
+ * @param {HTMLElement} el - container element
+ * @param {Function} filter - optional (childElement) => boolean to skip children
+ */
+function extractChildBlocks(el, filter = null) {
+  const blocks = [];
+  let pending = [];
+
+  const flush = () => {
+    const text = pending.map(node => node.textContent).join('');
+    const content = extractInlineNodes(pending);
+    const hasContent = text.trim() !== '' || content.some(item => item.type === 'math' || item.type === 'image');
+    if (hasContent) {
+      const paragraphs = buildParagraphs(trimInlineEdges(content), text.trim());
+      blocks.push(...(Array.isArray(paragraphs) ? paragraphs : [paragraphs]));
+    }
+    pending = [];
+  };
+
+  for (const child of el.childNodes) {
+    if (child.nodeType === Node.ELEMENT_NODE && filter && !filter(child)) continue;
+
+    if (isBlockElement(child)) {
+      flush();
+      const block = parseElement(child);
+      if (Array.isArray(block)) blocks.push(...block);
+      else if (block) blocks.push(block);
+    } else if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.ELEMENT_NODE) {
+      pending.push(child);
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
 /**
- * Extract inline content (text, bold, italic, code, math formulas)
+ * Paragraph block for inline content. Display formulas recovered from raw
+ * LaTeX are split out into math blocks, so this may return an array.
+ */
+function buildParagraphs(content, text) {
+  if (!content.some(item => item.type === 'math' && item.display)) {
+    return { type: 'paragraph', content, text };
+  }
+
+  const blocks = [];
+  let current = [];
+  const flush = () => {
+    while (current[0]?.type === 'lineBreak') current.shift();
+    while (current[current.length - 1]?.type === 'lineBreak') current.pop();
+    const items = trimInlineEdges(current);
+    if (items.length > 0) {
+      const itemText = items.map(item => item.type === 'math' ? item.latex : item.text || '').join('');
+      blocks.push({ type: 'paragraph', content: items, text: itemText });
+    }
+    current = [];
+  };
+
+  for (const item of content) {
+    if (item.type === 'math' && item.display) {
+      flush();
+      blocks.push(item);
+    } else {
+      current.push(item);
+    }
+  }
+  flush();
+
+  return blocks.length === 1 ? blocks[0] : blocks;
+}
+
+/**
+ * Drop the whitespace HTML indentation leaves around loose inline content
+ */
+function trimInlineEdges(items) {
+  const result = items.slice();
+  if (result[0]?.type === 'text') {
+    result[0] = { ...result[0], text: result[0].text.replace(/^\s+/, '') };
+  }
+  const last = result.length - 1;
+  if (result[last]?.type === 'text') {
+    result[last] = { ...result[last], text: result[last].text.replace(/\s+$/, '') };
+  }
+  return result.filter(item => item.type !== 'text' || item.text);
+}
+
+/**
+ * Images of an element that has no text of its own (empty array otherwise).
+ * Button labels (download, edit...) around generated images don't count.
+ */
+function getOnlyImages(el) {
+  const images = Array.from(el.querySelectorAll('img'));
+  if (images.length === 0) return images;
+
+  const clone = el.cloneNode(true);
+  clone.querySelectorAll('button').forEach(btn => btn.remove());
+  return clone.textContent.trim() === '' ? images : [];
+}
+
+/**
+ * Build an image item: absolute src, alt text, natural size and caption
+ */
+function extractImage(img, caption = '') {
+  return {
+    type: 'image',
+    src: img.currentSrc || img.src || img.getAttribute('src') || '',
+    alt: img.getAttribute('alt') || '',
+    width: img.naturalWidth || parseInt(img.getAttribute('width'), 10) || 0,
+    height: img.naturalHeight || parseInt(img.getAttribute('height'), 10) || 0,
+    caption,
+  };
+}
+
+/**
+ * Extract inline content (text, bold, italic, code, math formulas, images)
  */
 export function extractInlineContent(el) {
+  return extractInlineNodes(el.childNodes);
+}
+
+/**
+ * Extract inline content from a list of sibling nodes
+ */
+function extractInlineNodes(nodes) {
   const items = [];
 
   function walk(node) {
@@ -222,6 +511,18 @@ export function extractInlineContent(el) {
       return;
     }
 
+    // Line break
+    if (tag === 'br') {
+      items.push({ type: 'lineBreak' });
+      return;
+    }
+
+    // Inline image
+    if (tag === 'img') {
+      items.push(extractImage(node));
+      return;
+    }
+
     // Bold
     if (tag === 'strong' || tag === 'b') {
       items.push({ type: 'bold', content: extractInlineContent(node) });
@@ -268,11 +569,116 @@ export function extractInlineContent(el) {
     }
   }
 
-  for (const child of el.childNodes) {
-    walk(child);
+  for (const node of nodes) {
+    walk(node);
   }
 
-  return items;
+  return recoverRawMath(items);
+}
+
+/**
+ * Turn raw LaTeX left in text items (also across line breaks) into
+ * math items with MathML, as if KaTeX had rendered it
+ */
+function recoverRawMath(items) {
+  const result = [];
+  let run = [];
+
+  const flush = () => {
+    if (run.length === 0) return;
+    const text = run.map(item => item.type === 'lineBreak' ? LINE_BREAK_MARK : item.text).join('');
+    const segments = findRawMath(text);
+
+    if (!segments.some(segment => segment.type === 'math')) {
+      result.push(...run);
+    } else {
+      for (const segment of segments) {
+        if (segment.type === 'math') {
+          result.push({
+            type: 'math',
+            display: segment.display,
+            latex: segment.latex,
+            mathml: latexToMathml(segment.latex, segment.display),
+          });
+          continue;
+        }
+        segment.text.split(LINE_BREAK_MARK).forEach((part, i) => {
+          if (i > 0) result.push({ type: 'lineBreak' });
+          if (part) result.push({ type: 'text', text: part });
+        });
+      }
+    }
+    run = [];
+  };
+
+  for (const item of items) {
+    if (item.type === 'text' || item.type === 'lineBreak') {
+      run.push(item);
+    } else {
+      flush();
+      result.push(item);
+    }
+  }
+  flush();
+
+  return result;
+}
+
+/**
+ * Split text into text and math segments at well-formed LaTeX delimiters:
+ * \[…\], $$…$$ (display), \(…\), $…$ (inline).
+ * A single $ opens only before a non-space and closes only after a
+ * non-space that is not followed by a digit, so prices like "$5 and $10"
+ * stay text.
+ * @returns {Array<{type: 'text', text: string}|{type: 'math', latex: string, display: boolean}>}
+ */
+function findRawMath(text) {
+  const segments = [];
+  let textStart = 0;
+  let i = 0;
+
+  while (i < text.length) {
+    const match = matchRawMath(text, i);
+    if (!match) {
+      i++;
+      continue;
+    }
+    if (i > textStart) segments.push({ type: 'text', text: text.slice(textStart, i) });
+    segments.push({ type: 'math', latex: match.latex, display: match.display });
+    i = textStart = match.end;
+  }
+  if (textStart < text.length) segments.push({ type: 'text', text: text.slice(textStart) });
+
+  return segments;
+}
+
+/**
+ * Formula starting at position i: { latex, display, end } or null
+ */
+function matchRawMath(text, i) {
+  // \$ is an escaped dollar, \\[ a LaTeX line break
+  if (text[i - 1] === '\\') return null;
+
+  for (const [open, close, display] of RAW_MATH_DELIMITERS) {
+    if (!text.startsWith(open, i)) continue;
+    const end = text.indexOf(close, i + open.length);
+    if (end === -1) return null;
+    const latex = text.slice(i + open.length, end).split(LINE_BREAK_MARK).join(' ').trim();
+    return latex ? { latex, display, end: end + close.length } : null;
+  }
+
+  if (text[i] !== '$') return null;
+
+  const end = text.indexOf('$', i + 1);
+  if (end === -1) return null;
+  const latex = text.slice(i + 1, end);
+  if (!latex || /\s/.test(latex[0]) || /[\s\\]/.test(latex[latex.length - 1])) return null;
+  if (/[0-9]/.test(text[end + 1] ?? '')) return null;
+  if (latex.includes(LINE_BREAK_MARK)) return null;
+  // "$5 or 10$" reads as an amount, not a formula
+  if (/^\d[\d.,]*\s/.test(latex)) return null;
+
+  return { latex, display: false, end: end + 1 };
 }
 
 /**
@@ -307,26 +713,18 @@ function extractMathBlock(katexEl, display) {
 }
 
 /**
- * Extract list items recursively
+ * Extract list items recursively. Each item holds its own block tree:
+ * paragraphs, code blocks, tables, math and nested lists.
  */
 function extractListItems(listEl) {
   const items = [];
   for (const li of listEl.children) {
     if (li.tagName.toLowerCase() === 'li') {
       const item = {
-        content: extractInlineContent(li),
+        blocks: extractChildBlocks(li),
         text: '',
       };
 
-      // Check for nested lists
-      const nestedList = li.querySelector('ul, ol');
-      if (nestedList) {
-        item.nestedList = {
-          ordered: nestedList.tagName.toLowerCase() === 'ol',
-          items: extractListItems(nestedList),
-        };
-      }
-
       // Get text without nested list text
       const clone = li.cloneNode(true);
       const nested = clone.querySelector('ul, ol');
@@ -424,6 +822,8 @@ export function getCleanHtmlWithMathML(messageEl) {
     }
   }
 
+  replaceRawMath(clone);
+
   // Remove any remaining katex-html (visual rendering artifacts)
   const katexHtml = clone.querySelectorAll('.katex-html');
   for (const el of katexHtml) {
@@ -459,6 +859,52 @@ export function getCleanHtmlWithMathML(messageEl) {
   return clone.innerHTML;
 }
 
+/**
+ * Replace raw LaTeX left in the text of a cloned message with MathML.
+ * Text and <br> runs are searched together; code, links and formulas
+ * are left alone.
+ */
+function replaceRawMath(root) {
+  const parents = [root, ...root.querySelectorAll('*')]
+    .filter(el => !el.closest('pre, code, a, math, .katex, script, style'));
+
+  for (const parent of parents) {
+    let run = [];
+
+    const flush = () => {
+      if (run.length === 0) return;
+      const text = run.map(node => node.nodeType === Node.TEXT_NODE ? node.textContent : LINE_BREAK_MARK).join('');
+      const segments = findRawMath(text);
+
+      if (segments.some(segment => segment.type === 'math')) {
+        const first = run[0];
+        for (const segment of segments) {
+          if (segment.type === 'math') {
+            const doc = new DOMParser().parseFromString(latexToMathml(segment.latex, segment.display), 'application/xml');
+            first.before(document.importNode(doc.documentElement, true));
+            continue;
+          }
+          segment.text.split(LINE_BREAK_MARK).forEach((part, i) => {
+            if (i > 0) first.before(document.createElement('br'));
+            if (part) first.before(document.createTextNode(part));
+          });
+        }
+        run.forEach(node => node.remove());
+      }
+      run = [];
+    };
+
+    for (const child of Array.from(parent.childNodes)) {
+      if (child.nodeType === Node.TEXT_NODE || (child.nodeType === Node.ELEMENT_NODE && child.tagName.toLowerCase() === 'br')) {
+        run.push(child);
+      } else {
+        flush();
+      }
+    }
+    flush();
+  }
+}
+
 /**
  * Get selected text/content within a message, if any
  */
@@ -0,0 +1,104 @@
+/**
+ * Image Loader - fetches pictures from answers for embedding into DOCX.
+ *
+ * Word reliably displays only PNG, JPEG and GIF, so other formats
+ * (WebP, SVG, AVIF...) are redrawn through a canvas and saved as PNG.
+ */
+
+const NATIVE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/gif': 'gif',
+};
+
+/**
+ * Fetch an image and return its bytes in a Word-compatible format.
+ * @param {string} src - image URL (http(s), blob: or data:)
+ * @returns {Promise<{data: Uint8Array, ext: string, width: number, height: number}|null>}
+ *   width/height are the natural size in pixels (0 if unknown); null on failure
+ */
+export async function fetchImageData(src) {
+  if (!src) return null;
+
+  try {
+    const blob = await fetchBlob(src);
+    if (!blob) return null;
+
+    const ext = NATIVE_TYPES[blob.type];
+    if (ext) {
+      const size = await measureImage(blob);
+      return { data: new Uint8Array(await blob.arrayBuffer()), ext, ...size };
+    }
+
+    return await convertToPng(blob);
+  } catch (e) {
+    console.warn('Image fetch failed:', src, e);
+    return null;
+  }
+}
+
+/**
+ * Fetch with the default credentials mode first: CDNs answer with
+ * Access-Control-Allow-Origin: *, which fails for credentialed requests.
+ * Hosts that need cookies get a second try with them.
+ */
+async function fetchBlob(src) {
+  for (const credentials of ['same-origin', 'include']) {
+    try {
+      const response = await fetch(src, { credentials });
+      if (response.ok) return await response.blob();
+    } catch (e) {
+      // CORS or network error: try the next mode
+    }
+  }
+  return null;
+}
+
+/**
+ * Natural size of an image blob (zeros if it cannot be decoded here)
+ */
+async function measureImage(blob) {
+  if (typeof createImageBitmap !== 'function') return { width: 0, height: 0 };
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const size = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+    return size;
+  } catch (e) {
+    return { width: 0, height: 0 };
+  }
+}
+
+/**
+ * Redraw an image blob to PNG through a canvas
+ */
+async function convertToPng(blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Could not decode image'));
+      img.src = url;
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    const context = canvas.getContext('2d');
+    if (!context || canvas.width === 0 || canvas.height === 0) return null;
+    context.drawImage(image, 0, 0);
+
+    const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!png) return null;
+
+    return {
+      data: new Uint8Array(await png.arrayBuffer()),
+      ext: 'png',
+      width: canvas.width,
+      height: canvas.height,
+    };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,934 @@
+/**
+ * LaTeX to MathML Converter
+ *
+ * Parses the KaTeX-supported subset of LaTeX into MathML shaped like
+ * KaTeX's own output, so formulas that arrive without MathML (pasted
+ * LaTeX, unrendered answers, the clipboard fallback) go through the same
+ * MathML → OMML conversion as rendered ones.
+ *
+ * Supported:
+ * - letters, numbers, operators, Greek letters and symbol commands
+ * - ^, _, primes; \limits / \nolimits on big operators
+ * - \frac, \dfrac, \tfrac, \cfrac, \binom, \sqrt[n]{}
+ * - accents, \overline, \underline, \overbrace, \underbrace,
+ *   \overset, \underset, \stackrel, \xrightarrow
+ * - \mathbb, \mathcal, \mathfrak, \mathbf, \boldsymbol, \mathrm, \mathsf...
+ * - \text (spaces kept, $…$ inside), \operatorname, sin/log/lim...
+ * - \left … \middle … \right, \bigl( … \bigr)
+ * - matrix/pmatrix/bmatrix…, array, cases, aligned/align, gather, split;
+ *   equation, align and gather number their rows, \tag and \notag override
+ * - \boxed, \cancel, \phantom, spacing commands, \pmod
+ */
+
+const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
+// Letters rendered as ordinary identifiers (mi)
+const IDENTIFIERS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε',
+  zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ',
+  varkappa: 'ϰ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο', pi: 'π',
+  varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ',
+  upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  digamma: 'ϝ',
+  infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', hslash: 'ℏ', ell: 'ℓ',
+  emptyset: '∅', varnothing: '∅', forall: '∀', exists: '∃', nexists: '∄',
+  aleph: 'ℵ', beth: 'ℶ', Re: 'ℜ', Im: 'ℑ', wp: '℘', angle: '∠',
+  measuredangle: '∡', triangle: '△', top: '⊤', bot: '⊥', prime: '′',
+  degree: '°', imath: 'ı', jmath: 'ȷ', complement: '∁', mho: '℧',
+  Box: '□', square: '□', blacksquare: '■', Diamond: '◊', lozenge: '◊',
+  checkmark: '✓', flat: '♭', natural: '♮', sharp: '♯', surd: '√',
+  clubsuit: '♣', diamondsuit: '♢', heartsuit: '♡', spadesuit: '♠',
+  S: '§', P: '¶', dag: '†', ddag: '‡', copyright: '©', pounds: '£', euro: '€',
+};
+
+// Capital Greek letters are upright
+const UPRIGHT_IDENTIFIERS = {
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+  Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+};
+
+// Blackboard shortcuts (\R, \N...)
+const DOUBLE_STRUCK = {
+  R: 'R', N: 'N', Z: 'Z', Q: 'Q', C: 'C', reals: 'R', Reals: 'R',
+  natnums: 'N', Complex: 'C', cnums: 'C', integers: 'Z',
+};
+
+// Binary operators, relations, arrows and punctuation (mo)
+const OPERATORS = {
+  pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', cdotp: '⋅', ast: '∗',
+  star: '⋆', circ: '∘', bullet: '∙', oplus: '⊕', ominus: '⊖', otimes: '⊗',
+  oslash: '⊘', odot: '⊙', cup: '∪', cap: '∩', sqcup: '⊔', sqcap: '⊓',
+  vee: '∨', lor: '∨', wedge: '∧', land: '∧', setminus: '∖',
+  smallsetminus: '∖', wr: '≀', amalg: '⨿', dagger: '†', ddagger: '‡',
+  uplus: '⊎', triangleleft: '◃', triangleright: '▹', bigtriangleup: '△',
+  bigtriangledown: '▽', diamond: '⋄', lnot: '¬', neg: '¬',
+  leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', leqslant: '⩽',
+  geqslant: '⩾', ll: '≪', gg: '≫', lll: '⋘', ggg: '⋙', approx: '≈',
+  approxeq: '≊', equiv: '≡', sim: '∼', simeq: '≃', cong: '≅', propto: '∝',
+  asymp: '≍', doteq: '≐', prec: '≺', succ: '≻', preceq: '⪯', succeq: '⪰',
+  in: '∈', isin: '∈', ni: '∋', notin: '∉', subset: '⊂', supset: '⊃',
+  subseteq: '⊆', supseteq: '⊇', subsetneq: '⊊', supsetneq: '⊋',
+  sqsubseteq: '⊑', sqsupseteq: '⊒', perp: '⊥', parallel: '∥', mid: '∣',
+  nmid: '∤', nparallel: '∦', vdash: '⊢', dashv: '⊣', models: '⊨', vDash: '⊨',
+  coloneqq: '≔', eqqcolon: '≕', triangleq: '≜', lesssim: '≲', gtrsim: '≳',
+  nless: '≮', ngtr: '≯', nleq: '≰', ngeq: '≱', ncong: '≇', nsim: '≁',
+  to: '→', rightarrow: '→', gets: '←', leftarrow: '←', leftrightarrow: '↔',
+  Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹',
+  impliedby: '⟸', iff: '⟺', longrightarrow: '⟶', longleftarrow: '⟵',
+  longleftrightarrow: '⟷', Longrightarrow: '⟹', Longleftarrow: '⟸',
+  Longleftrightarrow: '⟺', mapsto: '↦', longmapsto: '⟼', uparrow: '↑',
+  downarrow: '↓', updownarrow: '↕', Uparrow: '⇑', Downarrow: '⇓',
+  Updownarrow: '⇕', nearrow: '↗', searrow: '↘', swarrow: '↙', nwarrow: '↖',
+  hookrightarrow: '↪', hookleftarrow: '↩', rightharpoonup: '⇀',
+  rightharpoondown: '⇁', leftharpoonup: '↼', rightleftharpoons: '⇌',
+  leftrightharpoons: '⇋', leadsto: '⇝', colon: ':', ldots: '…', dots: '…',
+  dotsc: '…', dotso: '…', cdots: '⋯', dotsb: '⋯', dotsm: '⋯', dotsi: '⋯',
+  vdots: '⋮', ddots: '⋱', therefore: '∴', because: '∵', vert: '|', Vert: '‖',
+  '|': '‖', lbrace: '{', rbrace: '}', backslash: '∖',
+};
+
+// Brackets keep stretchy="false" like KaTeX so they are not paired as fences
+const BRACKETS = {
+  langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+  lbrack: '[', rbrack: ']', '{': '{', '}': '}', lvert: '|', rvert: '|',
+  lVert: '‖', rVert: '‖', lgroup: '⟮', rgroup: '⟯',
+};
+
+// Characters written directly in math mode that become operators
+const OPERATOR_CHARS = {
+  '+': '+', '-': '−', '*': '∗', '=': '=', '<': '<', '>': '>', '/': '/',
+  ';': ';', ':': ':', '!': '!', '?': '?', '.': '.', '@': '@', '"': '"',
+};
+const BRACKET_CHARS = new Set(['(', ')', '[', ']', '|']);
+
+// Large operators: limits go above and below (sum), or to the side (integrals)
+const BIG_OPERATORS = {
+  sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigsqcup: '⨆',
+  bigvee: '⋁', bigwedge: '⋀', bigoplus: '⨁', bigotimes: '⨂', bigodot: '⨀',
+  biguplus: '⨄',
+};
+const INTEGRALS = {
+  int: '∫', iint: '∬', iiint: '∭', oint: '∮', oiint: '∯', oiiint: '∰',
+  intop: '∫', smallint: '∫',
+};
+
+// Function names followed by U+2061; the limit ones take limits below
+const FUNCTIONS = new Set([
+  'arcsin', 'arccos', 'arctan', 'arctg', 'arcctg', 'arg', 'ch', 'cos', 'cosec',
+  'cosh', 'cot', 'cotg', 'coth', 'csc', 'ctg', 'cth', 'deg', 'dim', 'exp',
+  'hom', 'ker', 'lg', 'ln', 'log', 'sec', 'sh', 'sin', 'sinh', 'tan', 'tanh',
+  'tg', 'th',
+]);
+const LIMIT_FUNCTIONS = {
+  det: 'det', gcd: 'gcd', inf: 'inf', lim: 'lim', liminf: 'lim\u00a0inf',
+  limsup: 'lim\u00a0sup', max: 'max', min: 'min', Pr: 'Pr', sup: 'sup',
+  argmax: 'argmax', argmin: 'argmin',
+};
+
+// Accent commands → the spacing characters KaTeX puts in mover
+const ACCENTS = {
+  hat: '^', widehat: '^', tilde: '~', widetilde: '~', bar: 'ˉ', vec: '\u20d7',
+  dot: '˙', ddot: '¨', dddot: '\u20db', check: 'ˇ', widecheck: 'ˇ', breve: '˘',
+  acute: 'ˊ', grave: 'ˋ', mathring: '˚', overrightarrow: '→',
+  overleftarrow: '←', overleftrightarrow: '↔',
+};
+const STRETCHY_ACCENTS = new Set([
+  'widehat', 'widetilde', 'widecheck', 'overrightarrow', 'overleftarrow', 'overleftrightarrow',
+]);
+
+const FONTS = {
+  mathbb: 'double-struck', Bbb: 'double-struck', mathcal: 'script',
+  mathscr: 'script', mathfrak: 'fraktur', frak: 'fraktur', mathbf: 'bold',
+  bf: 'bold', boldsymbol: 'bold-italic', bm: 'bold-italic', pmb: 'bold-italic',
+  mathrm: 'normal', rm: 'normal', mathup: 'normal', mathit: 'italic',
+  it: 'italic', mathsf: 'sans-serif', sf: 'sans-serif', mathtt: 'monospace',
+  tt: 'monospace', cal: 'script',
+};
+// Old-style switches apply to the rest of the group: {\bf x}
+const FONT_SWITCHES = new Set(['bf', 'rm', 'it', 'sf', 'tt', 'cal']);
+
+const TEXT_FONTS = {
+  text: null, textrm: null, textnormal: null, textup: null, mbox: null, hbox: null,
+  textbf: 'bold', textit: 'italic', textsf: 'sans-serif', texttt: 'monospace',
+};
+
+const SPACES = {
+  ',': '0.1667em', thinspace: '0.1667em', ':': '0.2222em', '>': '0.2222em',
+  medspace: '0.2222em', ';': '0.2778em', thickspace: '0.2778em',
+  '!': '-0.1667em', negthinspace: '-0.1667em', enspace: '0.5em',
+  quad: '1em', qquad: '2em',
+};
+
+// Delimiters after \left, \right, \middle and \big
+const DELIMITERS = {
+  '(': '(', ')': ')', '[': '[', ']': ']', '|': '|', '/': '/', '.': '',
+  '<': '⟨', '>': '⟩', '\\{': '{', '\\}': '}', '\\|': '‖', '\\lbrace': '{',
+  '\\rbrace': '}', '\\langle': '⟨', '\\rangle': '⟩', '\\vert': '|',
+  '\\lvert': '|', '\\rvert': '|', '\\Vert': '‖', '\\lVert': '‖', '\\rVert': '‖',
+  '\\lfloor': '⌊', '\\rfloor': '⌋', '\\lceil': '⌈', '\\rceil': '⌉',
+  '\\lbrack': '[', '\\rbrack': ']', '\\backslash': '\\', '\\uparrow': '↑',
+  '\\downarrow': '↓', '\\updownarrow': '↕', '\\Uparrow': '⇑',
+  '\\Downarrow': '⇓', '\\lgroup': '⟮', '\\rgroup': '⟯',
+};
+const BIG_DELIMITERS = new Set([
+  'big', 'Big', 'bigg', 'Bigg', 'bigl', 'Bigl', 'biggl', 'Biggl',
+  'bigr', 'Bigr', 'biggr', 'Biggr', 'bigm', 'Bigm', 'biggm', 'Biggm',
+]);
+
+// \not applied to a symbol
+const NEGATIONS = {
+  '=': '≠', '<': '≮', '>': '≯', '∈': '∉', '≡': '≢', '⊂': '⊄', '⊃': '⊅',
+  '⊆': '⊈', '⊇': '⊉', '≤': '≰', '≥': '≱', '∼': '≁', '≈': '≉', '≅': '≇',
+  '∣': '∤', '∥': '∦', '∃': '∄', '≃': '≄', '⊢': '⊬', '⊨': '⊭',
+};
+
+const ENCLOSURES = {
+  boxed: 'box', fbox: 'box', cancel: 'updiagonalstrike',
+  bcancel: 'downdiagonalstrike', xcancel: 'updiagonalstrike downdiagonalstrike',
+  sout: 'horizontalstrike',
+};
+
+const EXTENSIBLE_ARROWS = {
+  xrightarrow: '→', xleftarrow: '←', xRightarrow: '⇒', xLeftarrow: '⇐',
+  xleftrightarrow: '↔', xLeftrightarrow: '⇔', xmapsto: '↦',
+  xrightleftharpoons: '⇌', xhookrightarrow: '↪', xlongequal: '=',
+};
+
+// Matrix environments and their delimiters
+const MATRICES = {
+  matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'],
+  Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'],
+  smallmatrix: ['', ''],
+};
+const ALIGN_ENVIRONMENTS = new Set([
+  'aligned', 'align', 'align*', 'alignat', 'alignat*', 'alignedat', 'split',
+  'flalign', 'flalign*',
+]);
+const GATHER_ENVIRONMENTS = new Set([
+  'gathered', 'gather', 'gather*', 'equation', 'equation*', 'multline', 'multline*',
+]);
+// Environments that number their rows like KaTeX (the starred forms do not)
+const NUMBERED_ENVIRONMENTS = new Set(['equation', 'align', 'alignat', 'gather', 'flalign']);
+const CASES_ENVIRONMENTS = {
+  cases: ['{', '', false], dcases: ['{', '', true],
+  rcases: ['', '}', false], drcases: ['', '}', true],
+};
+
+// Commands that take no part in the output
+const IGNORED_COMMANDS = new Set([
+  'hline', 'hdashline', 'limits', 'nolimits', 'relax',
+  'displaylimits', 'allowbreak', 'nobreak', 'strut', 'mathstrut', 'right', 'middle',
+]);
+const IGNORED_WITH_ARGUMENT = new Set(['label', 'vphantom', 'hspace', 'vspace', 'kern', 'mkern']);
+
+/**
+ * Convert a LaTeX formula to a MathML string.
+ * @param {string} latex - formula without $ delimiters
+ * @param {boolean} display - display (block) formula
+ * @returns {string} <math> element with the source in a TeX annotation
+ */
+export function latexToMathml(latex, display = false) {
+  const source = latex || '';
+  let body;
+  try {
+    body = parseTopLevel({ src: source, pos: 0, font: null, tag: null, number: 0 });
+  } catch (e) {
+    console.warn('LaTeX parse failed:', source, e);
+    body = `<mtext>${escapeText(source)}</mtext>`;
+  }
+
+  const displayAttr = display ? ' display="block"' : '';
+  return `<math xmlns="${MATHML_NS}"${displayAttr}><semantics><mrow>${body}</mrow>` +
+    `<annotation encoding="application/x-tex">${escapeText(source)}</annotation></semantics></math>`;
+}
+
+// ===== Scanner =====
+
+function skipSpace(p) {
+  while (p.pos < p.src.length) {
+    const ch = p.src[p.pos];
+    if (/\s/.test(ch)) {
+      p.pos++;
+    } else if (ch === '%') {
+      // Comment up to the end of the line
+      while (p.pos < p.src.length && p.src[p.pos] !== '\n') p.pos++;
+    } else {
+      break;
+    }
+  }
+}
+
+/**
+ * Next token without consuming it: { type: 'command' | 'char', value, end }
+ */
+function peekToken(p) {
+  skipSpace(p);
+  if (p.pos >= p.src.length) return null;
+
+  const ch = p.src[p.pos];
+  if (ch !== '\\') return { type: 'char', value: ch, end: p.pos + 1 };
+
+  const name = /^[a-zA-Z]+/.exec(p.src.slice(p.pos + 1));
+  if (name) return { type: 'command', value: name[0], end: p.pos + 1 + name[0].length };
+  // Control symbol: \{ \, \\ \| ...
+  const symbol = p.src[p.pos + 1] ?? '';
+  return { type: 'command', value: symbol, end: p.pos + 1 + symbol.length };
+}
+
+function nextToken(p) {
+  const token = peekToken(p);
+  if (token) p.pos = token.end;
+  return token;
+}
+
+function isChar(token, value) {
+  return token?.type === 'char' && token.value === value;
+}
+
+function isCommand(token, value) {
+  return token?.type === 'command' && token.value === value;
+}
+
+/**
+ * Tokens that end an expression: closing brace, table separators and
+ * the parts of \left … \right and \begin … \end
+ */
+function isTerminator(token) {
+  if (!token) return true;
+  if (token.type === 'char') return token.value === '}' || token.value === '&';
+  return ['\\', 'cr', 'right', 'middle', 'end'].includes(token.value);
+}
+
+/**
+ * Raw text of a braced group ({name}, {lcr}, {red}); a single token if
+ * there is no brace
+ */
+function readRawGroup(p) {
+  const token = peekToken(p);
+  if (!token) return '';
+  if (!isChar(token, '{')) {
+    p.pos = token.end;
+    return token.type === 'command' ? '\\' + token.value : token.value;
+  }
+
+  p.pos = token.end;
+  const start = p.pos;
+  let depth = 1;
+  while (p.pos < p.src.length) {
+    const ch = p.src[p.pos];
+    if (ch === '\\') {
+      p.pos += 2;
+      continue;
+    }
+    if (ch === '{') depth++;
+    if (ch === '}' && --depth === 0) break;
+    p.pos++;
+  }
+  const text = p.src.slice(start, p.pos);
+  p.pos++; // closing brace
+  return text;
+}
+
+/**
+ * Optional [argument] right after a command, or null
+ */
+function readOptional(p) {
+  skipSpace(p);
+  if (p.src[p.pos] !== '[') return null;
+  let depth = 0;
+  const start = p.pos + 1;
+  for (; p.pos < p.src.length; p.pos++) {
+    const ch = p.src[p.pos];
+    if (ch === '{') depth++;
+    else if (ch === '}') depth--;
+    else if (ch === ']' && depth === 0) break;
+  }
+  const text = p.src.slice(start, p.pos);
+  p.pos++;
+  return text;
+}
+
+// ===== Parser =====
+
+/**
+ * The whole formula; \\ outside an environment breaks it into lines
+ */
+function parseTopLevel(p) {
+  const lines = [{ atoms: [], tag: null }];
+  while (p.pos < p.src.length) {
+    const line = lines[lines.length - 1];
+    line.atoms.push(...parseExpression(p));
+    line.tag = p.tag;
+    const token = nextToken(p);
+    if (!token) break;
+    if (!isCommand(token, '\\') && !isCommand(token, 'cr')) {
+      // Stray }, &, \right or \end stay visible
+      line.atoms.push(buildError(token.type === 'command' ? '\\' + token.value : token.value));
+      continue;
+    }
+    readOptional(p);
+    lines.push({ atoms: [], tag: null });
+    p.tag = null;
+  }
+
+  const rows = lines.filter(line => line.atoms.length > 0 || line.tag);
+  if (rows.length === 0) return '';
+  if (rows.length === 1 && !rows[0].tag) return rows[0].atoms.join('');
+  return buildTable(rows.map(row => [row.atoms.join('')]), ['center'], true, '0.25em', rows.map(row => row.tag));
+}
+
+/**
+ * Parse atoms up to a terminator (not consumed)
+ * @returns {string[]} MathML of each atom
+ */
+function parseExpression(p) {
+  const savedFont = p.font;
+  const atoms = [];
+
+  while (!isTerminator(peekToken(p))) {
+    const token = peekToken(p);
+
+    // Style and font switches cover the rest of the group
+    if (token.type === 'command' && ['displaystyle', 'textstyle', 'scriptstyle'].includes(token.value)) {
+      p.pos = token.end;
+      const display = token.value === 'displaystyle';
+      atoms.push(`<mstyle displaystyle="${display}" scriptlevel="${token.value === 'scriptstyle' ? 1 : 0}">${parseExpression(p).join('')}</mstyle>`);
+      continue;
+    }
+    if (token.type === 'command' && FONT_SWITCHES.has(token.value)) {
+      p.pos = token.end;
+      p.font = FONTS[token.value];
+      continue;
+    }
+    if (isCommand(token, 'color')) {
+      p.pos = token.end;
+      readRawGroup(p);
+      continue;
+    }
+
+    atoms.push(parseAtom(p));
+  }
+
+  p.font = savedFont;
+  return atoms;
+}
+
+/**
+ * One base with its scripts and primes
+ */
+function parseAtom(p) {
+  const token = peekToken(p);
+  const base = isChar(token, '^') || isChar(token, '_')
+    ? { mathml: '<mrow></mrow>' }
+    : parsePrimary(p);
+
+  let limits = base.limits;
+  let sub = null;
+  let sup = null;
+  let primes = '';
+  let errors = '';
+
+  for (;;) {
+    const next = peekToken(p);
+    if (isCommand(next, 'limits') || isCommand(next, 'nolimits')) {
+      p.pos = next.end;
+      limits = next.value === 'limits';
+      if (base.operator && limits) base.mathml = `<mo movablelimits="false">${base.operator}</mo>`;
+    } else if (isChar(next, '^') && sup === null) {
+      p.pos = next.end;
+      sup = parseScript(p);
+    } else if (isChar(next, '_') && sub === null) {
+      p.pos = next.end;
+      sub = parseScript(p);
+    } else if (isChar(next, '^') || isChar(next, '_')) {
+      // Double superscript or subscript: KaTeX rejects it, keep the source
+      const start = p.pos;
+      p.pos = next.end;
+      parseScript(p);
+      errors += buildError(p.src.slice(start, p.pos).trim());
+    } else if (isChar(next, "'")) {
+      p.pos = next.end;
+      primes += '′';
+    } else {
+      break;
+    }
+  }
+
+  if (primes) sup = `<mo>${primes}</mo>` + (sup ?? '');
+  if (primes && sup !== `<mo>${primes}</mo>`) sup = `<mrow>${sup}</mrow>`;
+
+  let result = base.mathml;
+  if (sub !== null || sup !== null) {
+    const tags = limits ? ['munder', 'mover', 'munderover'] : ['msub', 'msup', 'msubsup'];
+    if (sub !== null && sup !== null) result = `<${tags[2]}>${result}${sub}${sup}</${tags[2]}>`;
+    else if (sub !== null) result = `<${tags[0]}>${result}${sub}</${tags[0]}>`;
+    else result = `<${tags[1]}>${result}${sup}</${tags[1]}>`;
+  }
+
+  // Function names are followed by the invisible function application
+  if (base.func) result += '<mo>\u2061</mo>';
+  return result + errors;
+}
+
+/**
+ * Argument of ^ or _: a group, a command or a single character
+ */
+function parseScript(p) {
+  const token = peekToken(p);
+  if (!token || isTerminator(token)) return '<mrow></mrow>';
+  if (token.type === 'char' && /[0-9]/.test(token.value)) {
+    p.pos = token.end;
+    return buildNumber(token.value, p.font);
+  }
+  return parsePrimary(p).mathml;
+}
+
+/**
+ * A required argument: a group or a single token
+ */
+function parseArgument(p) {
+  const token = peekToken(p);
+  if (!token || isTerminator(token)) return '<mrow></mrow>';
+  if (isChar(token, '{')) return parsePrimary(p).mathml;
+  if (token.type === 'char' && /[0-9]/.test(token.value)) {
+    p.pos = token.end;
+    return buildNumber(token.value, p.font);
+  }
+  return parseAtom(p);
+}
+
+/**
+ * Parse a base: group, character or command.
+ * @returns {{mathml: string, limits?: boolean, operator?: string, func?: boolean}}
+ */
+function parsePrimary(p) {
+  const token = nextToken(p);
+
+  if (token.type === 'char') {
+    const ch = token.value;
+    if (ch === '{') {
+      const atoms = parseExpression(p);
+      if (isChar(peekToken(p), '}')) nextToken(p);
+      return { mathml: wrapRow(atoms) };
+    }
+    if (/[0-9]/.test(ch)) return { mathml: readNumber(p, token) };
+    if (/\p{L}/u.test(ch)) return { mathml: buildIdentifier(ch, p.font) };
+    if (BRACKET_CHARS.has(ch)) return { mathml: `<mo stretchy="false">${escapeText(ch)}</mo>` };
+    if (ch === ',') return { mathml: '<mo separator="true">,</mo>' };
+    if (ch === '~') return { mathml: '<mtext>\u00a0</mtext>' };
+    if (ch === "'") return { mathml: '<mo>′</mo>' };
+    if (ch === '$') return { mathml: '' };
+    if (ch in OPERATOR_CHARS) return { mathml: `<mo>${escapeText(OPERATOR_CHARS[ch])}</mo>` };
+    return { mathml: `<mo>${escapeText(ch)}</mo>` };
+  }
+
+  return parseCommand(p, token.value);
+}
+
+function readNumber(p, first) {
+  let text = first.value;
+  // Digits and a decimal point right after them (no spaces): 3.14
+  while (p.pos < p.src.length && /[0-9.]/.test(p.src[p.pos])) {
+    if (p.src[p.pos] === '.' && !/[0-9]/.test(p.src[p.pos + 1] ?? '')) break;
+    text += p.src[p.pos++];
+  }
+  return buildNumber(text, p.font);
+}
+
+function parseCommand(p, name) {
+  if (name in IDENTIFIERS) return { mathml: buildIdentifier(IDENTIFIERS[name], p.font) };
+  if (name in UPRIGHT_IDENTIFIERS) return { mathml: buildIdentifier(UPRIGHT_IDENTIFIERS[name], p.font || 'normal') };
+  if (name in DOUBLE_STRUCK) return { mathml: buildIdentifier(DOUBLE_STRUCK[name], 'double-struck') };
+  if (name in OPERATORS) return { mathml: `<mo>${escapeText(OPERATORS[name])}</mo>` };
+  if (name in BRACKETS) return { mathml: `<mo stretchy="false">${escapeText(BRACKETS[name])}</mo>` };
+  if (name in SPACES) return { mathml: `<mspace width="${SPACES[name]}"/>` };
+  if (name === ' ' || name === '') return { mathml: '<mtext>\u00a0</mtext>' };
+  if ('#$%&_'.includes(name)) return { mathml: `<mi>${escapeText(name)}</mi>` };
+
+  if (name in BIG_OPERATORS) {
+    return { mathml: `<mo>${BIG_OPERATORS[name]}</mo>`, limits: true, operator: BIG_OPERATORS[name] };
+  }
+  if (name in INTEGRALS) {
+    return { mathml: `<mo>${INTEGRALS[name]}</mo>`, limits: name === 'intop', operator: INTEGRALS[name] };
+  }
+  if (FUNCTIONS.has(name)) return { mathml: `<mi>${name}</mi>`, func: true };
+  if (name in LIMIT_FUNCTIONS) return { mathml: `<mi>${LIMIT_FUNCTIONS[name]}</mi>`, func: true, limits: true };
+
+  if (name in FONTS) return parseFont(p, FONTS[name]);
+  if (name in TEXT_FONTS) return { mathml: parseText(p, TEXT_FONTS[name]) };
+  if (name in ACCENTS) {
+    const stretchy = STRETCHY_ACCENTS.has(name) ? ' stretchy="true"' : '';
+    return { mathml: `<mover accent="true">${parseArgument(p)}<mo${stretchy}>${escapeText(ACCENTS[name])}</mo></mover>` };
+  }
+  if (name in ENCLOSURES) {
+    const content = name === 'fbox' ? parseText(p, null) : parseArgument(p);
+    return { mathml: `<menclose notation="${ENCLOSURES[name]}">${content}</menclose>` };
+  }
+  if (name in EXTENSIBLE_ARROWS) {
+    const below = readOptional(p);
+    const above = parseArgument(p);
+    const arrow = `<mo>${EXTENSIBLE_ARROWS[name]}</mo>`;
+    if (below !== null) {
+      return { mathml: `<munderover>${arrow}${parseLatex(below, p.font)}${above}</munderover>` };
+    }
+    return { mathml: `<mover>${arrow}${above}</mover>` };
+  }
+  if (BIG_DELIMITERS.has(name)) {
+    // \bigl( … \bigr) pair up like \left … \right, a bare \big| does not
+    const fence = /[lr]$/.test(name) ? 'true' : 'false';
+    return { mathml: `<mo fence="${fence}" stretchy="true">${escapeText(readDelimiter(p))}</mo>` };
+  }
+  if (IGNORED_COMMANDS.has(name)) return { mathml: '' };
+  if (IGNORED_WITH_ARGUMENT.has(name)) {
+    readRawGroup(p);
+    return { mathml: '' };
+  }
+  if (name === 'notag' || name === 'nonumber') {
+    // An empty label keeps the row of a numbered environment unnumbered
+    if (p.tag === null) p.tag = '';
+    return { mathml: '' };
+  }
+  if (name === 'tag') {
+    // The number goes to the row label; \tag* prints it without parentheses
+    const star = p.src[p.pos] === '*' ? (p.pos++, true) : false;
+    const text = readRawGroup(p).trim();
+    p.tag = star ? text : `(${text})`;
+    return { mathml: '' };
+  }
+
+  switch (name) {
+    case 'frac':
+    case 'dfrac':
+    case 'tfrac':
+    case 'cfrac': {
+      const fraction = `<mfrac>${parseArgument(p)}${parseArgument(p)}</mfrac>`;
+      if (name === 'frac') return { mathml: fraction };
+      const display = name === 'tfrac' ? 'false' : 'true';
+      return { mathml: `<mstyle displaystyle="${display}" scriptlevel="0">${fraction}</mstyle>` };
+    }
+    case 'binom':
+    case 'dbinom':
+    case 'tbinom': {
+      const binom = `<mrow><mo fence="true">(</mo><mfrac linethickness="0px">${parseArgument(p)}${parseArgument(p)}</mfrac><mo fence="true">)</mo></mrow>`;
+      if (name === 'binom') return { mathml: binom };
+      return { mathml: `<mstyle displaystyle="${name === 'dbinom'}" scriptlevel="0">${binom}</mstyle>` };
+    }
+    case 'sqrt': {
+      const degree = readOptional(p);
+      const radicand = parseArgument(p);
+      if (degree !== null) return { mathml: `<mroot>${radicand}${parseLatex(degree, p.font)}</mroot>` };
+      return { mathml: `<msqrt>${radicand}</msqrt>` };
+    }
+    case 'overline':
+      return { mathml: `<mover accent="true">${parseArgument(p)}<mo stretchy="true">‾</mo></mover>` };
+    case 'underline':
+      return { mathml: `<munder accentunder="true">${parseArgument(p)}<mo stretchy="true">‾</mo></munder>` };
+    case 'overbrace':
+      // The label in ^{…} goes above the brace
+      return { mathml: `<mover accent="true">${parseArgument(p)}<mo stretchy="true">⏞</mo></mover>`, limits: true };
+    case 'underbrace':
+      return { mathml: `<munder accentunder="true">${parseArgument(p)}<mo stretchy="true">⏟</mo></munder>`, limits: true };
+    case 'overset':
+    case 'stackrel': {
+      const over = parseArgument(p);
+      return { mathml: `<mover>${parseArgument(p)}${over}</mover>` };
+    }
+    case 'underset': {
+      const under = parseArgument(p);
+      return { mathml: `<munder>${parseArgument(p)}${under}</munder>` };
+    }
+    case 'operatorname':
+    case 'operatornamewithlimits': {
+      const star = p.src[p.pos] === '*' ? (p.pos++, true) : false;
+      const text = readRawGroup(p).replace(/\\[a-zA-Z]+\s*|[{}\\]/g, '').trim();
+      const mathml = Array.from(text).length > 1
+        ? `<mi>${escapeText(text)}</mi>`
+        : `<mi mathvariant="normal">${escapeText(text)}</mi>`;
+      return { mathml, func: true, limits: star || name === 'operatornamewithlimits' };
+    }
+    case 'mathop':
+      return { mathml: parseArgument(p), limits: true };
+    case 'mathrel':
+    case 'mathbin':
+    case 'mathord':
+    case 'mathopen':
+    case 'mathclose':
+    case 'mathpunct':
+    case 'textcolor':
+      if (name === 'textcolor') readRawGroup(p);
+      return { mathml: parseArgument(p) };
+    case 'colorbox':
+      readRawGroup(p);
+      return { mathml: parseText(p, null) };
+    case 'phantom':
+    case 'hphantom':
+      return { mathml: `<mphantom>${parseArgument(p)}</mphantom>` };
+    case 'not': {
+      const next = parsePrimary(p).mathml;
+      const symbol = /^<m[oi][^>]*>([^<]+)<\/m[oi]>$/.exec(next)?.[1];
+      if (!symbol) return { mathml: next };
+      return { mathml: `<mo>${NEGATIONS[symbol] || symbol + '\u0338'}</mo>` };
+    }
+    case 'bmod':
+      return { mathml: '<mo lspace="0.2222em" rspace="0.2222em">mod</mo>' };
+    case 'pmod':
+      return { mathml: `<mrow><mspace width="0.4444em"/><mo stretchy="false">(</mo><mi>mod</mi><mspace width="0.3333em"/>${parseArgument(p)}<mo stretchy="false">)</mo></mrow>` };
+    case 'mod':
+      return { mathml: `<mrow><mspace width="0.4444em"/><mi>mod</mi><mspace width="0.3333em"/>${parseArgument(p)}</mrow>` };
+    case 'left':
+      return { mathml: parseLeftRight(p) };
+    case 'begin':
+      return { mathml: parseEnvironment(p, readRawGroup(p).trim()) };
+    case 'substack': {
+      if (isChar(peekToken(p), '{')) nextToken(p);
+      const { rows } = parseRows(p, () => isChar(peekToken(p), '}') ? (nextToken(p), true) : !peekToken(p));
+      return { mathml: buildTable(rows, ['center'], false) };
+    }
+    default:
+      // Unknown macro: shown as source, like KaTeX with throwOnError: false
+      return { mathml: buildError('\\' + name) };
+  }
+}
+
+/**
+ * \mathbb{R}, \mathbf{v}: the argument with a mathvariant on every token
+ */
+function parseFont(p, font) {
+  const saved = p.font;
+  p.font = font;
+  const mathml = parseArgument(p);
+  p.font = saved;
+  return { mathml };
+}
+
+/**
+ * \text{…}: spaces become no-break spaces (like KaTeX) so they survive,
+ * $…$ inside switches back to math
+ */
+function parseText(p, font) {
+  const raw = readRawGroup(p);
+  const variant = font ? ` mathvariant="${font}"` : '';
+  const parts = [];
+  let text = '';
+  const flush = () => {
+    if (text) parts.push(`<mtext${variant}>${escapeText(text)}</mtext>`);
+    text = '';
+  };
+
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    if (ch === '$') {
+      const end = raw.indexOf('$', i + 1);
+      if (end !== -1) {
+        flush();
+        parts.push(parseLatex(raw.slice(i + 1, end), null));
+        i = end;
+        continue;
+      }
+    }
+    if (ch === '\\') {
+      const command = /^\\([a-zA-Z]+)\s*/.exec(raw.slice(i));
+      if (command) {
+        // \textbackslash and friends are rare; a known symbol or nothing
+        const name = command[1];
+        text += name === 'textbackslash' ? '\\' : name === 'quad' ? '\u2003' : '';
+        i += command[0].length - 1;
+      } else {
+        const next = raw[i + 1] ?? '';
+        text += next === ' ' || next === ',' ? '\u00a0' : next;
+        i++;
+      }
+      continue;
+    }
+    if (ch === '{' || ch === '}') continue;
+    text += /\s/.test(ch) ? '\u00a0' : ch;
+  }
+  flush();
+
+  return wrapRow(parts);
+}
+
+/**
+ * \left( … \middle| … \right): fence="true" operators in one mrow
+ */
+function parseLeftRight(p) {
+  let result = `<mo fence="true">${escapeText(readDelimiter(p))}</mo>`;
+  for (;;) {
+    result += parseExpression(p).join('');
+    const token = peekToken(p);
+    if (isCommand(token, 'middle')) {
+      p.pos = token.end;
+      result += `<mo fence="true">${escapeText(readDelimiter(p))}</mo>`;
+      continue;
+    }
+    if (isCommand(token, 'right')) {
+      p.pos = token.end;
+      result += `<mo fence="true">${escapeText(readDelimiter(p))}</mo>`;
+    } else {
+      // Missing \right: close invisibly
+      result += '<mo fence="true"></mo>';
+    }
+    return `<mrow>${result}</mrow>`;
+  }
+}
+
+function readDelimiter(p) {
+  const token = nextToken(p);
+  if (!token) return '';
+  const key = token.type === 'command' ? '\\' + token.value : token.value;
+  return key in DELIMITERS ? DELIMITERS[key] : key.replace(/^\\/, '');
+}
+
+/**
+ * \begin{name} … \end{name}
+ */
+function parseEnvironment(p, name) {
+  const base = name.replace(/\*$/, '');
+  let columnSpec = null;
+  if (name === 'array' || name === 'darray' || name === 'subarray') {
+    columnSpec = readRawGroup(p);
+  } else if (base === 'alignat' || base === 'alignedat') {
+    readRawGroup(p);
+  } else if (base in MATRICES) {
+    readOptional(p);
+  }
+
+  const { rows, tags } = parseRows(p, () => {
+    const token = peekToken(p);
+    if (!token) return true;
+    if (!isCommand(token, 'end')) return false;
+    p.pos = token.end;
+    readRawGroup(p);
+    return true;
+  });
+  const columns = Math.max(1, ...rows.map(row => row.length));
+  if (NUMBERED_ENVIRONMENTS.has(name)) {
+    rows.forEach((row, i) => { tags[i] = tags[i] ?? `(${++p.number})`; });
+  }
+
+  if (base in MATRICES) {
+    const [open, close] = MATRICES[base];
+    const table = buildTable(rows, Array(columns).fill('center'), false, '0.16em');
+    return open ? `<mrow><mo fence="true">${escapeText(open)}</mo>${table}<mo fence="true">${escapeText(close)}</mo></mrow>` : table;
+  }
+  if (base in CASES_ENVIRONMENTS) {
+    const [open, close, display] = CASES_ENVIRONMENTS[base];
+    const table = buildTable(rows, Array(columns).fill('left'), display, '0.36em');
+    return `<mrow><mo fence="true">${escapeText(open)}</mo>${table}<mo fence="true">${escapeText(close)}</mo></mrow>`;
+  }
+  if (ALIGN_ENVIRONMENTS.has(name) || ALIGN_ENVIRONMENTS.has(base)) {
+    const aligns = Array.from({ length: columns }, (_, i) => i % 2 === 0 ? 'right' : 'left');
+    return buildTable(rows, aligns, true, '0.25em', tags);
+  }
+  if (GATHER_ENVIRONMENTS.has(name) || GATHER_ENVIRONMENTS.has(base)) {
+    return buildTable(rows, ['center'], true, '0.25em', tags);
+  }
+  if (columnSpec !== null) {
+    const aligns = (columnSpec.match(/[lcr]/g) || ['c']).map(c => ({ l: 'left', c: 'center', r: 'right' })[c]);
+    while (aligns.length < columns) aligns.push('center');
+    return buildTable(rows, aligns, name === 'darray');
+  }
+  return buildTable(rows, Array(columns).fill('center'), false);
+}
+
+/**
+ * Table rows split by \\ and cells by &, up to the point where `atEnd`
+ * returns true (it consumes the closing token)
+ * @returns {{rows: string[][], tags: Array<string|null>}} MathML of the
+ *   cells and the \tag label of each row
+ */
+function parseRows(p, atEnd) {
+  const outerTag = p.tag;
+  const rows = [[]];
+  const tags = [];
+  let cell = [];
+  p.tag = null;
+  for (;;) {
+    cell.push(...parseExpression(p));
+    tags[rows.length - 1] = p.tag;
+    if (atEnd()) break;
+
+    const token = nextToken(p);
+    if (isChar(token, '&')) {
+      rows[rows.length - 1].push(cell.join(''));
+      cell = [];
+    } else if (isCommand(token, '\\') || isCommand(token, 'cr')) {
+      readOptional(p);
+      rows[rows.length - 1].push(cell.join(''));
+      rows.push([]);
+      cell = [];
+      p.tag = null;
+    }
+    // Stray } or \right inside a table are skipped
+  }
+  rows[rows.length - 1].push(cell.join(''));
+  p.tag = outerTag;
+
+  // A trailing \\ leaves an empty last row
+  const last = rows[rows.length - 1];
+  if (rows.length > 1 && last.length === 1 && !last[0] && !tags[rows.length - 1]) rows.pop();
+  return { rows, tags };
+}
+
+/**
+ * mtable in KaTeX's shape: cells wrapped in mstyle with the display style,
+ * rows with a \tag become mlabeledtr with the label as the first cell
+ */
+function buildTable(rows, aligns, display, rowspacing = '0.25em', tags = []) {
+  const columnalign = aligns.join(' ');
+  const cells = rows.map((row, i) => {
+    const content = row.map(cell =>
+      `<mtd><mstyle scriptlevel="0" displaystyle="${display}"><mrow>${cell}</mrow></mstyle></mtd>`
+    ).join('');
+    return tags[i]
+      ? `<mlabeledtr><mtd><mtext>${escapeText(tags[i])}</mtext></mtd>${content}</mlabeledtr>`
+      : `<mtr>${content}</mtr>`;
+  }).join('');
+  return `<mtable rowspacing="${rowspacing}" columnalign="${columnalign}" columnspacing="1em">${cells}</mtable>`;
+}
+
+/**
+ * Parse a LaTeX fragment (optional arguments, math inside \text)
+ */
+function parseLatex(latex, font) {
+  const p = { src: latex, pos: 0, font, tag: null, number: 0 };
+  const atoms = [];
+  while (p.pos < p.src.length) {
+    atoms.push(...parseExpression(p));
+    if (!nextToken(p)) break;
+  }
+  return wrapRow(atoms);
+}
+
+// ===== Builders =====
+
+function buildIdentifier(ch, font) {
+  const variant = font ? ` mathvariant="${font}"` : '';
+  return `<mi${variant}>${escapeText(ch)}</mi>`;
+}
+
+function buildNumber(text, font) {
+  // Digits are upright anyway; only bold-like fonts change them
+  const variant = font && font !== 'normal' && font !== 'italic' ? ` mathvariant="${font}"` : '';
+  return `<mn${variant}>${escapeText(text)}</mn>`;
+}
+
+function wrapRow(atoms) {
+  const content = atoms.filter(Boolean);
+  return content.length === 1 ? content[0] : `<mrow>${content.join('')}</mrow>`;
+}
+
+/**
+ * Source that could not be parsed, kept readable
+ */
+function buildError(source) {
+  return `<merror><mtext>${escapeText(source)}</mtext></merror>`;
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
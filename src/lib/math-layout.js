@@ -0,0 +1,994 @@
+/**
+ * Math Layout - typesets MathML into positioned glyphs, rules and paths
+ * for the PDF writer.
+ *
+ * A small TeX-like box model: every MathML node becomes a box (width,
+ * ascent, descent) holding drawing items relative to its baseline origin,
+ * with y pointing up. Fraction bars, radicals, stretched fences, braces
+ * and arrows are vector rules and paths; glyphs are set in the document
+ * font, so formulas stay sharp at any zoom and their text can be selected.
+ * All sizes are in points.
+ */
+
+// Proportions of the em (the current font size)
+const AXIS_HEIGHT = 0.3;
+const ASCENT = 0.76;
+const X_HEIGHT = 0.56;
+const DESCENT = 0.24;
+const RULE_THICKNESS = 0.06;
+
+// Extra advance of italic letters so the slanted top does not touch what follows
+const ITALIC_CORRECTION = 0.03;
+
+// Font size factors for scriptlevel 0, 1 and 2+
+const SCRIPT_SCALES = [1, 0.71, 0.55];
+
+// Spacing around operators (em)
+const THIN_SPACE = 0.1667;
+const MEDIUM_SPACE = 0.2222;
+const THICK_SPACE = 0.2778;
+
+const RELATIONS = new Set([
+  '=', '≠', '<', '>', '≤', '≥', '≦', '≧', '≪', '≫', '≈', '≡', '∼', '≃', '≅', '∝', '≺', '≻', '⪯', '⪰',
+  '→', '←', '↔', '⇒', '⇐', '⇔', '↦', '⟶', '⟵', '⟷', '⟹', '⟸', '⟺', '↑', '↓', '⇑', '⇓',
+  '∈', '∉', '∋', '⊂', '⊃', '⊆', '⊇', '⊄', '⊊', '⊋', '⊥', '∥', '∣', '∤', '≔', ':=', '≐', '⊢', '⊨', '∶',
+]);
+
+const BINARY_OPERATORS = new Set([
+  '+', '−', '-', '±', '∓', '×', '÷', '·', '⋅', '∗', '∘', '∙', '∪', '∩', '∧', '∨', '⊕', '⊖', '⊗',
+  '⊙', '∖', '⋆', '⋄', '⊓', '⊔', '⊎', '≀', '†', '‡', '⨿',
+]);
+
+const PUNCTUATION = new Set([',', ';']);
+
+const LARGE_OPERATORS = new Set(['∑', '∏', '∐', '⋃', '⋂', '⋁', '⋀', '⨁', '⨂', '⨀', '⨄', '⨆', '∫', '∬', '∭', '∮', '∯', '∰']);
+const INTEGRALS = new Set(['∫', '∬', '∭', '∮', '∯', '∰']);
+
+// Operator names whose limits go under and over only in display formulas
+const LIMIT_NAMES = new Set(['lim', 'liminf', 'limsup', 'lim inf', 'lim sup', 'max', 'min', 'sup', 'inf',
+  'det', 'gcd', 'Pr', 'argmax', 'argmin', 'arg max', 'arg min']);
+
+const FENCES = new Set(['(', ')', '[', ']', '{', '}', '|', '‖', '∣', '∥', '⟨', '⟩', '〈', '〉', '⌈', '⌉', '⌊', '⌋', '⟦', '⟧']);
+
+// Accents drawn as a rule, an arrow or a brace spanning the base
+const LINE_ACCENTS = new Set(['‾', '¯', 'ˉ', '_', '―', '—', '\u0305', '\u0332']);
+const ARROW_ACCENTS = { '→': 'right', '\u20d7': 'right', '⟶': 'right', '←': 'left', '\u20d6': 'left', '↔': 'both', '\u20e1': 'both' };
+const BRACE_ACCENTS = new Set(['⏞', '⏟', '︷', '︸']);
+
+// Accents drawn as a glyph centred over the base: spacing forms of the marks
+const GLYPH_ACCENTS = {
+  '^': 'ˆ', 'ˆ': 'ˆ', '\u0302': 'ˆ', '~': '˜', '˜': '˜', '\u0303': '˜', '˙': '˙', '\u0307': '˙',
+  '¨': '¨', '\u0308': '¨', '\u20db': '⋯', 'ˇ': 'ˇ', '\u030c': 'ˇ', '˘': '˘', '\u0306': '˘',
+  'ˊ': 'ˊ', '´': 'ˊ', '\u0301': 'ˊ', 'ˋ': 'ˋ', '`': 'ˋ', '\u0300': 'ˋ', '˚': '˚', '\u030a': '˚',
+};
+
+// Natural extent of fence glyphs (em) before they are stretched
+const FENCE_TOP = 0.76;
+const FENCE_BOTTOM = 0.13;
+
+// Letter-like symbols that replace Mathematical Alphanumeric code points
+const VARIANT_LETTERS = {
+  'double-struck': { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' },
+  'script': { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' },
+  'fraktur': { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' },
+};
+
+// First code points of A and a in the Mathematical Alphanumeric Symbols block
+const VARIANT_OFFSETS = {
+  'double-struck': [0x1d538, 0x1d552],
+  'script': [0x1d49c, 0x1d4b6],
+  'fraktur': [0x1d504, 0x1d51e],
+};
+
+// Variants that have no glyphs in the font are approximated by weight and slant
+const VARIANT_FALLBACKS = {
+  'double-struck': { bold: true },
+  'script': { italic: true },
+  'bold-script': { bold: true, italic: true },
+  'fraktur': {},
+  'bold-fraktur': { bold: true },
+};
+
+const NAMED_SPACES = {
+  veryverythinmathspace: 1 / 18, verythinmathspace: 2 / 18, thinmathspace: 3 / 18,
+  mediummathspace: 4 / 18, thickmathspace: 5 / 18, verythickmathspace: 6 / 18,
+  veryverythickmathspace: 7 / 18,
+};
+
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff',
+  orange: '#ffa500', purple: '#800080', gray: '#808080', grey: '#808080', brown: '#a52a2a',
+  magenta: '#ff00ff', cyan: '#00ffff', teal: '#008080', olive: '#808000', navy: '#000080',
+};
+
+/**
+ * Lay out a formula.
+ * @param {string} mathml - MathML markup (KaTeX or latex-to-mathml output)
+ * @param {Object} options
+ * @param {number} options.size - font size in points
+ * @param {boolean} options.display - display style (big operators, limits above and below)
+ * @param {Function} options.measure - (text, bold) => advance width in em
+ * @param {Function} options.hasGlyph - (char) => whether the font can draw it
+ * @param {string} options.color - default color of the items (null: the text color)
+ * @returns {{width: number, ascent: number, descent: number, items: Array}|null}
+ *   items are { type: 'glyph', text, x, y, size, bold, italic, scaleX, scaleY, color },
+ *   { type: 'rule', x, y, width, height, color } (y is the bottom edge) and
+ *   { type: 'path', points: [[x, y], ...], lineWidth, closed, color };
+ *   null when the markup is not MathML
+ */
+export function layoutMath(mathml, options = {}) {
+  const math = parseMathml(mathml);
+  if (!math) return null;
+
+  const {
+    size = 11,
+    display = false,
+    measure = estimateWidth,
+    hasGlyph = () => true,
+    color = null,
+  } = options;
+  const ctx = { size, baseSize: size, level: 0, display, measure, hasGlyph, color };
+  return layoutRow(getChildElements(math), ctx);
+}
+
+// ===== Nodes =====
+
+function layoutNode(node, ctx) {
+  if (!node) return emptyBox();
+  const color = parseColor(node.getAttribute('mathcolor'));
+  if (color) ctx = { ...ctx, color };
+
+  const children = getChildElements(node);
+  switch (localName(node)) {
+    case 'annotation':
+    case 'annotation-xml':
+    case 'none':
+    case 'mprescripts':
+      return emptyBox();
+    case 'semantics':
+    case 'maction':
+      return layoutNode(children[0], ctx);
+    case 'mstyle':
+      return layoutRow(children, styleContext(node, ctx));
+    case 'mi':
+    case 'mn':
+    case 'mtext':
+    case 'ms':
+      return layoutToken(node, ctx);
+    case 'mo':
+      return layoutOperator(node, ctx);
+    case 'mspace':
+      return layoutSpace(node, ctx);
+    case 'msup':
+      return layoutScripts(children[0], null, children[1], ctx);
+    case 'msub':
+      return layoutScripts(children[0], children[1], null, ctx);
+    case 'msubsup':
+    case 'mmultiscripts':
+      return layoutScripts(children[0], children[1], children[2], ctx);
+    case 'munder':
+      return layoutUnderOver(node, children[0], children[1], null, ctx);
+    case 'mover':
+      return layoutUnderOver(node, children[0], null, children[1], ctx);
+    case 'munderover':
+      return layoutUnderOver(node, children[0], children[1], children[2], ctx);
+    case 'mfrac':
+      return layoutFraction(node, children, ctx);
+    case 'msqrt':
+      return layoutRadical(layoutRow(children, ctx), null, ctx);
+    case 'mroot':
+      return layoutRadical(layoutNode(children[0], ctx), layoutNode(children[1], scriptContext(ctx, 2)), ctx);
+    case 'mfenced':
+      return layoutFenced(node, children, ctx);
+    case 'mtable':
+      return layoutTable(node, ctx);
+    case 'menclose':
+      return layoutEnclose(node, layoutRow(children, ctx), ctx);
+    case 'mphantom':
+      return { ...layoutRow(children, ctx), items: [] };
+    case 'mpadded':
+      return layoutPadded(node, layoutRow(children, ctx), ctx);
+    default:
+      return layoutRow(children, ctx);
+  }
+}
+
+/**
+ * mstyle: displaystyle, scriptlevel and mathcolor for the subtree
+ */
+function styleContext(node, ctx) {
+  let result = ctx;
+  const display = node.getAttribute('displaystyle');
+  if (display === 'true' || display === 'false') result = { ...result, display: display === 'true' };
+
+  const level = node.getAttribute('scriptlevel');
+  if (level !== null && level !== '') {
+    const value = /^[+-]/.test(level) ? ctx.level + parseInt(level, 10) : parseInt(level, 10);
+    if (!Number.isNaN(value)) result = withLevel(result, Math.max(0, value));
+  }
+  return result;
+}
+
+function withLevel(ctx, level) {
+  const scale = SCRIPT_SCALES[Math.min(level, SCRIPT_SCALES.length - 1)];
+  return { ...ctx, level, size: ctx.baseSize * scale };
+}
+
+/**
+ * Context of scripts, limits and fraction parts: smaller and never display style
+ */
+function scriptContext(ctx, levels = 1) {
+  return { ...withLevel(ctx, ctx.level + levels), display: false };
+}
+
+// ===== Rows and operator spacing =====
+
+/**
+ * Children side by side. Fences that may stretch are sized to the tallest
+ * of the other children, operators get TeX-like spacing.
+ */
+function layoutRow(children, ctx) {
+  const nodes = children.filter(child => !['annotation', 'annotation-xml'].includes(localName(child)));
+  const boxes = nodes.map(node => isStretchyFence(node) ? null : layoutNode(node, ctx));
+
+  let ascent = 0;
+  let descent = 0;
+  for (const box of boxes) {
+    if (!box) continue;
+    ascent = Math.max(ascent, box.ascent);
+    descent = Math.max(descent, box.descent);
+  }
+  nodes.forEach((node, i) => {
+    if (!boxes[i]) boxes[i] = layoutFence(node.textContent.trim(), ascent, descent, ctx);
+  });
+
+  const row = emptyBox();
+  let x = 0;
+  nodes.forEach((node, i) => {
+    const [before, after] = operatorSpacing(nodes, i, ctx);
+    x += before;
+    appendBox(row, boxes[i], x, 0);
+    x += boxes[i].width + after;
+  });
+  row.width = x;
+  return row;
+}
+
+/**
+ * Space before and after the i-th child (points)
+ */
+function operatorSpacing(nodes, i, ctx) {
+  const op = getEmbellishedOperator(nodes[i]);
+  if (!op) return [0, 0];
+  const text = op.textContent.trim();
+  const em = ctx.size;
+  const first = i === 0;
+  const last = i === nodes.length - 1;
+
+  const lspace = parseLength(op.getAttribute('lspace'), em);
+  const rspace = parseLength(op.getAttribute('rspace'), em);
+  if (lspace !== null || rspace !== null) return [lspace ?? 0, rspace ?? 0];
+
+  // Function application: a thin space unless the argument is bracketed
+  if (text === '\u2061') {
+    const next = nodes[i + 1];
+    const nextText = next ? next.textContent.trim() : '';
+    return [0, /^[([{|‖⟨]/.test(nextText) || ctx.level > 0 ? 0 : THIN_SPACE * em];
+  }
+
+  if (ctx.level > 0) return [0, 0];
+
+  if (RELATIONS.has(text)) {
+    return [first ? 0 : THICK_SPACE * em, last ? 0 : THICK_SPACE * em];
+  }
+  if (BINARY_OPERATORS.has(text)) {
+    // A sign at the start or after another operator is unary
+    const prev = nodes[i - 1];
+    if (first || last || (getEmbellishedOperator(prev) && !isClosingFence(prev))) return [0, 0];
+    return [MEDIUM_SPACE * em, MEDIUM_SPACE * em];
+  }
+  if (PUNCTUATION.has(text)) return [0, last ? 0 : THIN_SPACE * em];
+  if (LARGE_OPERATORS.has(text)) return [0, last ? 0 : THIN_SPACE * em];
+  return [0, 0];
+}
+
+/**
+ * The operator a node stands for: an mo, possibly with scripts
+ */
+function getEmbellishedOperator(node) {
+  if (!node) return null;
+  const name = localName(node);
+  if (name === 'mo') return node;
+  if (['msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover', 'mrow', 'mstyle'].includes(name)) {
+    const children = getChildElements(node);
+    if (name === 'mrow' && children.length !== 1) return null;
+    return getEmbellishedOperator(children[0]);
+  }
+  return null;
+}
+
+function isClosingFence(node) {
+  return /^[)\]}|‖⟩〉⌉⌋⟧]$/.test(node.textContent.trim());
+}
+
+function isStretchyFence(node) {
+  if (localName(node) !== 'mo') return false;
+  const stretchy = node.getAttribute('stretchy');
+  if (stretchy === 'false') return false;
+  if (stretchy !== 'true' && node.getAttribute('fence') !== 'true') return false;
+  const text = node.textContent.trim();
+  return text === '' || FENCES.has(text);
+}
+
+// ===== Tokens =====
+
+function layoutToken(node, ctx) {
+  const name = localName(node);
+  let text = node.textContent.replace(/\u00a0/g, ' ');
+  if (name === 'ms') text = `"${text}"`;
+  else if (name !== 'mtext') text = text.trim();
+
+  let variant = node.getAttribute('mathvariant');
+  if (!variant) variant = name === 'mi' && isAutoItalic(text) ? 'italic' : 'normal';
+  return styledText(text, variant, ctx);
+}
+
+/**
+ * Single letters are italic unless they are upper-case Greek
+ */
+function isAutoItalic(text) {
+  const chars = Array.from(text);
+  return chars.length === 1 && /[A-Za-zα-ωϑϕϖϱϵıȷ]/.test(chars[0]);
+}
+
+/**
+ * Text in a mathvariant: letter-like symbols where the font has them,
+ * weight and slant otherwise
+ */
+function styledText(text, variant, ctx) {
+  const bold = variant.startsWith('bold');
+  const italic = variant === 'italic' || variant === 'bold-italic' || variant === 'sans-serif-italic';
+  const base = variant.replace(/^bold-/, '');
+
+  const runs = [];
+  for (const rawChar of Array.from(text)) {
+    const char = normalizeLetter(rawChar);
+    let run = { text: char.text, bold: bold || char.bold, italic: italic || char.italic };
+    if (VARIANT_OFFSETS[base] && /^[A-Za-z]$/.test(char.text)) {
+      run = variantLetter(char.text, base, variant, ctx) || run;
+    }
+    const last = runs[runs.length - 1];
+    if (last && last.bold === run.bold && last.italic === run.italic) last.text += run.text;
+    else runs.push(run);
+  }
+
+  const box = emptyBox();
+  for (const run of runs) {
+    appendBox(box, glyphBox(run.text, ctx, run), box.width, 0);
+  }
+  return box;
+}
+
+/**
+ * Mathematical italic and bold letters (U+1D400…) back to plain letters
+ */
+function normalizeLetter(ch) {
+  if (ch === 'ℎ') return { text: 'h', italic: true };
+  const code = ch.codePointAt(0);
+  if (code >= 0x1d400 && code < 0x1d468) {
+    const index = (code - 0x1d400) % 52;
+    const letter = String.fromCharCode(index < 26 ? 65 + index : 97 + index - 26);
+    return code < 0x1d434 ? { text: letter, bold: true } : { text: letter, italic: true };
+  }
+  return { text: ch };
+}
+
+function variantLetter(letter, base, variant, ctx) {
+  const special = VARIANT_LETTERS[base]?.[letter];
+  const [upper, lower] = VARIANT_OFFSETS[base];
+  const code = letter <= 'Z' ? upper + letter.charCodeAt(0) - 65 : lower + letter.charCodeAt(0) - 97;
+  const candidate = special || String.fromCodePoint(code);
+  if (ctx.hasGlyph(candidate)) return { text: candidate, bold: false, italic: false };
+  const fallback = VARIANT_FALLBACKS[variant] || VARIANT_FALLBACKS[base] || {};
+  return { text: letter, bold: !!fallback.bold, italic: !!fallback.italic };
+}
+
+function layoutOperator(node, ctx) {
+  let text = node.textContent.trim();
+  if (/^[\u2061-\u2064]$/.test(text)) return emptyBox();
+  if (text === '-') text = '−';
+
+  if (LARGE_OPERATORS.has(text) && node.getAttribute('largeop') !== 'false') {
+    const scale = ctx.display ? (INTEGRALS.has(text) ? 1.8 : 1.4) : 1;
+    const size = ctx.size * scale;
+    const box = glyphBox(text, { ...ctx, size }, { italic: false });
+    // Centre the symbol on the math axis
+    const shift = AXIS_HEIGHT * ctx.size - ((ASCENT - DESCENT) / 2) * size;
+    const result = emptyBox();
+    appendBox(result, { ...box, ascent: ASCENT * size, descent: DESCENT * size }, 0, shift);
+    result.width = box.width;
+    return result;
+  }
+  return glyphBox(text, ctx, {});
+}
+
+function layoutSpace(node, ctx) {
+  const box = emptyBox();
+  box.width = parseLength(node.getAttribute('width'), ctx.size) ?? 0;
+  box.ascent = Math.max(0, parseLength(node.getAttribute('height'), ctx.size) ?? 0);
+  box.descent = Math.max(0, parseLength(node.getAttribute('depth'), ctx.size) ?? 0);
+  return box;
+}
+
+// ===== Stretched fences =====
+
+/**
+ * A fence tall enough to enclose content of the given ascent/descent,
+ * symmetric about the math axis
+ */
+function layoutFence(text, ascent, descent, ctx) {
+  if (!text) return emptyBox();
+  const em = ctx.size;
+  const axis = AXIS_HEIGHT * em;
+  const half = Math.max(ascent - axis, descent + axis) + 0.05 * em;
+  const natural = (FENCE_TOP + FENCE_BOTTOM) * em;
+  if (2 * half <= natural * 1.15) return glyphBox(text, ctx, {});
+
+  const top = axis + half;
+  const bottom = axis - half;
+  const box = { width: 0, ascent: top, descent: -bottom, items: [] };
+
+  // Vertical bars are plain rules
+  if (text === '|' || text === '∣' || text === '‖' || text === '∥') {
+    const bars = text === '‖' || text === '∥' ? 2 : 1;
+    const thickness = 0.07 * em;
+    box.width = measureText(text, ctx, false) * em;
+    const start = (box.width - (bars * thickness + (bars - 1) * 0.12 * em)) / 2;
+    for (let i = 0; i < bars; i++) {
+      box.items.push(rule(start + i * (thickness + 0.12 * em), bottom, thickness, top - bottom, ctx));
+    }
+    return box;
+  }
+
+  const scaleY = (2 * half) / natural;
+  const scaleX = Math.min(1 + (scaleY - 1) * 0.15, 1.6);
+  box.width = measureText(text, ctx, false) * em * scaleX;
+  box.items.push({
+    type: 'glyph', text, x: 0, y: bottom + FENCE_BOTTOM * em * scaleY,
+    size: em, bold: false, italic: false, scaleX, scaleY, color: ctx.color,
+  });
+  return box;
+}
+
+function layoutFenced(node, children, ctx) {
+  const open = node.getAttribute('open') ?? '(';
+  const close = node.getAttribute('close') ?? ')';
+  const separators = Array.from((node.getAttribute('separators') ?? ',').replace(/\s+/g, ''));
+
+  const parts = [];
+  children.forEach((child, i) => {
+    if (i > 0 && separators.length > 0) {
+      const sep = separators[Math.min(i - 1, separators.length - 1)];
+      parts.push(glyphBox(sep, ctx, {}), spaceBox(THIN_SPACE * ctx.size));
+    }
+    parts.push(layoutNode(child, ctx));
+  });
+
+  const ascent = Math.max(0, ...parts.map(part => part.ascent));
+  const descent = Math.max(0, ...parts.map(part => part.descent));
+  const row = emptyBox();
+  for (const part of [layoutFence(open, ascent, descent, ctx), ...parts, layoutFence(close, ascent, descent, ctx)]) {
+    appendBox(row, part, row.width, 0);
+  }
+  return row;
+}
+
+// ===== Scripts and limits =====
+
+function layoutScripts(base, sub, sup, ctx) {
+  const scripts = scriptContext(ctx);
+  return attachScripts(
+    layoutNode(base, ctx),
+    sub && !isEmptyNode(sub) ? layoutNode(sub, scripts) : null,
+    sup && !isEmptyNode(sup) ? layoutNode(sup, scripts) : null,
+    ctx
+  );
+}
+
+function attachScripts(base, sub, sup, ctx) {
+  const em = ctx.size;
+  const box = emptyBox();
+  appendBox(box, base, 0, 0);
+
+  let supShift = 0;
+  let subShift = 0;
+  if (sup) supShift = Math.max(0.41 * em, base.ascent - 0.3 * em, sup.descent + 0.12 * em);
+  if (sub) subShift = Math.max(sup ? 0.25 * em : 0.15 * em, base.descent + 0.05 * em, sub.ascent - 0.45 * em);
+  if (sup && sub) {
+    // Keep a gap between the scripts
+    const gap = (supShift - sup.descent) - (sub.ascent - subShift);
+    if (gap < 0.16 * em) subShift += 0.16 * em - gap;
+  }
+
+  const x = base.width;
+  if (sup) appendBox(box, sup, x, supShift);
+  if (sub) appendBox(box, sub, x, -subShift);
+  box.width = x + Math.max(sup ? sup.width : 0, sub ? sub.width : 0) + 0.05 * em;
+  return box;
+}
+
+function layoutUnderOver(node, base, under, over, ctx) {
+  const overAccent = over && (node.getAttribute('accent') === 'true' || isAccentNode(over));
+  const underAccent = under && (node.getAttribute('accentunder') === 'true' || isAccentNode(under));
+
+  // Limits of big operators and lim move to the side in inline formulas
+  if (!ctx.display && !overAccent && !underAccent && hasMovableLimits(base)) {
+    return layoutScripts(base, under, over, ctx);
+  }
+
+  let box = layoutNode(base, ctx);
+  const accentBase = isSingleLetter(base);
+  if (under) {
+    box = underAccent
+      ? addAccent(box, under.textContent.trim(), false, ctx, accentBase)
+      : addLimit(box, layoutNode(under, scriptContext(ctx)), false, ctx);
+  }
+  if (over) {
+    box = overAccent
+      ? addAccent(box, over.textContent.trim(), true, ctx, accentBase)
+      : addLimit(box, layoutNode(over, scriptContext(ctx)), true, ctx);
+  }
+  return box;
+}
+
+function hasMovableLimits(base) {
+  const op = getEmbellishedOperator(base);
+  if (op) return op.getAttribute('movablelimits') !== 'false' && LARGE_OPERATORS.has(op.textContent.trim());
+  return localName(base) === 'mi' && LIMIT_NAMES.has(base.textContent.trim());
+}
+
+function isAccentNode(node) {
+  if (localName(node) !== 'mo') return false;
+  const text = node.textContent.trim();
+  return LINE_ACCENTS.has(text) || text in ARROW_ACCENTS || BRACE_ACCENTS.has(text) || text in GLYPH_ACCENTS;
+}
+
+function isSingleLetter(node) {
+  return localName(node) === 'mi' && Array.from(node.textContent.trim()).length === 1;
+}
+
+/**
+ * Stack a limit centred over or under the base
+ */
+function addLimit(base, limit, over, ctx) {
+  const em = ctx.size;
+  const gap = 0.15 * em;
+  const width = Math.max(base.width, limit.width);
+  const box = emptyBox();
+  appendBox(box, base, (width - base.width) / 2, 0);
+  if (over) appendBox(box, limit, (width - limit.width) / 2, base.ascent + gap + limit.descent);
+  else appendBox(box, limit, (width - limit.width) / 2, -(base.descent + gap + limit.ascent));
+  box.width = width;
+  return box;
+}
+
+/**
+ * Accents: lines, arrows and braces span the base, other marks are
+ * glyphs centred over it (shifted right over slanted letters)
+ */
+function addAccent(base, text, over, ctx, letterBase) {
+  const em = ctx.size;
+  const thickness = Math.max(RULE_THICKNESS * em, 0.4);
+  const box = emptyBox();
+  appendBox(box, base, 0, 0);
+  box.width = base.width;
+
+  if (LINE_ACCENTS.has(text)) {
+    const y = over ? base.ascent + 0.1 * em : -(base.descent + 0.1 * em) - thickness;
+    box.items.push(rule(0, y, base.width, thickness, ctx));
+    extendBox(box, y, y + thickness);
+    return box;
+  }
+
+  if (text in ARROW_ACCENTS) {
+    const width = Math.max(base.width, 0.5 * em);
+    const y = over ? base.ascent + 0.2 * em : -(base.descent + 0.2 * em);
+    const x0 = (base.width - width) / 2;
+    const head = 0.12 * em;
+    const direction = ARROW_ACCENTS[text];
+    box.items.push(path([[x0, y], [x0 + width, y]], thickness, ctx));
+    if (direction !== 'left') box.items.push(path([[x0 + width - head, y + head], [x0 + width, y], [x0 + width - head, y - head]], thickness, ctx));
+    if (direction !== 'right') box.items.push(path([[x0 + head, y + head], [x0, y], [x0 + head, y - head]], thickness, ctx));
+    extendBox(box, y - head, y + head);
+    return box;
+  }
+
+  if (BRACE_ACCENTS.has(text)) {
+    const w = base.width;
+    const h = 0.2 * em;
+    const r = Math.min(0.15 * em, w / 6);
+    const y0 = over ? base.ascent + 0.1 * em : -(base.descent + 0.1 * em);
+    const dir = over ? 1 : -1;
+    box.items.push(path([
+      [0, y0], [r, y0 + dir * h / 2], [w / 2 - r, y0 + dir * h / 2], [w / 2, y0 + dir * h],
+      [w / 2 + r, y0 + dir * h / 2], [w - r, y0 + dir * h / 2], [w, y0],
+    ], thickness, ctx));
+    extendBox(box, Math.min(y0, y0 + dir * h), Math.max(y0, y0 + dir * h));
+    return box;
+  }
+
+  const mark = GLYPH_ACCENTS[text] || text;
+  const glyph = glyphBox(mark, ctx, {});
+  // Wide hats and tildes are stretched to the base
+  const scaleX = base.width > 1.5 * glyph.width ? Math.min(base.width * 0.9 / glyph.width, 4) : 1;
+  const width = glyph.width * scaleX;
+  const slant = letterBase ? 0.06 * em : 0;
+  const x = (base.width - width) / 2 + slant;
+  const y = over ? Math.max(0, base.ascent - X_HEIGHT * em) : -(base.descent + 0.75 * em);
+  box.items.push(...glyph.items.map(item => ({ ...moveItem(item, x, y), scaleX })));
+  extendBox(box, y, y + ASCENT * em);
+  return box;
+}
+
+// ===== Fractions and radicals =====
+
+function layoutFraction(node, children, ctx) {
+  const em = ctx.size;
+  const partCtx = ctx.display ? { ...ctx, display: false } : scriptContext(ctx);
+  const num = layoutNode(children[0], partCtx);
+  const den = layoutNode(children[1], partCtx);
+
+  const axis = AXIS_HEIGHT * em;
+  const thickness = fractionThickness(node.getAttribute('linethickness'), em);
+  const gap = (ctx.display ? 0.15 : 0.1) * em;
+  const numShift = Math.max(axis + thickness / 2 + gap + num.descent, (ctx.display ? 0.68 : 0.39) * em);
+  const denShift = Math.max(den.ascent + gap + thickness / 2 - axis, (ctx.display ? 0.69 : 0.35) * em);
+
+  const padding = 0.12 * em;
+  const width = Math.max(num.width, den.width) + 2 * padding;
+  const box = emptyBox();
+  appendBox(box, num, (width - num.width) / 2, numShift);
+  appendBox(box, den, (width - den.width) / 2, -denShift);
+  if (thickness > 0) box.items.push(rule(padding / 2, axis - thickness / 2, width - padding, thickness, ctx));
+  box.width = width;
+  box.ascent = Math.max(box.ascent, axis + thickness / 2);
+  return box;
+}
+
+function fractionThickness(value, em) {
+  const base = Math.max(RULE_THICKNESS * em, 0.4);
+  if (value === null || value === '' || value === 'medium') return base;
+  if (value === 'thin') return base / 2;
+  if (value === 'thick') return base * 2;
+  if (/^\d*\.?\d+$/.test(value)) return base * parseFloat(value);
+  return Math.max(0, parseLength(value, em) ?? base);
+}
+
+/**
+ * Radical sign as a vector path with the overline over the radicand;
+ * the index of mroot sits over the hook
+ */
+function layoutRadical(content, index, ctx) {
+  const em = ctx.size;
+  const thickness = Math.max(RULE_THICKNESS * em, 0.4);
+  const gap = (ctx.display ? 0.18 : 0.12) * em;
+  const top = Math.max(content.ascent, X_HEIGHT * em) + gap + thickness / 2;
+  const bottom = -Math.max(content.descent, 0.05 * em) - 0.05 * em;
+  const height = top - bottom;
+
+  const hook = Math.min(0.45 * em, 0.42 * height);
+  const signWidth = 0.5 * em + Math.min(height - em, 2 * em) * 0.05;
+  let offset = 0;
+  if (index && index.width > 0.3 * em) offset = index.width - 0.3 * em;
+
+  const box = emptyBox();
+  box.items.push(path([
+    [offset, bottom + hook],
+    [offset + 0.1 * em, bottom + hook + 0.04 * em],
+    [offset + 0.28 * em, bottom],
+    [offset + signWidth, top],
+    [offset + signWidth + content.width + 0.1 * em, top],
+  ], thickness, ctx));
+  appendBox(box, content, offset + signWidth + 0.05 * em, 0);
+  if (index) appendBox(box, index, Math.max(0, 0.3 * em - index.width), bottom + hook + 0.1 * em + index.descent);
+
+  box.width = offset + signWidth + content.width + 0.15 * em;
+  extendBox(box, bottom, top + thickness / 2 + 0.05 * em);
+  return box;
+}
+
+// ===== Tables =====
+
+/**
+ * Rows and columns with columnalign/columnspacing/rowspacing, centred on
+ * the math axis; labels of mlabeledtr rows go after the last column
+ */
+function layoutTable(node, ctx) {
+  const em = ctx.size;
+  const rows = getChildElements(node)
+    .filter(row => ['mtr', 'mlabeledtr'].includes(localName(row)))
+    .map(row => {
+      const cells = getChildElements(row).filter(cell => localName(cell) === 'mtd');
+      const labeled = localName(row) === 'mlabeledtr';
+      return {
+        label: labeled && cells[0] ? layoutRow(getChildElements(cells[0]), ctx) : null,
+        cells: (labeled ? cells.slice(1) : cells).map(cell => ({
+          box: layoutRow(getChildElements(cell), ctx),
+          align: cell.getAttribute('columnalign'),
+        })),
+      };
+    });
+  if (rows.length === 0) return emptyBox();
+
+  const columns = Math.max(0, ...rows.map(row => row.cells.length));
+  const aligns = attributeList(node, 'columnalign', 'center');
+  const columnSpacing = attributeList(node, 'columnspacing', '0.8em').map(value => parseLength(value, em) ?? 0.8 * em);
+  const rowSpacing = attributeList(node, 'rowspacing', '1.0ex').map(value => parseLength(value, em) ?? 0.45 * em);
+  const columnLines = attributeList(node, 'columnlines', 'none');
+  const rowLines = attributeList(node, 'rowlines', 'none');
+  const framed = (node.getAttribute('frame') || 'none') !== 'none';
+
+  const widths = Array.from({ length: columns }, (_, i) =>
+    Math.max(0, ...rows.map(row => row.cells[i]?.box.width ?? 0))
+  );
+  const columnX = [];
+  let x = framed ? 0.3 * em : 0;
+  widths.forEach((width, i) => {
+    columnX.push(x);
+    x += width + (i < columns - 1 ? pick(columnSpacing, i) : 0);
+  });
+  const tableWidth = x + (framed ? 0.3 * em : 0);
+
+  // Rows get at least the height of a strut so spacing stays even
+  const box = emptyBox();
+  const baselines = [];
+  let y = 0;
+  let previousDescent = 0;
+  rows.forEach((row, r) => {
+    const ascent = Math.max(0.7 * em, ...row.cells.map(cell => cell.box.ascent), row.label?.ascent ?? 0);
+    const descent = Math.max(0.3 * em, ...row.cells.map(cell => cell.box.descent), row.label?.descent ?? 0);
+    if (r > 0) y -= previousDescent + pick(rowSpacing, r - 1) + ascent;
+    baselines.push({ y, ascent, descent });
+    previousDescent = descent;
+  });
+  const top = baselines[0].ascent;
+  const bottom = -baselines[baselines.length - 1].y + baselines[baselines.length - 1].descent;
+  const shift = AXIS_HEIGHT * em + (top + bottom) / 2 - top;
+
+  rows.forEach((row, r) => {
+    const baseline = baselines[r].y + shift;
+    row.cells.forEach((cell, i) => {
+      const align = cell.align || pick(aligns, i);
+      const free = widths[i] - cell.box.width;
+      const dx = align === 'left' ? 0 : align === 'right' ? free : free / 2;
+      appendBox(box, cell.box, columnX[i] + dx, baseline);
+    });
+    if (row.label) appendBox(box, row.label, tableWidth + em, baseline);
+  });
+
+  const tableTop = top + shift;
+  const tableBottom = tableTop - (top + bottom);
+  const thickness = Math.max(0.04 * em, 0.3);
+  widths.forEach((width, i) => {
+    if (i < columns - 1 && pick(columnLines, i) !== 'none') {
+      const lineX = columnX[i] + width + pick(columnSpacing, i) / 2;
+      box.items.push(rule(lineX - thickness / 2, tableBottom, thickness, tableTop - tableBottom, ctx));
+    }
+  });
+  baselines.forEach((row, r) => {
+    if (r < rows.length - 1 && pick(rowLines, r) !== 'none') {
+      const lineY = row.y + shift - row.descent - pick(rowSpacing, r) / 2;
+      box.items.push(rule(0, lineY - thickness / 2, tableWidth, thickness, ctx));
+    }
+  });
+  if (framed) {
+    box.items.push(path([[0, tableBottom], [tableWidth, tableBottom], [tableWidth, tableTop], [0, tableTop]], thickness, ctx, true));
+  }
+
+  const labelWidth = Math.max(0, ...rows.map(row => row.label ? row.label.width + em : 0));
+  box.width = tableWidth + labelWidth;
+  extendBox(box, tableBottom, tableTop);
+  return box;
+}
+
+function attributeList(node, name, fallback) {
+  const values = (node.getAttribute(name) || '').trim().split(/\s+/).filter(Boolean);
+  return values.length > 0 ? values : [fallback];
+}
+
+/**
+ * MathML attribute lists repeat their last value
+ */
+function pick(list, i) {
+  return list[Math.min(i, list.length - 1)];
+}
+
+// ===== Enclosures and padding =====
+
+function layoutEnclose(node, content, ctx) {
+  const em = ctx.size;
+  const notations = new Set((node.getAttribute('notation') || 'longdiv').split(/\s+/));
+  const thickness = Math.max(RULE_THICKNESS * em, 0.4);
+  const pad = 0.15 * em;
+
+  const box = emptyBox();
+  appendBox(box, content, pad, 0);
+  box.width = content.width + 2 * pad;
+  const left = 0;
+  const right = box.width;
+  const top = content.ascent + pad;
+  const bottom = -content.descent - pad;
+
+  if (notations.has('box') || notations.has('roundedbox') || notations.has('circle')) {
+    box.items.push(path([[left, bottom], [right, bottom], [right, top], [left, top]], thickness, ctx, true));
+  }
+  const sides = {
+    top: [[left, top], [right, top]],
+    bottom: [[left, bottom], [right, bottom]],
+    left: [[left, bottom], [left, top]],
+    right: [[right, bottom], [right, top]],
+    updiagonalstrike: [[left, bottom], [right, top]],
+    downdiagonalstrike: [[left, top], [right, bottom]],
+    horizontalstrike: [[left, AXIS_HEIGHT * em], [right, AXIS_HEIGHT * em]],
+    verticalstrike: [[right / 2, bottom], [right / 2, top]],
+  };
+  if (notations.has('longdiv')) notations.add('left').add('top');
+  if (notations.has('actuarial')) notations.add('right').add('top');
+  for (const [notation, points] of Object.entries(sides)) {
+    if (notations.has(notation)) box.items.push(path(points, thickness, ctx));
+  }
+
+  extendBox(box, bottom, top);
+  return box;
+}
+
+/**
+ * mpadded with absolute sizes (\rlap, \smash, \raisebox); relative
+ * "+…" values are ignored
+ */
+function layoutPadded(node, content, ctx) {
+  const em = ctx.size;
+  const lspace = parseLength(node.getAttribute('lspace'), em) ?? 0;
+  const voffset = parseLength(node.getAttribute('voffset'), em) ?? 0;
+  const box = emptyBox();
+  appendBox(box, content, lspace, voffset);
+  box.width = parseLength(node.getAttribute('width'), em) ?? content.width + lspace;
+  const height = parseLength(node.getAttribute('height'), em);
+  const depth = parseLength(node.getAttribute('depth'), em);
+  if (height !== null) box.ascent = height;
+  if (depth !== null) box.descent = depth;
+  return box;
+}
+
+// ===== Boxes and items =====
+
+function emptyBox() {
+  return { width: 0, ascent: 0, descent: 0, items: [] };
+}
+
+function spaceBox(width) {
+  return { ...emptyBox(), width };
+}
+
+/**
+ * Box of one run of text in a single style
+ */
+function glyphBox(text, ctx, { bold = false, italic = false }) {
+  if (!text) return emptyBox();
+  const em = ctx.size;
+  return {
+    width: measureText(text, ctx, bold) * em + (italic ? ITALIC_CORRECTION * em : 0),
+    ascent: glyphAscent(text) * em,
+    descent: glyphDescent(text) * em,
+    items: [{ type: 'glyph', text, x: 0, y: 0, size: em, bold, italic, scaleX: 1, scaleY: 1, color: ctx.color }],
+  };
+}
+
+function measureText(text, ctx, bold) {
+  return ctx.measure(text, bold);
+}
+
+/**
+ * Rough glyph extents (em): x-height letters and operators are shorter,
+ * only some characters go below the baseline
+ */
+function glyphAscent(text) {
+  return /^[acemnorsuvwxzıαγεικνοπρστυωϵ·.,:;\-−+=<>×÷±∓~∼≈ ]+$/u.test(text) ? X_HEIGHT : ASCENT;
+}
+
+function glyphDescent(text) {
+  return /[gjpqyQβγζημξρςφχψϕ(),;[\]{}|/∫∑∏@§]/u.test(text) ? DESCENT : 0.02;
+}
+
+function rule(x, y, width, height, ctx) {
+  return { type: 'rule', x, y, width, height, color: ctx.color };
+}
+
+function path(points, lineWidth, ctx, closed = false) {
+  return { type: 'path', points, lineWidth, closed, color: ctx.color };
+}
+
+/**
+ * Copy the items of a box into another, offset by (dx, dy), and grow the
+ * target's vertical extent
+ */
+function appendBox(target, box, dx, dy) {
+  for (const item of box.items) target.items.push(moveItem(item, dx, dy));
+  target.ascent = Math.max(target.ascent, box.ascent + dy);
+  target.descent = Math.max(target.descent, box.descent - dy);
+  target.width = Math.max(target.width, dx + box.width);
+}
+
+function moveItem(item, dx, dy) {
+  if (item.type === 'path') return { ...item, points: item.points.map(([x, y]) => [x + dx, y + dy]) };
+  return { ...item, x: item.x + dx, y: item.y + dy };
+}
+
+function extendBox(box, bottom, top) {
+  box.ascent = Math.max(box.ascent, top);
+  box.descent = Math.max(box.descent, -bottom);
+}
+
+// ===== Helpers =====
+
+/**
+ * Length in points: em, ex, mu, pt, px, in, cm, mm and the named math spaces
+ * @returns {number|null} null for missing or relative values
+ */
+function parseLength(value, em) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text in NAMED_SPACES) return NAMED_SPACES[text] * em;
+  if (text.startsWith('negative') && text.slice(8) in NAMED_SPACES) return -NAMED_SPACES[text.slice(8)] * em;
+
+  const match = text.match(/^(-?\d*\.?\d+)\s*(em|ex|mu|pt|px|in|cm|mm)?$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'ex': return number * 0.431 * em;
+    case 'mu': return number * em / 18;
+    case 'pt': return number;
+    case 'px': return number * 0.75;
+    case 'in': return number * 72;
+    case 'cm': return number * 72 / 2.54;
+    case 'mm': return number * 72 / 25.4;
+    case 'em': return number * em;
+    default: return number === 0 ? 0 : number * em;
+  }
+}
+
+function parseColor(value) {
+  if (!value) return null;
+  const text = value.trim().toLowerCase();
+  if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/.test(text)) return text;
+  return NAMED_COLORS[text] || null;
+}
+
+function isEmptyNode(node) {
+  return localName(node) === 'none' || (localName(node) === 'mrow' && getChildElements(node).length === 0);
+}
+
+/**
+ * Average advance of DejaVu Sans characters, for callers without a font
+ */
+function estimateWidth(text) {
+  return Array.from(text).length * 0.6;
+}
+
+function parseMathml(mathml) {
+  if (!mathml) return null;
+  const source = mathml.includes('xmlns')
+    ? mathml
+    : mathml.replace('<math', '<math xmlns="http://www.w3.org/1998/Math/MathML"');
+  const doc = new DOMParser().parseFromString(source, 'application/xml');
+  const math = doc.documentElement;
+  return math && localName(math) === 'math' ? math : null;
+}
+
+function localName(node) {
+  return (node?.localName || '').toLowerCase().replace(/^[^:]+:/, '');
+}
+
+function getChildElements(node) {
+  return Array.from(node.childNodes).filter(n => n.nodeType === Node.ELEMENT_NODE);
+}
@@ -0,0 +1,114 @@
+/**
+ * Math Renderer - rasterizes formulas to PNG for the "image" math mode.
+ *
+ * The browser lays out the KaTeX MathML natively; the result is drawn into
+ * a canvas through an SVG <foreignObject>, so no extra fonts or libraries
+ * are needed. The baseline depth is measured so inline images can be
+ * lowered to sit on the text baseline.
+ */
+
+// Render at 2x so images stay sharp when Word scales them
+const PIXEL_RATIO = 2;
+
+/**
+ * Render a math item ({ mathml, latex, display }) to PNG.
+ * @param {Object} item - math item from dom-extractor
+ * @param {Object} options - { fontSize (px), color }
+ * @returns {Promise<{data: Uint8Array, width: number, height: number, depth: number}|null>}
+ *   width/height/depth in CSS pixels; null if the formula cannot be rendered
+ */
+export async function renderMathToPng(item, options = {}) {
+  const { fontSize = 15, color = '#000000' } = options;
+  if (!item?.mathml || typeof document === 'undefined') return null;
+
+  const mathml = prepareMathml(item.mathml, item.display);
+  const style =
+    `font-size: ${fontSize}px; color: ${color}; line-height: normal; ` +
+    'font-family: "Cambria Math", "STIX Two Math", "Latin Modern Math", serif;';
+
+  const size = measureMath(mathml, style);
+  if (!size || size.width === 0 || size.height === 0) return null;
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size.width}" height="${size.height}">` +
+    `<foreignObject x="0" y="0" width="${size.width}" height="${size.height}">` +
+    `<div xmlns="http://www.w3.org/1999/xhtml" style="${style} white-space: nowrap;">${mathml}</div>` +
+    '</foreignObject></svg>';
+
+  try {
+    const image = await loadImage('data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(size.width * PIXEL_RATIO);
+    canvas.height = Math.ceil(size.height * PIXEL_RATIO);
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+    context.scale(PIXEL_RATIO, PIXEL_RATIO);
+    context.drawImage(image, 0, 0);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) return null;
+
+    return {
+      data: new Uint8Array(await blob.arrayBuffer()),
+      width: size.width,
+      height: size.height,
+      depth: size.depth,
+    };
+  } catch (e) {
+    console.warn('Math image rendering failed:', e);
+    return null;
+  }
+}
+
+/**
+ * Make the MathML standalone: explicit namespace, inline layout,
+ * display style for display formulas, no annotation text
+ */
+function prepareMathml(mathml, display) {
+  const doc = new DOMParser().parseFromString(
+    mathml.includes('xmlns') ? mathml : mathml.replace('<math', '<math xmlns="http://www.w3.org/1998/Math/MathML"'),
+    'application/xml'
+  );
+  const math = doc.documentElement;
+  if (!math || math.localName !== 'math') return mathml;
+
+  math.removeAttribute('display');
+  if (display) math.setAttribute('displaystyle', 'true');
+  for (const anno of Array.from(math.getElementsByTagNameNS('*', 'annotation'))) {
+    anno.remove();
+  }
+
+  return new XMLSerializer().serializeToString(math);
+}
+
+/**
+ * Lay the formula out off-screen and measure its box and baseline depth
+ */
+function measureMath(mathml, style) {
+  const holder = document.createElement('div');
+  holder.style.cssText = `position: absolute; left: -9999px; top: 0; white-space: nowrap; ${style}`;
+  // The zero-height probe sits on the baseline, which gives us the depth
+  holder.innerHTML = `<span class="math">${mathml}</span><span class="probe" style="display: inline-block; width: 0; height: 0;"></span>`;
+  document.body.appendChild(holder);
+
+  try {
+    const mathRect = holder.querySelector('.math').getBoundingClientRect();
+    const probeRect = holder.querySelector('.probe').getBoundingClientRect();
+    return {
+      width: Math.ceil(mathRect.width),
+      height: Math.ceil(mathRect.height),
+      depth: Math.max(0, Math.round(mathRect.bottom - probeRect.bottom)),
+    };
+  } finally {
+    holder.remove();
+  }
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not load rendered formula'));
+    image.src = src;
+  });
+}
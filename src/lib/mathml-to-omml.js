@@ -5,7 +5,7 @@
  * Word uses OMML as its native math representation.
  * 
  * Supported MathML elements:
- * - mi, mn, mo, ms, mtext → m:r (math run)
+ * - mi, mn, mo, ms, mtext → m:r (math run), mathvariant → m:scr + m:sty
  * - mrow → group
  * - mfrac → m:f (fraction)
  * - msup → m:sSup (superscript)
@@ -15,13 +15,21 @@
  * - mroot → m:rad with degree
  * - mover → m:acc or m:limUpp
  * - munder → m:limLow
+ * - sin x, log_2 x (name + U+2061), lim/max/min with limits → m:func
  * - munderover → m:limLow + m:limUpp
+ * - ∑, ∫, ∏... (bare, with scripts or limits) → m:nary absorbing the operand
  * - mtable, mtr, mtd → m:m (matrix)
- * - mfenced → m:d (delimiters)
- * - menclose → m:borderBox
+ * - aligned/align/gather/cases tables → m:eqArr with & alignment points
+ * - mfenced, paired fence="true" operators (\left … \right) → m:d (delimiters)
+ * - menclose → m:borderBox with hidden sides / strikes, top or bottom only → m:bar
+ * - mmultiscripts, {}^{14}_{6}C → m:sPre + m:sSubSup chain
  * - mspace → space
+ *
+ * LaTeX without MathML is first parsed to MathML (latex-to-mathml.js).
  */
 
+import { latexToMathml } from './latex-to-mathml';
+
 const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
 const M_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/math';
 
@@ -42,6 +50,14 @@ const ACCENT_MAP = {
   'ˆ': '\u0302',
   '˜': '\u0303',
   '‾': '\u0304',
+  'ˉ': '\u0304',
+  'ˇ': '\u030C',
+  '˘': '\u0306',
+  'ˊ': '\u0301',
+  'ˋ': '\u0300',
+  '˚': '\u030A',
+  '←': '\u20D6',
+  '↔': '\u20E1',
   '\u23DE': '\u23DE', // top curly bracket
   '\u23DF': '\u23DF', // bottom curly bracket
 };
@@ -51,13 +67,153 @@ const KNOWN_ACCENTS = new Set([
   '\u0302', '\u0303', '\u0304', '\u0305', '\u0306', '\u0307', '\u0308',
   '\u030C', '\u0311', '\u20D7', '\u20D6', '\u20D1', '\u20E1',
   '¯', '̄', '^', '~', '→', '⃗', '̂', '˙', '¨', 'ˆ', '˜', '‾',
+  'ˉ', 'ˇ', '˘', 'ˊ', 'ˋ', '˚', '\u20DB',
   '\u23DE', '\u23DF',
 ]);
 
+// N-ary operators (sums, integrals, big set operators)
+const NARY_CHARS = new Set([
+  '∑', '∏', '∐', '∫', '∬', '∭', '⨌', '∮', '∯', '∰', '∱', '∲', '∳',
+  '⋃', '⋂', '⋁', '⋀', '⨀', '⨁', '⨂', '⨄', '⨆',
+]);
+
+// Operators that end the operand of an n-ary operator
+const NARY_STOP_CHARS = new Set([
+  '=', '≠', '<', '>', '≤', '≥', '≪', '≫', '≈', '≡', '∼', '≃', '≅', '∝',
+  '→', '←', '↔', '⇒', '⇐', '⇔', '⟹', '⟸', '⟺', '↦',
+  '∈', '∉', '⊂', '⊃', '⊆', '⊇', ',', ';', ':',
+]);
+
+// Additive operators end the operand too, outside brackets
+const NARY_ADDITIVE_CHARS = new Set(['+', '-', '−', '±', '∓']);
+
+const OPEN_BRACKETS = new Set(['(', '[', '{', '⟨', '⌊', '⌈']);
+const CLOSE_BRACKETS = new Set([')', ']', '}', '⟩', '⌋', '⌉']);
+
+// Word expects the plain forms of these delimiters
+const FENCE_CHAR_MAP = { '∣': '|', '∥': '‖', '.': '' };
+
+// menclose notations that draw a frame (circles and rounded boxes become boxes)
+const BOX_NOTATIONS = new Set(['box', 'roundedbox', 'circle']);
+const SIDE_NOTATIONS = {
+  top: ['top'],
+  bottom: ['bottom'],
+  left: ['left'],
+  right: ['right'],
+  actuarial: ['top', 'right'],
+  madruwb: ['right', 'bottom'],
+  longdiv: ['left', 'top'],
+};
+const STRIKE_NOTATIONS = {
+  horizontalstrike: 'strikeH',
+  verticalstrike: 'strikeV',
+  updiagonalstrike: 'strikeBLTR',
+  downdiagonalstrike: 'strikeTLBR',
+};
+
+// Invisible function application operator KaTeX puts after function names
+const FUNCTION_APPLICATION = '\u2061';
+
+// Functions written with limits below them (\lim_{x \to 0}, \max_i)
+const LIMIT_FUNCTIONS = new Set([
+  'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'argmax', 'argmin',
+]);
+
+// mathvariant → OMML script (m:scr) and style (m:sty: p, b, i, bi)
+const MATHVARIANT_STYLES = {
+  'normal': { sty: 'p' },
+  'bold': { sty: 'b' },
+  'italic': { sty: 'i' },
+  'bold-italic': { sty: 'bi' },
+  'double-struck': { scr: 'double-struck', sty: 'p' },
+  'script': { scr: 'script', sty: 'p' },
+  'bold-script': { scr: 'script', sty: 'b' },
+  'fraktur': { scr: 'fraktur', sty: 'p' },
+  'bold-fraktur': { scr: 'fraktur', sty: 'b' },
+  'sans-serif': { scr: 'sans-serif', sty: 'p' },
+  'bold-sans-serif': { scr: 'sans-serif', sty: 'b' },
+  'sans-serif-italic': { scr: 'sans-serif', sty: 'i' },
+  'sans-serif-bold-italic': { scr: 'sans-serif', sty: 'bi' },
+  'monospace': { scr: 'monospace', sty: 'p' },
+};
+
 /**
  * Convert a MathML string to OMML XML string
+ * @param {string} mathmlString
+ * @param {Object} options - { displayStyle: lay out as display math even
+ *   when the display attribute has been stripped }
+ */
+export function mathmlToOmml(mathmlString, options = {}) {
+  const mathEl = parseMathml(mathmlString);
+  if (!mathEl) {
+    // Return plain text fallback
+    return `<m:oMath><m:r><m:t>${escapeXml(mathmlString)}</m:t></m:r></m:oMath>`;
+  }
+
+  const isDisplay = mathEl.getAttribute('display') === 'block';
+  if (options.displayStyle && !mathEl.hasAttribute('displaystyle')) {
+    mathEl.setAttribute('displaystyle', 'true');
+  }
+  const innerOmml = convertNode(mathEl);
+
+  if (isDisplay) {
+    return `<m:oMathPara><m:oMath>${innerOmml}</m:oMath></m:oMathPara>`;
+  }
+  return `<m:oMath>${innerOmml}</m:oMath>`;
+}
+
+/**
+ * Split the equation number off a formula. KaTeX puts \tag and numbered
+ * environments into a table: a one-row mlabeledtr whose first cell is the
+ * label, or (for a top-level \tag) a full-width row of padding, formula,
+ * padding and label cells. Multi-row tables keep their labels, they are
+ * numbered inside the equation array.
+ * @param {string} mathmlString
+ * @returns {{mathml: string, label: string}} formula without the label
+ *   and the label text ('' if there is none)
+ */
+export function extractEquationLabel(mathmlString) {
+  const unlabeled = { mathml: mathmlString, label: '' };
+  const mathEl = parseMathml(mathmlString);
+  const table = mathEl && getFormulaTable(mathEl);
+  const rows = table ? getTableRows(table) : [];
+  if (rows.length !== 1) return unlabeled;
+
+  const row = rows[0];
+  const cells = getChildElements(row).filter(child => localName(child) === 'mtd');
+  let labelCell;
+  let bodyCells;
+  if (localName(row) === 'mlabeledtr') {
+    [labelCell, ...bodyCells] = cells;
+  } else if (table.getAttribute('width') === '100%' && cells.length === 4 &&
+      isEmptyNode(cells[0]) && isEmptyNode(cells[2])) {
+    labelCell = cells[3];
+    bodyCells = [cells[1]];
+  } else {
+    return unlabeled;
+  }
+
+  const label = labelCell ? labelCell.textContent.trim() : '';
+  const doc = table.ownerDocument;
+  if (bodyCells.length === 1) {
+    // A lone formula replaces the table
+    const mrow = doc.createElementNS(table.namespaceURI, 'mrow');
+    while (bodyCells[0].firstChild) mrow.appendChild(bodyCells[0].firstChild);
+    table.replaceWith(mrow);
+  } else {
+    // An aligned row stays a table, without the label cell
+    const mtr = doc.createElementNS(table.namespaceURI, 'mtr');
+    bodyCells.forEach(cell => mtr.appendChild(cell));
+    row.replaceWith(mtr);
+  }
+
+  return { mathml: new XMLSerializer().serializeToString(mathEl), label };
+}
+
+/**
+ * Parse a MathML string; the <math> element, or null if it is malformed
  */
-export function mathmlToOmml(mathmlString) {
+function parseMathml(mathmlString) {
   const parser = new DOMParser();
 
   // Parse MathML - handle namespace
@@ -71,30 +227,34 @@ export function mathmlToOmml(mathmlString) {
   }
 
   const mathEl = doc.querySelector('math') || doc.documentElement;
-  if (!mathEl || mathEl.tagName === 'parsererror') {
-    // Return plain text fallback
-    return `<m:oMath><m:r><m:t>${escapeXml(mathmlString)}</m:t></m:r></m:oMath>`;
-  }
-
-  const isDisplay = mathEl.getAttribute('display') === 'block';
-  const innerOmml = convertNode(mathEl);
+  if (!mathEl || mathEl.tagName === 'parsererror') return null;
+  return mathEl;
+}
 
-  if (isDisplay) {
-    return `<m:oMathPara><m:oMath>${innerOmml}</m:oMath></m:oMathPara>`;
+/**
+ * The mtable that makes up the whole formula (through semantics and
+ * single-child rows), or null
+ */
+function getFormulaTable(mathEl) {
+  let node = mathEl;
+  for (;;) {
+    const children = getChildElements(node).filter(child => localName(child) !== 'annotation' &&
+      localName(child) !== 'annotation-xml');
+    if (children.length !== 1) return null;
+    node = children[0];
+    if (localName(node) === 'mtable') return node;
+    if (localName(node) !== 'mrow' && localName(node) !== 'semantics') return null;
   }
-  return `<m:oMath>${innerOmml}</m:oMath>`;
 }
 
 /**
  * Convert a LaTeX string to OMML via intermediate MathML
- * This is a simplified LaTeX parser for common patterns
+ * @param {string} latex
+ * @param {boolean} display - wrap in m:oMathPara
+ * @param {Object} options - passed to mathmlToOmml ({ displayStyle })
  */
-export function latexToOmml(latex, display = false) {
-  const ommlContent = latexToOmmlDirect(latex);
-  if (display) {
-    return `<m:oMathPara><m:oMath>${ommlContent}</m:oMath></m:oMathPara>`;
-  }
-  return `<m:oMath>${ommlContent}</m:oMath>`;
+export function latexToOmml(latex, display = false, options = {}) {
+  return mathmlToOmml(latexToMathml(latex, display), options);
 }
 
 /**
@@ -190,26 +350,313 @@ function localName(node) {
 }
 
 function convertChildren(node) {
+  const nodes = Array.from(node.childNodes).filter(child =>
+    child.nodeType === Node.ELEMENT_NODE ||
+    (child.nodeType === Node.TEXT_NODE && child.textContent.trim()));
+  return convertRow(nodes);
+}
+
+/**
+ * Convert a row of sibling nodes. N-ary operators and functions take the
+ * nodes that follow them (up to a relation, separator or outer +/-) as
+ * their operand.
+ */
+function convertRow(nodes) {
   let result = '';
-  for (const child of node.childNodes) {
-    result += convertNode(child);
+  for (let i = 0; i < nodes.length; i++) {
+    if (getFenceRole(nodes[i]) === 'open' || getFenceRole(nodes[i]) === 'ambiguous') {
+      const close = findClosingFence(nodes, i);
+      if (close !== -1) {
+        result += buildDelimiter(nodes[i], nodes.slice(i + 1, close), nodes[close]);
+        i = close;
+        continue;
+      }
+    }
+
+    if (isPrescript(nodes, i)) {
+      const [, sub, sup] = getScriptParts(nodes[i]);
+      result += buildPrescript(sub, sup, convertNode(nodes[i + 1]));
+      i++;
+      continue;
+    }
+
+    const func = getFunctionParts(nodes, i);
+    if (func) {
+      // sin x cos y: the argument of sin stops at cos; lim takes everything
+      const argEnd = findOperandEnd(nodes, func.argStart, !func.isLimit);
+      const argument = convertRow(nodes.slice(func.argStart, argEnd));
+      result += argument ? buildFunction(func, argument) : convertFunctionName(func);
+      i = argEnd - 1;
+      continue;
+    }
+
+    const nary = nodes[i].nodeType === Node.ELEMENT_NODE ? getNaryParts(nodes[i]) : null;
+    if (!nary) {
+      result += convertNode(nodes[i]);
+      continue;
+    }
+
+    const operandEnd = findOperandEnd(nodes, i + 1);
+    result += buildNary(nary, convertRow(nodes.slice(i + 1, operandEnd)));
+    i = operandEnd - 1;
   }
   return result;
 }
 
+/**
+ * Role of a stretchy fence operator (KaTeX marks \left, \middle and \right
+ * with fence="true"): 'open', 'close', 'ambiguous' (|, ‖) or null
+ */
+function getFenceRole(node) {
+  if (node.nodeType !== Node.ELEMENT_NODE || localName(node) !== 'mo') return null;
+  if (node.getAttribute('fence') !== 'true') return null;
+
+  const form = node.getAttribute('form');
+  if (form === 'prefix') return 'open';
+  if (form === 'postfix') return 'close';
+
+  const text = node.textContent.trim();
+  if (OPEN_BRACKETS.has(text)) return 'open';
+  if (CLOSE_BRACKETS.has(text)) return 'close';
+  // |, ‖, empty (\left.) and unusual delimiters: the position decides
+  return 'ambiguous';
+}
+
+function getFenceChar(node) {
+  const text = node.textContent.trim();
+  return text in FENCE_CHAR_MAP ? FENCE_CHAR_MAP[text] : text;
+}
+
+/**
+ * Find the fence closing the one at `start`; -1 if there is none.
+ * An ambiguous fence closes when the opener was ambiguous too, when it
+ * repeats the opening character or when it is empty (\right.);
+ * otherwise it is a \middle.
+ */
+function findClosingFence(nodes, start) {
+  const openChar = getFenceChar(nodes[start]);
+  const openerAmbiguous = getFenceRole(nodes[start]) === 'ambiguous';
+  let depth = 0;
+
+  for (let i = start + 1; i < nodes.length; i++) {
+    const role = getFenceRole(nodes[i]);
+    if (!role) continue;
+
+    if (role === 'open') {
+      depth++;
+    } else if (role === 'close') {
+      if (depth === 0) return i;
+      depth--;
+    } else if (depth === 0) {
+      const char = getFenceChar(nodes[i]);
+      if (openerAmbiguous || char === openChar || char === '') return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Build m:d from a fence pair. Middle fences and separator operators
+ * (commas in ⟨a, b⟩) split the content into m:e parts, but only outside
+ * nested fences and plain brackets: f(x, y) stays one part.
+ */
+function buildDelimiter(openNode, inner, closeNode) {
+  const parts = [[]];
+  let sepChr = null;
+  let depth = 0;
+
+  for (let i = 0; i < inner.length; i++) {
+    const node = inner[i];
+    const role = getFenceRole(node);
+
+    // Nested pairs, including |x| inside ( ), stay whole
+    if (role === 'open' || role === 'ambiguous') {
+      const close = findClosingFence(inner, i);
+      if (close !== -1) {
+        parts[parts.length - 1].push(...inner.slice(i, close + 1));
+        i = close;
+        continue;
+      }
+    }
+
+    const isMo = node.nodeType === Node.ELEMENT_NODE && localName(node) === 'mo';
+    if (isMo && !role) {
+      const text = node.textContent.trim();
+      if (OPEN_BRACKETS.has(text)) depth++;
+      else if (CLOSE_BRACKETS.has(text) && depth > 0) depth--;
+    }
+
+    const isSeparator = role === 'ambiguous' ||
+      (isMo && depth === 0 && node.getAttribute('separator') === 'true');
+    if (isSeparator) {
+      if (sepChr === null) sepChr = getFenceChar(node);
+      parts.push([]);
+      continue;
+    }
+
+    parts[parts.length - 1].push(node);
+  }
+
+  const sep = sepChr !== null ? `<m:sepChr m:val="${escapeXml(sepChr)}"/>` : '';
+  return `<m:d><m:dPr><m:begChr m:val="${escapeXml(getFenceChar(openNode))}"/>${sep}<m:endChr m:val="${escapeXml(getFenceChar(closeNode))}"/><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:dPr>` +
+    parts.map(part => `<m:e>${convertRow(part)}</m:e>`).join('') + '</m:d>';
+}
+
+/**
+ * Index of the first node after `start` that no longer belongs to the operand
+ * @param {boolean} stopAtFunction - end the operand where another function starts
+ */
+function findOperandEnd(nodes, start, stopAtFunction = false) {
+  let depth = 0;
+  for (let i = start; i < nodes.length; i++) {
+    const node = nodes[i];
+    if (stopAtFunction && depth === 0 && i > start && getFunctionParts(nodes, i)) return i;
+    if (node.nodeType !== Node.ELEMENT_NODE || localName(node) !== 'mo') continue;
+
+    const text = node.textContent.trim();
+    if (OPEN_BRACKETS.has(text)) depth++;
+    else if (CLOSE_BRACKETS.has(text)) {
+      if (depth === 0) return i; // closing a bracket opened before the operator
+      depth--;
+    } else if (depth === 0) {
+      if (NARY_STOP_CHARS.has(text)) return i;
+      if (NARY_ADDITIVE_CHARS.has(text) && i > start) return i;
+    }
+  }
+  return nodes.length;
+}
+
+/**
+ * Recognize a function application at nodes[i]: a name followed by U+2061
+ * (sin, log_2, \operatorname{…}) or a limit-like name (lim, max, min),
+ * bare or with a subscript / munder limit.
+ * Returns { name, limit, isLimit, argStart } or null.
+ */
+function getFunctionParts(nodes, i) {
+  const node = nodes[i];
+  if (node.nodeType !== Node.ELEMENT_NODE || isFunctionApplication(node)) return null;
+
+  const applied = i + 1 < nodes.length && isFunctionApplication(nodes[i + 1]);
+  const argStart = applied ? i + 2 : i + 1;
+
+  const tag = localName(node);
+  if (tag === 'munder' || tag === 'msub') {
+    const [base, limit] = getChildElements(node);
+    if (base && isLimitName(base)) return { name: base, limit, isLimit: true, argStart };
+  }
+  if (isLimitName(node)) return { name: node, limit: null, isLimit: true, argStart };
+  if (applied) return { name: node, limit: null, isLimit: false, argStart };
+  return null;
+}
+
+function isFunctionApplication(node) {
+  return node.nodeType === Node.ELEMENT_NODE && localName(node) === 'mo' &&
+    node.textContent.trim() === FUNCTION_APPLICATION;
+}
+
+function isLimitName(node) {
+  const tag = localName(node);
+  if (tag !== 'mi' && tag !== 'mo') return false;
+  // \liminf is rendered as "lim inf" with a thin space
+  return LIMIT_FUNCTIONS.has(node.textContent.replace(/\s/g, ''));
+}
+
+/**
+ * Function name for m:fName; limits go below it as m:limLow
+ */
+function convertFunctionName(func) {
+  const name = convertNode(func.name);
+  return func.limit ? buildLowerLimit(name, convertNode(func.limit)) : name;
+}
+
+function buildFunction(func, argument) {
+  return `<m:func><m:funcPr><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:funcPr><m:fName>${convertFunctionName(func)}</m:fName><m:e>${argument}</m:e></m:func>`;
+}
+
+/**
+ * Recognize an n-ary operator in any of its MathML forms:
+ * bare <mo>∑</mo>, msub/msup/msubsup (inline limits) or
+ * munder/mover/munderover (limits above and below).
+ * Returns { chr, sub, sup, limLoc } with converted limits, or null.
+ */
+function getNaryParts(node) {
+  const tag = localName(node);
+  const children = getChildElements(node);
+  const base = tag === 'mo' ? node : children[0];
+  if (!base || localName(base) !== 'mo') return null;
+
+  const chr = base.textContent.trim();
+  if (!NARY_CHARS.has(chr)) return null;
+
+  const script = (index) => (children[index] ? convertNode(children[index]) : null);
+  switch (tag) {
+    case 'mo':
+      return { chr, sub: null, sup: null, limLoc: 'subSup' };
+    case 'msub':
+      return { chr, sub: script(1), sup: null, limLoc: 'subSup' };
+    case 'msup':
+      return { chr, sub: null, sup: script(1), limLoc: 'subSup' };
+    case 'msubsup':
+      return { chr, sub: script(1), sup: script(2), limLoc: 'subSup' };
+    case 'munder':
+      return { chr, sub: script(1), sup: null, limLoc: getUnderOverLimLoc(base) };
+    case 'mover':
+      return { chr, sub: null, sup: script(1), limLoc: getUnderOverLimLoc(base) };
+    case 'munderover':
+      return { chr, sub: script(1), sup: script(2), limLoc: getUnderOverLimLoc(base) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Limits written with munder/mover stay above and below in display style.
+ * In inline style they move to the side unless movablelimits="false"
+ * (\limits), which is what MathML renderers do as well.
+ */
+function getUnderOverLimLoc(operator) {
+  if (operator.getAttribute('movablelimits') === 'false') return 'undOvr';
+  return isDisplayStyle(operator) ? 'undOvr' : 'subSup';
+}
+
+/**
+ * Whether a node is laid out in display style: the nearest displaystyle
+ * attribute wins, otherwise display="block" on the math element
+ */
+function isDisplayStyle(node) {
+  for (let el = node; el && el.nodeType === Node.ELEMENT_NODE; el = el.parentNode) {
+    if (el.hasAttribute('displaystyle')) return el.getAttribute('displaystyle') === 'true';
+    if (localName(el) === 'math') return el.getAttribute('display') === 'block';
+  }
+  return false;
+}
+
+/**
+ * Build m:nary; missing limits are hidden so Word shows no empty boxes
+ */
+function buildNary(nary, operand) {
+  const hide = (nary.sub === null ? '<m:subHide m:val="1"/>' : '') +
+    (nary.sup === null ? '<m:supHide m:val="1"/>' : '');
+  return `<m:nary><m:naryPr><m:chr m:val="${escapeXml(nary.chr)}"/><m:limLoc m:val="${nary.limLoc}"/>${hide}<m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:naryPr>` +
+    `<m:sub>${nary.sub || ''}</m:sub><m:sup>${nary.sup || ''}</m:sup><m:e>${operand}</m:e></m:nary>`;
+}
+
 function getChildElements(node) {
   return Array.from(node.childNodes).filter(n => n.nodeType === Node.ELEMENT_NODE);
 }
 
 /**
- * Create an OMML math run with text
+ * Create an OMML math run with text.
+ * Without a style Word uses math italic for letters and upright for the rest.
+ * @param {string} text
+ * @param {{scr?: string, sty?: string}} style - OMML script and style
  */
-function makeRun(text, italic = false, bold = false) {
+function makeRun(text, style = {}) {
   let rPr = '';
-  if (italic || bold) {
-    const styles = [];
-    if (italic) styles.push('<m:sty m:val="p"/>'); // plain (non-italic for identifiers we want plain)
-    rPr = `<m:rPr>${styles.join('')}</m:rPr>`;
+  if (style.scr || style.sty) {
+    const scr = style.scr ? `<m:scr m:val="${style.scr}"/>` : '';
+    const sty = style.sty ? `<m:sty m:val="${style.sty}"/>` : '';
+    rPr = `<m:rPr>${scr}${sty}</m:rPr>`;
   }
   return `<m:r>${rPr}<w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr><m:t>${escapeXml(text)}</m:t></m:r>`;
 }
@@ -221,14 +668,35 @@ function convertToken(node, tag) {
   const text = node.textContent || '';
   if (!text.trim()) return '';
 
-  // For operator tokens
-  if (tag === 'mo') {
-    return makeRun(text);
+  const style = MATHVARIANT_STYLES[getMathVariant(node)];
+  if (style) return makeRun(text, style);
+
+  // Single-letter identifiers are italic, names like sin or max are upright
+  if (tag === 'mi') {
+    return makeRun(text, Array.from(text.trim()).length > 1 ? { sty: 'p' } : {});
+  }
+  if (tag === 'mo' && /^\p{L}{2,}/u.test(text.trim())) {
+    return makeRun(text, { sty: 'p' });
+  }
+  if (tag === 'mtext' || tag === 'ms') {
+    return makeRun(text, { sty: 'p' });
   }
 
   return makeRun(text);
 }
 
+/**
+ * mathvariant of a token, inherited from mstyle ancestors
+ */
+function getMathVariant(node) {
+  for (let el = node; el && el.nodeType === Node.ELEMENT_NODE; el = el.parentNode) {
+    const variant = el.getAttribute('mathvariant');
+    if (variant) return variant;
+    if (localName(el) === 'math') break;
+  }
+  return null;
+}
+
 /**
  * Convert mfrac to OMML fraction
  */
@@ -240,8 +708,8 @@ function convertFraction(node) {
   const linethickness = node.getAttribute('linethickness');
   let fPr = '<m:fPr><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:fPr>';
 
-  // linethickness="0" means binomial (no fraction bar)
-  if (linethickness === '0') {
+  // linethickness="0" (KaTeX: "0px") means binomial (no fraction bar)
+  if (linethickness !== null && parseFloat(linethickness) === 0) {
     fPr = '<m:fPr><m:type m:val="noBar"/><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:fPr>';
   }
 
@@ -331,7 +799,11 @@ function convertUnder(node) {
   const base = children[0] ? convertNode(children[0]) : makeRun('');
   const under = children[1] ? convertNode(children[1]) : makeRun('');
 
-  return `<m:limLow><m:limLowPr><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:limLowPr><m:e>${base}</m:e><m:lim>${under}</m:lim></m:limLow>`;
+  return buildLowerLimit(base, under);
+}
+
+function buildLowerLimit(base, lim) {
+  return `<m:limLow><m:limLowPr><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:limLowPr><m:e>${base}</m:e><m:lim>${lim}</m:lim></m:limLow>`;
 }
 
 /**
@@ -343,15 +815,9 @@ function convertUnderOver(node) {
   const under = children[1];
   const over = children[2];
 
-  const baseText = base?.textContent?.trim() || '';
-
-  // Check for sum, product, integral etc. → use nary
-  const narySymbols = { '∑': '∑', '∏': '∏', '∫': '∫', '∮': '∮', '⋃': '⋃', '⋂': '⋂', '∬': '∬', '∭': '∭' };
-  if (narySymbols[baseText]) {
-    const subOmml = under ? convertNode(under) : makeRun('');
-    const supOmml = over ? convertNode(over) : makeRun('');
-    return `<m:nary><m:naryPr><m:chr m:val="${escapeXml(narySymbols[baseText])}"/><m:limLoc m:val="undOvr"/><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:naryPr><m:sub>${subOmml}</m:sub><m:sup>${supOmml}</m:sup><m:e></m:e></m:nary>`;
-  }
+  // Sum, product, integral etc. outside a row (rows absorb the operand)
+  const nary = getNaryParts(node);
+  if (nary) return buildNary(nary, '');
 
   // Generic: wrap as limLow(limUpp(base, over), under)
   const baseOmml = base ? convertNode(base) : makeRun('');
@@ -363,9 +829,12 @@ function convertUnderOver(node) {
 }
 
 /**
- * Convert mtable to OMML matrix
+ * Convert mtable to OMML matrix, or to an equation array for
+ * alignment environments
  */
 function convertTable(node) {
+  if (isEquationArray(node)) return convertEquationArray(node);
+
   const rows = [];
   for (const child of node.childNodes) {
     if (child.nodeType === Node.ELEMENT_NODE && (localName(child) === 'mtr' || localName(child) === 'mlabeledtr')) {
@@ -385,6 +854,66 @@ function convertTableRow(node) {
   return `<m:mr>${cells}</m:mr>`;
 }
 
+/**
+ * KaTeX alignment tables: aligned/align/alignat alternate right and left
+ * columns, gather is a single column of display-style rows, and cases is
+ * a left-aligned table next to a brace
+ */
+function isEquationArray(node) {
+  if (getTableRows(node).some(row => localName(row) === 'mlabeledtr')) return true;
+  const aligns = (node.getAttribute('columnalign') || '').trim().split(/\s+/).filter(Boolean);
+  const alternating = aligns.length > 0 && aligns.every((align, i) => align === (i % 2 === 0 ? 'right' : 'left'));
+  if (alternating && (aligns.length > 1 || hasDisplayRows(node))) return true;
+  if (aligns.length > 0 && aligns.every(align => align === 'left') && isNextToBrace(node)) return true;
+  return getMaxCols(node) === 1 && hasDisplayRows(node);
+}
+
+function hasDisplayRows(tableNode) {
+  const cells = getTableRows(tableNode).flatMap(getRowCells);
+  return cells.length > 0 && cells.every(cell => {
+    const style = getChildElements(cell)[0];
+    return style && localName(style) === 'mstyle' && style.getAttribute('displaystyle') === 'true';
+  });
+}
+
+function isNextToBrace(node) {
+  const parent = node.parentNode;
+  if (parent && localName(parent) === 'mfenced' &&
+      (parent.getAttribute('open') === '{' || parent.getAttribute('close') === '}')) {
+    return true;
+  }
+  const prev = node.previousElementSibling;
+  const next = node.nextElementSibling;
+  return (prev && localName(prev) === 'mo' && prev.textContent.trim() === '{') ||
+    (next && localName(next) === 'mo' && next.textContent.trim() === '}');
+}
+
+function getTableRows(tableNode) {
+  return getChildElements(tableNode).filter(child => localName(child) === 'mtr' || localName(child) === 'mlabeledtr');
+}
+
+/**
+ * Cells of a table row; the equation label of mlabeledtr is not a cell
+ */
+function getRowCells(row) {
+  const cells = getChildElements(row).filter(child => localName(child) === 'mtd');
+  return localName(row) === 'mlabeledtr' ? cells.slice(1) : cells;
+}
+
+/**
+ * Convert an alignment table to m:eqArr: one m:e per row, columns joined
+ * by & (odd ones are alignment points, even ones separate column pairs).
+ * Row labels follow a #, which Word lays out as a right-aligned number.
+ */
+function convertEquationArray(node) {
+  const rows = getTableRows(node).map(row => {
+    const cells = getRowCells(row).map(cell => convertChildren(cell)).join(makeRun('&'));
+    const label = localName(row) === 'mlabeledtr' ? getChildElements(row)[0]?.textContent.trim() : '';
+    return `<m:e>${cells}${label ? makeRun('#' + label) : ''}</m:e>`;
+  });
+  return `<m:eqArr><m:eqArrPr><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:eqArrPr>${rows.join('')}</m:eqArr>`;
+}
+
 function getMaxCols(tableNode) {
   let max = 0;
   for (const child of tableNode.childNodes) {
@@ -403,11 +932,17 @@ function getMaxCols(tableNode) {
  * Convert mfenced to OMML delimiters
  */
 function convertFenced(node) {
-  const open = node.getAttribute('open') || '(';
-  const close = node.getAttribute('close') || ')';
-  const content = convertChildren(node);
+  const open = node.getAttribute('open') ?? '(';
+  const close = node.getAttribute('close') ?? ')';
+  // Each child is one argument, split by the first separator (comma by default)
+  const children = getChildElements(node);
+  const separator = (node.getAttribute('separators') ?? ',').trim().charAt(0);
+  const sep = children.length > 1 && separator ? `<m:sepChr m:val="${escapeXml(separator)}"/>` : '';
+  const parts = children.length > 1 && separator
+    ? children.map(child => `<m:e>${convertNode(child)}</m:e>`).join('')
+    : `<m:e>${convertChildren(node)}</m:e>`;
 
-  return `<m:d><m:dPr><m:begChr m:val="${escapeXml(open)}"/><m:endChr m:val="${escapeXml(close)}"/><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:dPr><m:e>${content}</m:e></m:d>`;
+  return `<m:d><m:dPr><m:begChr m:val="${escapeXml(open)}"/>${sep}<m:endChr m:val="${escapeXml(close)}"/><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:dPr>${parts}</m:d>`;
 }
 
 /**
@@ -415,249 +950,117 @@ function convertFenced(node) {
  */
 function convertEnclose(node) {
   const content = convertChildren(node);
-  return `<m:borderBox><m:borderBoxPr><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:borderBoxPr><m:e>${content}</m:e></m:borderBox>`;
+  const notations = (node.getAttribute('notation') || 'box').trim().split(/\s+/);
+
+  const sides = new Set();
+  const strikes = [];
+  for (const notation of notations) {
+    if (BOX_NOTATIONS.has(notation)) {
+      ['top', 'bottom', 'left', 'right'].forEach(side => sides.add(side));
+    } else if (SIDE_NOTATIONS[notation]) {
+      SIDE_NOTATIONS[notation].forEach(side => sides.add(side));
+    } else if (STRIKE_NOTATIONS[notation]) {
+      strikes.push(STRIKE_NOTATIONS[notation]);
+    }
+  }
+
+  // A single line over or under the content is a bar (\overline, \underline)
+  if (strikes.length === 0 && sides.size === 1 && (sides.has('top') || sides.has('bottom'))) {
+    const pos = sides.has('top') ? 'top' : 'bot';
+    return `<m:bar><m:barPr><m:pos m:val="${pos}"/><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:barPr><m:e>${content}</m:e></m:bar>`;
+  }
+  // Unknown notations keep the old full box
+  if (strikes.length === 0 && sides.size === 0) {
+    ['top', 'bottom', 'left', 'right'].forEach(side => sides.add(side));
+  }
+
+  const hide = [['top', 'hideTop'], ['bottom', 'hideBot'], ['left', 'hideLeft'], ['right', 'hideRight']]
+    .filter(([side]) => !sides.has(side))
+    .map(([, flag]) => `<m:${flag} m:val="1"/>`)
+    .join('');
+  const strike = ['strikeH', 'strikeV', 'strikeBLTR', 'strikeTLBR']
+    .filter(flag => strikes.includes(flag))
+    .map(flag => `<m:${flag} m:val="1"/>`)
+    .join('');
+
+  return `<m:borderBox><m:borderBoxPr>${hide}${strike}<m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:borderBoxPr><m:e>${content}</m:e></m:borderBox>`;
 }
 
 /**
- * Convert mmultiscripts (simplified)
+ * Convert mmultiscripts: base, (sub sup)* pairs, then <mprescripts/> and
+ * (sub sup)* pairs written before the base. <none/> is an empty script.
+ * Post-scripts become a chain of m:sSubSup (tensor indices), pre-scripts m:sPre.
  */
 function convertMultiscripts(node) {
-  // Simplified: just convert children
-  return convertChildren(node);
+  const children = getChildElements(node);
+  const preIndex = children.findIndex(child => localName(child) === 'mprescripts');
+  const post = preIndex === -1 ? children.slice(1) : children.slice(1, preIndex);
+  const pre = preIndex === -1 ? [] : children.slice(preIndex + 1);
+
+  let result = children[0] ? convertNode(children[0]) : makeRun('');
+  for (let i = 0; i < post.length; i += 2) {
+    result = buildScripts(result, convertScript(post[i]), convertScript(post[i + 1]));
+  }
+  // The pair closest to the base is applied first
+  const prePairs = [];
+  for (let i = 0; i < pre.length; i += 2) prePairs.push([pre[i], pre[i + 1]]);
+  for (const [sub, sup] of prePairs.reverse()) {
+    result = buildPrescript(sub, sup, result);
+  }
+  return result;
+}
+
+function convertScript(node) {
+  return node && localName(node) !== 'none' ? convertNode(node) : '';
 }
 
 /**
- * Direct LaTeX to OMML converter for common patterns
+ * Attach converted sub/superscripts to a converted base
  */
-function latexToOmmlDirect(latex) {
-  // This is a simplified parser for common LaTeX patterns
-  let pos = 0;
-  const len = latex.length;
-
-  function parse() {
-    let result = '';
-    while (pos < len) {
-      const ch = latex[pos];
-
-      if (ch === '}') break;
-
-      if (ch === '{') {
-        pos++;
-        result += parse();
-        if (pos < len && latex[pos] === '}') pos++;
-        continue;
-      }
-
-      if (ch === '^') {
-        pos++;
-        const base = result;
-        result = '';
-        const sup = parseGroup();
-        const baseOmml = base || makeRun('');
-        return `<m:sSup><m:sSupPr><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:sSupPr><m:e>${baseOmml}</m:e><m:sup>${sup}</m:sup></m:sSup>` + parse();
-      }
-
-      if (ch === '_') {
-        pos++;
-        const base = result;
-        result = '';
-        const sub = parseGroup();
-        const baseOmml = base || makeRun('');
-
-        // Check for ^ after _
-        if (pos < len && latex[pos] === '^') {
-          pos++;
-          const sup = parseGroup();
-          return `<m:sSubSup><m:sSubSupPr><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:sSubSupPr><m:e>${baseOmml}</m:e><m:sub>${sub}</m:sub><m:sup>${sup}</m:sup></m:sSubSup>` + parse();
-        }
-
-        return `<m:sSub><m:sSubPr><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:sSubPr><m:e>${baseOmml}</m:e><m:sub>${sub}</m:sub></m:sSub>` + parse();
-      }
-
-      if (ch === '\\') {
-        const cmd = readCommand();
-        result += handleCommand(cmd);
-        continue;
-      }
-
-      if (ch === ' ') {
-        pos++;
-        continue;
-      }
-
-      result += makeRun(ch);
-      pos++;
-    }
-    return result;
-  }
+function buildScripts(base, sub, sup) {
+  const ctrlPr = '<m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr>';
+  if (sub && sup) return `<m:sSubSup><m:sSubSupPr>${ctrlPr}</m:sSubSupPr><m:e>${base}</m:e><m:sub>${sub}</m:sub><m:sup>${sup}</m:sup></m:sSubSup>`;
+  if (sub) return `<m:sSub><m:sSubPr>${ctrlPr}</m:sSubPr><m:e>${base}</m:e><m:sub>${sub}</m:sub></m:sSub>`;
+  if (sup) return `<m:sSup><m:sSupPr>${ctrlPr}</m:sSupPr><m:e>${base}</m:e><m:sup>${sup}</m:sup></m:sSup>`;
+  return base;
+}
 
-  function parseGroup() {
-    if (pos < len && latex[pos] === '{') {
-      pos++;
-      const r = parse();
-      if (pos < len && latex[pos] === '}') pos++;
-      return r;
-    }
-    if (pos < len && latex[pos] === '\\') {
-      const cmd = readCommand();
-      return handleCommand(cmd);
-    }
-    if (pos < len) {
-      const ch = latex[pos];
-      pos++;
-      return makeRun(ch);
-    }
-    return '';
-  }
+/**
+ * m:sPre from sub/superscript nodes (either may be missing) and a converted base
+ */
+function buildPrescript(subNode, supNode, base) {
+  return `<m:sPre><m:sPrePr><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:sPrePr><m:sub>${convertScript(subNode)}</m:sub><m:sup>${convertScript(supNode)}</m:sup><m:e>${base}</m:e></m:sPre>`;
+}
 
-  function readCommand() {
-    pos++; // skip backslash
-    let cmd = '';
-    while (pos < len && /[a-zA-Z]/.test(latex[pos])) {
-      cmd += latex[pos];
-      pos++;
-    }
-    return cmd;
-  }
+/**
+ * KaTeX writes {}^{14}_{6}C as scripts on an empty base followed by C.
+ * Scripts right after another scripted node (T_a{}^b) stay where they are.
+ */
+function isPrescript(nodes, i) {
+  const parts = getScriptParts(nodes[i]);
+  if (!parts || !isEmptyNode(parts[0]) || i + 1 >= nodes.length) return false;
+  if (nodes[i + 1].nodeType !== Node.ELEMENT_NODE) return false;
+  const prev = nodes[i - 1];
+  return !(prev && prev.nodeType === Node.ELEMENT_NODE &&
+    ['msub', 'msup', 'msubsup', 'mmultiscripts'].includes(localName(prev)));
+}
 
-  function handleCommand(cmd) {
-    switch (cmd) {
-      case 'frac': {
-        const num = parseGroup();
-        const den = parseGroup();
-        return `<m:f><m:fPr><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:fPr><m:num>${num}</m:num><m:den>${den}</m:den></m:f>`;
-      }
-      case 'sqrt': {
-        const content = parseGroup();
-        return `<m:rad><m:radPr><m:degHide m:val="1"/><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:radPr><m:deg/><m:e>${content}</m:e></m:rad>`;
-      }
-      case 'sum': return makeRun('∑');
-      case 'prod': return makeRun('∏');
-      case 'int': return makeRun('∫');
-      case 'infty': return makeRun('∞');
-      case 'alpha': return makeRun('α');
-      case 'beta': return makeRun('β');
-      case 'gamma': return makeRun('γ');
-      case 'delta': return makeRun('δ');
-      case 'epsilon': return makeRun('ε');
-      case 'zeta': return makeRun('ζ');
-      case 'eta': return makeRun('η');
-      case 'theta': return makeRun('θ');
-      case 'iota': return makeRun('ι');
-      case 'kappa': return makeRun('κ');
-      case 'lambda': return makeRun('λ');
-      case 'mu': return makeRun('μ');
-      case 'nu': return makeRun('ν');
-      case 'xi': return makeRun('ξ');
-      case 'pi': return makeRun('π');
-      case 'rho': return makeRun('ρ');
-      case 'sigma': return makeRun('σ');
-      case 'tau': return makeRun('τ');
-      case 'upsilon': return makeRun('υ');
-      case 'phi': return makeRun('φ');
-      case 'chi': return makeRun('χ');
-      case 'psi': return makeRun('ψ');
-      case 'omega': return makeRun('ω');
-      case 'Gamma': return makeRun('Γ');
-      case 'Delta': return makeRun('Δ');
-      case 'Theta': return makeRun('Θ');
-      case 'Lambda': return makeRun('Λ');
-      case 'Xi': return makeRun('Ξ');
-      case 'Pi': return makeRun('Π');
-      case 'Sigma': return makeRun('Σ');
-      case 'Phi': return makeRun('Φ');
-      case 'Psi': return makeRun('Ψ');
-      case 'Omega': return makeRun('Ω');
-      case 'cdot': return makeRun('⋅');
-      case 'cdots': return makeRun('⋯');
-      case 'ldots': return makeRun('…');
-      case 'dots': return makeRun('…');
-      case 'times': return makeRun('×');
-      case 'div': return makeRun('÷');
-      case 'pm': return makeRun('±');
-      case 'mp': return makeRun('∓');
-      case 'leq': case 'le': return makeRun('≤');
-      case 'geq': case 'ge': return makeRun('≥');
-      case 'neq': case 'ne': return makeRun('≠');
-      case 'approx': return makeRun('≈');
-      case 'equiv': return makeRun('≡');
-      case 'sim': return makeRun('∼');
-      case 'propto': return makeRun('∝');
-      case 'in': return makeRun('∈');
-      case 'notin': return makeRun('∉');
-      case 'subset': return makeRun('⊂');
-      case 'supset': return makeRun('⊃');
-      case 'subseteq': return makeRun('⊆');
-      case 'supseteq': return makeRun('⊇');
-      case 'cup': return makeRun('∪');
-      case 'cap': return makeRun('∩');
-      case 'forall': return makeRun('∀');
-      case 'exists': return makeRun('∃');
-      case 'nabla': return makeRun('∇');
-      case 'partial': return makeRun('∂');
-      case 'to': case 'rightarrow': return makeRun('→');
-      case 'leftarrow': return makeRun('←');
-      case 'Rightarrow': return makeRun('⇒');
-      case 'Leftarrow': return makeRun('⇐');
-      case 'leftrightarrow': return makeRun('↔');
-      case 'Leftrightarrow': return makeRun('⇔');
-      case 'langle': return makeRun('⟨');
-      case 'rangle': return makeRun('⟩');
-      case 'lfloor': return makeRun('⌊');
-      case 'rfloor': return makeRun('⌋');
-      case 'lceil': return makeRun('⌈');
-      case 'rceil': return makeRun('⌉');
-      case 'left': {
-        // Read delimiter
-        if (pos < len) {
-          const delim = latex[pos] === '\\' ? '' : latex[pos];
-          pos++;
-          return makeRun(delim || '');
-        }
-        return '';
-      }
-      case 'right': {
-        if (pos < len) {
-          const delim = latex[pos] === '\\' ? '' : latex[pos];
-          pos++;
-          return makeRun(delim || '');
-        }
-        return '';
-      }
-      case 'text': case 'mathrm': case 'textrm': {
-        const content = parseGroup();
-        return content;
-      }
-      case 'mathbf': case 'textbf': case 'bf': {
-        const content = parseGroup();
-        return content;
-      }
-      case 'bar': case 'overline': {
-        const content = parseGroup();
-        return `<m:acc><m:accPr><m:chr m:val="̄"/><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:accPr><m:e>${content}</m:e></m:acc>`;
-      }
-      case 'hat': {
-        const content = parseGroup();
-        return `<m:acc><m:accPr><m:chr m:val="̂"/><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:accPr><m:e>${content}</m:e></m:acc>`;
-      }
-      case 'vec': {
-        const content = parseGroup();
-        return `<m:acc><m:accPr><m:chr m:val="⃗"/><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:accPr><m:e>${content}</m:e></m:acc>`;
-      }
-      case 'dot': {
-        const content = parseGroup();
-        return `<m:acc><m:accPr><m:chr m:val="̇"/><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:accPr><m:e>${content}</m:e></m:acc>`;
-      }
-      case 'tilde': {
-        const content = parseGroup();
-        return `<m:acc><m:accPr><m:chr m:val="̃"/><m:ctrlPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr></m:ctrlPr></m:accPr><m:e>${content}</m:e></m:acc>`;
-      }
-      default:
-        return makeRun('\\' + cmd);
-    }
+/**
+ * [base, sub, sup] of msub/msup/msubsup (missing scripts are null), or null
+ */
+function getScriptParts(node) {
+  if (node.nodeType !== Node.ELEMENT_NODE) return null;
+  const [base, first, second] = getChildElements(node);
+  switch (localName(node)) {
+    case 'msub': return [base, first, null];
+    case 'msup': return [base, null, first];
+    case 'msubsup': return [base, first, second];
+    default: return null;
   }
+}
 
-  return parse();
+function isEmptyNode(node) {
+  return !node || (getChildElements(node).length === 0 && !node.textContent.trim());
 }
 
 /**
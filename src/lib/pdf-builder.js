@@ -0,0 +1,1159 @@
+/**
+ * PDF Builder - creates vector .pdf files from structured content.
+ * Uses jsPDF with embedded DejaVu fonts (Latin, Cyrillic, Greek and math
+ * symbols); only the glyphs in use are embedded, and all text stays
+ * selectable and searchable.
+ *
+ * Supports:
+ * - Text with formatting (bold, italic, code, sub/superscripts)
+ * - Hyperlinks (clickable)
+ * - Headings (h1-h6), kept with the following line
+ * - Tables (header rows repeat after a page break)
+ * - Lists (ordered and unordered)
+ * - Code blocks
+ * - Math formulas typeset into glyphs and vector paths (see math-layout)
+ * - Equation numbers (\tag labels, optional numbering)
+ * - Blockquotes
+ * - Images (charts, generated pictures, uploads) with captions
+ * - Conversation turns (user prompts and assistant answers)
+ * - Bookmarks (document outline) from headings
+ * - Running headers and footers ({title}, {page}, {pages}, {date})
+ *
+ * Pages break only between lines, table rows and blocks.
+ */
+
+import { jsPDF } from 'jspdf';
+import { layoutMath } from './math-layout';
+import { latexToMathml } from './latex-to-mathml';
+import { extractEquationLabel } from './mathml-to-omml';
+import { fetchImageData } from './image-loader';
+import { getResourceUrl } from './browser-api';
+
+// Font files packaged with the extension (src/fonts)
+const FONT_FILES = {
+  regular: 'fonts/DejaVuSans.ttf',
+  bold: 'fonts/DejaVuSans-Bold.ttf',
+  mono: 'fonts/DejaVuSansMono.ttf',
+};
+
+// jsPDF family and style of each font
+const FONT_FACES = {
+  regular: ['DejaVuSans', 'normal'],
+  bold: ['DejaVuSans', 'bold'],
+  mono: ['DejaVuSansMono', 'normal'],
+};
+
+// Slant of the synthetic italic (the DejaVu Sans Oblique angle, about 11°)
+const ITALIC_SKEW = 0.2;
+
+// A4 in points with 20 mm margins
+const PAGE = { width: 595.28, height: 841.89, margin: 56.7 };
+
+const FONT_SIZE = 11;
+const LINE_HEIGHT = 1.4;
+const CODE_FONT_SIZE = 9;
+const HEADING_SIZES = [20, 16, 13.5, 12, 11, 11];
+const SCRIPT_SCALE = 0.7;
+
+const RUNNING_FONT_SIZE = 8.5;
+
+const BLOCK_SPACING = 8;
+const LIST_ITEM_SPACING = 3;
+const LIST_INDENT = 18;
+const QUOTE_INDENT = 14;
+const CELL_PADDING = 4;
+const CODE_PADDING = 6;
+
+// Markers of unordered lists by nesting depth
+const BULLETS = ['•', '◦', '▪'];
+
+// Number formats of nested ordered lists, as in the DOCX export
+const ORDERED_FORMATS = ['decimal', 'lowerLetter', 'lowerRoman'];
+
+// Document color palettes
+const THEMES = {
+  light: {
+    background: null,
+    text: '#000000',
+    heading: '#2F5496',
+    headingMuted: '#595959',
+    link: '#0563C1',
+    inlineCodeFill: '#F5F5F5',
+    codeFill: '#F8F8F8',
+    codeLabelFill: '#E8E8E8',
+    codeLabelText: '#666666',
+    tableBorder: '#999999',
+    tableHeaderFill: '#F0F0F0',
+    quoteBorder: '#CCCCCC',
+    quoteText: '#666666',
+    rule: '#CCCCCC',
+    questionFill: '#EFF4FB',
+    questionAccent: '#3B82F6',
+    answerAccent: '#10A37F',
+  },
+  dark: {
+    background: '#1E1E1E',
+    text: '#E6E6E6',
+    heading: '#8AB4F8',
+    headingMuted: '#B0B0B0',
+    link: '#6CB4FF',
+    inlineCodeFill: '#333333',
+    codeFill: '#2A2A2A',
+    codeLabelFill: '#383838',
+    codeLabelText: '#A0A0A0',
+    tableBorder: '#5A5A5A',
+    tableHeaderFill: '#333A45',
+    quoteBorder: '#5A5A5A',
+    quoteText: '#B0B0B0',
+    rule: '#5A5A5A',
+    questionFill: '#26303D',
+    questionAccent: '#60A5FA',
+    answerAccent: '#34D399',
+  },
+};
+
+// 1 CSS pixel = 0.75 pt
+const PT_PER_PX = 0.75;
+
+// Fonts are fetched once per page load
+let fontsPromise = null;
+
+/**
+ * Build a PDF file from structured content blocks
+ * @param {Array} blocks - Array of content blocks from dom-extractor
+ * @param {Object} options - Build options
+ * @param {string} options.title - document title (PDF metadata, {title} in headers)
+ * @param {string} options.author - document author (PDF metadata)
+ * @param {string} options.sourceUrl - page the content comes from (PDF subject)
+ * @param {Date} options.date - creation date
+ * @param {string} options.header - running header template, '' for none
+ * @param {string} options.footer - running footer template, '' for none
+ * @param {boolean} options.darkTheme - dark page background
+ * @param {boolean} options.numberEquations - number display formulas
+ *   without their own label
+ * @param {Object} options.fonts - { regular, bold, mono } TTF bytes;
+ *   fetched from the extension package when omitted
+ * @param {Function} options.fetchImage - loader for answer images
+ * @returns {Promise<Blob>} - PDF file as blob
+ */
+export async function buildPdf(blocks, options = {}) {
+  const {
+    title = 'ChatGPT Response',
+    author = 'ChatGPT',
+    sourceUrl = '',
+    date = new Date(),
+    header = '',
+    footer = '',
+    darkTheme = false,
+    numberEquations = false,
+    fetchImage = fetchImageData,
+  } = options;
+  const fonts = options.fonts || await loadFonts();
+
+  const doc = new jsPDF({ unit: 'pt', format: 'a4', compress: true });
+  registerFonts(doc, fonts);
+  doc.setProperties({ title, author, subject: sourceUrl, creator: 'ChatGPT → Word Copier' });
+  doc.setCreationDate(date);
+
+  const ctx = {
+    doc,
+    theme: darkTheme ? THEMES.dark : THEMES.light,
+    numberEquations,
+    counters: { equation: 0 },
+    pictures: new Map(), // image item -> fetched { data, ext, width, height }
+    widths: new Map(), // font + text -> advance width in em
+    cmaps: {}, // font -> unicode code map of the embedded font
+    y: PAGE.margin, // top of the next unit on the current page
+    marker: null, // list marker waiting for the first line of its item
+    outline: [], // { level, title, page } of every heading
+  };
+
+  await fetchPictures(blocks, ctx, fetchImage);
+
+  paintPage(ctx);
+  const frame = {
+    left: PAGE.margin,
+    width: PAGE.width - 2 * PAGE.margin,
+    color: null, // text color override (quotes)
+    decorations: [], // { x, width, color } stripes drawn beside every unit (quote bars, shading)
+    compact: false, // tighter spacing inside list items
+    listDepth: 0,
+    orderedDepth: 0,
+  };
+  layoutBlocks(blocks, frame, ctx);
+
+  addOutline(ctx);
+  addRunningText(ctx, { header, footer }, { title, date: date.toLocaleDateString('ru-RU') });
+
+  return doc.output('blob');
+}
+
+// ===== Fonts =====
+
+async function loadFonts() {
+  if (!fontsPromise) {
+    fontsPromise = Promise.all(Object.entries(FONT_FILES).map(async ([key, file]) => {
+      const response = await fetch(getResourceUrl(file));
+      if (!response.ok) throw new Error(`Font ${file} could not be loaded`);
+      return [key, new Uint8Array(await response.arrayBuffer())];
+    })).then(Object.fromEntries);
+    // A failed load is retried on the next export
+    fontsPromise.catch(() => { fontsPromise = null; });
+  }
+  return fontsPromise;
+}
+
+function registerFonts(doc, fonts) {
+  for (const [key, [family, style]] of Object.entries(FONT_FACES)) {
+    const file = FONT_FILES[key].split('/').pop();
+    doc.addFileToVFS(file, toBase64(fonts[key]));
+    doc.addFont(file, family, style);
+  }
+}
+
+function setFont(ctx, font) {
+  ctx.doc.setFont(...FONT_FACES[font]);
+}
+
+/**
+ * Advance width of a string in em
+ */
+function measure(ctx, text, font) {
+  const key = `${font}\u0000${text}`;
+  if (!ctx.widths.has(key)) {
+    setFont(ctx, font);
+    ctx.widths.set(key, ctx.doc.getStringUnitWidth(text));
+  }
+  return ctx.widths.get(key);
+}
+
+function hasGlyph(ctx, font, ch) {
+  if (!ctx.cmaps[font]) {
+    setFont(ctx, font);
+    ctx.cmaps[font] = ctx.doc.getFont().metadata?.cmap?.unicode?.codeMap || {};
+  }
+  return !!ctx.cmaps[font][ch.codePointAt(0)];
+}
+
+/**
+ * Drop characters the font cannot draw (emoji, variation selectors)
+ * instead of printing empty boxes
+ */
+function renderable(ctx, text, font) {
+  return Array.from(text).filter(ch => /\s/.test(ch) || hasGlyph(ctx, font, ch)).join('');
+}
+
+// ===== Pages and units =====
+
+function pageBottom() {
+  return PAGE.height - PAGE.margin;
+}
+
+function paintPage(ctx) {
+  const { background } = ctx.theme;
+  if (!background) return;
+  ctx.doc.setFillColor(background);
+  ctx.doc.rect(0, 0, PAGE.width, PAGE.height, 'F');
+}
+
+function newPage(ctx) {
+  ctx.doc.addPage();
+  paintPage(ctx);
+  ctx.y = PAGE.margin;
+}
+
+function atPageTop(ctx) {
+  return ctx.y <= PAGE.margin + 0.01;
+}
+
+/**
+ * Start a new page unless the given height still fits on this one
+ */
+function ensureSpace(ctx, height) {
+  if (ctx.y + height > pageBottom() && !atPageTop(ctx)) newPage(ctx);
+}
+
+/**
+ * Place an unbreakable unit (a line, a table row, a formula): it moves
+ * to the next page as a whole. The frame decorations are drawn beside it
+ * and a pending list marker is set on its baseline.
+ * @param {Function} draw - (top) => void
+ * @param {number|null} baseline - offset of the first baseline from the top
+ */
+function placeUnit(ctx, frame, height, draw, baseline = null) {
+  ensureSpace(ctx, height);
+  const top = ctx.y;
+  drawDecorations(ctx, frame, top, height);
+  draw(top);
+  if (ctx.marker && baseline !== null) {
+    const { text, right, style } = ctx.marker;
+    drawText(ctx, text, right - measure(ctx, text, style.font) * style.size, top + baseline, style);
+    ctx.marker = null;
+  }
+  ctx.y += height;
+}
+
+/**
+ * Vertical space between units; dropped at the top of a page
+ */
+function addSpace(ctx, frame, height) {
+  if (atPageTop(ctx)) return;
+  if (ctx.y + height >= pageBottom()) {
+    ctx.y = pageBottom();
+    return;
+  }
+  drawDecorations(ctx, frame, ctx.y, height);
+  ctx.y += height;
+}
+
+function drawDecorations(ctx, frame, top, height) {
+  for (const stripe of frame.decorations) {
+    ctx.doc.setFillColor(stripe.color);
+    ctx.doc.rect(stripe.x, top, stripe.width, height, 'F');
+  }
+}
+
+// ===== Outline, headers and footers =====
+
+/**
+ * Bookmarks nested by heading level; a skipped level attaches to the
+ * nearest higher heading
+ */
+function addOutline(ctx) {
+  if (ctx.outline.length === 0) return;
+  const stack = [];
+  for (const { level, title, page } of ctx.outline) {
+    while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+    const parent = stack.length ? stack[stack.length - 1].node : null;
+    stack.push({ level, node: ctx.doc.outline.add(parent, title, { pageNumber: page }) });
+  }
+  ctx.doc.setDisplayMode(null, null, 'UseOutlines');
+}
+
+/**
+ * Header and footer centered in the top and bottom page margins
+ * @param {Object} templates - { header, footer }
+ * @param {Object} fields - { title, date }
+ */
+function addRunningText(ctx, templates, fields) {
+  if (!templates.header && !templates.footer) return;
+  const pages = ctx.doc.getNumberOfPages();
+  const style = { font: 'regular', size: RUNNING_FONT_SIZE, color: ctx.theme.headingMuted };
+  const positions = {
+    header: PAGE.margin / 2 + RUNNING_FONT_SIZE / 3,
+    footer: PAGE.height - PAGE.margin / 2 + RUNNING_FONT_SIZE / 3,
+  };
+
+  for (let page = 1; page <= pages; page++) {
+    ctx.doc.setPage(page);
+    for (const [key, baseline] of Object.entries(positions)) {
+      let text = renderable(ctx, fillTemplate(templates[key], { ...fields, page, pages }), style.font).trim();
+      if (!text) continue;
+      // Long titles are cut to the text width
+      while (text.length > 1 && measure(ctx, text, style.font) * style.size > PAGE.width - 2 * PAGE.margin) {
+        text = text.slice(0, -2).trimEnd() + '…';
+      }
+      drawText(ctx, text, (PAGE.width - measure(ctx, text, style.font) * style.size) / 2, baseline, style);
+    }
+  }
+}
+
+function fillTemplate(template, fields) {
+  return (template || '').replace(/\{(title|page|pages|date)\}/g, (match, key) => String(fields[key] ?? ''));
+}
+
+// ===== Blocks =====
+
+function layoutBlocks(blocks, frame, ctx) {
+  (blocks || []).forEach((block, i) => {
+    if (i > 0) addSpace(ctx, frame, spacingBefore(block, frame));
+    layoutBlock(block, frame, ctx);
+  });
+}
+
+function spacingBefore(block, frame) {
+  if (block.type === 'turn') return 2 * BLOCK_SPACING;
+  if (block.type === 'heading') return block.level <= 2 ? 2 * BLOCK_SPACING : 1.5 * BLOCK_SPACING;
+  return frame.compact ? LIST_ITEM_SPACING : BLOCK_SPACING;
+}
+
+function layoutBlock(block, frame, ctx) {
+  switch (block.type) {
+    case 'heading': return layoutHeading(block, frame, ctx);
+    case 'paragraph': return layoutParagraph(block.content, frame, ctx);
+    case 'list': return layoutList(block, frame, ctx);
+    case 'table': return layoutTable(block, frame, ctx);
+    case 'codeBlock': return layoutCodeBlock(block, frame, ctx);
+    case 'math': return layoutMathBlock(block, frame, ctx);
+    case 'blockquote': return layoutBlockquote(block, frame, ctx);
+    case 'details': return layoutDetails(block, frame, ctx);
+    case 'hr': return layoutHorizontalRule(frame, ctx);
+    case 'turn': return layoutTurn(block, frame, ctx);
+    case 'image': return layoutImageBlock(block, frame, ctx);
+    default: return undefined;
+  }
+}
+
+function baseStyle(frame, ctx) {
+  return { font: 'regular', italic: false, size: FONT_SIZE, color: frame.color || ctx.theme.text, rise: 0 };
+}
+
+/**
+ * Inline content broken into lines, one unit per line
+ * @param {Object} style - base text style (see baseStyle)
+ * @param {string} align - 'left' | 'center'
+ */
+function layoutParagraph(content, frame, ctx, style = baseStyle(frame, ctx), align = 'left') {
+  const atoms = buildAtoms(content, style, ctx);
+  if (atoms.length === 0) return;
+  for (const line of breakLines(atoms, frame.width, style.size)) {
+    const x = frame.left + (align === 'center' ? Math.max(0, (frame.width - line.width) / 2) : 0);
+    placeUnit(ctx, frame, line.height, top => drawLine(line, x, top + line.baseline, ctx), line.baseline);
+  }
+}
+
+/**
+ * Headings are kept on the page of the line that follows them
+ */
+function layoutHeading(block, frame, ctx) {
+  const level = Math.min(Math.max(block.level || 1, 1), 6);
+  const style = {
+    ...baseStyle(frame, ctx),
+    font: 'bold',
+    size: HEADING_SIZES[level - 1],
+    color: level <= 4 ? ctx.theme.heading : ctx.theme.headingMuted,
+  };
+  const content = block.content?.length ? block.content : [{ type: 'text', text: block.text || '' }];
+  ensureSpace(ctx, style.size * LINE_HEIGHT + 2 * FONT_SIZE * LINE_HEIGHT);
+
+  const title = (block.text || content.map(item => item.text || item.latex || '').join('')).replace(/\s+/g, ' ').trim();
+  if (title) ctx.outline.push({ level, title, page: ctx.doc.getCurrentPageInfo().pageNumber });
+
+  layoutParagraph(content, frame, ctx, style);
+}
+
+function layoutList(block, frame, ctx) {
+  const start = block.start ?? 1;
+  const itemFrame = {
+    ...frame,
+    left: frame.left + LIST_INDENT,
+    width: frame.width - LIST_INDENT,
+    compact: true,
+    listDepth: frame.listDepth + 1,
+    orderedDepth: frame.orderedDepth + (block.ordered ? 1 : 0),
+  };
+
+  block.items.forEach((item, i) => {
+    if (i > 0) addSpace(ctx, frame, LIST_ITEM_SPACING);
+    const text = block.ordered
+      ? `${formatNumber(start + i, ORDERED_FORMATS[frame.orderedDepth % ORDERED_FORMATS.length])}.`
+      : BULLETS[frame.listDepth % BULLETS.length];
+    ctx.marker = { text, right: itemFrame.left - 5, style: baseStyle(frame, ctx) };
+
+    layoutBlocks(item.blocks, itemFrame, ctx);
+  });
+  ctx.marker = null;
+}
+
+function formatNumber(n, format) {
+  if (format === 'lowerLetter') {
+    let result = '';
+    for (let value = n; value > 0; value = Math.floor((value - 1) / 26)) {
+      result = String.fromCharCode(97 + (value - 1) % 26) + result;
+    }
+    return result || String(n);
+  }
+  if (format === 'lowerRoman') return toRoman(n).toLowerCase() || String(n);
+  return String(n);
+}
+
+function toRoman(n) {
+  const numerals = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+    [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+  let result = '';
+  let value = n;
+  for (const [amount, numeral] of numerals) {
+    while (value >= amount) {
+      result += numeral;
+      value -= amount;
+    }
+  }
+  return result;
+}
+
+function layoutBlockquote(block, frame, ctx) {
+  const quoteFrame = {
+    ...frame,
+    left: frame.left + QUOTE_INDENT,
+    width: frame.width - QUOTE_INDENT,
+    color: ctx.theme.quoteText,
+    decorations: [...frame.decorations, { x: frame.left + 2, width: 2.5, color: ctx.theme.quoteBorder }],
+  };
+  layoutBlocks(block.blocks, quoteFrame, ctx);
+}
+
+function layoutDetails(block, frame, ctx) {
+  if (block.summary) {
+    layoutParagraph([{ type: 'text', text: block.summary }], frame, ctx, { ...baseStyle(frame, ctx), font: 'bold' });
+    addSpace(ctx, frame, LIST_ITEM_SPACING);
+  }
+  const bodyFrame = { ...frame, left: frame.left + QUOTE_INDENT, width: frame.width - QUOTE_INDENT };
+  layoutBlocks(block.blocks, bodyFrame, ctx);
+}
+
+function layoutHorizontalRule(frame, ctx) {
+  placeUnit(ctx, frame, 12, (top) => {
+    ctx.doc.setDrawColor(ctx.theme.rule);
+    ctx.doc.setLineWidth(0.75);
+    ctx.doc.line(frame.left, top + 6, frame.left + frame.width, top + 6);
+  });
+}
+
+/**
+ * A conversation turn: a role label followed by the turn's blocks.
+ * User prompts are shaded with an accent bar, like the DOCX "Question" style.
+ */
+function layoutTurn(block, frame, ctx) {
+  const isUser = block.role === 'user';
+  const label = block.label || (isUser ? 'Вопрос' : 'Ответ');
+  const labelStyle = {
+    ...baseStyle(frame, ctx),
+    font: 'bold',
+    size: FONT_SIZE + 1,
+    color: isUser ? ctx.theme.questionAccent : ctx.theme.answerAccent,
+  };
+  ensureSpace(ctx, 3 * FONT_SIZE * LINE_HEIGHT);
+  layoutParagraph([{ type: 'text', text: label }], frame, ctx, labelStyle);
+  addSpace(ctx, frame, LIST_ITEM_SPACING);
+
+  if (!isUser) {
+    layoutBlocks(block.blocks, frame, ctx);
+    return;
+  }
+
+  const padding = 6;
+  const turnFrame = {
+    ...frame,
+    left: frame.left + 10,
+    width: frame.width - 16,
+    decorations: [
+      ...frame.decorations,
+      { x: frame.left, width: frame.width, color: ctx.theme.questionFill },
+      { x: frame.left, width: 3, color: ctx.theme.questionAccent },
+    ],
+  };
+  placeUnit(ctx, turnFrame, padding, () => {});
+  layoutBlocks(block.blocks, turnFrame, ctx);
+  placeUnit(ctx, turnFrame, padding, () => {});
+}
+
+/**
+ * Code on a shaded background, long lines wrapped; an optional
+ * language label on top
+ */
+function layoutCodeBlock(block, frame, ctx) {
+  const style = { ...baseStyle(frame, ctx), font: 'mono', size: CODE_FONT_SIZE, color: frame.color || ctx.theme.text };
+  const lineHeight = CODE_FONT_SIZE * 1.45;
+  const codeFrame = {
+    ...frame,
+    decorations: [...frame.decorations, { x: frame.left, width: frame.width, color: ctx.theme.codeFill }],
+  };
+
+  if (block.language) {
+    const labelStyle = { ...style, font: 'regular', size: 8, color: ctx.theme.codeLabelText };
+    const labelFrame = {
+      ...frame,
+      decorations: [...frame.decorations, { x: frame.left, width: frame.width, color: ctx.theme.codeLabelFill }],
+    };
+    placeUnit(ctx, labelFrame, 14, top => drawText(ctx, block.language, frame.left + CODE_PADDING, top + 10, labelStyle));
+  }
+
+  const charWidth = measure(ctx, '0', 'mono') * CODE_FONT_SIZE;
+  const columns = Math.max(1, Math.floor((frame.width - 2 * CODE_PADDING) / charWidth));
+  const lines = [];
+  for (const line of (block.code || '').replace(/\n$/, '').replace(/\t/g, '    ').split('\n')) {
+    const chars = Array.from(renderable(ctx, line, 'mono'));
+    if (chars.length === 0) lines.push('');
+    for (let i = 0; i < chars.length; i += columns) lines.push(chars.slice(i, i + columns).join(''));
+  }
+
+  const baseline = CODE_FONT_SIZE * 1.05;
+  placeUnit(ctx, codeFrame, CODE_PADDING, () => {});
+  for (const line of lines) {
+    placeUnit(ctx, codeFrame, lineHeight, (top) => {
+      if (line) drawText(ctx, line, frame.left + CODE_PADDING, top + baseline, style);
+    }, baseline);
+  }
+  placeUnit(ctx, codeFrame, CODE_PADDING, () => {});
+}
+
+/**
+ * A display formula centred in the frame; its label (or the running
+ * number) goes to the right edge. Wide formulas are set smaller to fit.
+ */
+function layoutMathBlock(block, frame, ctx) {
+  const source = getMathml(block, true);
+  const { mathml, label: ownLabel } = source ? extractEquationLabel(source) : { mathml: '', label: '' };
+  const label = ownLabel || (ctx.numberEquations ? `(${++ctx.counters.equation})` : '');
+  const style = baseStyle(frame, ctx);
+  const labelWidth = label ? measure(ctx, label, 'regular') * FONT_SIZE + 12 : 0;
+  const available = frame.width - 2 * labelWidth;
+
+  let box = layoutFormula(mathml, FONT_SIZE, true, style.color, ctx);
+  if (box && box.width > available) {
+    box = layoutFormula(mathml, Math.max(6, FONT_SIZE * available / box.width), true, style.color, ctx);
+  }
+  if (!box) {
+    layoutParagraph([{ type: 'code', text: block.latex || '' }], frame, ctx);
+    return;
+  }
+
+  const padding = 4;
+  const height = box.ascent + box.descent + 2 * padding;
+  const baseline = padding + box.ascent;
+  placeUnit(ctx, frame, height, (top) => {
+    const x = frame.left + Math.max(0, (frame.width - box.width) / 2);
+    drawMath(box, x, top + baseline, style.color, ctx);
+    if (label) {
+      const width = measure(ctx, label, 'regular') * FONT_SIZE;
+      drawText(ctx, label, frame.left + frame.width - width, top + baseline, style);
+    }
+  }, baseline);
+}
+
+/**
+ * A picture scaled to the text width, with its caption; pictures that
+ * could not be fetched fall back to their alt text
+ */
+function layoutImageBlock(block, frame, ctx) {
+  const picture = ctx.pictures.get(block);
+  const captionStyle = { ...baseStyle(frame, ctx), italic: true, size: FONT_SIZE - 1 };
+  const alt = block.alt ? `[Изображение: ${block.alt}]` : '[Изображение]';
+
+  if (picture) {
+    let width = (picture.width || block.width || 400) * PT_PER_PX;
+    let height = (picture.height || block.height || 300) * PT_PER_PX;
+    const scale = Math.min(1, frame.width / width, (pageBottom() - PAGE.margin - 40) / height);
+    width *= scale;
+    height *= scale;
+    placeUnit(ctx, frame, height, (top) => {
+      drawPicture(picture, frame.left + (frame.width - width) / 2, top, width, height, ctx);
+    });
+  } else {
+    layoutParagraph([{ type: 'text', text: alt }], frame, ctx, captionStyle, 'center');
+  }
+
+  if (block.caption) {
+    addSpace(ctx, frame, LIST_ITEM_SPACING);
+    layoutParagraph([{ type: 'text', text: block.caption }], frame, ctx, captionStyle, 'center');
+  }
+}
+
+// ===== Tables =====
+
+/**
+ * Columns share the width by their content; a row moves to the next page
+ * as a whole unless it is taller than a page, then it is split between
+ * lines. The header rows are repeated when the table continues on a new page.
+ */
+function layoutTable(block, frame, ctx) {
+  const columns = Math.max(0, ...block.rows.map(row => row.cells.length));
+  if (columns === 0) return;
+
+  const style = baseStyle(frame, ctx);
+  const rows = block.rows.map(row => ({
+    isHeader: row.isHeader,
+    cells: row.cells.map(cell => buildAtoms(cell.content, row.isHeader ? { ...style, font: 'bold' } : style, ctx)),
+  }));
+
+  const widths = distributeColumns(rows, columns, frame.width);
+  const laidOut = rows.map(row => measureRow(
+    row.isHeader,
+    widths.map((width, i) => breakLines(row.cells[i] || [], width - 2 * CELL_PADDING, FONT_SIZE)),
+  ));
+
+  const headerRows = [];
+  for (const row of laidOut) {
+    if (!row.isHeader) break;
+    headerRows.push(row);
+  }
+  const headerHeight = headerRows.reduce((sum, row) => sum + row.height, 0);
+
+  for (const row of laidOut) {
+    const repeatHeader = !row.isHeader && headerRows.length > 0;
+    const pageArea = pageBottom() - PAGE.margin - (repeatHeader ? headerHeight : 0);
+    let part = row;
+    while (part) {
+      let rest = null;
+      if (ctx.y + part.height > pageBottom()) {
+        const split = part.height > pageArea ? splitTableRow(part, pageBottom() - ctx.y) : null;
+        if (!split && !atPageTop(ctx)) {
+          newPage(ctx);
+          if (repeatHeader) for (const header of headerRows) placeTableRow(header, widths, frame, ctx);
+          continue;
+        }
+        if (split) [part, rest] = split;
+      }
+      placeTableRow(part, widths, frame, ctx);
+      part = rest;
+    }
+  }
+}
+
+function measureRow(isHeader, cells) {
+  const height = Math.max(...cells.map(lines => lines.reduce((sum, line) => sum + line.height, 0))) + 2 * CELL_PADDING;
+  return { isHeader, cells, height };
+}
+
+/**
+ * Split a row between lines: every cell keeps the lines that fit into
+ * `height`, the rest goes on. Null when not a single line fits.
+ */
+function splitTableRow(row, height) {
+  const available = height - 2 * CELL_PADDING;
+  const counts = row.cells.map((lines) => {
+    let used = 0;
+    let count = 0;
+    while (count < lines.length && used + lines[count].height <= available) used += lines[count++].height;
+    return count;
+  });
+  if (counts.every(count => count === 0)) return null;
+  return [
+    measureRow(row.isHeader, row.cells.map((lines, i) => lines.slice(0, counts[i]))),
+    measureRow(row.isHeader, row.cells.map((lines, i) => lines.slice(counts[i]))),
+  ];
+}
+
+/**
+ * Natural widths when they fit; otherwise every column keeps its longest
+ * word and the rest of the width goes by the amount of text
+ */
+function distributeColumns(rows, columns, available) {
+  const natural = new Array(columns).fill(0);
+  const minimum = new Array(columns).fill(0);
+  for (const row of rows) {
+    row.cells.forEach((atoms, i) => {
+      natural[i] = Math.max(natural[i], lineWidth(atoms) + 2 * CELL_PADDING);
+      minimum[i] = Math.max(minimum[i], longestWord(atoms) + 2 * CELL_PADDING);
+    });
+  }
+
+  const sum = (list) => list.reduce((total, value) => total + value, 0);
+  if (sum(natural) <= available) return natural;
+
+  const cappedMinimum = minimum.map(value => Math.min(value, available / columns));
+  const spare = available - sum(cappedMinimum);
+  const wanted = natural.map((value, i) => value - cappedMinimum[i]);
+  const totalWanted = sum(wanted);
+  if (spare <= 0 || totalWanted <= 0) return cappedMinimum.map(value => value * available / sum(cappedMinimum));
+  return cappedMinimum.map((value, i) => value + spare * wanted[i] / totalWanted);
+}
+
+function placeTableRow(row, widths, frame, ctx) {
+  const { doc, theme } = ctx;
+  placeUnit(ctx, frame, row.height, (top) => {
+    let x = frame.left;
+    row.cells.forEach((lines, i) => {
+      if (row.isHeader) {
+        doc.setFillColor(theme.tableHeaderFill);
+        doc.rect(x, top, widths[i], row.height, 'F');
+      }
+      doc.setDrawColor(theme.tableBorder);
+      doc.setLineWidth(0.5);
+      doc.rect(x, top, widths[i], row.height, 'S');
+
+      let y = top + CELL_PADDING;
+      for (const line of lines) {
+        drawLine(line, x + CELL_PADDING, y + line.baseline, ctx);
+        y += line.height;
+      }
+      x += widths[i];
+    });
+  }, CELL_PADDING + (row.cells[0]?.[0]?.baseline ?? FONT_SIZE));
+}
+
+// ===== Inline content =====
+
+/**
+ * Flatten inline items into atoms: words, spaces, formulas and breaks.
+ * Atoms of one item share a style object, so runs can be merged back
+ * when a line is drawn.
+ */
+function buildAtoms(items, style, ctx, atoms = []) {
+  for (const item of items || []) {
+    switch (item.type) {
+      case 'bold':
+        buildAtoms(item.content || [{ type: 'text', text: item.text }], { ...style, font: style.font === 'mono' ? 'mono' : 'bold' }, ctx, atoms);
+        break;
+      case 'italic':
+        buildAtoms(item.content || [{ type: 'text', text: item.text }], { ...style, italic: true }, ctx, atoms);
+        break;
+      case 'code':
+        addWords(item.text, { ...style, font: 'mono', size: style.size * 0.9, code: true }, ctx, atoms);
+        break;
+      case 'link': {
+        const url = /^(https?|ftp|mailto):/i.test(item.href || '') ? item.href : null;
+        addWords(item.text, { ...style, color: ctx.theme.link, link: url }, ctx, atoms);
+        break;
+      }
+      case 'superscript':
+        addWords(item.text, { ...style, size: style.size * SCRIPT_SCALE, rise: style.size * 0.35 }, ctx, atoms);
+        break;
+      case 'subscript':
+        addWords(item.text, { ...style, size: style.size * SCRIPT_SCALE, rise: -style.size * 0.15 }, ctx, atoms);
+        break;
+      case 'math':
+        addFormula(item, style, ctx, atoms);
+        break;
+      case 'lineBreak':
+        atoms.push({ kind: 'break' });
+        break;
+      case 'image':
+        addPicture(item, style, ctx, atoms);
+        break;
+      default:
+        if (item.text) addWords(item.text, style, ctx, atoms);
+    }
+  }
+  return atoms;
+}
+
+function addWords(text, style, ctx, atoms) {
+  const clean = renderable(ctx, text || '', style.font);
+  for (const part of clean.split(/(\s+)/)) {
+    if (!part) continue;
+    const isSpace = /^\s+$/.test(part);
+    const word = isSpace ? ' ' : part;
+    atoms.push({
+      kind: isSpace ? 'space' : 'text',
+      text: word,
+      style,
+      width: measure(ctx, word, style.font) * style.size,
+      ascent: 0.76 * style.size + style.rise,
+      descent: 0.24 * style.size - style.rise,
+    });
+  }
+}
+
+function addFormula(item, style, ctx, atoms) {
+  const box = layoutFormula(getMathml(item, false), style.size, false, style.color, ctx);
+  if (!box) {
+    addWords(item.latex || '', { ...style, font: 'mono' }, ctx, atoms);
+    return;
+  }
+  atoms.push({ kind: 'math', box, style, width: box.width, ascent: box.ascent, descent: box.descent });
+}
+
+/**
+ * Inline pictures sit on the baseline, at most as wide as the text
+ */
+function addPicture(item, style, ctx, atoms) {
+  const picture = ctx.pictures.get(item);
+  if (!picture) {
+    addWords(item.alt ? `[${item.alt}]` : '[Изображение]', style, ctx, atoms);
+    return;
+  }
+  const width = (picture.width || item.width || 16) * PT_PER_PX;
+  const height = (picture.height || item.height || 16) * PT_PER_PX;
+  const scale = Math.min(1, (PAGE.width - 2 * PAGE.margin) / width);
+  atoms.push({ kind: 'picture', picture, style, width: width * scale, ascent: height * scale, descent: 0 });
+}
+
+/**
+ * Greedy line breaking at spaces; a word wider than the line is split
+ * between characters
+ */
+function breakLines(atoms, width, fontSize) {
+  const lines = [];
+  let line = [];
+  let lineWidthSoFar = 0;
+  let space = null;
+
+  const flush = () => {
+    lines.push(finishLine(line, lineWidthSoFar, fontSize));
+    line = [];
+    lineWidthSoFar = 0;
+    space = null;
+  };
+  const add = (atom) => {
+    line.push({ ...atom, x: lineWidthSoFar });
+    lineWidthSoFar += atom.width;
+  };
+
+  for (const group of groupWords(atoms)) {
+    if (group.kind === 'break') {
+      flush();
+      continue;
+    }
+    if (group.kind === 'space') {
+      if (line.length > 0) space = group.atoms[0];
+      continue;
+    }
+
+    const spaceWidth = space ? space.width : 0;
+    if (line.length > 0 && lineWidthSoFar + spaceWidth + group.width > width) {
+      flush();
+    } else if (space) {
+      add(space);
+    }
+    space = null;
+
+    if (group.width <= width - lineWidthSoFar) {
+      group.atoms.forEach(add);
+      continue;
+    }
+    for (const atom of group.atoms) {
+      for (const piece of splitAtom(atom, width)) {
+        if (line.length > 0 && lineWidthSoFar + piece.width > width) flush();
+        add(piece);
+      }
+    }
+  }
+  if (line.length > 0 || lines.length === 0) flush();
+  return lines;
+}
+
+/**
+ * Runs of atoms between spaces stay on one line ("word," or "x²")
+ */
+function groupWords(atoms) {
+  const groups = [];
+  let word = null;
+  for (const atom of atoms) {
+    if (atom.kind === 'text' || atom.kind === 'math' || atom.kind === 'picture') {
+      if (!word) {
+        word = { kind: 'word', atoms: [], width: 0 };
+        groups.push(word);
+      }
+      word.atoms.push(atom);
+      word.width += atom.width;
+    } else {
+      word = null;
+      groups.push({ kind: atom.kind, atoms: [atom] });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Pieces of a text atom that fit the width (formulas are not split)
+ */
+function splitAtom(atom, width) {
+  if (atom.kind !== 'text' || atom.width <= width) return [atom];
+  const pieces = [];
+  const perChar = atom.width / Array.from(atom.text).length;
+  let current = '';
+  for (const ch of Array.from(atom.text)) {
+    if (current && (Array.from(current).length + 1) * perChar > width) {
+      pieces.push({ ...atom, text: current, width: Array.from(current).length * perChar });
+      current = '';
+    }
+    current += ch;
+  }
+  if (current) pieces.push({ ...atom, text: current, width: Array.from(current).length * perChar });
+  return pieces;
+}
+
+function finishLine(atoms, width, fontSize) {
+  const ascent = Math.max(0.76 * fontSize, ...atoms.map(atom => atom.ascent));
+  const descent = Math.max(0.24 * fontSize, ...atoms.map(atom => atom.descent));
+  const height = Math.max(fontSize * LINE_HEIGHT, ascent + descent + 0.3 * fontSize);
+  return { atoms, width, height, baseline: (height - ascent - descent) / 2 + ascent };
+}
+
+function lineWidth(atoms) {
+  return atoms.reduce((sum, atom) => sum + (atom.kind === 'break' ? 0 : atom.width), 0);
+}
+
+function longestWord(atoms) {
+  return Math.max(0, ...groupWords(atoms).filter(group => group.kind === 'word').map(group => group.width));
+}
+
+/**
+ * Draw a line: text atoms of one style are merged into a single string,
+ * links get an underline and a link annotation
+ */
+function drawLine(line, left, baseline, ctx) {
+  const { doc } = ctx;
+  const isText = atom => atom.kind === 'text' || atom.kind === 'space';
+  const runs = [];
+  for (const atom of line.atoms) {
+    const last = runs[runs.length - 1];
+    if (!isText(atom)) {
+      runs.push(atom);
+    } else if (last && isText(last) && (last.style === atom.style || atom.kind === 'space')) {
+      last.text += atom.text;
+      last.width += atom.width;
+    } else {
+      runs.push({ ...atom });
+    }
+  }
+
+  for (const run of runs) {
+    const x = left + run.x;
+    if (run.kind === 'math') {
+      drawMath(run.box, x, baseline, run.style.color, ctx);
+      continue;
+    }
+    if (run.kind === 'picture') {
+      drawPicture(run.picture, x, baseline - run.ascent, run.width, run.ascent, ctx);
+      continue;
+    }
+
+    const { style } = run;
+    const text = run.text.replace(/\s+$/, '');
+    if (!text) continue;
+    const width = measure(ctx, text, style.font) * style.size;
+    const y = baseline - style.rise;
+
+    if (style.code) {
+      doc.setFillColor(ctx.theme.inlineCodeFill);
+      doc.rect(x - 1, y - 0.8 * style.size, width + 2, style.size * 1.05, 'F');
+    }
+    drawText(ctx, text, x, y, style);
+    if (style.link) {
+      doc.setDrawColor(style.color);
+      doc.setLineWidth(0.5);
+      doc.line(x, y + 1.5, x + width, y + 1.5);
+      doc.link(x, y - 0.8 * style.size, width, style.size * 1.05, { url: style.link });
+    }
+  }
+}
+
+/**
+ * Text in one style; italics are slanted with a text matrix since the
+ * embedded fonts have no oblique faces
+ * @param {Object} style - { font, size, color, italic, scaleX, scaleY }
+ */
+function drawText(ctx, text, x, y, style) {
+  const { doc } = ctx;
+  setFont(ctx, style.font);
+  doc.setFontSize(style.size);
+  doc.setTextColor(style.color || ctx.theme.text);
+
+  const skew = style.italic ? ITALIC_SKEW : 0;
+  const scaleX = style.scaleX || 1;
+  const scaleY = style.scaleY || 1;
+  if (!skew && scaleX === 1 && scaleY === 1) {
+    doc.text(text, x, y);
+    return;
+  }
+  // jsPDF applies the matrix to the text position too, so undo it there
+  const pdfY = (PAGE.height - y) / scaleY;
+  const pdfX = (x - skew * pdfY) / scaleX;
+  doc.text(text, pdfX, PAGE.height - pdfY, { angle: new doc.Matrix(scaleX, 0, skew, scaleY, 0, 0) });
+}
+
+// ===== Formulas =====
+
+function getMathml(item, display) {
+  if (item.mathml) return item.mathml;
+  if (!item.latex) return '';
+  try {
+    return latexToMathml(item.latex, display);
+  } catch (e) {
+    return '';
+  }
+}
+
+function layoutFormula(mathml, size, display, color, ctx) {
+  if (!mathml) return null;
+  try {
+    return layoutMath(mathml, {
+      size,
+      display,
+      color,
+      measure: (text, bold) => measure(ctx, renderable(ctx, text, bold ? 'bold' : 'regular'), bold ? 'bold' : 'regular'),
+      hasGlyph: ch => hasGlyph(ctx, 'regular', ch),
+    });
+  } catch (e) {
+    console.warn('Formula layout failed, using LaTeX text:', e);
+    return null;
+  }
+}
+
+/**
+ * Draw a laid-out formula with its baseline origin at (x, baseline)
+ */
+function drawMath(box, x, baseline, color, ctx) {
+  const { doc } = ctx;
+  for (const item of box.items) {
+    const itemColor = item.color || color || ctx.theme.text;
+    if (item.type === 'glyph') {
+      const font = item.bold ? 'bold' : 'regular';
+      const text = renderable(ctx, item.text, font);
+      if (text.trim()) {
+        drawText(ctx, text, x + item.x, baseline - item.y, {
+          font, size: item.size, color: itemColor, italic: item.italic, scaleX: item.scaleX, scaleY: item.scaleY,
+        });
+      }
+    } else if (item.type === 'rule') {
+      doc.setFillColor(itemColor);
+      doc.rect(x + item.x, baseline - item.y - item.height, item.width, item.height, 'F');
+    } else if (item.type === 'path' && item.points.length > 1) {
+      const [first, ...rest] = item.points;
+      const deltas = rest.map((point, i) => [point[0] - item.points[i][0], item.points[i][1] - point[1]]);
+      doc.setDrawColor(itemColor);
+      doc.setLineWidth(item.lineWidth);
+      doc.setLineCap('round');
+      doc.setLineJoin('round');
+      doc.lines(deltas, x + first[0], baseline - first[1], [1, 1], 'S', item.closed);
+    }
+  }
+}
+
+// ===== Images =====
+
+/**
+ * Collect all items of a given type from a block tree
+ * (paragraph content, list items, table cells, turns...)
+ */
+function collectItems(node, type, out = []) {
+  if (Array.isArray(node)) {
+    for (const child of node) collectItems(child, type, out);
+    return out;
+  }
+  if (!node || typeof node !== 'object') return out;
+
+  if (node.type === type) out.push(node);
+  for (const key of ['content', 'blocks', 'items', 'rows', 'cells']) {
+    if (node[key]) collectItems(node[key], type, out);
+  }
+  return out;
+}
+
+/**
+ * Fetch every image (block or inline); results are stored in ctx.pictures.
+ * Images that cannot be fetched fall back to their alt text.
+ */
+async function fetchPictures(blocks, ctx, fetchImage) {
+  for (const item of collectItems(blocks, 'image')) {
+    try {
+      const picture = await fetchImage(item.src);
+      // Pictures jsPDF cannot decode get the alt text before any space is reserved
+      if (picture && picture.data && ctx.doc.getImageProperties(picture.data)) ctx.pictures.set(item, picture);
+    } catch (e) {
+      console.warn('Image fetch failed, using alt text:', e);
+    }
+  }
+}
+
+/**
+ * Pictures are checked when they are fetched; a failure here only logs
+ */
+function drawPicture(picture, x, y, width, height, ctx) {
+  try {
+    ctx.doc.addImage(picture.data, picture.ext.toUpperCase(), x, y, width, height, undefined, 'FAST');
+  } catch (e) {
+    console.warn('Image embedding failed:', e);
+  }
+}
+
+function toBase64(bytes) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < data.length; i += 0x8000) {
+    binary += String.fromCharCode(...data.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
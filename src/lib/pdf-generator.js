@@ -1,80 +1,125 @@
 /**
  * PDF Generator - exports ChatGPT responses as clean PDF files.
- * Uses html2canvas + jsPDF for blob-based rendering,
- * and a print-based approach with visible toolbar for user-initiated print/save.
+ * Vector PDFs are written from the block model by pdf-builder and
+ * downloaded directly; the print-based approach opens an editable
+ * preview with page layout controls for user-initiated print/save.
  */
 
-import html2canvas from 'html2canvas';
-import { jsPDF } from 'jspdf';
-import { getMarkdownContent } from './dom-extractor';
+import { buildPdf } from './pdf-builder';
+import { extractContent, extractConversation, getMarkdownContent, getUserMessageHtml } from './dom-extractor';
+
+// Paper sizes in millimetres (portrait)
+const PAPER_SIZES = {
+  A4: [210, 297],
+  Letter: [215.9, 279.4],
+};
+
+// Page layout of a new print window
+const DEFAULT_LAYOUT = {
+  paper: 'A4',
+  orientation: 'portrait',
+  margin: 2, // cm
+  fontSize: 11, // pt
+  keepTables: false,
+};
 
 /**
- * Generate a PDF blob from a message element (automatic, no print dialog)
+ * Generate a vector PDF blob from a message element (no print dialog)
  * @param {HTMLElement} messageEl - The message container element
+ * @param {Object} options - buildPdf options ({ title, sourceUrl, header, footer, darkTheme, numberEquations })
  * @returns {Promise<Blob>} - PDF as blob
  */
-export async function generatePdf(messageEl) {
-  const content = getMarkdownContent(messageEl);
-  if (!content) {
+export async function generatePdf(messageEl, options = {}) {
+  const blocks = extractContent(messageEl);
+  if (blocks.length === 0) {
     throw new Error('No content found');
   }
 
-  // Create a clean container for rendering
-  const container = createPrintContainer(content);
-  document.body.appendChild(container);
-
-  try {
-    await new Promise(r => setTimeout(r, 500));
-
-    const canvas = await html2canvas(container, {
-      scale: 2,
-      useCORS: true,
-      allowTaint: true,
-      backgroundColor: '#ffffff',
-      logging: false,
-      width: container.scrollWidth,
-      height: container.scrollHeight,
-    });
-
-    const imgWidth = 190; // mm
-    const pageHeight = 277; // mm
-    const imgHeight = (canvas.height * imgWidth) / canvas.width;
-
-    const pdf = new jsPDF('p', 'mm', 'a4');
-    const imgData = canvas.toDataURL('image/png');
-
-    let heightLeft = imgHeight;
-    let position = 10;
-
-    pdf.addImage(imgData, 'PNG', 10, position, imgWidth, imgHeight);
-    heightLeft -= pageHeight;
-
-    while (heightLeft > 0) {
-      position = heightLeft - imgHeight + 10;
-      pdf.addPage();
-      pdf.addImage(imgData, 'PNG', 10, position, imgWidth, imgHeight);
-      heightLeft -= pageHeight;
-    }
+  return buildPdf(blocks, { ...options, title: options.title || 'ChatGPT Response' });
+}
 
-    return pdf.output('blob');
-  } finally {
-    document.body.removeChild(container);
+/**
+ * Generate a vector PDF blob from several conversation turns ({ role, element })
+ * @param {Array} turns - turns from getConversationTurns or the message picker
+ * @param {Object} options - buildPdf options ({ title, sourceUrl, header, footer, darkTheme, numberEquations })
+ * @returns {Promise<Blob>} - PDF as blob
+ */
+export async function generateConversationPdf(turns, options = {}) {
+  const blocks = extractConversation(turns);
+  if (blocks.length === 0) {
+    throw new Error('No content found');
   }
+
+  return buildPdf(blocks, { ...options, title: options.title || 'ChatGPT Conversation' });
 }
 
+// Dark variant of the print styles (used when the dark document theme is on)
+const DARK_PRINT_STYLES =
+  'body { background: #1e1e1e; color: #e6e6e6; }' +
+  'h1, h2, h3 { color: #8ab4f8; }' +
+  'a { color: #6cb4ff; }' +
+  'code { background: #333333; border-color: #4a4a4a; color: #e6e6e6; }' +
+  'pre { background: #2a2a2a; border-color: #4a4a4a; color: #e6e6e6; }' +
+  'th, td { border-color: #5a5a5a; }' +
+  'th { background: #333a45; }' +
+  'blockquote { border-left-color: #5a5a5a; color: #b0b0b0; }' +
+  '.pdf-question { background: #26303d; border-left-color: #60a5fa; }' +
+  '.pdf-toolbar { background: #2a2a2a; border-bottom-color: #3a3a3a; }' +
+  '.pdf-toolbar-title, .pdf-toolbar label { color: #b0b0b0; }' +
+  '.pdf-toolbar select { background: #1e1e1e; color: #e6e6e6; border-color: #4a4a4a; }' +
+  '.pdf-content:focus-within { outline-color: #3a3a3a; }';
+
 /**
- * Generate PDF via print dialog with a visible toolbar (Download/Print + Close buttons).
+ * Generate PDF via print dialog with a visible toolbar (layout controls,
+ * Print, DOCX and Close buttons). The content is editable before printing.
  * Content is cleaned: all ChatGPT interactive buttons (copy table, etc.) are removed.
+ * @param {HTMLElement} messageEl - The message container element
+ * @param {Object} options - { title, header, footer, darkTheme, onExportDocx }
+ *   onExportDocx(blocks) saves the edited content; the DOCX button is
+ *   shown only when it is given
  */
-export function generatePdfViaPrint(messageEl) {
+export function generatePdfViaPrint(messageEl, options = {}) {
   const content = getMarkdownContent(messageEl);
   if (!content) {
     throw new Error('No content found');
   }
 
   // Clone and clean content before rendering
-  const cleanHtml = cleanContentForPdf(content);
+  return openPrintWindow(cleanContentForPdf(content), { ...options, title: options.title || 'ChatGPT Response' });
+}
+
+/**
+ * Open the print window for several conversation turns ({ role, element }).
+ * User prompts are shown as shaded "Вопрос" blocks, answers follow as-is.
+ */
+export function generateConversationPdfViaPrint(turns, options = {}) {
+  let html = '';
+  for (const turn of turns) {
+    const isUser = turn.role === 'user';
+    const body = isUser
+      ? getUserMessageHtml(turn.element)
+      : cleanContentForPdf(getMarkdownContent(turn.element));
+    if (!body) continue;
+    html += '<section class="pdf-turn" data-role="' + turn.role + '">';
+    html += '<div class="pdf-turn-label' + (isUser ? ' pdf-turn-label-user' : '') + '" contenteditable="false">' + (isUser ? '\u0412\u043E\u043F\u0440\u043E\u0441' : '\u041E\u0442\u0432\u0435\u0442') + '</div>';
+    html += '<div class="' + (isUser ? 'pdf-question' : 'pdf-answer') + '">' + body + '</div>';
+    html += '</section>';
+  }
+
+  if (!html) {
+    throw new Error('No content found');
+  }
 
+  return openPrintWindow(html, { ...options, title: options.title || 'ChatGPT Conversation' });
+}
+
+/**
+ * Open a print-ready window with the toolbar and the given content HTML.
+ * The window title becomes the suggested PDF file name; running headers
+ * and footers are @page margin boxes (the browser's own ones should be
+ * switched off in the print dialog).
+ */
+function openPrintWindow(cleanHtml, options = {}) {
   const printWindow = window.open('', '_blank');
   if (!printWindow) {
     throw new Error('Popup blocked - please allow popups');
@@ -88,12 +133,12 @@ export function generatePdfViaPrint(messageEl) {
     '<html>' +
     '<head>' +
     '<meta charset="utf-8">' +
-    '<title>ChatGPT Response - PDF</title>' +
+    '<title>' + escapeHtml(options.title) + '</title>' +
     '<style>' +
-    '@page { margin: 2cm; size: A4; }' +
     '* { box-sizing: border-box; }' +
     'body { font-family: "Segoe UI", Calibri, Arial, sans-serif; font-size: 11pt; line-height: 1.6; color: #1a1a1a; margin: 0; padding: 0; }' +
     '.pdf-content { max-width: 800px; margin: 0 auto; padding: 20px 40px 60px; }' +
+    '.pdf-content:focus-within { outline: 1px dashed #d0d7e2; outline-offset: -8px; }' +
     'h1 { font-size: 20pt; font-weight: 600; margin: 16pt 0 8pt; color: #1a1a2e; }' +
     'h2 { font-size: 16pt; font-weight: 600; margin: 14pt 0 6pt; color: #1a1a2e; }' +
     'h3 { font-size: 13pt; font-weight: 600; margin: 12pt 0 4pt; color: #1a1a2e; }' +
@@ -110,28 +155,52 @@ export function generatePdfViaPrint(messageEl) {
     'blockquote { border-left: 3px solid #ccc; padding-left: 12pt; margin: 8pt 0; color: #555; font-style: italic; }' +
     'ul, ol { margin: 4pt 0 8pt; padding-left: 24pt; }' +
     'li { margin: 2pt 0; }' +
+    'li > p { margin: 0 0 4pt; }' +
+    'li > pre, li > table, li > blockquote, li > .katex-display { margin: 4pt 0 6pt; }' +
+    'blockquote pre, blockquote table { font-style: normal; }' +
+    'blockquote > :last-child, li > :last-child { margin-bottom: 0; }' +
+    'details { margin: 4pt 0 8pt; }' +
+    'details > summary { font-weight: 600; margin-bottom: 4pt; list-style: none; }' +
+    'details > :not(summary) { margin-left: 12pt; }' +
     'img { max-width: 100%; height: auto; }' +
     '.katex { font-size: 1em; }' +
     '.katex-display { margin: 8pt 0; text-align: center; }' +
-    '.pdf-toolbar { position: sticky; top: 0; z-index: 1000; background: #fff; border-bottom: 1px solid #e0e0e0; padding: 12px 20px; display: flex; align-items: center; gap: 10px; box-shadow: 0 2px 8px rgba(0,0,0,0.06); }' +
+    '.pdf-turn-label { margin: 18pt 0 4pt; font-size: 8.5pt; font-weight: 700; text-transform: uppercase; letter-spacing: 0.5px; color: #10a37f; page-break-after: avoid; }' +
+    '.pdf-turn-label-user { color: #3b82f6; }' +
+    '.pdf-question { background: #eff4fb; border-left: 3px solid #3b82f6; padding: 6pt 10pt; margin: 0 0 8pt; }' +
+    '.pdf-question p:last-child { margin-bottom: 0; }' +
+    '.pdf-toolbar { position: sticky; top: 0; z-index: 1000; background: #fff; border-bottom: 1px solid #e0e0e0; padding: 12px 20px; display: flex; flex-wrap: wrap; align-items: center; gap: 10px; box-shadow: 0 2px 8px rgba(0,0,0,0.06); font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; }' +
     '.pdf-toolbar-title { font-size: 14px; color: #666; margin-right: auto; }' +
+    '.pdf-toolbar-controls { display: flex; flex-wrap: wrap; align-items: center; gap: 6px 12px; font-size: 13px; }' +
+    '.pdf-toolbar label { display: flex; align-items: center; gap: 4px; color: #374151; }' +
+    '.pdf-toolbar select { padding: 4px 6px; border: 1px solid #ccc; border-radius: 6px; font-size: 13px; background: #fff; color: #374151; }' +
     '.pdf-toolbar button { padding: 8px 18px; border: 1px solid #ccc; border-radius: 6px; cursor: pointer; font-size: 14px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; font-weight: 500; transition: all 0.15s; }' +
     '.pdf-btn-primary { background: #2563eb; color: white; border-color: #2563eb; }' +
     '.pdf-btn-primary:hover { background: #1d4ed8; }' +
     '.pdf-btn-secondary { background: #f3f4f6; color: #374151; }' +
     '.pdf-btn-secondary:hover { background: #e5e7eb; }' +
-    '@media print { .pdf-toolbar { display: none !important; } .pdf-content { padding: 0; max-width: 100%; } body { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }' +
+    '@media print { .pdf-toolbar { display: none !important; } .pdf-content { padding: 0; max-width: 100% !important; outline: none !important; } body { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }' +
+    (options.darkTheme ? DARK_PRINT_STYLES : '') +
     '</style>' +
     katexStylesHtml +
     allPageStyles +
+    '<style id="pdf-layout-style">' + getLayoutStyles(DEFAULT_LAYOUT, options) + '</style>' +
     '</head>' +
     '<body>' +
     '<div class="pdf-toolbar">' +
-    '<span class="pdf-toolbar-title">ChatGPT Response</span>' +
+    '<span class="pdf-toolbar-title" title="\u0422\u0435\u043A\u0441\u0442 \u043C\u043E\u0436\u043D\u043E \u043F\u0440\u0430\u0432\u0438\u0442\u044C \u043F\u0440\u044F\u043C\u043E \u043D\u0430 \u0441\u0442\u0440\u0430\u043D\u0438\u0446\u0435: \u0443\u0434\u0430\u043B\u0438\u0442\u044C \u0431\u043B\u043E\u043A, \u0438\u0441\u043F\u0440\u0430\u0432\u0438\u0442\u044C \u043E\u043F\u0435\u0447\u0430\u0442\u043A\u0443">' + escapeHtml(options.title) + '</span>' +
+    '<div class="pdf-toolbar-controls">' +
+    toolbarSelect('pdf-paper', '\u0411\u0443\u043C\u0430\u0433\u0430', [['A4', 'A4'], ['Letter', 'Letter']], DEFAULT_LAYOUT.paper) +
+    toolbarSelect('pdf-orientation', '\u041E\u0440\u0438\u0435\u043D\u0442\u0430\u0446\u0438\u044F', [['portrait', '\u041A\u043D\u0438\u0436\u043D\u0430\u044F'], ['landscape', '\u0410\u043B\u044C\u0431\u043E\u043C\u043D\u0430\u044F']], DEFAULT_LAYOUT.orientation) +
+    toolbarSelect('pdf-margin', '\u041F\u043E\u043B\u044F', [['1', '1 \u0441\u043C'], ['1.5', '1,5 \u0441\u043C'], ['2', '2 \u0441\u043C'], ['2.5', '2,5 \u0441\u043C']], DEFAULT_LAYOUT.margin) +
+    toolbarSelect('pdf-font-size', '\u0428\u0440\u0438\u0444\u0442', [9, 10, 11, 12, 13, 14].map(size => [size, size + ' pt']), DEFAULT_LAYOUT.fontSize) +
+    '<label><input type="checkbox" id="pdf-keep-tables"' + (DEFAULT_LAYOUT.keepTables ? ' checked' : '') + '> \u0422\u0430\u0431\u043B\u0438\u0446\u044B \u043D\u0435 \u0440\u0430\u0437\u0440\u044B\u0432\u0430\u0442\u044C</label>' +
+    '</div>' +
     '<button class="pdf-btn-primary" id="pdf-print-btn">&#128196; \u0421\u043E\u0445\u0440\u0430\u043D\u0438\u0442\u044C \u043A\u0430\u043A PDF / \u041F\u0435\u0447\u0430\u0442\u044C</button>' +
+    (options.onExportDocx ? '<button class="pdf-btn-secondary" id="pdf-docx-btn">DOCX</button>' : '') +
     '<button class="pdf-btn-secondary" id="pdf-close-btn">\u0417\u0430\u043A\u0440\u044B\u0442\u044C</button>' +
     '</div>' +
-    '<div class="pdf-content">' +
+    '<div class="pdf-content" contenteditable="true" spellcheck="true">' +
     cleanHtml +
     '</div>' +
     '</body>' +
@@ -142,14 +211,52 @@ export function generatePdfViaPrint(messageEl) {
 
   // Attach event listeners programmatically (inline onclick blocked by CSP)
   try {
-    const printBtn = printWindow.document.getElementById('pdf-print-btn');
+    const doc = printWindow.document;
+    const contentEl = doc.querySelector('.pdf-content');
+
+    // Formulas are edited as a whole: they can be deleted but not typed into
+    for (const katex of contentEl.querySelectorAll('.katex, .katex-display')) {
+      katex.setAttribute('contenteditable', 'false');
+    }
+
+    const printBtn = doc.getElementById('pdf-print-btn');
     if (printBtn) {
       printBtn.addEventListener('click', function () { printWindow.print(); });
     }
-    const closeBtn = printWindow.document.getElementById('pdf-close-btn');
+    const docxBtn = doc.getElementById('pdf-docx-btn');
+    if (docxBtn) {
+      docxBtn.addEventListener('click', async function () {
+        docxBtn.disabled = true;
+        try {
+          await options.onExportDocx(extractEditedContent(contentEl));
+        } catch (e) {
+          console.error('Edited DOCX export error:', e);
+          printWindow.alert('\u041E\u0448\u0438\u0431\u043A\u0430 \u044D\u043A\u0441\u043F\u043E\u0440\u0442\u0430 DOCX: ' + e.message);
+        } finally {
+          docxBtn.disabled = false;
+        }
+      });
+    }
+    const closeBtn = doc.getElementById('pdf-close-btn');
     if (closeBtn) {
       closeBtn.addEventListener('click', function () { printWindow.close(); });
     }
+
+    // Layout controls rewrite the injected @page rules live
+    const controls = ['pdf-paper', 'pdf-orientation', 'pdf-margin', 'pdf-font-size', 'pdf-keep-tables'].map(id => doc.getElementById(id));
+    const applyLayout = function () {
+      const [paper, orientation, margin, fontSize, keepTables] = controls;
+      doc.getElementById('pdf-layout-style').textContent = getLayoutStyles({
+        paper: paper.value,
+        orientation: orientation.value,
+        margin: parseFloat(margin.value),
+        fontSize: parseFloat(fontSize.value),
+        keepTables: keepTables.checked,
+      }, options);
+    };
+    for (const control of controls) {
+      control.addEventListener('change', applyLayout);
+    }
   } catch (e) {
     // If cross-origin restrictions prevent access, buttons won't work
     console.warn('Could not attach PDF toolbar handlers:', e);
@@ -158,6 +265,76 @@ export function generatePdfViaPrint(messageEl) {
   return true;
 }
 
+/**
+ * <select> of the print window toolbar
+ * @param {Array} choices - [value, text] pairs
+ */
+function toolbarSelect(id, label, choices, selected) {
+  const options = choices.map(([value, text]) =>
+    '<option value="' + value + '"' + (String(value) === String(selected) ? ' selected' : '') + '>' + text + '</option>'
+  ).join('');
+  return '<label for="' + id + '">' + label + ' <select id="' + id + '">' + options + '</select></label>';
+}
+
+/**
+ * Page layout from the toolbar as CSS: the @page rule with the header
+ * and footer margin boxes, the base font size, and an on-screen text
+ * width matching the chosen paper
+ * @param {Object} layout - { paper, orientation, margin (cm), fontSize (pt), keepTables }
+ */
+function getLayoutStyles(layout, options) {
+  const [width, height] = PAPER_SIZES[layout.paper] || PAPER_SIZES.A4;
+  const textWidth = (layout.orientation === 'landscape' ? height : width) - 2 * layout.margin * 10;
+  return '@page { size: ' + layout.paper + ' ' + layout.orientation + '; margin: ' + layout.margin + 'cm;' + getMarginBoxes(options) + ' }' +
+    'body { font-size: ' + layout.fontSize + 'pt; }' +
+    '@media screen { .pdf-content { max-width: calc(' + textWidth.toFixed(1) + 'mm + 80px); } }' +
+    (layout.keepTables ? 'table { break-inside: avoid; page-break-inside: avoid; }' : '');
+}
+
+/**
+ * Blocks of the (possibly edited) print window content, for DOCX export.
+ * Conversation windows keep their turns.
+ */
+function extractEditedContent(contentEl) {
+  const turns = contentEl.querySelectorAll(':scope > .pdf-turn');
+  if (turns.length === 0) return extractContent(contentEl);
+
+  const blocks = [];
+  for (const section of turns) {
+    const body = section.querySelector(':scope > .pdf-question, :scope > .pdf-answer');
+    const turnBlocks = body ? extractContent(body) : [];
+    if (turnBlocks.length > 0) {
+      blocks.push({ type: 'turn', role: section.getAttribute('data-role'), blocks: turnBlocks });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * @page margin boxes for the header and footer templates:
+ * {page} and {pages} become page counters, {title} and {date} literal text
+ */
+function getMarginBoxes(options) {
+  const color = options.darkTheme ? '#b0b0b0' : '#595959';
+  const boxes = [['top-center', options.header], ['bottom-center', options.footer]];
+  let css = '';
+  for (const [box, template] of boxes) {
+    if (!template) continue;
+    const parts = template.split(/(\{(?:title|page|pages|date)\})/).filter(Boolean).map(part => {
+      if (part === '{page}') return 'counter(page)';
+      if (part === '{pages}') return 'counter(pages)';
+      const text = part === '{title}' ? options.title : part === '{date}' ? new Date().toLocaleDateString('ru-RU') : part;
+      return '"' + String(text).replace(/[\\"]/g, '\\$&').replace(/\n/g, ' ').replace(/</g, '\\3c ') + '"';
+    });
+    css += ' @' + box + ' { content: ' + parts.join(' ') + '; font: 8.5pt "Segoe UI", Calibri, Arial, sans-serif; color: ' + color + '; }';
+  }
+  return css;
+}
+
+function escapeHtml(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 /**
  * Clone content and remove all ChatGPT interactive elements
  * (copy buttons on tables, code block header buttons, our own injected buttons, etc.)
@@ -189,50 +366,12 @@ function cleanContentForPdf(sourceContent) {
     }
   }
 
-  return clone.innerHTML;
-}
-
-/**
- * Create a clean print-ready container (for html2canvas approach)
- */
-function createPrintContainer(sourceContent) {
-  const container = document.createElement('div');
-  container.style.cssText =
-    'position: absolute; left: -9999px; top: 0; width: 720px; padding: 40px; ' +
-    'background: white; font-family: "Segoe UI", Calibri, Arial, sans-serif; ' +
-    'font-size: 14px; line-height: 1.6; color: #1a1a1a;';
-
-  // Clone and clean content
-  const clone = sourceContent.cloneNode(true);
-
-  // Remove interactive elements from clone
-  const removeSelectors = ['.sticky', '.cgpt-word-copier-buttons', 'button', '.select-none', '[aria-label]'];
-  for (const sel of removeSelectors) {
-    try {
-      const els = clone.querySelectorAll(sel);
-      for (const el of els) el.remove();
-    } catch (e) {}
+  // Collapsed sections would print as a bare summary line
+  for (const details of clone.querySelectorAll('details')) {
+    details.setAttribute('open', '');
   }
 
-  const style = document.createElement('style');
-  style.textContent =
-    'h1 { font-size: 24px; font-weight: 600; margin: 16px 0 8px; }' +
-    'h2 { font-size: 20px; font-weight: 600; margin: 14px 0 6px; }' +
-    'h3 { font-size: 16px; font-weight: 600; margin: 12px 0 4px; }' +
-    'p { margin: 0 0 8px; }' +
-    'code { font-family: Consolas, monospace; font-size: 13px; background: #f5f5f5; padding: 1px 4px; border-radius: 3px; }' +
-    'pre { font-family: Consolas, monospace; font-size: 12px; background: #f8f8f8; padding: 12px; margin: 8px 0; border-radius: 4px; overflow: hidden; }' +
-    'pre code { background: none; padding: 0; }' +
-    'table { border-collapse: collapse; margin: 8px 0; width: 100%; }' +
-    'th, td { border: 1px solid #bbb; padding: 6px 10px; text-align: left; }' +
-    'th { background: #f0f0f0; font-weight: 600; }' +
-    'blockquote { border-left: 3px solid #ccc; padding-left: 12px; margin: 8px 0; color: #555; }' +
-    'ul, ol { margin: 4px 0 8px; padding-left: 24px; }' +
-    'li { margin: 2px 0; }';
-  container.appendChild(style);
-  container.appendChild(clone);
-
-  return container;
+  return clone.innerHTML;
 }
 
 /**
@@ -0,0 +1,421 @@
+/**
+ * Text Renderer - readable plain text from the block model, for the
+ * text/plain clipboard flavour (chat apps, terminals, plain email).
+ *
+ * Formulas become Unicode (x², √(a+b), ∑ᵢ, a/b) instead of raw LaTeX,
+ * lists get bullets and indentation, tables become aligned ASCII grids
+ * and code blocks are indented.
+ */
+
+import { latexToMathml } from './latex-to-mathml';
+
+// Markers of unordered lists by nesting depth
+const BULLETS = ['•', '◦', '▪'];
+
+const CODE_INDENT = '    ';
+
+const SUPERSCRIPTS = {
+  '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹',
+  '+': '⁺', '-': '⁻', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾',
+  'a': 'ᵃ', 'b': 'ᵇ', 'c': 'ᶜ', 'd': 'ᵈ', 'e': 'ᵉ', 'f': 'ᶠ', 'g': 'ᵍ', 'h': 'ʰ', 'i': 'ⁱ', 'j': 'ʲ',
+  'k': 'ᵏ', 'l': 'ˡ', 'm': 'ᵐ', 'n': 'ⁿ', 'o': 'ᵒ', 'p': 'ᵖ', 'r': 'ʳ', 's': 'ˢ', 't': 'ᵗ', 'u': 'ᵘ',
+  'v': 'ᵛ', 'w': 'ʷ', 'x': 'ˣ', 'y': 'ʸ', 'z': 'ᶻ', 'T': 'ᵀ', '′': '′', '″': '″', '∗': '*', '*': '*',
+};
+
+const SUBSCRIPTS = {
+  '0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄', '5': '₅', '6': '₆', '7': '₇', '8': '₈', '9': '₉',
+  '+': '₊', '-': '₋', '−': '₋', '=': '₌', '(': '₍', ')': '₎',
+  'a': 'ₐ', 'e': 'ₑ', 'h': 'ₕ', 'i': 'ᵢ', 'j': 'ⱼ', 'k': 'ₖ', 'l': 'ₗ', 'm': 'ₘ', 'n': 'ₙ', 'o': 'ₒ',
+  'p': 'ₚ', 'r': 'ᵣ', 's': 'ₛ', 't': 'ₜ', 'u': 'ᵤ', 'v': 'ᵥ', 'x': 'ₓ',
+  'β': 'ᵦ', 'γ': 'ᵧ', 'ρ': 'ᵨ', 'φ': 'ᵩ', 'χ': 'ᵪ',
+};
+
+// Relations get spaces around them: "a = b", but "a+b"
+const SPACED_OPERATORS = new Set([
+  '=', '≠', '<', '>', '≤', '≥', '≈', '≡', '∼', '≃', '≅', '∝', '→', '←', '↔', '⇒', '⇐', '⇔',
+  '↦', '∈', '∉', '⊂', '⊃', '⊆', '⊇', ':=',
+]);
+
+// Accents over a single letter become combining characters
+const COMBINING_ACCENTS = {
+  '¯': '\u0305', '‾': '\u0305', '^': '\u0302', 'ˆ': '\u0302', '~': '\u0303', '˜': '\u0303',
+  '→': '\u20d7', '\u20d7': '\u20d7', '˙': '\u0307', '¨': '\u0308', 'ˇ': '\u030c', '˘': '\u0306',
+};
+
+const ROOT_SIGNS = { '2': '√', '3': '∛', '4': '∜' };
+
+// Function application and invisible times/separator/plus
+const FUNCTION_APPLICATION = '\u2061';
+const INVISIBLE_OPERATORS = /[\u2062\u2063\u2064]/g;
+
+/**
+ * Render content blocks as plain text
+ * @param {Array} blocks - content blocks from dom-extractor
+ * @returns {string}
+ */
+export function renderPlainText(blocks) {
+  return renderBlocks(blocks).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Plain text of a formula item ({ mathml, latex, display })
+ * @param {Object} item
+ * @returns {string}
+ */
+export function renderMathText(item) {
+  const mathml = item.mathml || (item.latex ? latexToMathml(item.latex) : '');
+  const math = parseMathml(mathml);
+  if (!math) return item.latex || '';
+  return cleanMathText(mathToText(math, { display: !!item.display }));
+}
+
+// ===== Blocks =====
+
+function renderBlocks(blocks) {
+  return (blocks || []).map(renderBlock).filter(Boolean).join('\n\n');
+}
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'heading': return renderHeading(block);
+    case 'paragraph': return renderInline(block.content);
+    case 'list': return renderList(block);
+    case 'table': return renderTable(block);
+    case 'codeBlock': return prefixLines((block.code || '').replace(/\n$/, ''), CODE_INDENT);
+    case 'math': return renderMathText(block);
+    case 'blockquote': return prefixLines(block.blocks ? renderBlocks(block.blocks) : renderInline(block.content), '> ');
+    case 'details': return renderDetails(block);
+    case 'hr': return '-'.repeat(40);
+    case 'turn': return renderTurn(block);
+    case 'image': return renderImage(block);
+    default: return block.text || '';
+  }
+}
+
+/**
+ * Top headings are underlined, setext style
+ */
+function renderHeading(block) {
+  const text = renderInline(block.content) || block.text || '';
+  if (block.level > 2 || !text) return text;
+  return `${text}\n${(block.level === 1 ? '=' : '-').repeat(Array.from(text).length)}`;
+}
+
+function renderList(block, depth = 0) {
+  const start = block.start ?? 1;
+  return block.items.map((item, i) => {
+    const marker = block.ordered ? `${start + i}.` : BULLETS[depth % BULLETS.length];
+    const parts = item.blocks.map(child => child.type === 'list' ? renderList(child, depth + 1) : renderBlock(child));
+    const body = parts.filter(Boolean).join('\n');
+    return prefixLines(body, `${marker} `, ' '.repeat(marker.length + 1));
+  }).join('\n');
+}
+
+/**
+ * ASCII grid; a double rule separates header rows from the body
+ */
+function renderTable(block) {
+  const rows = block.rows.map(row => ({
+    isHeader: row.isHeader,
+    cells: row.cells.map(cell => renderInline(cell.content).replace(/\s*\n\s*/g, ' ')),
+  }));
+  const columns = Math.max(0, ...rows.map(row => row.cells.length));
+  if (columns === 0) return '';
+
+  const widths = Array.from({ length: columns }, (_, i) =>
+    Math.max(1, ...rows.map(row => textWidth(row.cells[i] || '')))
+  );
+  const rule = (ch) => '+' + widths.map(w => ch.repeat(w + 2)).join('+') + '+';
+  const line = (cells) => '| ' + widths.map((w, i) => {
+    const cell = cells[i] || '';
+    return cell + ' '.repeat(w - textWidth(cell));
+  }).join(' | ') + ' |';
+
+  const lines = [rule('-')];
+  rows.forEach((row, i) => {
+    lines.push(line(row.cells));
+    if (row.isHeader && rows[i + 1] && !rows[i + 1].isHeader) lines.push(rule('='));
+  });
+  lines.push(rule('-'));
+  return lines.join('\n');
+}
+
+function renderDetails(block) {
+  const body = block.blocks ? renderBlocks(block.blocks) : renderInline(block.content);
+  return [block.summary, prefixLines(body, '  ')].filter(Boolean).join('\n');
+}
+
+function renderTurn(block) {
+  const label = block.label || (block.role === 'user' ? 'Вопрос' : 'Ответ');
+  return `${label}:\n\n${renderBlocks(block.blocks)}`;
+}
+
+function renderImage(block) {
+  const alt = block.alt ? `[Изображение: ${block.alt}]` : '[Изображение]';
+  return block.caption ? `${alt}\n${block.caption}` : alt;
+}
+
+// ===== Inline content =====
+
+/**
+ * Text of a paragraph, heading or cell; spaces at the edges of bold and
+ * italic runs are kept between the words
+ */
+function renderInline(items) {
+  return renderRuns(items).trim();
+}
+
+function renderRuns(items) {
+  if (!items) return '';
+  let result = '';
+  for (const item of items) {
+    switch (item.type) {
+      case 'bold':
+      case 'italic':
+        result += renderRuns(item.content);
+        break;
+      case 'link':
+        result += item.href && item.href !== item.text && /^https?:/.test(item.href)
+          ? `${item.text} (${item.href})`
+          : item.text;
+        break;
+      case 'superscript':
+        result += toScript(item.text, SUPERSCRIPTS) ?? `^(${item.text})`;
+        break;
+      case 'subscript':
+        result += toScript(item.text, SUBSCRIPTS) ?? `_(${item.text})`;
+        break;
+      case 'math':
+        result += renderMathText(item);
+        break;
+      case 'lineBreak':
+        result += '\n';
+        break;
+      case 'image':
+        result += item.alt ? `[${item.alt}]` : '[Изображение]';
+        break;
+      default:
+        result += item.text || '';
+    }
+  }
+  return result;
+}
+
+// ===== Formulas =====
+
+function parseMathml(mathml) {
+  if (!mathml) return null;
+  const source = mathml.includes('xmlns')
+    ? mathml
+    : mathml.replace('<math', '<math xmlns="http://www.w3.org/1998/Math/MathML"');
+  const doc = new DOMParser().parseFromString(source, 'application/xml');
+  const math = doc.documentElement;
+  return math && localName(math) === 'math' ? math : null;
+}
+
+/**
+ * Unicode text of a MathML node.
+ * @param {Object} ctx - { display: rows of tables on separate lines,
+ *   script: inside a sub/superscript (no spaces around relations) }
+ */
+function mathToText(node, ctx) {
+  if (node.nodeType === Node.TEXT_NODE) return node.textContent.trim();
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+  const children = getChildElements(node);
+  switch (localName(node)) {
+    case 'annotation':
+    case 'annotation-xml':
+    case 'mphantom':
+      return '';
+    case 'semantics':
+      return children[0] ? mathToText(children[0], ctx) : '';
+    case 'mi':
+    case 'mn':
+    case 'mtext':
+    case 'ms':
+      return node.textContent.replace(/\u00a0/g, ' ');
+    case 'mo':
+      return node.textContent.trim();
+    case 'mspace':
+      return ' ';
+    case 'msup':
+      return withScript(children[0], children[1], SUPERSCRIPTS, '^', ctx);
+    case 'msub':
+      return withScript(children[0], children[1], SUBSCRIPTS, '_', ctx);
+    case 'msubsup':
+    case 'mmultiscripts': {
+      const base = withScript(children[0], children[1], SUBSCRIPTS, '_', ctx);
+      return children[2] ? base + scriptText(children[2], SUPERSCRIPTS, '^', ctx) : base;
+    }
+    case 'munder':
+      return underOver(children[0], children[1], null, ctx);
+    case 'mover':
+      return underOver(children[0], null, children[1], ctx);
+    case 'munderover':
+      return underOver(children[0], children[1], children[2], ctx);
+    case 'mfrac':
+      return fractionText(node, children, ctx);
+    case 'msqrt':
+      return '√' + wrapCompound(rowText(children, ctx));
+    case 'mroot': {
+      const index = mathToText(children[1], { ...ctx, script: true });
+      const sign = ROOT_SIGNS[index] || (toScript(index, SUPERSCRIPTS) ?? `(${index})`) + '√';
+      return sign + wrapCompound(mathToText(children[0], ctx));
+    }
+    case 'mfenced': {
+      const separator = (node.getAttribute('separators') ?? ',').trim()[0] || '';
+      const parts = children.map(child => mathToText(child, ctx));
+      return (node.getAttribute('open') ?? '(') + parts.join(separator ? separator + ' ' : '') + (node.getAttribute('close') ?? ')');
+    }
+    case 'mtable':
+      return tableText(children, ctx);
+    default:
+      return rowText(children, ctx);
+  }
+}
+
+/**
+ * A row of atoms; relations get spaces unless they are in a script
+ */
+function rowText(children, ctx) {
+  let result = '';
+  children.forEach((child, i) => {
+    const text = mathToText(child, ctx);
+    if (ctx.script || localName(child) !== 'mo' || !SPACED_OPERATORS.has(text)) {
+      result += text;
+    } else {
+      result += (i > 0 ? ' ' : '') + text + (i < children.length - 1 ? ' ' : '');
+    }
+  });
+  return result;
+}
+
+function withScript(base, script, map, marker, ctx) {
+  return wrapBase(base, ctx) + scriptText(script, map, marker, ctx);
+}
+
+/**
+ * A script as Unicode sub/superscript characters when every character
+ * has one, otherwise ^x or ^(…)
+ */
+function scriptText(node, map, marker, ctx) {
+  if (!node || localName(node) === 'none') return '';
+  const text = mathToText(node, { ...ctx, script: true });
+  if (!text) return '';
+  if (map === SUPERSCRIPTS && /^[′″‴]+$/.test(text)) return text;
+  return toScript(text, map) ?? marker + wrapCompound(text);
+}
+
+function toScript(text, map) {
+  const chars = Array.from(text.replace(/\s+/g, ''));
+  if (chars.length === 0 || !chars.every(ch => ch in map)) return null;
+  return chars.map(ch => map[ch]).join('');
+}
+
+/**
+ * Limits of big operators and lim read as scripts; accents over a
+ * letter become combining characters
+ */
+function underOver(base, under, over, ctx) {
+  const baseText = mathToText(base, ctx);
+  if (over && !under) {
+    const accent = mathToText(over, ctx);
+    if (accent in COMBINING_ACCENTS && Array.from(baseText).length === 1) {
+      return baseText + COMBINING_ACCENTS[accent];
+    }
+    // \overbrace, \overline of a group: the group alone reads best
+    if (accent in COMBINING_ACCENTS || /^[⏞⏟︷︸]$/.test(accent)) return baseText;
+  }
+  if (under && !over && /^[⏟︸]$/.test(mathToText(under, ctx))) return baseText;
+  return baseText + scriptText(under, SUBSCRIPTS, '_', ctx) + scriptText(over, SUPERSCRIPTS, '^', ctx);
+}
+
+function fractionText(node, children, ctx) {
+  const num = mathToText(children[0], ctx);
+  const den = mathToText(children[1], ctx);
+  // Binomials (zero line) sit in their own parentheses: (n k)
+  if (parseFloat(node.getAttribute('linethickness')) === 0) return `${num} ${den}`;
+  return `${wrapCompound(num)}/${wrapCompound(den)}`;
+}
+
+/**
+ * Tables: cells joined by spaces, rows by "; " inline or by line breaks
+ * in display formulas; row labels go after a tab at the end of their row
+ */
+function tableText(rows, ctx) {
+  const lines = rows.map(row => {
+    const cells = getChildElements(row).filter(cell => localName(cell) === 'mtd');
+    const labeled = localName(row) === 'mlabeledtr';
+    const body = (labeled ? cells.slice(1) : cells).map(cell => mathToText(cell, ctx)).join(' ');
+    return labeled && cells[0] ? `${body}\t${mathToText(cells[0], ctx)}` : body;
+  }).filter(line => line.trim());
+  return lines.join(ctx.display ? '\n' : '; ');
+}
+
+/**
+ * The base of a script needs parentheses when it is more than one atom
+ */
+function wrapBase(node, ctx) {
+  const text = mathToText(node, ctx);
+  const name = localName(node);
+  if (name === 'mi' || name === 'mn' || name === 'mo' || name === 'mtext') return text;
+  return wrapCompound(text);
+}
+
+/**
+ * Parenthesize anything longer than a single number, letter or bracketed
+ * group: e^(iπ), not e^iπ
+ */
+function wrapCompound(text) {
+  if (/^(\d+([.,]\d+)?|\p{L}\p{M}*)$/u.test(text)) return text;
+  if (/^\|[^|]*\|$/.test(text) || isSingleGroup(text)) return text;
+  return `(${text})`;
+}
+
+/**
+ * "(a+b)" is one bracketed group, "(a)(b)" is not
+ */
+function isSingleGroup(text) {
+  const chars = Array.from(text);
+  if (!'([{'.includes(chars[0])) return false;
+  let depth = 0;
+  for (let i = 0; i < chars.length; i++) {
+    if ('([{'.includes(chars[i])) depth++;
+    else if (')]}'.includes(chars[i])) depth--;
+    if (depth === 0) return i === chars.length - 1;
+  }
+  return false;
+}
+
+function cleanMathText(text) {
+  return text
+    .replace(new RegExp(`${FUNCTION_APPLICATION}(?=[(\\[])`, 'g'), '')
+    .replace(new RegExp(FUNCTION_APPLICATION, 'g'), ' ')
+    .replace(INVISIBLE_OPERATORS, '')
+    .replace(/ {2,}/g, ' ')
+    .replace(/ +$/gm, '')
+    .trim();
+}
+
+// ===== Helpers =====
+
+function localName(node) {
+  return (node?.localName || '').toLowerCase().replace(/^[^:]+:/, '');
+}
+
+function getChildElements(node) {
+  return Array.from(node.childNodes).filter(n => n.nodeType === Node.ELEMENT_NODE);
+}
+
+/**
+ * Prefix every line: `first` for the first one, `rest` for the others
+ */
+function prefixLines(text, first, rest = first) {
+  if (!text) return '';
+  return text.split('\n').map((line, i) => (i === 0 ? first : line ? rest : rest.trimEnd()) + line).join('\n');
+}
+
+function textWidth(text) {
+  return Array.from(text).length;
+}
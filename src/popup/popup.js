@@ -9,18 +9,48 @@ import { storageGet, storageSet, tabsQuery, tabsSendMessage } from '../lib/brows
 const btnCopy = document.getElementById('btnCopy');
 const btnDocx = document.getElementById('btnDocx');
 const btnPdf = document.getElementById('btnPdf');
+const btnConversationDocx = document.getElementById('btnConversationDocx');
+const btnPickMessages = document.getElementById('btnPickMessages');
 const mathMode = document.getElementById('mathMode');
+const clipboardMath = document.getElementById('clipboardMath');
+const pasteTarget = document.getElementById('pasteTarget');
 const showButtons = document.getElementById('showButtons');
 const darkThemeDocx = document.getElementById('darkThemeDocx');
+const linkSources = document.getElementById('linkSources');
+const numberEquations = document.getElementById('numberEquations');
+const pdfMode = document.getElementById('pdfMode');
+const pdfHeader = document.getElementById('pdfHeader');
+const pdfFooter = document.getElementById('pdfFooter');
+const docxPageSize = document.getElementById('docxPageSize');
+const docxOrientation = document.getElementById('docxOrientation');
+const docxMargins = document.getElementById('docxMargins');
+const docxHeaderFooter = document.getElementById('docxHeaderFooter');
+const docxCoverPage = document.getElementById('docxCoverPage');
+const docxToc = document.getElementById('docxToc');
+const docxAuthor = document.getElementById('docxAuthor');
 const statusEl = document.getElementById('status');
 const statusText = document.getElementById('statusText');
 const notification = document.getElementById('notification');
 
 // Load saved settings
-storageGet(['mathMode', 'showButtons', 'darkThemeDocx']).then((result) => {
+storageGet(['mathMode', 'clipboardMath', 'pasteTarget', 'showButtons', 'darkThemeDocx', 'linkSources', 'numberEquations', 'pdfMode', 'pdfHeader', 'pdfFooter', 'docxPageSize', 'docxOrientation', 'docxMargins', 'docxHeaderFooter', 'docxCoverPage', 'docxToc', 'docxAuthor']).then((result) => {
   if (result.mathMode) mathMode.value = result.mathMode;
+  if (result.clipboardMath) clipboardMath.value = result.clipboardMath;
+  if (result.pasteTarget) pasteTarget.value = result.pasteTarget;
   if (result.showButtons !== undefined) showButtons.checked = result.showButtons;
   if (result.darkThemeDocx !== undefined) darkThemeDocx.checked = result.darkThemeDocx;
+  if (result.linkSources) linkSources.value = result.linkSources;
+  if (result.numberEquations !== undefined) numberEquations.checked = result.numberEquations;
+  if (result.pdfMode) pdfMode.value = result.pdfMode;
+  if (result.pdfHeader !== undefined) pdfHeader.value = result.pdfHeader;
+  if (result.pdfFooter !== undefined) pdfFooter.value = result.pdfFooter;
+  if (result.docxPageSize) docxPageSize.value = result.docxPageSize;
+  if (result.docxOrientation) docxOrientation.value = result.docxOrientation;
+  if (result.docxMargins) docxMargins.value = result.docxMargins;
+  if (result.docxHeaderFooter !== undefined) docxHeaderFooter.checked = result.docxHeaderFooter;
+  if (result.docxCoverPage !== undefined) docxCoverPage.checked = result.docxCoverPage;
+  if (result.docxToc !== undefined) docxToc.checked = result.docxToc;
+  if (result.docxAuthor !== undefined) docxAuthor.value = result.docxAuthor;
 }).catch(() => {});
 
 // Save settings on change
@@ -29,20 +59,105 @@ mathMode.addEventListener('change', () => {
   sendToContent({ type: 'settingsChanged', settings: getSettings() });
 });
 
+clipboardMath.addEventListener('change', () => {
+  storageSet({ clipboardMath: clipboardMath.value });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
+pasteTarget.addEventListener('change', () => {
+  storageSet({ pasteTarget: pasteTarget.value });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
 showButtons.addEventListener('change', () => {
   storageSet({ showButtons: showButtons.checked });
   sendToContent({ type: 'settingsChanged', settings: getSettings() });
 });
 
+linkSources.addEventListener('change', () => {
+  storageSet({ linkSources: linkSources.value });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
+numberEquations.addEventListener('change', () => {
+  storageSet({ numberEquations: numberEquations.checked });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
+pdfMode.addEventListener('change', () => {
+  storageSet({ pdfMode: pdfMode.value });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
+pdfHeader.addEventListener('change', () => {
+  storageSet({ pdfHeader: pdfHeader.value });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
+pdfFooter.addEventListener('change', () => {
+  storageSet({ pdfFooter: pdfFooter.value });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
+docxPageSize.addEventListener('change', () => {
+  storageSet({ docxPageSize: docxPageSize.value });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
+docxOrientation.addEventListener('change', () => {
+  storageSet({ docxOrientation: docxOrientation.value });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
+docxMargins.addEventListener('change', () => {
+  storageSet({ docxMargins: docxMargins.value });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
+docxHeaderFooter.addEventListener('change', () => {
+  storageSet({ docxHeaderFooter: docxHeaderFooter.checked });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
+docxCoverPage.addEventListener('change', () => {
+  storageSet({ docxCoverPage: docxCoverPage.checked });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
+docxToc.addEventListener('change', () => {
+  storageSet({ docxToc: docxToc.checked });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
+docxAuthor.addEventListener('change', () => {
+  storageSet({ docxAuthor: docxAuthor.value });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
+});
+
 darkThemeDocx.addEventListener('change', () => {
   storageSet({ darkThemeDocx: darkThemeDocx.checked });
+  sendToContent({ type: 'settingsChanged', settings: getSettings() });
 });
 
 function getSettings() {
   return {
     mathMode: mathMode.value,
+    clipboardMath: clipboardMath.value,
+    pasteTarget: pasteTarget.value,
     showButtons: showButtons.checked,
     darkThemeDocx: darkThemeDocx.checked,
+    linkSources: linkSources.value,
+    numberEquations: numberEquations.checked,
+    pdfMode: pdfMode.value,
+    pdfHeader: pdfHeader.value,
+    pdfFooter: pdfFooter.value,
+    docxPageSize: docxPageSize.value,
+    docxOrientation: docxOrientation.value,
+    docxMargins: docxMargins.value,
+    docxHeaderFooter: docxHeaderFooter.checked,
+    docxCoverPage: docxCoverPage.checked,
+    docxToc: docxToc.checked,
+    docxAuthor: docxAuthor.value,
   };
 }
 
@@ -57,12 +172,16 @@ async function checkStatus() {
       btnCopy.disabled = false;
       btnDocx.disabled = false;
       btnPdf.disabled = false;
+      btnConversationDocx.disabled = false;
+      btnPickMessages.disabled = false;
     } else {
       statusEl.className = 'status status-error';
       statusText.textContent = 'Откройте ChatGPT для работы';
       btnCopy.disabled = true;
       btnDocx.disabled = true;
       btnPdf.disabled = true;
+      btnConversationDocx.disabled = true;
+      btnPickMessages.disabled = true;
     }
   } catch (e) {
     statusEl.className = 'status status-error';
@@ -139,7 +258,10 @@ btnDocx.addEventListener('click', async () => {
 btnPdf.addEventListener('click', async () => {
   setLoading(btnPdf, true);
   try {
-    const response = await sendToContent({ type: 'exportPdf' });
+    const response = await sendToContent({
+      type: 'exportPdf',
+      settings: getSettings(),
+    });
     if (response?.success) {
       showNotification('✓ PDF файл загружен', 'success');
     } else {
@@ -151,3 +273,36 @@ btnPdf.addEventListener('click', async () => {
     setLoading(btnPdf, false);
   }
 });
+
+btnConversationDocx.addEventListener('click', async () => {
+  setLoading(btnConversationDocx, true);
+  try {
+    const response = await sendToContent({
+      type: 'exportConversationDocx',
+      settings: getSettings(),
+    });
+    if (response?.success) {
+      showNotification('✓ Диалог сохранён в DOCX', 'success');
+    } else {
+      showNotification(response?.error || 'Ошибка экспорта диалога', 'error');
+    }
+  } catch (e) {
+    console.error(e);
+  } finally {
+    setLoading(btnConversationDocx, false);
+  }
+});
+
+btnPickMessages.addEventListener('click', async () => {
+  try {
+    const response = await sendToContent({ type: 'openMessagePicker' });
+    if (response?.success) {
+      // The picker lives on the page; close the popup so it is visible
+      window.close();
+    } else {
+      showNotification(response?.error || 'Не удалось открыть список сообщений', 'error');
+    }
+  } catch (e) {
+    console.error(e);
+  }
+});
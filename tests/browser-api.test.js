@@ -13,6 +13,7 @@ import {
   onMessage,
   onInstalled,
   download,
+  getResourceUrl,
 } from '../src/lib/browser-api.js';
 
 // ===== Helper to set up global mocks =====
@@ -22,6 +23,7 @@ function mockChrome() {
     runtime: {
       onMessage: { addListener: vi.fn() },
       onInstalled: { addListener: vi.fn() },
+      getURL: vi.fn((path) => `chrome-extension://abc/${path}`),
       lastError: null,
     },
     storage: {
@@ -382,3 +384,17 @@ describe('download — no API', () => {
     await expect(download({ url: 'x' })).rejects.toThrow('downloads API unavailable');
   });
 });
+
+describe('getResourceUrl', () => {
+  afterEach(cleanGlobals);
+
+  it('should resolve packaged files through runtime.getURL', () => {
+    mockChrome();
+    expect(getResourceUrl('fonts/DejaVuSans.ttf')).toBe('chrome-extension://abc/fonts/DejaVuSans.ttf');
+  });
+
+  it('should return the path unchanged when the API is unavailable', () => {
+    cleanGlobals();
+    expect(getResourceUrl('fonts/DejaVuSans.ttf')).toBe('fonts/DejaVuSans.ttf');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for Clipboard Helper
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { copyMessageForWord } from '../src/lib/clipboard-helper.js';
+
+/**
+ * Helper: copy a message with the given answer HTML and return
+ * what was written to the clipboard as { html, text }
+ */
+async function copy(html, options = {}) {
+  const msg = document.createElement('div');
+  msg.innerHTML = `<div class="markdown prose">${html}</div>`;
+  document.body.appendChild(msg);
+  const result = await copyMessageForWord(msg, options);
+  msg.remove();
+
+  expect(result.success).toBe(true);
+  const item = navigator.clipboard.write.mock.calls[0][0][0];
+  return {
+    html: await item.items['text/html'].text(),
+    text: await item.items['text/plain'].text(),
+  };
+}
+
+const KATEX_INLINE =
+  '<span class="katex"><span class="katex-mathml"><math xmlns="http://www.w3.org/1998/Math/MathML">' +
+  '<semantics><mrow><msup><mi>x</mi><mn>2</mn></msup></mrow>' +
+  '<annotation encoding="application/x-tex">x^2</annotation></semantics></math></span>' +
+  '<span class="katex-html">x2</span></span>';
+
+// Capture what is written instead of touching the real clipboard
+beforeEach(() => {
+  vi.stubGlobal('ClipboardItem', class {
+    constructor(items) { this.items = items; }
+  });
+  vi.stubGlobal('navigator', { clipboard: { write: vi.fn().mockResolvedValue() } });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('Clipboard Helper - formulas', () => {
+  it('should embed OMML in an msEquation block with a MathML fallback', async () => {
+    const { html, text } = await copy(`<p>Let ${KATEX_INLINE} be</p>`);
+
+    expect(html).toMatch(/Let <!--\[if gte msEquation 12\]><m:oMath>.*<m:sSup>.*<\/m:oMath><!\[endif\]-->/);
+    expect(html).toMatch(/<!\[if !msEquation\]><math[^>]*>.*<\/math><!\[endif\]> be/);
+    expect(html).toContain('<m:r>x</m:r>');
+    expect(html).not.toContain('<w:rPr>');
+    expect(html).not.toContain('<m:t>');
+    expect(text).toBe('Let x² be');
+  });
+
+  it('should wrap display formulas in m:oMathPara', async () => {
+    const display = `<span class="katex-display">${KATEX_INLINE}</span>`;
+    const { html } = await copy(`<p>a</p>${display}`);
+    expect(html).toMatch(/<!--\[if gte msEquation 12\]><m:oMathPara><m:oMath>/);
+  });
+
+  it('should keep plain MathML in the mathml mode', async () => {
+    const { html } = await copy(`<p>Let ${KATEX_INLINE} be</p>`, { clipboardMath: 'mathml' });
+    expect(html).not.toContain('msEquation');
+    expect(html).toMatch(/Let <math[^>]*>.*<\/math> be/);
+  });
+});
+
+describe('Clipboard Helper - paste targets', () => {
+  const TABLE = '<table><thead><tr><th>A</th></tr></thead><tbody><tr><td>1</td></tr></tbody></table>';
+
+  it('should keep a style sheet for Word', async () => {
+    const { html } = await copy(TABLE);
+    expect(html).toMatch(/<style>[^]*th, td \{ border: 1px solid #999/);
+    expect(html).toContain('<table>');
+  });
+
+  it('should paste formulas as pictures with inline styles for Google Docs', async () => {
+    const renderMath = vi.fn().mockResolvedValue({ data: new Uint8Array([1, 2, 3]), width: 30, height: 12, depth: 3 });
+    const { html } = await copy(`<p>Let ${KATEX_INLINE} be</p>${TABLE}`, { pasteTarget: 'gdocs', renderMath });
+
+    expect(renderMath).toHaveBeenCalledTimes(1);
+    expect(renderMath.mock.calls[0][0]).toMatchObject({ latex: 'x^2', display: false });
+    expect(html).toContain('<img src="data:image/png;base64,AQID" width="30" height="12" alt="x^2" style="vertical-align: -3px;">');
+    expect(html).not.toContain('<math');
+    expect(html).not.toContain('<style>');
+    expect(html).toMatch(/<td style="border: 1px solid #999; padding: 4pt 8pt; text-align: left">1<\/td>/);
+    expect(html).toMatch(/<div style="font-family: Calibri, sans-serif;[^"]*">/);
+  });
+
+  it('should fall back to LaTeX when a formula cannot be rendered', async () => {
+    const { html } = await copy(`<p>Let ${KATEX_INLINE} be</p>`, { pasteTarget: 'gdocs', renderMath: async () => null });
+    expect(html).toContain('Let $x^2$ be');
+  });
+
+  it('should paste MathML with semantics and bordered tables for LibreOffice', async () => {
+    const bare = '<span class="katex"><span class="katex-mathml"><math xmlns="http://www.w3.org/1998/Math/MathML">' +
+      '<mi>y</mi></math></span></span>';
+    const { html } = await copy(`<p>${KATEX_INLINE} ${bare}</p>${TABLE}`, { pasteTarget: 'libreoffice' });
+
+    expect(html).not.toContain('msEquation');
+    expect(html.match(/<math[^>]*><semantics>/g)).toHaveLength(2);
+    expect(html).toContain('<semantics><mrow><mi>y</mi></mrow></semantics>');
+    expect(html).toContain('<table border="1" cellspacing="0" cellpadding="5">');
+  });
+
+  it('should inline styles and keep OMML for Outlook', async () => {
+    const { html } = await copy(`<p>Let ${KATEX_INLINE} be</p>`, { pasteTarget: 'outlook', darkTheme: true });
+
+    expect(html).not.toContain('<style>');
+    expect(html).toContain('<!--[if gte msEquation 12]><m:oMath>');
+    expect(html).toMatch(/<p style="margin: 0 0 6pt">Let/);
+    expect(html).toMatch(/<div style="[^"]*background: #1e1e1e; color: #e6e6e6">/);
+  });
+});
@@ -150,8 +150,8 @@ describe('DOCX Builder - Content', () => {
       type: 'list',
       ordered: false,
       items: [
-        { content: [{ type: 'text', text: 'Item 1' }] },
-        { content: [{ type: 'text', text: 'Item 2' }] },
+        { blocks: [{ type: 'paragraph', content: [{ type: 'text', text: 'Item 1' }] }] },
+        { blocks: [{ type: 'paragraph', content: [{ type: 'text', text: 'Item 2' }] }] },
       ],
     }];
     const blob = await buildDocx(blocks);
@@ -161,18 +161,18 @@ describe('DOCX Builder - Content', () => {
     expect(xml).toContain('Item 2');
   });
 
-  it('should render an ordered list with numId=2', async () => {
+  it('should render an ordered list with its own numbering instance', async () => {
     const blocks = [{
       type: 'list',
       ordered: true,
       items: [
-        { content: [{ type: 'text', text: 'First' }] },
-        { content: [{ type: 'text', text: 'Second' }] },
+        { blocks: [{ type: 'paragraph', content: [{ type: 'text', text: 'First' }] }] },
+        { blocks: [{ type: 'paragraph', content: [{ type: 'text', text: 'Second' }] }] },
       ],
     }];
     const blob = await buildDocx(blocks);
     const xml = await extractDocxFile(blob, 'word/document.xml');
-    expect(xml).toContain('<w:numId w:val="2"/>');
+    expect(xml).toContain('<w:numId w:val="3"/>');
   });
 
   it('should render a code block', async () => {
@@ -191,12 +191,14 @@ describe('DOCX Builder - Content', () => {
   it('should render a blockquote', async () => {
     const blocks = [{
       type: 'blockquote',
-      content: [{ type: 'text', text: 'Quote text' }],
+      blocks: [{ type: 'paragraph', content: [{ type: 'text', text: 'Quote text' }] }],
     }];
     const blob = await buildDocx(blocks);
     const xml = await extractDocxFile(blob, 'word/document.xml');
+    const styles = await extractDocxFile(blob, 'word/styles.xml');
     expect(xml).toContain('Quote text');
-    expect(xml).toContain('<w:pBdr>');
+    expect(xml).toContain('<w:pStyle w:val="Quote"/>');
+    expect(styles).toMatch(/w:styleId="Quote">[\s\S]*?<w:pBdr>/);
   });
 
   it('should render a horizontal rule', async () => {
@@ -218,6 +220,38 @@ describe('DOCX Builder - Content', () => {
   });
 });
 
+// ===== DOCX Conversation Tests =====
+
+describe('DOCX Builder - Conversation turns', () => {
+  const turns = [
+    { type: 'turn', role: 'user', blocks: [
+      { type: 'paragraph', content: [{ type: 'text', text: 'Prompt' }, { type: 'lineBreak' }, { type: 'text', text: 'more' }] },
+    ]},
+    { type: 'turn', role: 'assistant', blocks: [
+      { type: 'paragraph', content: [{ type: 'text', text: 'Reply' }] },
+    ]},
+  ];
+
+  it('should label turns and style user prompts as Question', async () => {
+    const blob = await buildDocx(turns);
+    const xml = await extractDocxFile(blob, 'word/document.xml');
+    expect(xml).toContain('<w:pStyle w:val="QuestionLabel"/>');
+    expect(xml).toContain('<w:pStyle w:val="AnswerLabel"/>');
+    expect(xml).toMatch(/<w:pStyle w:val="Question"\/><\/w:pPr><w:r><w:t xml:space="preserve">Prompt/);
+    expect(xml).toContain('<w:br/>');
+    // Answer paragraphs keep the default style
+    expect(xml).toContain('<w:p><w:r><w:t xml:space="preserve">Reply</w:t></w:r></w:p>');
+  });
+
+  it('should define Question and label styles', async () => {
+    const blob = await buildDocx(turns);
+    const xml = await extractDocxFile(blob, 'word/styles.xml');
+    expect(xml).toContain('styleId="Question"');
+    expect(xml).toContain('styleId="QuestionLabel"');
+    expect(xml).toContain('styleId="AnswerLabel"');
+  });
+});
+
 // ===== DOCX Math Tests =====
 
 describe('DOCX Builder - Math/OMML', () => {
@@ -280,6 +314,50 @@ describe('DOCX Builder - Math/OMML', () => {
     expect(xml).not.toContain('<m:oMath>');
   });
 
+  it('should embed formulas as PNG drawings in image mode', async () => {
+    const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+    const renderMath = async () => ({ data: png, width: 20, height: 16, depth: 4 });
+    const blocks = [
+      {
+        type: 'paragraph',
+        content: [
+          { type: 'text', text: 'Inline ' },
+          { type: 'math', display: false, latex: 'x^2', mathml: '<math><msup><mi>x</mi><mn>2</mn></msup></math>' },
+        ],
+      },
+      { type: 'math', display: true, latex: '\\frac{a}{b}', mathml: '<math><mfrac><mi>a</mi><mi>b</mi></mfrac></math>' },
+    ];
+    const blob = await buildDocx(blocks, { mathMode: 'image', renderMath });
+
+    const xml = await extractDocxFile(blob, 'word/document.xml');
+    expect(xml).not.toContain('<m:oMath>');
+    expect((xml.match(/<w:drawing>/g) || []).length).toBe(2);
+    expect(xml).toContain('descr="x^2"');
+    expect(xml).toContain(`cx="${20 * 9525}" cy="${16 * 9525}"`);
+    // Inline formula lowered by its depth (4px = 6 half-points)
+    expect(xml).toContain('<w:position w:val="-6"/>');
+
+    const files = await listDocxFiles(blob);
+    expect(files).toContain('word/media/image1.png');
+    expect(files).toContain('word/media/image2.png');
+
+    const rels = await extractDocxFile(blob, 'word/_rels/document.xml.rels');
+    expect(rels).toContain('Target="media/image1.png"');
+    const types = await extractDocxFile(blob, '[Content_Types].xml');
+    expect(types).toContain('Extension="png" ContentType="image/png"');
+  });
+
+  it('should fall back to LaTeX text when a formula cannot be rendered', async () => {
+    const blocks = [{
+      type: 'paragraph',
+      content: [{ type: 'math', display: false, latex: 'y', mathml: '<math><mi>y</mi></math>' }],
+    }];
+    const blob = await buildDocx(blocks, { mathMode: 'image', renderMath: async () => null });
+    const xml = await extractDocxFile(blob, 'word/document.xml');
+    expect(xml).not.toContain('<w:drawing>');
+    expect(xml).toContain('<w:t xml:space="preserve">y</w:t>');
+  });
+
   it('should render table with math in cells', async () => {
     const blocks = [{
       type: 'table',
@@ -308,12 +386,61 @@ describe('DOCX Builder - Math/OMML', () => {
 
 // ===== DOCX Numbering Tests =====
 
+describe('DOCX Builder - Equation numbers', () => {
+  const tagged = {
+    type: 'math',
+    display: true,
+    latex: 'E = mc^2 \\tag{1}',
+    mathml: '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><semantics><mtable>' +
+      '<mlabeledtr><mtd><mtext>(1)</mtext></mtd><mtd><mi>E</mi><mo>=</mo><mi>m</mi></mtd></mlabeledtr>' +
+      '</mtable><annotation encoding="application/x-tex">E = mc^2 \\tag{1}</annotation></semantics></math>',
+  };
+  const plain = {
+    type: 'math',
+    display: true,
+    latex: 'x',
+    mathml: '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mi>x</mi></math>',
+  };
+
+  it('should put the label of a tagged formula at the right margin', async () => {
+    const blob = await buildDocx([tagged], { mathMode: 'omml' });
+    const xml = await extractDocxFile(blob, 'word/document.xml');
+    expect(xml).toContain('<w:tab w:val="center" w:pos="4680"/><w:tab w:val="right" w:pos="9360"/>');
+    expect(xml).toMatch(/<w:r><w:tab\/><\/w:r><m:oMath>.*<\/m:oMath><w:r><w:tab\/><\/w:r><w:r><w:t xml:space="preserve">\(1\)<\/w:t><\/w:r>/);
+    expect(xml).not.toContain('<m:eqArr>');
+    expect(xml).not.toContain('SEQ Equation');
+  });
+
+  it('should number tagged LaTeX without MathML', async () => {
+    const blob = await buildDocx([{ ...tagged, mathml: '' }], { mathMode: 'omml' });
+    const xml = await extractDocxFile(blob, 'word/document.xml');
+    expect(xml).toContain('<w:t xml:space="preserve">(1)</w:t>');
+  });
+
+  it('should leave formulas unnumbered by default', async () => {
+    const blob = await buildDocx([plain], { mathMode: 'omml' });
+    const xml = await extractDocxFile(blob, 'word/document.xml');
+    expect(xml).not.toContain('<w:tabs>');
+    expect(xml).toContain('<w:jc w:val="center"/>');
+  });
+
+  it('should number the other formulas with SEQ fields when enabled', async () => {
+    const blob = await buildDocx([plain, tagged, plain], { mathMode: 'omml', numberEquations: true });
+    const xml = await extractDocxFile(blob, 'word/document.xml');
+    const fields = xml.match(/<w:fldSimple w:instr=" SEQ Equation \\\* ARABIC "><w:r><w:t>(\d)<\/w:t>/g);
+    expect(fields).toHaveLength(2);
+    expect(fields[0]).toContain('<w:t>1</w:t>');
+    expect(fields[1]).toContain('<w:t>2</w:t>');
+    expect(xml).toContain('<w:t xml:space="preserve">(1)</w:t>');
+  });
+});
+
 describe('DOCX Builder - Numbering', () => {
   it('should produce valid numbering.xml with abstractNum definitions', async () => {
     const blocks = [{
       type: 'list',
       ordered: false,
-      items: [{ content: [{ type: 'text', text: 'item' }] }],
+      items: [{ blocks: [{ type: 'paragraph', content: [{ type: 'text', text: 'item' }] }] }],
     }];
     const blob = await buildDocx(blocks);
     const xml = await extractDocxFile(blob, 'word/numbering.xml');
@@ -326,6 +453,62 @@ describe('DOCX Builder - Numbering', () => {
     expect(xml).toContain('w:numFmt w:val="decimal"');
   });
 
+  it('should restart every ordered list at its start value', async () => {
+    const ordered = (text, start) => ({
+      type: 'list',
+      ordered: true,
+      start,
+      items: [{ blocks: [{ type: 'paragraph', content: [{ type: 'text', text }] }] }],
+    });
+    const blocks = [
+      ordered('One', 1),
+      { type: 'paragraph', content: [{ type: 'text', text: 'Between' }] },
+      ordered('Five', 5),
+      ordered('Zero', 0),
+    ];
+    const blob = await buildDocx(blocks);
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const xml = await extractDocxFile(blob, 'word/numbering.xml');
+
+    expect(doc).toContain('<w:numId w:val="3"/>');
+    expect(doc).toContain('<w:numId w:val="4"/>');
+    expect(xml).toMatch(/<w:num w:numId="3">\s*<w:abstractNumId w:val="1"\/>\s*<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"\/><\/w:lvlOverride>/);
+    expect(xml).toMatch(/<w:num w:numId="4">[\s\S]*<w:startOverride w:val="5"\/>/);
+    expect(xml).toMatch(/<w:num w:numId="5">[\s\S]*<w:startOverride w:val="0"\/>/);
+  });
+
+  it('should number an ordered list nested in bullets with decimals', async () => {
+    const blocks = [{
+      type: 'list',
+      ordered: false,
+      items: [{
+        blocks: [
+          { type: 'paragraph', content: [{ type: 'text', text: 'Bullet' }] },
+          { type: 'list', ordered: true, start: 1, items: [{ blocks: [{ type: 'paragraph', content: [{ type: 'text', text: 'Step' }] }] }] },
+        ],
+      }],
+    }];
+    const blob = await buildDocx(blocks);
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const xml = await extractDocxFile(blob, 'word/numbering.xml');
+
+    expect(doc).toContain('<w:ilvl w:val="0"/><w:numId w:val="1"/>');
+    expect(doc).toContain('<w:ilvl w:val="1"/><w:numId w:val="3"/>');
+    expect(xml).toContain('<w:lvlOverride w:ilvl="1"><w:startOverride w:val="1"/><w:lvl w:ilvl="1"><w:start w:val="1"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%2."/>');
+  });
+
+  it('should keep letters for an ordered list nested in an ordered list', async () => {
+    const inner = { type: 'list', ordered: true, start: 1, items: [{ blocks: [{ type: 'paragraph', content: [{ type: 'text', text: 'Sub' }] }] }] };
+    const blocks = [{
+      type: 'list',
+      ordered: true,
+      start: 1,
+      items: [{ blocks: [{ type: 'paragraph', content: [{ type: 'text', text: 'Top' }] }, inner] }],
+    }];
+    const xml = await extractDocxFile(await buildDocx(blocks), 'word/numbering.xml');
+    expect(xml).toContain('<w:lvlOverride w:ilvl="1"><w:startOverride w:val="1"/></w:lvlOverride>');
+  });
+
   it('should have 9 levels (ilvl 0-8) for bullet list', async () => {
     const blocks = [{ type: 'paragraph', content: [{ type: 'text', text: 'test' }] }];
     const blob = await buildDocx(blocks);
@@ -369,3 +552,396 @@ describe('DOCX Builder - Styles', () => {
     expect(xml).toContain('m:mathPr');
   });
 });
+
+// ===== Dark Theme Tests =====
+
+describe('DOCX Builder - Dark theme', () => {
+  const blocks = [
+    { type: 'paragraph', content: [{ type: 'text', text: 'test' }] },
+    { type: 'codeBlock', language: 'js', code: 'let x = 1;' },
+  ];
+
+  it('should not set a page background by default', async () => {
+    const blob = await buildDocx(blocks);
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const settings = await extractDocxFile(blob, 'word/settings.xml');
+    expect(doc).not.toContain('<w:background');
+    expect(settings).not.toContain('displayBackgroundShape');
+  });
+
+  it('should set a dark page background', async () => {
+    const blob = await buildDocx(blocks, { darkTheme: true });
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const settings = await extractDocxFile(blob, 'word/settings.xml');
+    expect(doc).toContain('<w:background w:color="1E1E1E"/>');
+    expect(doc.indexOf('<w:background')).toBeLessThan(doc.indexOf('<w:body>'));
+    expect(settings).toContain('<w:displayBackgroundShape/>');
+  });
+
+  it('should use light text colors in styles', async () => {
+    const blob = await buildDocx(blocks, { darkTheme: true });
+    const xml = await extractDocxFile(blob, 'word/styles.xml');
+    expect(xml).toContain('<w:color w:val="E6E6E6"/>');
+  });
+
+  it('should use dark fills for code blocks', async () => {
+    const light = await extractDocxFile(await buildDocx(blocks), 'word/document.xml');
+    const dark = await extractDocxFile(await buildDocx(blocks, { darkTheme: true }), 'word/document.xml');
+    const fill = xml => xml.match(/w:fill="([0-9A-F]{6})"/)[1];
+    expect(fill(dark)).not.toBe(fill(light));
+  });
+});
+
+// ===== Hyperlink Tests =====
+
+describe('DOCX Builder - Hyperlinks', () => {
+  const blocks = [{
+    type: 'paragraph',
+    content: [
+      { type: 'text', text: 'See ' },
+      { type: 'link', text: 'Wikipedia', href: 'https://en.wikipedia.org/wiki/A?x=1&y=2' },
+      { type: 'text', text: ' and ' },
+      { type: 'link', text: 'again', href: 'https://en.wikipedia.org/wiki/A?x=1&y=2' },
+      { type: 'link', text: 'local', href: '#section' },
+    ],
+  }];
+
+  it('should emit w:hyperlink backed by an external relationship', async () => {
+    const blob = await buildDocx(blocks);
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const rels = await extractDocxFile(blob, 'word/_rels/document.xml.rels');
+
+    const ids = [...doc.matchAll(/<w:hyperlink r:id="(rId\d+)"/g)].map(m => m[1]);
+    expect(ids).toHaveLength(2);
+    expect(ids[0]).toBe(ids[1]); // same URL shares one relationship
+    expect(rels).toContain(`Id="${ids[0]}"`);
+    expect(rels).toContain('relationships/hyperlink');
+    expect(rels).toContain('Target="https://en.wikipedia.org/wiki/A?x=1&amp;y=2" TargetMode="External"');
+  });
+
+  it('should keep non-absolute links as styled text', async () => {
+    const blob = await buildDocx(blocks);
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    expect(doc).toContain('local');
+    expect(doc.match(/<w:hyperlink/g)).toHaveLength(2);
+  });
+
+  it('should not add footnotes or sources by default', async () => {
+    const blob = await buildDocx(blocks);
+    const files = await listDocxFiles(blob);
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    expect(files).not.toContain('word/footnotes.xml');
+    expect(doc).not.toContain('Источники');
+  });
+
+  it('should list URLs as footnotes', async () => {
+    const blob = await buildDocx(blocks, { linkSources: 'footnotes' });
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const footnotes = await extractDocxFile(blob, 'word/footnotes.xml');
+    const footnoteRels = await extractDocxFile(blob, 'word/_rels/footnotes.xml.rels');
+    const rels = await extractDocxFile(blob, 'word/_rels/document.xml.rels');
+    const types = await extractDocxFile(blob, '[Content_Types].xml');
+    const settings = await extractDocxFile(blob, 'word/settings.xml');
+
+    expect(doc).toContain('<w:footnoteReference w:id="1"/>');
+    expect(doc).toContain('<w:footnoteReference w:id="2"/>');
+    expect(footnotes).toContain('w:type="separator" w:id="-1"');
+    expect(footnotes).toContain('<w:footnote w:id="2">');
+    expect(footnotes).toContain('https://en.wikipedia.org/wiki/A?x=1&amp;y=2');
+    expect(footnoteRels).toContain('TargetMode="External"');
+    expect(rels).toContain('Target="footnotes.xml"');
+    expect(types).toContain('/word/footnotes.xml');
+    expect(settings).toContain('<w:footnotePr>');
+  });
+
+  it('should list unique URLs in a Sources section', async () => {
+    const blob = await buildDocx(blocks, { linkSources: 'section' });
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+
+    expect(doc).toContain('Источники');
+    expect(doc.match(/\[1\]/g)).toHaveLength(3); // two markers + one list entry
+    expect(doc).not.toContain('[2]');
+    expect(doc.lastIndexOf('Источники')).toBeGreaterThan(doc.indexOf('Wikipedia'));
+  });
+});
+
+// ===== Image Tests =====
+
+describe('DOCX Builder - Images', () => {
+  const jpeg = new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]);
+
+  it('should embed fetched images as inline drawings', async () => {
+    const blocks = [{ type: 'image', src: 'https://example.com/chart.jpg', alt: 'Sales & costs', width: 0, height: 0, caption: 'Figure 1' }];
+    const fetchImage = async (src) => {
+      expect(src).toBe('https://example.com/chart.jpg');
+      return { data: jpeg, ext: 'jpeg', width: 300, height: 200 };
+    };
+    const blob = await buildDocx(blocks, { fetchImage });
+    const files = await listDocxFiles(blob);
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const rels = await extractDocxFile(blob, 'word/_rels/document.xml.rels');
+    const types = await extractDocxFile(blob, '[Content_Types].xml');
+
+    expect(files).toContain('word/media/image1.jpeg');
+    expect(doc).toContain('<w:drawing>');
+    expect(doc).toContain(`<wp:extent cx="${300 * 9525}" cy="${200 * 9525}"/>`);
+    expect(doc).toContain('descr="Sales &amp; costs"');
+    expect(doc).toContain('<w:pStyle w:val="Caption"/>');
+    expect(doc).toContain('Figure 1');
+    expect(rels).toContain('Target="media/image1.jpeg"');
+    expect(types).toContain('Extension="jpeg" ContentType="image/jpeg"');
+  });
+
+  it('should scale wide images to the page width', async () => {
+    const blocks = [{ type: 'image', src: 'a.png', alt: '', width: 0, height: 0, caption: '' }];
+    const fetchImage = async () => ({ data: jpeg, ext: 'png', width: 1248, height: 800 });
+    const doc = await extractDocxFile(await buildDocx(blocks, { fetchImage }), 'word/document.xml');
+    expect(doc).toContain(`<wp:extent cx="${624 * 9525}" cy="${400 * 9525}"/>`);
+  });
+
+  it('should place inline images inside the paragraph', async () => {
+    const blocks = [{
+      type: 'paragraph',
+      content: [
+        { type: 'text', text: 'Icon ' },
+        { type: 'image', src: 'i.png', alt: 'i', width: 16, height: 16, caption: '' },
+      ],
+    }];
+    const fetchImage = async () => ({ data: jpeg, ext: 'png', width: 0, height: 0 });
+    const doc = await extractDocxFile(await buildDocx(blocks, { fetchImage }), 'word/document.xml');
+    expect(doc).toContain(`<wp:extent cx="${16 * 9525}" cy="${16 * 9525}"/>`);
+  });
+
+  it('should fall back to alt text when the image cannot be fetched', async () => {
+    const blocks = [{ type: 'image', src: 'broken.png', alt: 'Diagram', width: 0, height: 0, caption: '' }];
+    const blob = await buildDocx(blocks, { fetchImage: async () => null });
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const files = await listDocxFiles(blob);
+    expect(doc).toContain('[Изображение: Diagram]');
+    expect(doc).not.toContain('<w:drawing>');
+    expect(files.some(f => f.startsWith('word/media/'))).toBe(false);
+  });
+});
+
+// ===== Nested Block Tests =====
+
+describe('DOCX Builder - Nested blocks', () => {
+  it('should indent blocks inside a list item to the item text', async () => {
+    const blocks = [{
+      type: 'list',
+      ordered: false,
+      items: [{
+        blocks: [
+          { type: 'paragraph', content: [{ type: 'text', text: 'Install it:' }] },
+          { type: 'codeBlock', language: '', code: 'npm install' },
+          { type: 'list', ordered: false, items: [{ blocks: [{ type: 'paragraph', content: [{ type: 'text', text: 'Sub' }] }] }] },
+        ],
+      }],
+    }];
+    const xml = await extractDocxFile(await buildDocx(blocks), 'word/document.xml');
+    expect(xml).toMatch(/<w:numPr><w:ilvl w:val="0"\/><w:numId w:val="1"\/><\/w:numPr><\/w:pPr><w:r><w:t xml:space="preserve">Install it:/);
+    expect(xml).toMatch(/<w:ind w:left="720"\/><\/w:pPr><w:r><w:rPr><w:rFonts w:ascii="Consolas"[^>]*\/><w:sz w:val="20"\/><w:szCs w:val="20"\/><\/w:rPr><w:t xml:space="preserve">npm install/);
+    expect(xml).toContain('<w:ilvl w:val="1"/>');
+  });
+
+  it('should number an item whose first block is not a paragraph', async () => {
+    const blocks = [{
+      type: 'list',
+      ordered: true,
+      items: [{ blocks: [{ type: 'codeBlock', language: '', code: 'x' }] }],
+    }];
+    const xml = await extractDocxFile(await buildDocx(blocks), 'word/document.xml');
+    expect(xml.indexOf('<w:numId w:val="2"/>')).toBeLessThan(xml.indexOf('>x<'));
+  });
+
+  it('should render quoted blocks with the Quote style and indented tables', async () => {
+    const blocks = [{
+      type: 'blockquote',
+      blocks: [
+        { type: 'paragraph', content: [{ type: 'text', text: 'Quoted' }] },
+        { type: 'table', rows: [{ isHeader: false, cells: [{ content: [{ type: 'text', text: 'Cell' }] }] }] },
+      ],
+    }];
+    const blob = await buildDocx(blocks);
+    const xml = await extractDocxFile(blob, 'word/document.xml');
+    const styles = await extractDocxFile(blob, 'word/styles.xml');
+    expect(xml).toContain('<w:pStyle w:val="Quote"/><w:ind w:left="360"/></w:pPr><w:r><w:t xml:space="preserve">Quoted');
+    expect(xml).toContain('<w:tblInd w:w="360" w:type="dxa"/>');
+    expect(styles).toContain('w:styleId="Quote"');
+  });
+
+  it('should shift list numbering inside quotes', async () => {
+    const blocks = [{
+      type: 'blockquote',
+      blocks: [{ type: 'list', ordered: false, items: [{ blocks: [{ type: 'paragraph', content: [{ type: 'text', text: 'In quote' }] }] }] }],
+    }];
+    const xml = await extractDocxFile(await buildDocx(blocks), 'word/document.xml');
+    expect(xml).toContain('<w:ind w:left="1080" w:hanging="360"/>');
+  });
+
+  it('should render details summary and content', async () => {
+    const blocks = [{
+      type: 'details',
+      summary: 'More',
+      blocks: [{ type: 'paragraph', content: [{ type: 'text', text: 'Hidden' }] }],
+    }];
+    const xml = await extractDocxFile(await buildDocx(blocks), 'word/document.xml');
+    expect(xml).toContain('More');
+    expect(xml).toContain('<w:ind w:left="360"/></w:pPr><w:r><w:t xml:space="preserve">Hidden');
+  });
+});
+
+// ===== Page Setup Tests =====
+
+describe('DOCX Builder - Page setup', () => {
+  const blocks = [{ type: 'paragraph', content: [{ type: 'text', text: 'Body' }] }];
+
+  it('should keep a bare Letter section by default', async () => {
+    const blob = await buildDocx(blocks);
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const files = await listDocxFiles(blob);
+
+    expect(doc).toContain('<w:pgSz w:w="12240" w:h="15840"/>');
+    expect(doc).toContain('<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440"');
+    expect(doc).not.toContain('w:headerReference');
+    expect(doc).not.toContain('<w:titlePg/>');
+    expect(files).not.toContain('word/header1.xml');
+  });
+
+  it('should apply the paper size, orientation and margins', async () => {
+    const fetchImage = async () => ({ data: new Uint8Array([1]), ext: 'png', width: 2000, height: 1000 });
+    const image = { type: 'image', src: 'a.png', alt: '', width: 0, height: 0, caption: '' };
+    const blob = await buildDocx([image], { pageSize: 'a4', orientation: 'landscape', margins: 'narrow', fetchImage });
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+
+    expect(doc).toContain('<w:pgSz w:w="16838" w:h="11906" w:orient="landscape"/>');
+    expect(doc).toContain('<w:pgMar w:top="720" w:right="720" w:bottom="720" w:left="720"');
+    // (16838 - 2 * 720) twips / 15 = 1026 px wide
+    expect(doc).toContain(`<wp:extent cx="${1026 * 9525}" cy="${513 * 9525}"/>`);
+  });
+
+  it('should fit table columns to the text width', async () => {
+    const row = { isHeader: false, cells: [{ content: [{ type: 'text', text: 'a' }] }, { content: [{ type: 'text', text: 'b' }] }] };
+    const table = { type: 'table', rows: [row] };
+    const grid = async (options) => {
+      const doc = await extractDocxFile(await buildDocx([table], options), 'word/document.xml');
+      return doc.match(/<w:gridCol w:w="(\d+)"\/>/g);
+    };
+
+    // A4 with wide margins: 11906 - 2 * 2880 = 6146 twips
+    expect(await grid({ pageSize: 'a4', margins: 'wide' })).toEqual(Array(2).fill('<w:gridCol w:w="3073"/>'));
+    // Letter landscape: 15840 - 2 * 1440 = 12960 twips
+    expect(await grid({ orientation: 'landscape' })).toEqual(Array(2).fill('<w:gridCol w:w="6480"/>'));
+  });
+
+  it('should add header and footer parts with the title, date and page fields', async () => {
+    const blob = await buildDocx(blocks, {
+      title: 'Ряды & суммы',
+      headerFooter: true,
+      margins: 'wide',
+      date: new Date(2025, 2, 4),
+    });
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const rels = await extractDocxFile(blob, 'word/_rels/document.xml.rels');
+    const types = await extractDocxFile(blob, '[Content_Types].xml');
+    const header = await extractDocxFile(blob, 'word/header1.xml');
+    const footer = await extractDocxFile(blob, 'word/footer1.xml');
+
+    const headerId = rels.match(/Id="(rId\d+)" Type="[^"]+\/header" Target="header1.xml"/)[1];
+    const footerId = rels.match(/Id="(rId\d+)" Type="[^"]+\/footer" Target="footer1.xml"/)[1];
+    expect(doc).toMatch(new RegExp(`<w:sectPr>\\s*<w:headerReference w:type="default" r:id="${headerId}"/>\\s*<w:footerReference w:type="default" r:id="${footerId}"/>\\s*<w:pgSz`));
+    expect(types).toContain('PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"');
+    expect(types).toContain('PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"');
+
+    expect(header).toContain('Ряды &amp; суммы');
+    expect(header).toContain('04.03.2025');
+    // right tab at the text width: 12240 - 2 * 2880
+    expect(header).toContain('<w:tab w:val="right" w:pos="6480"/>');
+    expect(footer).toContain('Страница </w:t>');
+    expect(footer).toContain('<w:fldSimple w:instr=" PAGE ">');
+    expect(footer).toContain('<w:fldSimple w:instr=" NUMPAGES ">');
+  });
+
+  it('should start with a cover page without header and footer', async () => {
+    const blob = await buildDocx(blocks, {
+      title: 'Report',
+      coverPage: true,
+      headerFooter: true,
+      author: 'Ivan Petrov',
+      sourceUrl: 'https://chatgpt.com/c/abc',
+      model: 'gpt-4o',
+      date: new Date(2025, 2, 4),
+    });
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const rels = await extractDocxFile(blob, 'word/_rels/document.xml.rels');
+    const core = await extractDocxFile(blob, 'docProps/core.xml');
+
+    const body = doc.slice(doc.indexOf('<w:body>'));
+    expect(body).toMatch(/^<w:body>\s*<w:p><w:pPr><w:pStyle w:val="Title"\/>/);
+    expect(body).toContain('Автор: </w:t></w:r><w:r><w:t xml:space="preserve">Ivan Petrov');
+    expect(body).toContain('04.03.2025');
+    expect(body).toContain('gpt-4o');
+    expect(rels).toContain('Target="https://chatgpt.com/c/abc" TargetMode="External"');
+    expect(body.indexOf('<w:br w:type="page"/>')).toBeLessThan(body.indexOf('Body'));
+    expect(doc).toContain('<w:titlePg/>');
+    expect(core).toContain('<dc:creator>Ivan Petrov</dc:creator>');
+  });
+});
+
+// ===== Table of Contents Tests =====
+
+describe('DOCX Builder - Table of contents', () => {
+  const heading = (level, text, id = '') => ({ type: 'heading', level, text, id, content: [{ type: 'text', text }] });
+  const blocks = [
+    heading(1, 'Введение'),
+    { type: 'paragraph', content: [{ type: 'link', text: 'see below', href: '#part-2-результаты' }] },
+    heading(2, 'Part 2: Результаты'),
+    heading(4, 'Detail', 'detail-anchor'),
+    { type: 'paragraph', content: [{ type: 'link', text: 'detail', href: '#detail-anchor' }, { type: 'link', text: 'missing', href: '#nowhere' }] },
+  ];
+
+  it('should bookmark every heading', async () => {
+    const doc = await extractDocxFile(await buildDocx(blocks), 'word/document.xml');
+    expect(doc).toContain('<w:pStyle w:val="Heading1"/></w:pPr><w:bookmarkStart w:id="1" w:name="_Heading1"/>');
+    expect(doc).toMatch(/<w:bookmarkStart w:id="3" w:name="_Heading3"\/>.*Detail.*<w:bookmarkEnd w:id="3"\/>/);
+    expect(doc).not.toContain('w:fldCharType');
+  });
+
+  it('should turn #anchor links into internal hyperlinks', async () => {
+    const blob = await buildDocx(blocks);
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const rels = await extractDocxFile(blob, 'word/_rels/document.xml.rels');
+
+    expect(doc).toMatch(/<w:hyperlink w:anchor="_Heading2" w:history="1">.*?see below/);
+    expect(doc).toMatch(/<w:hyperlink w:anchor="_Heading3" w:history="1">.*?detail/);
+    expect(doc).not.toMatch(/<w:hyperlink[^>]*>(?:(?!<\/w:hyperlink>).)*missing/);
+    expect(doc).toContain('missing');
+    expect(rels).not.toContain('#');
+  });
+
+  it('should add a dirty TOC field listing levels 1-3', async () => {
+    const blob = await buildDocx(blocks, { toc: true });
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const settings = await extractDocxFile(blob, 'word/settings.xml');
+    const styles = await extractDocxFile(blob, 'word/styles.xml');
+
+    const body = doc.slice(doc.indexOf('<w:body>'));
+    expect(body).toMatch(/^<w:body>\s*<w:p><w:pPr><w:pStyle w:val="TOCHeading"\/><\/w:pPr><w:r><w:t xml:space="preserve">Содержание/);
+    expect(doc).toContain('<w:fldChar w:fldCharType="begin" w:dirty="true"/>');
+    expect(doc).toContain('<w:instrText xml:space="preserve"> TOC \\o "1-3" \\h \\z \\u </w:instrText>');
+    expect(doc).toContain('<w:pStyle w:val="TOC1"/></w:pPr><w:r><w:fldChar w:fldCharType="begin"');
+    expect(doc).toMatch(/<w:pStyle w:val="TOC2"\/><\/w:pPr><w:hyperlink w:anchor="_Heading2" w:history="1">.*?Part 2: Результаты/);
+    expect(doc).not.toContain('w:val="TOC4"');
+    expect(doc.indexOf('w:fldCharType="end"')).toBeLessThan(doc.indexOf('w:val="Heading1"'));
+    expect(settings).toMatch(/<w:updateFields w:val="true"\/>\s*<w:compat>/);
+    expect(styles).toContain('w:styleId="TOC2"');
+  });
+
+  it('should skip the contents for fewer than two headings', async () => {
+    const blob = await buildDocx([heading(1, 'Only')], { toc: true });
+    const doc = await extractDocxFile(blob, 'word/document.xml');
+    const settings = await extractDocxFile(blob, 'word/settings.xml');
+    expect(doc).not.toContain('TOCHeading');
+    expect(settings).not.toContain('updateFields');
+  });
+});
@@ -8,6 +8,13 @@ import {
   getCleanHtmlWithMathML,
   getMarkdownContent,
   getAssistantMessages,
+  getConversationTurns,
+  getConversationTitle,
+  getModelName,
+  extractUserContent,
+  extractConversation,
+  getTurnSummary,
+  getUserMessageHtml,
 } from '../src/lib/dom-extractor.js';
 
 /**
@@ -57,6 +64,12 @@ describe('DOM Extractor - Basic Elements', () => {
     expect(blocks[2].level).toBe(3);
   });
 
+  it('should keep heading ids for #anchor links', () => {
+    const blocks = extract('<h2 id="setup">Setup</h2><h2>Plain</h2>');
+    expect(blocks[0].id).toBe('setup');
+    expect(blocks[1].id).toBe('');
+  });
+
   it('should extract unordered list', () => {
     const blocks = extract('<ul><li>Apple</li><li>Banana</li></ul>');
     expect(blocks).toHaveLength(1);
@@ -74,6 +87,14 @@ describe('DOM Extractor - Basic Elements', () => {
     expect(blocks[0].ordered).toBe(true);
   });
 
+  it('should read the start of an ordered list', () => {
+    expect(extract('<ol><li>One</li></ol>')[0].start).toBe(1);
+    expect(extract('<ol start="5"><li>Five</li></ol>')[0].start).toBe(5);
+    expect(extract('<ol start="0"><li>Zero</li></ol>')[0].start).toBe(0);
+    expect(extract('<ol start="x"><li>One</li></ol>')[0].start).toBe(1);
+    expect(extract('<ul><li>Dot</li></ul>')[0].start).toBeUndefined();
+  });
+
   it('should extract a code block', () => {
     const blocks = extract('<pre><code class="language-python">print("hi")</code></pre>');
     expect(blocks).toHaveLength(1);
@@ -246,6 +267,64 @@ describe('DOM Extractor - Math (KaTeX)', () => {
   });
 });
 
+// ===== Raw LaTeX recovery =====
+
+describe('DOM Extractor - Raw LaTeX', () => {
+  it('should turn \\( … \\) and $ … $ into inline math', () => {
+    const blocks = extract('<p>Energy \\(E = mc^2\\) and $a_1$ hold</p>');
+    const content = blocks[0].content;
+    expect(content.map(item => item.type)).toEqual(['text', 'math', 'text', 'math', 'text']);
+    expect(content[1]).toMatchObject({ display: false, latex: 'E = mc^2' });
+    expect(content[1].mathml).toContain('<msup><mi>c</mi><mn>2</mn></msup>');
+    expect(content[3].latex).toBe('a_1');
+  });
+
+  it('should turn a paragraph with \\[ … \\] into a display math block', () => {
+    const blocks = extract('<p>\\[ \\frac{a}{b} \\]</p><p>$$x^2$$</p>');
+    expect(blocks).toHaveLength(2);
+    expect(blocks[0]).toMatchObject({ type: 'math', display: true, latex: '\\frac{a}{b}' });
+    expect(blocks[0].mathml).toContain('display="block"');
+    expect(blocks[1]).toMatchObject({ type: 'math', display: true, latex: 'x^2' });
+  });
+
+  it('should split display formulas spread over line breaks out of the paragraph', () => {
+    const blocks = extract('<p>Then<br>\\[<br>x = 1<br>\\]<br>so</p>');
+    expect(blocks.map(block => block.type)).toEqual(['paragraph', 'math', 'paragraph']);
+    expect(blocks[0].content).toEqual([{ type: 'text', text: 'Then' }]);
+    expect(blocks[1].latex).toBe('x = 1');
+    expect(blocks[2].content).toEqual([{ type: 'text', text: 'so' }]);
+  });
+
+  it('should leave prices and escaped dollars as text', () => {
+    for (const html of ['<p>It costs $5 and $10.</p>', '<p>From $5 to $ 7</p>', '<p>Pay \\$x$ now</p>']) {
+      const blocks = extract(html);
+      expect(blocks[0].content.every(item => item.type === 'text')).toBe(true);
+    }
+
+    const mixed = extract('<p>Price $5, area $x^2$.</p>');
+    const math = mixed[0].content.filter(item => item.type === 'math');
+    expect(math).toHaveLength(1);
+    expect(math[0].latex).toBe('x^2');
+  });
+
+  it('should not touch code', () => {
+    const blocks = extract('<p>Use <code>$x$</code></p><pre><code>\\[ y \\]</code></pre>');
+    expect(blocks[0].content[1]).toEqual({ type: 'code', text: '$x$' });
+    expect(blocks[1]).toMatchObject({ type: 'codeBlock', code: '\\[ y \\]' });
+  });
+
+  it('should put MathML for raw LaTeX into clipboard HTML', () => {
+    const msg = makeMessage('<p>Let $x^2$ be</p><p>\\[<br>y<br>\\]</p><pre><code>$z$</code></pre>');
+    const html = getCleanHtmlWithMathML(msg);
+    msg.remove();
+
+    expect(html).toMatch(/Let <math[^>]*>.*<msup><mi>x<\/mi><mn>2<\/mn><\/msup>.*<\/math> be/);
+    expect(html).toMatch(/<math[^>]*display="block"/);
+    expect(html).not.toContain('\\[');
+    expect(html).toContain('<code>$z$</code>');
+  });
+});
+
 // ===== Interactive elements handling =====
 
 describe('DOM Extractor - Skipping UI Elements', () => {
@@ -409,3 +488,221 @@ describe('DOM Extractor - Complex Document', () => {
     expect(blocks[4].content[0].type).toBe('bold');
   });
 });
+
+// ===== Nested block extraction =====
+
+describe('DOM Extractor - Nested Blocks', () => {
+  it('should keep a simple list item as one paragraph', () => {
+    const blocks = extract('<ul><li>Apple <strong>pie</strong></li></ul>');
+    const item = blocks[0].items[0];
+    expect(item.blocks).toHaveLength(1);
+    expect(item.blocks[0].type).toBe('paragraph');
+    expect(item.blocks[0].content[0].text).toBe('Apple ');
+    expect(item.blocks[0].content[1].type).toBe('bold');
+  });
+
+  it('should extract paragraphs, code and nested lists inside a list item', () => {
+    const blocks = extract(`
+      <ol>
+        <li>
+          <p>Install it:</p>
+          <pre><code class="language-bash">npm install</code></pre>
+          <p>Then run it.</p>
+          <ul><li>Option A</li></ul>
+        </li>
+      </ol>
+    `);
+    const item = blocks[0].items[0];
+    expect(item.blocks.map(b => b.type)).toEqual(['paragraph', 'codeBlock', 'paragraph', 'list']);
+    expect(item.blocks[1].code).toBe('npm install');
+    expect(item.blocks[3].items[0].text).toBe('Option A');
+    expect(item.text).not.toContain('Option A');
+  });
+
+  it('should turn loose text around blocks into paragraphs', () => {
+    const blocks = extract('<ul><li>Intro <pre><code>x = 1</code></pre> outro</li></ul>');
+    const item = blocks[0].items[0];
+    expect(item.blocks.map(b => b.type)).toEqual(['paragraph', 'codeBlock', 'paragraph']);
+    expect(item.blocks[0].content[0].text).toBe('Intro');
+    expect(item.blocks[2].text).toBe('outro');
+  });
+
+  it('should extract blocks inside a blockquote', () => {
+    const blocks = extract(`
+      <blockquote>
+        <p>First</p>
+        <table><tr><td>A</td></tr></table>
+      </blockquote>
+    `);
+    expect(blocks[0].type).toBe('blockquote');
+    expect(blocks[0].blocks.map(b => b.type)).toEqual(['paragraph', 'table']);
+  });
+
+  it('should extract details with summary and child blocks', () => {
+    const blocks = extract('<details><summary>More</summary><p>Hidden</p><pre><code>y</code></pre></details>');
+    expect(blocks[0].type).toBe('details');
+    expect(blocks[0].summary).toBe('More');
+    expect(blocks[0].blocks.map(b => b.type)).toEqual(['paragraph', 'codeBlock']);
+  });
+});
+
+// ===== Image extraction =====
+
+describe('DOM Extractor - Images', () => {
+  it('should extract a markdown image paragraph as an image block', () => {
+    const blocks = extract('<p><img src="https://example.com/chart.png" alt="Chart" width="640" height="480"></p>');
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0]).toEqual({
+      type: 'image',
+      src: 'https://example.com/chart.png',
+      alt: 'Chart',
+      width: 640,
+      height: 480,
+      caption: '',
+    });
+  });
+
+  it('should keep the figure caption', () => {
+    const blocks = extract('<figure><img src="https://example.com/a.png" alt="A"><figcaption> Figure 1 </figcaption></figure>');
+    expect(blocks[0].type).toBe('image');
+    expect(blocks[0].caption).toBe('Figure 1');
+  });
+
+  it('should extract images from wrappers with action buttons', () => {
+    const blocks = extract(`
+      <div>
+        <img src="https://example.com/generated.webp" alt="Generated image">
+        <button aria-label="Download">Download</button>
+      </div>
+    `);
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0].type).toBe('image');
+    expect(blocks[0].alt).toBe('Generated image');
+  });
+
+  it('should keep images inside text as inline items', () => {
+    const blocks = extract('<p>Icon <img src="https://example.com/i.png" alt="i"> here</p>');
+    expect(blocks[0].type).toBe('paragraph');
+    expect(blocks[0].content[1].type).toBe('image');
+    expect(blocks[0].content[1].src).toBe('https://example.com/i.png');
+  });
+});
+
+// ===== Conversation extraction =====
+
+describe('DOM Extractor - Conversation', () => {
+  function makeTurn(role, html) {
+    const msg = document.createElement('div');
+    msg.setAttribute('data-message-author-role', role);
+    msg.innerHTML = html;
+    document.body.appendChild(msg);
+    return msg;
+  }
+
+  it('should take the conversation title from the sidebar or the tab', () => {
+    document.title = 'Интегралы по частям - ChatGPT';
+    expect(getConversationTitle()).toBe('Интегралы по частям');
+
+    const nav = document.createElement('nav');
+    nav.innerHTML = '<a href="/c/1">Other</a><a href="/c/2" aria-current="page"> Ряды\n Фурье </a>';
+    document.body.appendChild(nav);
+    expect(getConversationTitle()).toBe('Ряды Фурье');
+    nav.remove();
+
+    document.title = 'ChatGPT';
+    expect(getConversationTitle()).toBe('');
+  });
+
+  it('should take the model name from the answer or the model switcher', () => {
+    expect(getModelName()).toBe('');
+
+    const button = document.createElement('button');
+    button.setAttribute('data-testid', 'model-switcher-dropdown-button');
+    button.innerHTML = '<span>ChatGPT</span> <span>4o</span>';
+    document.body.appendChild(button);
+    expect(getModelName()).toBe('ChatGPT 4o');
+
+    const first = makeTurn('assistant', '<div data-message-model-slug="o3"><div class="markdown prose"><p>a</p></div></div>');
+    const last = makeTurn('assistant', '<div data-message-model-slug="gpt-4o"><div class="markdown prose"><p>b</p></div></div>');
+    expect(getModelName()).toBe('gpt-4o');
+    expect(getModelName(first)).toBe('o3');
+    expect(getModelName(first.querySelector('.markdown'))).toBe('o3');
+
+    [button, first, last].forEach(el => el.remove());
+  });
+
+  it('should return user and assistant turns in page order', () => {
+    const els = [
+      makeTurn('user', '<div class="whitespace-pre-wrap">Question?</div>'),
+      makeTurn('assistant', '<div class="markdown prose"><p>Answer.</p></div>'),
+      makeTurn('user', '<div class="whitespace-pre-wrap">Follow-up</div>'),
+    ];
+    const turns = getConversationTurns();
+    els.forEach(el => el.remove());
+
+    expect(turns.map(t => t.role)).toEqual(['user', 'assistant', 'user']);
+    expect(turns[0].element).toBe(els[0]);
+  });
+
+  it('should split user text into paragraphs and line breaks', () => {
+    const msg = makeTurn('user', '<div class="whitespace-pre-wrap">Line 1\nLine 2\n\nSecond paragraph</div>');
+    const blocks = extractUserContent(msg);
+    msg.remove();
+
+    expect(blocks).toHaveLength(2);
+    expect(blocks[0].content.map(c => c.type)).toEqual(['text', 'lineBreak', 'text']);
+    expect(blocks[1].content[0].text).toBe('Second paragraph');
+  });
+
+  it('should build turn blocks and skip empty turns', () => {
+    const els = [
+      makeTurn('user', '<div class="whitespace-pre-wrap">What is 2+2?</div>'),
+      makeTurn('assistant', '<div class="markdown prose"></div>'),
+      makeTurn('assistant', '<div class="markdown prose"><p>4</p></div>'),
+    ];
+    const blocks = extractConversation();
+    els.forEach(el => el.remove());
+
+    expect(blocks).toHaveLength(2);
+    expect(blocks[0]).toMatchObject({ type: 'turn', role: 'user' });
+    expect(blocks[0].blocks[0].text).toBe('What is 2+2?');
+    expect(blocks[1]).toMatchObject({ type: 'turn', role: 'assistant' });
+    expect(blocks[1].blocks[0].type).toBe('paragraph');
+  });
+
+  it('should summarize an answer with its first heading and a clean preview', () => {
+    const msg = makeTurn('assistant', `
+      <div class="markdown prose">
+        <h2>Overview</h2>
+        <p>Energy is
+          <span class="katex">
+            <span class="katex-mathml"><math><semantics><mi>E</mi><annotation encoding="application/x-tex">E</annotation></semantics></math></span>
+            <span class="katex-html">E</span>
+          </span>
+        </p>
+      </div>`);
+    const summary = getTurnSummary({ role: 'assistant', element: msg });
+    msg.remove();
+
+    expect(summary.heading).toBe('Overview');
+    expect(summary.preview).toBe('Overview Energy is E');
+  });
+
+  it('should truncate long previews', () => {
+    const msg = makeTurn('user', `<div class="whitespace-pre-wrap">${'word '.repeat(50)}</div>`);
+    const summary = getTurnSummary({ role: 'user', element: msg }, 20);
+    msg.remove();
+
+    expect(summary.heading).toBe('');
+    expect(summary.preview.length).toBeLessThanOrEqual(20);
+    expect(summary.preview.endsWith('…')).toBe(true);
+  });
+
+  it('should escape user text when building HTML', () => {
+    const msg = makeTurn('user', '<div class="whitespace-pre-wrap">a &lt; b\nnext</div>');
+    const html = getUserMessageHtml(msg);
+    msg.remove();
+
+    expect(html).toBe('<p>a &lt; b<br>next</p>');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for LaTeX to MathML Converter
+ */
+import { describe, it, expect } from 'vitest';
+import { latexToMathml } from '../src/lib/latex-to-mathml.js';
+import { mathmlToOmml, latexToOmml } from '../src/lib/mathml-to-omml.js';
+
+// MathML without the <math>/<semantics> wrapper and the TeX annotation
+function body(latex) {
+  return latexToMathml(latex)
+    .replace(/^<math[^>]*><semantics><mrow>/, '')
+    .replace(/<\/mrow><annotation[^]*$/, '');
+}
+
+describe('latexToMathml', () => {
+  it('should produce well-formed MathML with the source annotation', () => {
+    const mathml = latexToMathml('a < b & c', true);
+    const doc = new DOMParser().parseFromString(mathml, 'application/xml');
+    expect(doc.querySelector('parsererror')).toBeNull();
+    expect(mathml).toContain('display="block"');
+    expect(mathml).toContain('<annotation encoding="application/x-tex">a &lt; b &amp; c</annotation>');
+  });
+
+  it('should build tokens, numbers and operators', () => {
+    expect(body('x + 3.14 - y')).toBe('<mi>x</mi><mo>+</mo><mn>3.14</mn><mo>−</mo><mi>y</mi>');
+    expect(body('\\alpha \\Gamma \\leq')).toBe('<mi>α</mi><mi mathvariant="normal">Γ</mi><mo>≤</mo>');
+    expect(body('f(x)')).toBe('<mi>f</mi><mo stretchy="false">(</mo><mi>x</mi><mo stretchy="false">)</mo>');
+  });
+
+  it('should attach scripts to the preceding atom only', () => {
+    expect(body('a + x^2_i')).toBe('<mi>a</mi><mo>+</mo><msubsup><mi>x</mi><mi>i</mi><mn>2</mn></msubsup>');
+    expect(body('x^23')).toBe('<msup><mi>x</mi><mn>2</mn></msup><mn>3</mn>');
+    expect(body("f''")).toBe('<msup><mi>f</mi><mo>′′</mo></msup>');
+  });
+
+  it('should put limits under sums and beside integrals', () => {
+    expect(body('\\sum_{i=1}^n')).toMatch(/^<munderover><mo>∑<\/mo><mrow>.*<\/mrow><mi>n<\/mi><\/munderover>$/);
+    expect(body('\\int_0^1')).toBe('<msubsup><mo>∫</mo><mn>0</mn><mn>1</mn></msubsup>');
+    expect(body('\\int\\limits_0^1')).toContain('<munderover><mo movablelimits="false">∫</mo>');
+  });
+
+  it('should convert fractions, binomials and roots', () => {
+    expect(body('\\frac{a}{b}')).toBe('<mfrac><mi>a</mi><mi>b</mi></mfrac>');
+    expect(body('\\frac12')).toBe('<mfrac><mn>1</mn><mn>2</mn></mfrac>');
+    expect(body('\\dfrac{a}{b}')).toContain('<mstyle displaystyle="true" scriptlevel="0"><mfrac>');
+    expect(body('\\binom{n}{k}')).toContain('<mfrac linethickness="0px"><mi>n</mi><mi>k</mi></mfrac>');
+    expect(body('\\sqrt[3]{x}')).toBe('<mroot><mi>x</mi><mn>3</mn></mroot>');
+  });
+
+  it('should mark \\left, \\middle and \\right as fences', () => {
+    expect(body('\\left\\{ x \\middle| y \\right.')).toBe(
+      '<mrow><mo fence="true">{</mo><mi>x</mi><mo fence="true">|</mo><mi>y</mi><mo fence="true"></mo></mrow>'
+    );
+    expect(body('\\left( x')).toContain('<mo fence="true"></mo></mrow>');
+  });
+
+  it('should apply font commands and keep text spacing', () => {
+    expect(body('\\mathbb{R}')).toBe('<mi mathvariant="double-struck">R</mi>');
+    expect(body('\\mathbf{v}')).toBe('<mi mathvariant="bold">v</mi>');
+    expect(body('\\boldsymbol{\\mu}')).toBe('<mi mathvariant="bold-italic">μ</mi>');
+    expect(body('\\text{if } x')).toBe('<mtext>if\u00a0</mtext><mi>x</mi>');
+    expect(body('\\text{for $n$ large}')).toBe('<mrow><mtext>for\u00a0</mtext><mi>n</mi><mtext>\u00a0large</mtext></mrow>');
+  });
+
+  it('should mark function names for function application', () => {
+    expect(body('\\sin x')).toBe('<mi>sin</mi><mo>\u2061</mo><mi>x</mi>');
+    expect(body('\\log_2 n')).toBe('<msub><mi>log</mi><mn>2</mn></msub><mo>\u2061</mo><mi>n</mi>');
+    expect(body('\\lim_{n}')).toBe('<munder><mi>lim</mi><mi>n</mi></munder><mo>\u2061</mo>');
+    expect(body('\\operatorname{rank}')).toBe('<mi>rank</mi><mo>\u2061</mo>');
+  });
+
+  it('should convert accents and braces', () => {
+    expect(body('\\hat{x}')).toBe('<mover accent="true"><mi>x</mi><mo>^</mo></mover>');
+    expect(body('\\underbrace{a}_{n}')).toBe(
+      '<munder><munder accentunder="true"><mi>a</mi><mo stretchy="true">⏟</mo></munder><mi>n</mi></munder>'
+    );
+  });
+
+  it('should build KaTeX-shaped tables for environments', () => {
+    const matrix = body('\\begin{bmatrix} 1 & 2 \\\\ 3 & 4 \\\\ \\end{bmatrix}');
+    expect(matrix).toMatch(/^<mrow><mo fence="true">\[<\/mo><mtable [^>]*columnalign="center center"/);
+    expect(matrix.match(/<mtr>/g)).toHaveLength(2);
+
+    expect(body('\\begin{aligned} a &= b & c &= d \\end{aligned}')).toContain('columnalign="right left right left"');
+    expect(body('\\begin{cases} 1 & x > 0 \\end{cases}')).toMatch(/^<mrow><mo fence="true">\{<\/mo><mtable [^>]*columnalign="left left"/);
+    expect(body('\\begin{array}{l|r} a & b \\end{array}')).toContain('columnalign="left right"');
+  });
+
+  it('should show a second script on the same base as source', () => {
+    expect(body('x^2^3')).toBe('<msup><mi>x</mi><mn>2</mn></msup><merror><mtext>^3</mtext></merror>');
+    expect(body('x_a_{b}')).toBe('<msub><mi>x</mi><mi>a</mi></msub><merror><mtext>_{b}</mtext></merror>');
+  });
+
+  it('should show unknown commands and stray tokens as source', () => {
+    expect(body('\\foo x')).toBe('<merror><mtext>\\foo</mtext></merror><mi>x</mi>');
+    expect(body('a & b')).toBe('<mi>a</mi><merror><mtext>&amp;</mtext></merror><mi>b</mi>');
+    expect(body('\\not=')).toBe('<mo>≠</mo>');
+    expect(body('a \\label{eq}')).toBe('<mi>a</mi>');
+  });
+
+  it('should number the rows of equation and align like KaTeX', () => {
+    expect(body('\\begin{equation} E = mc^2 \\end{equation}')).toMatch(/<mlabeledtr><mtd><mtext>\(1\)<\/mtext><\/mtd>/);
+    expect(body('\\begin{equation*} E = mc^2 \\end{equation*}')).not.toContain('<mlabeledtr>');
+
+    const align = body('\\begin{align} a &= b \\\\ c &= d \\notag \\\\ e &= f \\tag{A} \\\\ g &= h \\end{align}');
+    const labels = [...align.matchAll(/<mlabeledtr><mtd><mtext>([^<]*)<\/mtext>/g)].map(m => m[1]);
+    expect(labels).toEqual(['(1)', '(A)', '(2)']);
+    expect(align.match(/<mtr>/g)).toHaveLength(1);
+  });
+
+  it('should turn \\tag into an equation label', () => {
+    expect(body('E = mc^2 \\tag{1}')).toMatch(/^<mtable [^>]*><mlabeledtr><mtd><mtext>\(1\)<\/mtext><\/mtd><mtd>/);
+    expect(body('x \\tag*{A.1}')).toContain('<mtd><mtext>A.1</mtext></mtd>');
+
+    const align = body('\\begin{align*} a &= b \\\\ c &= d \\tag{2} \\end{align*}');
+    expect(align.match(/<mtr>/g)).toHaveLength(1);
+    expect(align.match(/<mlabeledtr>/g)).toHaveLength(1);
+    expect(align).toMatch(/<mlabeledtr><mtd><mtext>\(2\)<\/mtext><\/mtd>.*<mi>c<\/mi>/);
+  });
+});
+
+describe('latexToOmml', () => {
+  it('should produce the same OMML as the MathML path', () => {
+    const samples = [
+      '\\frac{a}{b} + x^2',
+      '\\sum_{i=1}^{n} i = \\frac{n(n+1)}{2}',
+      '\\left( x \\right)',
+      '\\begin{cases} x & x \\ge 0 \\\\ -x & x < 0 \\end{cases}',
+    ];
+    for (const latex of samples) {
+      expect(latexToOmml(latex)).toBe(mathmlToOmml(latexToMathml(latex)));
+    }
+  });
+
+  it('should convert environments to OMML structures', () => {
+    expect(latexToOmml('\\begin{pmatrix} 1 & 0 \\\\ 0 & 1 \\end{pmatrix}')).toMatch(/<m:d>.*<m:m>/);
+    expect(latexToOmml('\\begin{aligned} a &= b \\\\ &= c \\end{aligned}')).toContain('<m:eqArr>');
+    expect(latexToOmml('\\lim_{x \\to 0} \\frac{\\sin x}{x}')).toMatch(/<m:func>.*<m:limLow>/);
+    expect(latexToOmml('\\left| x \\right|')).toContain('<m:begChr m:val="|"/>');
+  });
+});
@@ -2,7 +2,7 @@
  * Tests for MathML to OMML converter
  */
 import { describe, it, expect } from 'vitest';
-import { mathmlToOmml, latexToOmml, escapeXml } from '../src/lib/mathml-to-omml.js';
+import { mathmlToOmml, latexToOmml, extractEquationLabel, escapeXml } from '../src/lib/mathml-to-omml.js';
 
 // ===== escapeXml tests =====
 
@@ -177,6 +177,385 @@ describe('mathmlToOmml', () => {
   });
 });
 
+// ===== N-ary operator tests =====
+
+describe('mathmlToOmml - n-ary operators', () => {
+  const wrap = (body, attrs = '') => `<math xmlns="http://www.w3.org/1998/Math/MathML"${attrs}><mrow>${body}</mrow></math>`;
+  const naryOf = (omml) => omml.match(/<m:nary>.*<\/m:nary>/)?.[0] || '';
+
+  it('should absorb the summand into m:e (munderover)', () => {
+    const result = mathmlToOmml(wrap(
+      '<munderover><mo>∑</mo><mrow><mi>i</mi><mo>=</mo><mn>1</mn></mrow><mi>n</mi></munderover>' +
+      '<msub><mi>a</mi><mi>i</mi></msub><mo>=</mo><mi>S</mi>'
+    ), { displayStyle: true });
+    expect(result).toContain('<m:chr m:val="∑"/><m:limLoc m:val="undOvr"/>');
+    expect(result).toMatch(/<m:e><m:sSub>.*<m:t>a<\/m:t>.*<\/m:sSub><\/m:e><\/m:nary>/);
+    // The relation after the operand stays outside
+    expect(result).toMatch(/<\/m:nary><m:r>.*<m:t>=<\/m:t>/);
+  });
+
+  it('should treat msubsup with an integral as n-ary with side limits', () => {
+    const result = mathmlToOmml(wrap(
+      '<msubsup><mo>∫</mo><mn>0</mn><mn>1</mn></msubsup><mi>f</mi><mo stretchy="false">(</mo><mi>x</mi><mo stretchy="false">)</mo><mi>d</mi><mi>x</mi>'
+    ));
+    const nary = naryOf(result);
+    expect(nary).toContain('<m:chr m:val="∫"/><m:limLoc m:val="subSup"/>');
+    expect(nary).toContain('<m:sub><m:r>');
+    expect(nary).toMatch(/<m:e>.*<m:t>f<\/m:t>.*<m:t>d<\/m:t>.*<m:t>x<\/m:t>.*<\/m:e>/);
+  });
+
+  it('should move munderover limits to the side in inline style', () => {
+    const result = mathmlToOmml(wrap('<munderover><mo>∑</mo><mi>i</mi><mi>n</mi></munderover><mi>x</mi>'));
+    expect(result).toContain('<m:limLoc m:val="subSup"/>');
+  });
+
+  it('should keep limits above and below for movablelimits="false"', () => {
+    const result = mathmlToOmml(wrap('<munder><mo movablelimits="false">∏</mo><mi>k</mi></munder><mi>x</mi>'));
+    expect(result).toContain('<m:chr m:val="∏"/><m:limLoc m:val="undOvr"/><m:supHide m:val="1"/>');
+  });
+
+  it('should read display style from the math element and mstyle', () => {
+    const block = mathmlToOmml(wrap('<munder><mo>⋃</mo><mi>i</mi></munder><msub><mi>A</mi><mi>i</mi></msub>', ' display="block"'));
+    expect(block).toContain('<m:limLoc m:val="undOvr"/>');
+
+    const styled = mathmlToOmml(wrap('<mstyle displaystyle="false"><munder><mo>⋃</mo><mi>i</mi></munder><mi>A</mi></mstyle>', ' display="block"'));
+    expect(styled).toContain('<m:limLoc m:val="subSup"/>');
+  });
+
+  it('should hide missing limits of a bare operator', () => {
+    const result = mathmlToOmml(wrap('<mo>∮</mo><mi>E</mi><mo>⋅</mo><mi>d</mi><mi>l</mi>'));
+    expect(result).toContain('<m:chr m:val="∮"/><m:limLoc m:val="subSup"/><m:subHide m:val="1"/><m:supHide m:val="1"/>');
+    expect(naryOf(result)).toContain('<m:t>l</m:t>');
+  });
+
+  it('should support double integrals and nested operators', () => {
+    const result = mathmlToOmml(wrap(
+      '<msub><mo>∬</mo><mi>D</mi></msub><msub><mo>∑</mo><mi>k</mi></msub><msub><mi>f</mi><mi>k</mi></msub><mi>d</mi><mi>A</mi>'
+    ));
+    expect(result).toContain('<m:chr m:val="∬"/>');
+    expect(result).toMatch(/<m:chr m:val="∬"\/>.*<m:e><m:nary><m:naryPr><m:chr m:val="∑"\/>/);
+  });
+
+  it('should stop the operand at + outside brackets but not inside', () => {
+    const result = mathmlToOmml(wrap(
+      '<msub><mo>∑</mo><mi>i</mi></msub><mo>(</mo><mi>a</mi><mo>+</mo><mi>b</mi><mo>)</mo><mo>+</mo><mi>c</mi>'
+    ));
+    const nary = naryOf(result);
+    expect(nary).toContain('<m:t>b</m:t>');
+    expect(nary).not.toContain('<m:t>c</m:t>');
+    expect(result).toMatch(/<\/m:nary>.*<m:t>\+<\/m:t>.*<m:t>c<\/m:t>/);
+  });
+});
+
+// ===== Stretchy delimiter tests =====
+
+describe('mathmlToOmml - fences', () => {
+  const wrap = (body) => `<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow>${body}</mrow></math>`;
+  const fence = (chr) => `<mo fence="true">${chr}</mo>`;
+  const frac = '<mfrac><mi>a</mi><mi>b</mi></mfrac>';
+
+  it('should wrap \\left( … \\right) in m:d', () => {
+    const result = mathmlToOmml(wrap(`<mi>f</mi><mrow>${fence('(')}${frac}${fence(')')}</mrow>`));
+    expect(result).toContain('<m:d><m:dPr><m:begChr m:val="("/><m:endChr m:val=")"/>');
+    expect(result).toMatch(/<m:d>.*<m:e><m:f>.*<\/m:f><\/m:e><\/m:d>/);
+    expect(result).not.toContain('<m:t>(</m:t>');
+  });
+
+  it('should pair absolute value bars and norms', () => {
+    const abs = mathmlToOmml(wrap(`${fence('∣')}<mi>x</mi>${fence('∣')}<mo>+</mo>${fence('‖')}<mi>v</mi>${fence('‖')}`));
+    expect(abs).toContain('<m:begChr m:val="|"/><m:endChr m:val="|"/>');
+    expect(abs).toContain('<m:begChr m:val="‖"/><m:endChr m:val="‖"/>');
+    expect(abs.match(/<m:d>/g)).toHaveLength(2);
+  });
+
+  it('should support empty delimiters', () => {
+    const result = mathmlToOmml(wrap(`${fence('{')}<mi>x</mi>${fence('')}`));
+    expect(result).toContain('<m:begChr m:val="{"/><m:endChr m:val=""/>');
+
+    const dot = mathmlToOmml(wrap(`${fence('.')}<mi>x</mi>${fence('|')}`));
+    expect(dot).toContain('<m:begChr m:val=""/><m:endChr m:val="|"/>');
+  });
+
+  it('should use separators for angle brackets and middle bars', () => {
+    const pair = mathmlToOmml(wrap(`${fence('⟨')}<mi>a</mi><mo separator="true">,</mo><mi>b</mi>${fence('⟩')}`));
+    expect(pair).toContain('<m:begChr m:val="⟨"/><m:sepChr m:val=","/><m:endChr m:val="⟩"/>');
+    expect(pair.match(/<m:e>/g)).toHaveLength(2);
+
+    const set = mathmlToOmml(wrap(`${fence('{')}<mi>x</mi>${fence('∣')}<mi>x</mi><mo>&gt;</mo><mn>0</mn>${fence('}')}`));
+    expect(set).toContain('<m:begChr m:val="{"/><m:sepChr m:val="|"/><m:endChr m:val="}"/>');
+  });
+
+  it('should nest fence pairs', () => {
+    const result = mathmlToOmml(wrap(`${fence('[')}${fence('(')}<mi>x</mi>${fence(')')}<mo>+</mo><mn>1</mn>${fence(']')}`));
+    expect(result).toMatch(/<m:begChr m:val="\["\/>.*<m:begChr m:val="\("\/>/);
+    expect(result.match(/<\/m:d>/g)).toHaveLength(2);
+  });
+
+  it('should not split on commas inside plain brackets', () => {
+    // KaTeX MathML of \left( f(x, y) + 1 \right)
+    const result = mathmlToOmml(wrap(`${fence('(')}<mi>f</mi><mo stretchy="false">(</mo><mi>x</mi><mo separator="true">,</mo>` +
+      `<mi>y</mi><mo stretchy="false">)</mo><mo>+</mo><mn>1</mn>${fence(')')}`));
+    expect(result).not.toContain('<m:sepChr');
+    expect(result.match(/<m:e>/g)).toHaveLength(1);
+    expect(result).toMatch(/<m:t>\(<\/m:t>.*<m:t>,<\/m:t>.*<m:t>\)<\/m:t>/);
+  });
+
+  it('should pair bars nested inside another fence', () => {
+    const result = mathmlToOmml(wrap(`${fence('(')}${fence('|')}<mi>x</mi>${fence('|')}<mo>+</mo><mn>1</mn>${fence(')')}`));
+    expect(result).not.toContain('<m:sepChr');
+    expect(result).toMatch(/<m:begChr m:val="\("\/>.*<m:begChr m:val="\|"\/><m:endChr m:val="\|"\/>/);
+    expect(result.match(/<\/m:d>/g)).toHaveLength(2);
+  });
+
+  it('should leave non-stretchy brackets as runs', () => {
+    const result = mathmlToOmml(wrap('<mo stretchy="false">(</mo><mi>x</mi><mo stretchy="false">)</mo>'));
+    expect(result).not.toContain('<m:d>');
+    expect(result).toContain('<m:t>(</m:t>');
+  });
+
+  it('should split mfenced children with separators', () => {
+    const result = mathmlToOmml('<math xmlns="http://www.w3.org/1998/Math/MathML"><mfenced><mi>a</mi><mi>b</mi></mfenced></math>');
+    expect(result).toContain('<m:sepChr m:val=","/>');
+    expect(result.match(/<m:e>/g)).toHaveLength(2);
+  });
+});
+
+// ===== Equation array tests =====
+
+describe('mathmlToOmml - equation arrays', () => {
+  const wrap = (body) => `<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow>${body}</mrow></math>`;
+  const cell = (body, display = true) =>
+    `<mtd><mstyle scriptlevel="0" displaystyle="${display}"><mrow>${body}</mrow></mstyle></mtd>`;
+
+  it('should convert aligned to m:eqArr with alignment points', () => {
+    const result = mathmlToOmml(wrap(
+      '<mtable rowspacing="0.25em" columnalign="right left" columnspacing="0em">' +
+      `<mtr>${cell('<mi>x</mi>')}${cell('<mrow></mrow><mo>=</mo><mn>1</mn>')}</mtr>` +
+      `<mtr>${cell('')}${cell('<mrow></mrow><mo>=</mo><mn>2</mn>')}</mtr>` +
+      '</mtable>'
+    ));
+    expect(result).toContain('<m:eqArr>');
+    expect(result).not.toContain('<m:m>');
+    expect(result.match(/<m:e>/g)).toHaveLength(2);
+    expect(result.match(/<m:t>&amp;<\/m:t>/g)).toHaveLength(2);
+    expect(result).toMatch(/<m:t>x<\/m:t>.*<m:t>&amp;<\/m:t>.*<m:t>=<\/m:t>/);
+  });
+
+  it('should keep column pairs of align', () => {
+    const result = mathmlToOmml(wrap(
+      '<mtable columnalign="right left right left">' +
+      `<mtr>${cell('<mi>a</mi>')}${cell('<mo>=</mo><mn>1</mn>')}${cell('<mi>b</mi>')}${cell('<mo>=</mo><mn>2</mn>')}</mtr>` +
+      '</mtable>'
+    ));
+    expect(result).toContain('<m:eqArr>');
+    expect(result.match(/<m:t>&amp;<\/m:t>/g)).toHaveLength(3);
+  });
+
+  it('should convert gather rows without alignment points', () => {
+    const result = mathmlToOmml(wrap(
+      '<mtable columnalign="center">' +
+      `<mtr>${cell('<mi>a</mi><mo>=</mo><mi>b</mi>')}</mtr>` +
+      `<mtr>${cell('<mi>c</mi><mo>=</mo><mi>d</mi>')}</mtr>` +
+      '</mtable>'
+    ));
+    expect(result).toContain('<m:eqArr>');
+    expect(result).not.toContain('&amp;');
+  });
+
+  it('should wrap cases in a brace delimiter', () => {
+    const result = mathmlToOmml(wrap(
+      '<mi>f</mi><mo>=</mo><mrow><mo fence="true">{</mo>' +
+      '<mtable rowspacing="0.36em" columnalign="left left" columnspacing="1em">' +
+      `<mtr>${cell('<mi>x</mi>', false)}${cell('<mi>x</mi><mo>≥</mo><mn>0</mn>', false)}</mtr>` +
+      `<mtr>${cell('<mo>−</mo><mi>x</mi>', false)}${cell('<mi>x</mi><mo>&lt;</mo><mn>0</mn>', false)}</mtr>` +
+      '</mtable><mo fence="true"></mo></mrow>'
+    ));
+    expect(result).toContain('<m:begChr m:val="{"/><m:endChr m:val=""/>');
+    expect(result).toMatch(/<m:d>.*<m:e><m:eqArr>.*<\/m:eqArr><\/m:e><\/m:d>/);
+    expect(result.match(/<m:t>&amp;<\/m:t>/g)).toHaveLength(2);
+  });
+
+  it('should keep matrices as m:m', () => {
+    const result = mathmlToOmml(wrap(
+      '<mo fence="true">(</mo><mtable rowspacing="0.16em" columnalign="center center" columnspacing="1em">' +
+      `<mtr>${cell('<mn>1</mn>', false)}${cell('<mn>0</mn>', false)}</mtr>` +
+      `<mtr>${cell('<mn>0</mn>', false)}${cell('<mn>1</mn>', false)}</mtr>` +
+      '</mtable><mo fence="true">)</mo>'
+    ));
+    expect(result).toContain('<m:m>');
+    expect(result).not.toContain('<m:eqArr>');
+  });
+});
+
+// ===== Font style tests =====
+
+describe('extractEquationLabel', () => {
+  const wrap = (body) => `<math xmlns="http://www.w3.org/1998/Math/MathML"><semantics><mrow>${body}</mrow>` +
+    '<annotation encoding="application/x-tex">x</annotation></semantics></math>';
+
+  it('should split the label off a one-row mlabeledtr', () => {
+    const { mathml, label } = extractEquationLabel(wrap(
+      '<mtable><mlabeledtr><mtd><mtext>(1)</mtext></mtd><mtd><mi>x</mi><mo>=</mo><mn>1</mn></mtd></mlabeledtr></mtable>'
+    ));
+    expect(label).toBe('(1)');
+    expect(mathml).not.toContain('mtable');
+    expect(mathml).not.toContain('(1)');
+    expect(mathmlToOmml(mathml)).toContain('<m:t>x</m:t>');
+  });
+
+  it('should read the full-width table of a top-level \\tag', () => {
+    const { mathml, label } = extractEquationLabel(wrap(
+      '<mtable width="100%"><mtr><mtd width="50%"></mtd><mtd><mrow><mi>y</mi></mrow></mtd>' +
+      '<mtd width="50%"></mtd><mtd><mrow><mtext>(</mtext><mtext>2</mtext><mtext>)</mtext></mrow></mtd></mtr></mtable>'
+    ));
+    expect(label).toBe('(2)');
+    expect(mathml).toContain('<mi>y</mi>');
+    expect(mathml).not.toContain('mtable');
+  });
+
+  it('should leave unlabeled and multi-row formulas alone', () => {
+    const plain = wrap('<mi>x</mi>');
+    expect(extractEquationLabel(plain)).toEqual({ mathml: plain, label: '' });
+
+    const rows = wrap(
+      '<mtable><mlabeledtr><mtd><mtext>(1)</mtext></mtd><mtd><mi>a</mi></mtd></mlabeledtr>' +
+      '<mlabeledtr><mtd><mtext>(2)</mtext></mtd><mtd><mi>b</mi></mtd></mlabeledtr></mtable>'
+    );
+    expect(extractEquationLabel(rows).label).toBe('');
+  });
+
+  it('should number labeled rows of an equation array with #', () => {
+    const result = mathmlToOmml(wrap(
+      '<mtable columnalign="right left"><mlabeledtr><mtd><mtext>(1)</mtext></mtd><mtd><mi>a</mi></mtd><mtd><mo>=</mo><mi>b</mi></mtd></mlabeledtr>' +
+      '<mtr><mtd><mi>c</mi></mtd><mtd><mo>=</mo><mi>d</mi></mtd></mtr></mtable>'
+    ));
+    expect(result).toContain('<m:eqArr>');
+    expect(result.match(/<m:t>#\(1\)<\/m:t>/g)).toHaveLength(1);
+    expect(result).not.toMatch(/<m:t>\(1\)<\/m:t>/);
+  });
+});
+
+describe('mathmlToOmml - font styles', () => {
+  const wrap = (body) => `<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow>${body}</mrow></math>`;
+
+  it('should keep single letters italic and make names upright', () => {
+    const result = mathmlToOmml(wrap('<mi>x</mi><mo>+</mo><mi>sin</mi>'));
+    expect(result).toContain('<m:r><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr><m:t>x</m:t>');
+    expect(result).toContain('<m:rPr><m:sty m:val="p"/></m:rPr><w:rPr><w:rFonts w:ascii="Cambria Math" w:hAnsi="Cambria Math"/></w:rPr><m:t>sin</m:t>');
+  });
+
+  it('should map mathvariant to script and style', () => {
+    const result = mathmlToOmml(wrap(
+      '<mi mathvariant="double-struck">R</mi><mi mathvariant="script">O</mi>' +
+      '<mi mathvariant="fraktur">g</mi><mi mathvariant="sans-serif">A</mi>' +
+      '<mi mathvariant="bold">v</mi><mi mathvariant="bold-italic">w</mi><mi mathvariant="normal">d</mi>'
+    ));
+    expect(result).toContain('<m:scr m:val="double-struck"/><m:sty m:val="p"/>');
+    expect(result).toContain('<m:scr m:val="script"/><m:sty m:val="p"/>');
+    expect(result).toContain('<m:scr m:val="fraktur"/><m:sty m:val="p"/>');
+    expect(result).toContain('<m:scr m:val="sans-serif"/><m:sty m:val="p"/>');
+    expect(result).toMatch(/<m:sty m:val="b"\/><\/m:rPr>.*<m:t>v<\/m:t>/);
+    expect(result).toMatch(/<m:sty m:val="bi"\/><\/m:rPr>.*<m:t>w<\/m:t>/);
+  });
+
+  it('should inherit mathvariant from mstyle', () => {
+    const result = mathmlToOmml(wrap('<mstyle mathvariant="bold"><mi>x</mi><mn>2</mn></mstyle>'));
+    expect(result.match(/<m:sty m:val="b"\/>/g)).toHaveLength(2);
+  });
+
+  it('should render mtext upright', () => {
+    const result = mathmlToOmml(wrap('<mtext>if</mtext>'));
+    expect(result).toContain('<m:sty m:val="p"/>');
+  });
+});
+
+// ===== Function application tests =====
+
+describe('mathmlToOmml - functions', () => {
+  const wrap = (body) => `<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow>${body}</mrow></math>`;
+  const apply = '<mo>\u2061</mo>';
+
+  it('should wrap sin x in m:func', () => {
+    const result = mathmlToOmml(wrap(`<mi>sin</mi>${apply}<mi>x</mi><mo>+</mo><mn>1</mn>`));
+    expect(result).toMatch(/<m:func>.*<m:fName>.*<m:sty m:val="p"\/>.*<m:t>sin<\/m:t>.*<\/m:fName><m:e>.*<m:t>x<\/m:t>.*<\/m:e><\/m:func>/);
+    expect(result).toMatch(/<\/m:func>.*<m:t>\+<\/m:t>/);
+    expect(result).not.toContain('\u2061');
+  });
+
+  it('should end the argument at the next function', () => {
+    const result = mathmlToOmml(wrap(`<mi>sin</mi>${apply}<mi>x</mi><mi>cos</mi>${apply}<mi>y</mi>`));
+    expect(result.match(/<m:func>/g)).toHaveLength(2);
+    expect(result).toMatch(/<m:t>x<\/m:t><\/m:r><\/m:e><\/m:func><m:func>/);
+  });
+
+  it('should keep scripts on the function name', () => {
+    const result = mathmlToOmml(wrap(`<msub><mi>log</mi><mn>2</mn></msub>${apply}<mi>n</mi>`));
+    expect(result).toMatch(/<m:fName><m:sSub>.*<m:t>log<\/m:t>.*<m:t>2<\/m:t>.*<\/m:sSub><\/m:fName><m:e>.*<m:t>n<\/m:t>/);
+  });
+
+  it('should put lim limits in m:limLow inside m:func', () => {
+    const result = mathmlToOmml(wrap(
+      '<munder><mo lspace="0em" rspace="0em">lim</mo><mrow><mi>x</mi><mo>→</mo><mn>0</mn></mrow></munder>' +
+      `${apply}<mfrac><mrow><mi>sin</mi>${apply}<mi>x</mi></mrow><mi>x</mi></mfrac><mo>=</mo><mn>1</mn>`
+    ));
+    expect(result).toMatch(/<m:func>.*<m:fName><m:limLow>.*<m:t>lim<\/m:t>.*<m:lim>.*<m:t>→<\/m:t>.*<\/m:lim><\/m:limLow><\/m:fName><m:e><m:f>/);
+    expect(result).toMatch(/<\/m:func>.*<m:t>=<\/m:t>/);
+  });
+
+  it('should treat max with a subscript as a limit function', () => {
+    const result = mathmlToOmml(wrap('<msub><mo>max</mo><mi>i</mi></msub><msub><mi>a</mi><mi>i</mi></msub>'));
+    expect(result).toMatch(/<m:fName><m:limLow>.*<m:t>max<\/m:t>/);
+    expect(result).toMatch(/<m:e><m:sSub>/);
+  });
+});
+
+// ===== Enclosure and multiscript tests =====
+
+describe('mathmlToOmml - menclose and multiscripts', () => {
+  const wrap = (body) => `<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow>${body}</mrow></math>`;
+  const enclose = (notation) => mathmlToOmml(wrap(`<menclose notation="${notation}"><mi>x</mi></menclose>`));
+
+  it('should draw a full box for box, circle and missing notation', () => {
+    for (const result of [enclose('box'), enclose('circle'), mathmlToOmml(wrap('<menclose><mi>x</mi></menclose>'))]) {
+      expect(result).toContain('<m:borderBox><m:borderBoxPr><m:ctrlPr>');
+    }
+  });
+
+  it('should strike out cancelled terms without a frame', () => {
+    const cancel = enclose('updiagonalstrike');
+    expect(cancel).toContain('<m:hideTop m:val="1"/><m:hideBot m:val="1"/><m:hideLeft m:val="1"/><m:hideRight m:val="1"/><m:strikeBLTR m:val="1"/>');
+    expect(enclose('downdiagonalstrike')).toContain('<m:strikeTLBR m:val="1"/>');
+    expect(enclose('updiagonalstrike downdiagonalstrike')).toContain('<m:strikeBLTR m:val="1"/><m:strikeTLBR m:val="1"/>');
+    expect(enclose('horizontalstrike')).toContain('<m:strikeH m:val="1"/>');
+  });
+
+  it('should hide missing sides', () => {
+    const result = enclose('left right');
+    expect(result).toContain('<m:hideTop m:val="1"/><m:hideBot m:val="1"/><m:ctrlPr>');
+  });
+
+  it('should turn a single top or bottom line into m:bar', () => {
+    expect(enclose('top')).toContain('<m:bar><m:barPr><m:pos m:val="top"/>');
+    expect(enclose('bottom')).toContain('<m:pos m:val="bot"/>');
+  });
+
+  it('should convert mmultiscripts with pre- and post-scripts', () => {
+    const result = mathmlToOmml(wrap(
+      '<mmultiscripts><mi>T</mi><mi>a</mi><none/><none/><mi>b</mi><mprescripts/><mn>6</mn><mn>14</mn></mmultiscripts>'
+    ));
+    expect(result).toMatch(/^<m:oMath><m:sPre>.*<m:sub>.*<m:t>6<\/m:t>.*<\/m:sub><m:sup>.*<m:t>14<\/m:t>.*<\/m:sup><m:e><m:sSup>.*<m:e><m:sSub>/);
+    expect(result).not.toContain('<m:sSubSup>');
+  });
+
+  it('should turn KaTeX prescripts on an empty base into m:sPre', () => {
+    const result = mathmlToOmml(wrap('<msubsup><mrow></mrow><mn>6</mn><mn>14</mn></msubsup><mi>C</mi>'));
+    expect(result).toMatch(/<m:sPre>.*<m:t>6<\/m:t>.*<m:t>14<\/m:t>.*<m:e>.*<m:t>C<\/m:t>.*<\/m:e><\/m:sPre>/);
+
+    const tensor = mathmlToOmml(wrap('<msub><mi>T</mi><mi>a</mi></msub><msup><mrow></mrow><mi>b</mi></msup>'));
+    expect(tensor).not.toContain('<m:sPre>');
+  });
+});
+
 // ===== latexToOmml tests =====
 
 describe('latexToOmml', () => {
@@ -224,9 +603,9 @@ describe('latexToOmml', () => {
 
   it('should convert math operators', () => {
     const result = latexToOmml('\\sum \\prod \\int');
-    expect(result).toContain('<m:t>∑</m:t>');
-    expect(result).toContain('<m:t>∏</m:t>');
-    expect(result).toContain('<m:t>∫</m:t>');
+    expect(result).toContain('<m:chr m:val="∑"/>');
+    expect(result).toContain('<m:chr m:val="∏"/>');
+    expect(result).toContain('<m:chr m:val="∫"/>');
   });
 
   it('should convert accents (hat, vec, bar)', () => {
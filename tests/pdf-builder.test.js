@@ -0,0 +1,228 @@
+/**
+ * Tests for PDF Builder
+ */
+import { describe, it, expect } from 'vitest';
+import fs from 'node:fs';
+import { inflateSync } from 'node:zlib';
+import { buildPdf } from '../src/lib/pdf-builder.js';
+import { layoutMath } from '../src/lib/math-layout.js';
+
+const FONTS = {
+  regular: fs.readFileSync('src/fonts/DejaVuSans.ttf'),
+  bold: fs.readFileSync('src/fonts/DejaVuSans-Bold.ttf'),
+  mono: fs.readFileSync('src/fonts/DejaVuSansMono.ttf'),
+};
+
+// Helper: build a PDF and return its raw source and inflated streams
+async function build(blocks, options = {}) {
+  const blob = await buildPdf(blocks, { fonts: FONTS, fetchImage: async () => null, ...options });
+  const raw = Buffer.from(await blob.arrayBuffer()).toString('latin1');
+  const streams = [];
+  for (const match of raw.matchAll(/\/FlateDecode[^]*?>>\s*stream\r?\n([^]*?)endstream/g)) {
+    try {
+      streams.push(inflateSync(Buffer.from(match[1], 'latin1')).toString('latin1'));
+    } catch {
+      // skip streams that do not inflate cleanly
+    }
+  }
+  return { raw, streams, pages: raw.match(/\/Type \/Page\b/g)?.length || 0 };
+}
+
+const text = (value) => ({ type: 'text', text: value });
+const paragraph = (...content) => ({ type: 'paragraph', content });
+
+const FRACTION = '<math><mfrac><mi>a</mi><mi>b</mi></mfrac></math>';
+
+// ===== Document =====
+
+describe('PDF Builder - document', () => {
+  it('should create a PDF blob with embedded fonts', async () => {
+    const blob = await buildPdf([paragraph(text('Hello'))], { fonts: FONTS });
+    expect(blob).toBeInstanceOf(Blob);
+    expect(blob.type).toBe('application/pdf');
+
+    const { raw } = await build([paragraph(text('Hello'))]);
+    expect(raw.startsWith('%PDF-')).toBe(true);
+    expect(raw).toContain('/FontFile2');
+    expect(raw).toContain('/Identity-H');
+  });
+
+  it('should map Cyrillic glyphs back to Unicode so the text stays searchable', async () => {
+    const { streams } = await build([paragraph(text('Привет'))]);
+    const cmap = streams.find((s) => s.includes('beginbfchar') || s.includes('beginbfrange'));
+    expect(cmap).toBeDefined();
+    expect(cmap.toLowerCase()).toContain('<041f>'); // П
+  });
+
+  it('should break pages between lines only', async () => {
+    const blocks = Array.from({ length: 120 }, (_, i) => paragraph(text(`Строка номер ${i + 1}`)));
+    const { pages } = await build(blocks);
+    expect(pages).toBeGreaterThan(1);
+  });
+
+  it('should add link annotations', async () => {
+    const { raw } = await build([paragraph({ type: 'link', text: 'site', href: 'https://example.com/' })]);
+    expect(raw).toContain('/URI (https://example.com/)');
+  });
+
+  it('should paint the page background in the dark theme', async () => {
+    const { streams } = await build([paragraph(text('Dark'))], { darkTheme: true });
+    expect(streams.some((s) => /^0\.12 g\n[^]*\bre\nf$/m.test(s))).toBe(true);
+  });
+});
+
+// ===== Outline and running text =====
+
+describe('PDF Builder - outline and metadata', () => {
+  const heading = (level, value) => ({ type: 'heading', level, text: value, content: [text(value)] });
+
+  it('should nest bookmarks by heading level', async () => {
+    const { raw } = await build([heading(1, 'Intro'), paragraph(text('a')), heading(2, 'Part (a)'), heading(1, 'End')]);
+    expect(raw).toContain('/PageMode /UseOutlines');
+    expect(raw).toMatch(/\/Type \/Outlines\s*\/First \d+ 0 R\s*\/Last \d+ 0 R\s*\/Count 3/);
+    expect(raw).toContain('/Title (Part \\(a\\))');
+    // "Intro" has one child, "End" none
+    expect(raw.match(/\/Title \((Intro|End)\)[^]*?endobj/g).map(obj => /\/Count 1/.test(obj))).toEqual([true, false]);
+  });
+
+  it('should write Cyrillic bookmark titles as UTF-16', async () => {
+    const { raw } = await build([heading(1, 'Введение')]);
+    expect(raw).toContain('/Title (\u00fe\u00ff\u0004\u0012');
+  });
+
+  it('should set the document info', async () => {
+    const { raw } = await build([paragraph(text('a'))], {
+      title: 'Series',
+      sourceUrl: 'https://chatgpt.com/c/1',
+      date: new Date(2025, 0, 2, 3, 4, 5),
+    });
+    expect(raw).toContain('/Title (Series)');
+    expect(raw).toContain('/Author (ChatGPT)');
+    expect(raw).toContain('/Subject (https://chatgpt.com/c/1)');
+    expect(raw).toMatch(/\/CreationDate \(D:20250102030405/);
+    expect(raw).not.toContain('/Outlines');
+  });
+
+  it('should draw running headers and footers on every page', async () => {
+    const blocks = Array.from({ length: 120 }, (_, i) => paragraph(text(`Line ${i}`)));
+    const plain = await build(blocks);
+    const withFooter = await build(blocks, { header: '{title}', footer: 'Page {page} of {pages}' });
+    const count = (r) => r.streams.join('').match(/ Tj/g).length;
+    expect(withFooter.pages).toBe(plain.pages);
+    expect(count(withFooter) - count(plain)).toBe(2 * plain.pages);
+  });
+});
+
+// ===== Content =====
+
+describe('PDF Builder - content', () => {
+  it('should draw formulas as vector paths, not images', async () => {
+    const { raw, streams } = await build([
+      { type: 'math', display: true, latex: '\\frac{a}{b}', mathml: FRACTION },
+      paragraph(text('x '), { type: 'math', display: false, latex: '\\sqrt{2}', mathml: '' }),
+    ]);
+    expect(raw).not.toContain('/Subtype /Image');
+    const page = streams.find((s) => s.includes(' Tj') || s.includes(' TJ'));
+    expect(page).toMatch(/\bre\b/); // fraction bar
+    expect(page).toMatch(/\bl\b/); // radical sign
+  });
+
+  it('should number display formulas when asked', async () => {
+    const blocks = [{ type: 'math', display: true, latex: 'x', mathml: '<math><mi>x</mi></math>' }];
+    const plain = await build(blocks);
+    const numbered = await build(blocks, { numberEquations: true });
+    const count = (r) => r.streams.join('').match(/ Tj| TJ/g).length;
+    expect(count(numbered)).toBeGreaterThan(count(plain));
+  });
+
+  it('should repeat table header rows after a page break', async () => {
+    const header = { isHeader: true, cells: [{ content: [text('Заголовок')] }] };
+    const rows = Array.from({ length: 80 }, (_, i) => ({ isHeader: false, cells: [{ content: [text(`Ячейка ${i}`)] }] }));
+    const { pages, streams } = await build([{ type: 'table', rows: [header, ...rows] }]);
+    expect(pages).toBeGreaterThan(1);
+    // header text is drawn once per page
+    const pageStreams = streams.filter((s) => s.includes(' Tj') || s.includes(' TJ'));
+    const firstRun = pageStreams[0].match(/<[0-9a-f]+> Tj/)[0];
+    expect(pageStreams.filter((s) => s.includes(firstRun)).length).toBe(pages);
+  });
+
+  it('should split a row taller than the page between lines', async () => {
+    const lines = Array.from({ length: 150 }, (_, i) => [text(`Строка ${i}`), { type: 'lineBreak' }]).flat();
+    const row = { isHeader: false, cells: [{ content: lines }, { content: [text('b')] }] };
+    const { pages, streams } = await build([{ type: 'table', rows: [row] }]);
+    expect(pages).toBeGreaterThan(1);
+    // every baseline stays above the bottom margin
+    const baselines = streams.flatMap((s) => [...s.matchAll(/[\d.]+ ([\d.]+) Td/g)].map((m) => Number(m[1])));
+    expect(Math.min(...baselines)).toBeGreaterThan(56);
+  });
+
+  it('should fall back to alt text for images that cannot be loaded', async () => {
+    const { raw } = await build([{ type: 'image', src: 'https://x/y.png', alt: 'график', width: 100, height: 50 }]);
+    expect(raw).not.toContain('/Subtype /Image');
+  });
+
+  it('should not leave a gap for images that cannot be decoded', async () => {
+    const image = { type: 'image', src: 'https://x/y.png', alt: 'график', width: 100, height: 400 };
+    const broken = async () => ({ data: new Uint8Array([1, 2, 3]), ext: 'png', width: 100, height: 400 });
+    // the alt text is italic, so it is positioned with a skewed text matrix
+    const positions = (r) => r.streams.join('').match(/[\d.]+ [\d.]+ Tm/g);
+
+    const missing = await build([image]);
+    const undecodable = await build([image], { fetchImage: broken });
+    expect(undecodable.raw).not.toContain('/Subtype /Image');
+    expect(positions(missing)).toHaveLength(1);
+    expect(positions(undecodable)).toEqual(positions(missing));
+  });
+});
+
+// ===== Math layout =====
+
+describe('Math layout', () => {
+  const options = { size: 10, measure: (t) => t.length * 0.5, hasGlyph: () => true };
+  const parse = (mathml, extra = {}) => layoutMath(mathml, { ...options, ...extra });
+
+  it('should stack a fraction around a rule', () => {
+    const box = parse(FRACTION);
+    const rule = box.items.find((i) => i.type === 'rule');
+    const [a, b] = box.items.filter((i) => i.type === 'glyph');
+    expect(rule).toBeDefined();
+    expect(a.y).toBeGreaterThan(rule.y);
+    expect(b.y).toBeLessThan(rule.y);
+  });
+
+  it('should raise superscripts and shrink them', () => {
+    const box = parse('<math><msup><mi>x</mi><mn>2</mn></msup></math>');
+    const [base, sup] = box.items.filter((i) => i.type === 'glyph');
+    expect(sup.y).toBeGreaterThan(base.y);
+    expect(sup.size).toBeLessThan(base.size);
+    expect(base.italic).toBe(true);
+    expect(sup.italic).toBe(false);
+  });
+
+  it('should draw the radical sign as a path', () => {
+    const box = parse('<math><msqrt><mi>x</mi></msqrt></math>');
+    expect(box.items.some((i) => i.type === 'path')).toBe(true);
+  });
+
+  it('should stretch fences around tall content', () => {
+    const box = parse(`<math><mrow><mo fence="true">(</mo>${FRACTION}<mo fence="true">)</mo></mrow></math>`);
+    const paren = box.items.find((i) => i.type === 'glyph' && i.text === '(');
+    expect(paren.scaleY).toBeGreaterThan(1);
+  });
+
+  it('should put limits under large operators only in display mode', () => {
+    const sum = '<math><munder><mo>∑</mo><mi>i</mi></munder></math>';
+    const glyphs = (display) => parse(sum, { display }).items.filter((i) => i.type === 'glyph');
+
+    const [op, limit] = glyphs(true);
+    expect(limit.y).toBeLessThan(op.y);
+    expect(limit.x).toBeLessThan(op.x + 5);
+
+    const [inlineOp, inlineLimit] = glyphs(false);
+    expect(inlineLimit.x).toBeGreaterThanOrEqual(inlineOp.x + 5);
+  });
+
+  it('should return null for empty input', () => {
+    expect(parse('')).toBeNull();
+  });
+});
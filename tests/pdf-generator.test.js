@@ -0,0 +1,106 @@
+/**
+ * Tests for the print window of PDF Generator
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { generatePdfViaPrint, generateConversationPdfViaPrint } from '../src/lib/pdf-generator.js';
+
+let frame;
+
+// The print window is an iframe so its document can be inspected
+beforeEach(() => {
+  frame = document.createElement('iframe');
+  document.body.appendChild(frame);
+  vi.spyOn(window, 'open').mockReturnValue(frame.contentWindow);
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  frame.remove();
+  document.body.innerHTML = '';
+});
+
+function makeMessage(role, html) {
+  const msg = document.createElement('div');
+  msg.setAttribute('data-message-author-role', role);
+  msg.innerHTML = role === 'user'
+    ? `<div class="whitespace-pre-wrap">${html}</div>`
+    : `<div class="markdown prose">${html}</div>`;
+  document.body.appendChild(msg);
+  return msg;
+}
+
+const printDoc = () => frame.contentWindow.document;
+
+describe('PDF Generator - print window', () => {
+  it('should title the window and put the running text into @page margin boxes', () => {
+    generatePdfViaPrint(makeMessage('assistant', '<p>Text</p>'), {
+      title: 'Ряды "Фурье"',
+      header: '{title}',
+      footer: 'Страница {page} из {pages}',
+    });
+
+    expect(printDoc().title).toBe('Ряды "Фурье"');
+    const css = printDoc().getElementById('pdf-layout-style').textContent;
+    expect(css).toContain('@page { size: A4 portrait; margin: 2cm;');
+    expect(css).toContain('@top-center { content: "Ряды \\"Фурье\\""');
+    expect(css).toContain('@bottom-center { content: "Страница " counter(page) " из " counter(pages);');
+  });
+
+  it('should make the content editable except for formulas', () => {
+    const katex = '<span class="katex"><span class="katex-mathml"><math><mi>x</mi></math></span></span>';
+    generatePdfViaPrint(makeMessage('assistant', `<p>a ${katex}</p>`), { title: 'T' });
+
+    const content = printDoc().querySelector('.pdf-content');
+    expect(content.getAttribute('contenteditable')).toBe('true');
+    expect(content.querySelector('.katex').getAttribute('contenteditable')).toBe('false');
+  });
+
+  it('should apply the layout controls to the @page rules', () => {
+    generatePdfViaPrint(makeMessage('assistant', '<p>Text</p>'), { title: 'T' });
+    const doc = printDoc();
+    const change = (id, value) => {
+      const control = doc.getElementById(id);
+      if (control.type === 'checkbox') control.checked = value;
+      else control.value = value;
+      control.dispatchEvent(new frame.contentWindow.Event('change'));
+    };
+
+    change('pdf-paper', 'Letter');
+    change('pdf-orientation', 'landscape');
+    change('pdf-margin', '1.5');
+    change('pdf-font-size', '13');
+    change('pdf-keep-tables', true);
+
+    const css = doc.getElementById('pdf-layout-style').textContent;
+    expect(css).toContain('@page { size: Letter landscape; margin: 1.5cm; }');
+    expect(css).toContain('body { font-size: 13pt; }');
+    expect(css).toContain('max-width: calc(249.4mm + 80px)');
+    expect(css).toContain('table { break-inside: avoid;');
+  });
+
+  it('should export the edited conversation to DOCX with its turns', async () => {
+    const onExportDocx = vi.fn().mockResolvedValue();
+    const turns = [
+      { role: 'user', element: makeMessage('user', 'Question?') },
+      { role: 'assistant', element: makeMessage('assistant', '<p>Answer.</p><p>Want me to expand?</p>') },
+    ];
+    generateConversationPdfViaPrint(turns, { title: 'T', onExportDocx });
+
+    const doc = printDoc();
+    doc.querySelectorAll('.pdf-answer p')[1].remove();
+    doc.getElementById('pdf-docx-btn').click();
+    await vi.waitFor(() => expect(onExportDocx).toHaveBeenCalled());
+
+    const blocks = onExportDocx.mock.calls[0][0];
+    expect(blocks).toHaveLength(2);
+    expect(blocks[0]).toMatchObject({ type: 'turn', role: 'user' });
+    expect(blocks[0].blocks[0].content[0].text).toBe('Question?');
+    expect(blocks[1].blocks).toHaveLength(1);
+    expect(blocks[1].blocks[0].content[0].text).toBe('Answer.');
+  });
+
+  it('should hide the DOCX button without an export callback', () => {
+    generatePdfViaPrint(makeMessage('assistant', '<p>Text</p>'), { title: 'T' });
+    expect(printDoc().getElementById('pdf-docx-btn')).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for the plain-text renderer
+ */
+import { describe, it, expect } from 'vitest';
+import { renderPlainText, renderMathText } from '../src/lib/text-renderer.js';
+
+const text = (value) => ({ type: 'text', text: value });
+const paragraph = (...content) => ({ type: 'paragraph', content });
+const math = (latex, display = false) => ({ type: 'math', display, latex, mathml: '' });
+
+describe('renderMathText', () => {
+  it('should use Unicode scripts where they exist', () => {
+    expect(renderMathText(math('x^2 + y_1'))).toBe('x²+y₁');
+    expect(renderMathText(math('e^{-i\\pi}'))).toBe('e^(−iπ)');
+    expect(renderMathText(math('e^{i\\pi}'))).toBe('e^(iπ)');
+    expect(renderMathText(math('\\sum_i a_i'))).toBe('∑ᵢaᵢ');
+    expect(renderMathText(math('\\sum_{k=1}^{n} k'))).toBe('∑ₖ₌₁ⁿk');
+    expect(renderMathText(math("f'(x)"))).toBe('f′(x)');
+  });
+
+  it('should write fractions, roots and relations linearly', () => {
+    expect(renderMathText(math('\\sqrt{a+b}'))).toBe('√(a+b)');
+    expect(renderMathText(math('\\sqrt[3]{x}'))).toBe('∛x');
+    expect(renderMathText(math('\\frac{a}{b}'))).toBe('a/b');
+    expect(renderMathText(math('\\frac{a+b}{2c} \\le 1'))).toBe('(a+b)/(2c) ≤ 1');
+    expect(renderMathText(math('\\sin x = \\sin(x)'))).toBe('sin x = sin(x)');
+  });
+
+  it('should put display table rows on separate lines with their labels', () => {
+    const aligned = math('\\begin{align*} a &= b \\tag{1} \\\\ c &= d \\end{align*}', true);
+    expect(renderMathText(aligned)).toBe('a = b\t(1)\nc = d');
+    expect(renderMathText(math('\\begin{pmatrix} 1 & 2 \\\\ 3 & 4 \\end{pmatrix}'))).toBe('(1 2; 3 4)');
+  });
+
+  it('should read KaTeX MathML', () => {
+    const item = {
+      type: 'math',
+      latex: 'x^2',
+      mathml: '<math xmlns="http://www.w3.org/1998/Math/MathML"><semantics><mrow><msup><mi>x</mi><mn>2</mn></msup></mrow>' +
+        '<annotation encoding="application/x-tex">x^2</annotation></semantics></math>',
+    };
+    expect(renderMathText(item)).toBe('x²');
+  });
+});
+
+describe('renderPlainText', () => {
+  it('should separate blocks and underline top headings', () => {
+    const result = renderPlainText([
+      { type: 'heading', level: 1, content: [text('Title')] },
+      paragraph(text('Energy: '), math('E = mc^2'), text('.')),
+      { type: 'heading', level: 3, content: [text('Sub')] },
+      { type: 'hr' },
+    ]);
+    expect(result).toBe('Title\n=====\n\nEnergy: E = mc².\n\nSub\n\n' + '-'.repeat(40));
+  });
+
+  it('should keep spaces at the edges of bold and italic runs', () => {
+    const result = renderPlainText([paragraph(
+      text('a '),
+      { type: 'bold', content: [text('bold ')] },
+      text('word'),
+      { type: 'italic', content: [text(' and')] },
+      text(' more '),
+    )]);
+    expect(result).toBe('a bold word and more');
+  });
+
+  it('should render nested lists with bullets and indentation', () => {
+    const result = renderPlainText([{
+      type: 'list',
+      ordered: true,
+      start: 3,
+      items: [
+        { blocks: [paragraph(text('First')), { type: 'list', ordered: false, items: [{ blocks: [paragraph(text('Inner'))] }] }] },
+        { blocks: [paragraph(text('Second'), { type: 'lineBreak' }, text('more'))] },
+      ],
+    }]);
+    expect(result).toBe('3. First\n   ◦ Inner\n4. Second\n   more');
+  });
+
+  it('should lay tables out as aligned grids', () => {
+    const cell = (value) => ({ content: [text(value)] });
+    const result = renderPlainText([{
+      type: 'table',
+      rows: [
+        { isHeader: true, cells: [cell('Name'), cell('Value')] },
+        { isHeader: false, cells: [cell('α'), cell('1.5')] },
+      ],
+    }]);
+    expect(result).toBe([
+      '+------+-------+',
+      '| Name | Value |',
+      '+======+=======+',
+      '| α    | 1.5   |',
+      '+------+-------+',
+    ].join('\n'));
+  });
+
+  it('should indent code, quote quotes and label turns', () => {
+    const result = renderPlainText([{
+      type: 'turn',
+      role: 'assistant',
+      blocks: [
+        { type: 'codeBlock', language: 'js', code: 'let a = 1;\nfoo(a);\n' },
+        { type: 'blockquote', blocks: [paragraph(text('Quoted'))] },
+        math('\\frac{1}{2}', true),
+      ],
+    }]);
+    expect(result).toBe('Ответ:\n\n    let a = 1;\n    foo(a);\n\n> Quoted\n\n1/2');
+  });
+});